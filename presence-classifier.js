@@ -0,0 +1,123 @@
+// presence-classifier.js — категория активного окна по взвешенным сигналам
+//
+// Каждый сигнал — независимое свидетельство с весом 0..1 («насколько он один уверен, что это игра»).
+// Уверенность категории — noisy-OR сработавших сигналов: 1 − Π(1 − вес). Один сигнал даёт ровно
+// свой вес, два слабых вместе — больше каждого из них.
+//
+// Порядок решения:
+//   1. categories из presence-rules.json — категория задана явно, уверенность 1;
+//   2. KNOWN_GEEK_SET — инструменты (в KNOWN_EXE_MAP есть и code.exe, и discord.exe — это таблица имён, а не игр);
+//   3. игровые сигналы: известное имя, база распознавания, библиотека лаунчера, каталог игры,
+//      путь-подсказка, полноэкранное окно;
+//   4. если уверенность ниже порога threshold — 'other': такие окна не становятся сессией.
+// Результат: { category, confidence, signals: [{ id, weight, …детали }] } — сработавшие сигналы по порядку.
+
+import { KNOWN_GEEK_SET } from './presence-rules.js';
+
+export const DEFAULT_SIGNAL_WEIGHTS = Object.freeze({
+  'known-name': 0.9,     // KNOWN_EXE_MAP и names из presence-rules.json
+  'detection-db': 0.85,  // база распознавания игр (presence-detection-db.js)
+  'library': 0.8,        // exe из индекса библиотек Steam/Epic/GOG/…
+  'library-dir': 0.6,    // exe лежит в каталоге установленной игры
+  'path-hint': 0.6,      // GAME_PATH_HINTS и pathHints из правил
+  'fullscreen': 0.4,     // окно на весь экран (в том числе borderless)
+  'known-geek': 0.8,     // KNOWN_GEEK_SET
+});
+export const SIGNAL_IDS = Object.keys(DEFAULT_SIGNAL_WEIGHTS);
+export const DEFAULT_REPORT_THRESHOLD = 0.5;
+
+const GEEK_SIGNALS = new Set(['known-geek']);
+
+// размеры мониторов для окна без сведений о дисплее: borderless-окно игры совпадает с ними точно,
+// а развёрнутое обычное окно — нет (его урезает панель задач)
+const DISPLAY_SIZES = [
+  [1280, 720], [1280, 800], [1280, 1024], [1366, 768], [1440, 900], [1600, 900], [1680, 1050],
+  [1920, 1080], [1920, 1200], [2560, 1080], [2560, 1440], [2560, 1600], [3440, 1440], [3840, 1600],
+  [3840, 2160], [5120, 1440], [5120, 2160], [5120, 2880],
+];
+const FULLSCREEN_SLACK_PX = 2;
+
+// → 'display' (окно покрывает свой монитор), 'resolution' (совпало с типичным размером экрана) или null
+export function fullscreenBy(bounds, display) {
+  if (!bounds || bounds.width <= 0 || bounds.height <= 0) return null;
+  if (display) {
+    const covers = bounds.x <= display.x + FULLSCREEN_SLACK_PX
+      && bounds.y <= display.y + FULLSCREEN_SLACK_PX
+      && bounds.x + bounds.width >= display.x + display.width - FULLSCREEN_SLACK_PX
+      && bounds.y + bounds.height >= display.y + display.height - FULLSCREEN_SLACK_PX;
+    return covers ? 'display' : null;
+  }
+  const sized = DISPLAY_SIZES.some(([w, h]) => bounds.width === w && bounds.height === h);
+  // монитор слева или справа от основного: x кратен ширине, y — ноль
+  return sized && bounds.y === 0 && bounds.x % bounds.width === 0 ? 'resolution' : null;
+}
+
+// проверяет и накладывает { threshold, weights }; бросает TypeError на мусоре
+export function mergeClassifierConfig(base, patch = {}) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) throw new TypeError('classifier: expected an object');
+  const next = { ...base, weights: { ...base.weights } };
+  const isWeight = v => Number.isFinite(v) && v >= 0 && v <= 1;
+  for (const [key, val] of Object.entries(patch)) {
+    if (key === 'threshold') {
+      if (!isWeight(val)) throw new TypeError('classifier.threshold: expected a number from 0 to 1');
+      next.threshold = val;
+    } else if (key === 'weights') {
+      if (!val || typeof val !== 'object' || Array.isArray(val)) throw new TypeError('classifier.weights: expected an object');
+      for (const [id, w] of Object.entries(val)) {
+        if (!SIGNAL_IDS.includes(id)) {
+          throw new TypeError(`classifier.weights.${id}: unknown signal (expected one of ${SIGNAL_IDS.join(', ')})`);
+        }
+        if (!isWeight(w)) throw new TypeError(`classifier.weights.${id}: expected a number from 0 to 1`);
+        next.weights[id] = w;
+      }
+    } else {
+      throw new TypeError(`classifier.${key}: unknown setting`);
+    }
+  }
+  return next;
+}
+
+const round = x => Math.round(x * 100) / 100;
+const noisyOr = signals => 1 - signals.reduce((p, s) => p * (1 - s.weight), 1);
+
+export function createClassifier(initial = {}) {
+  let config = mergeClassifierConfig({ threshold: DEFAULT_REPORT_THRESHOLD, weights: { ...DEFAULT_SIGNAL_WEIGHTS } }, initial);
+
+  // rules — текущие правила (presence-rules.js), window — окно провайдера (bounds, display);
+  // detection и library — ответы резолвера (detect/library) или null
+  function classify({ rules, base, exePath, window = null, detection = null, library = null }) {
+    const b = (base || '').toLowerCase();
+    if (rules.forced.has(b)) {
+      return { category: rules.forced.get(b), confidence: 1, signals: [{ id: 'user-category', weight: 1 }] };
+    }
+
+    const signals = [];
+    const fire = (id, detail = {}) => {
+      if (config.weights[id] > 0) signals.push({ id, weight: config.weights[id], ...detail });
+    };
+    const geek = KNOWN_GEEK_SET.has(b);
+    if (geek) fire('known-geek');
+    if (!geek && rules.knownMap.has(b)) fire('known-name');
+    if (detection) fire('detection-db', { match: detection.id });
+    if (library?.by === 'exe') fire('library', { source: library.source });
+    if (library?.by === 'dir') fire('library-dir', { source: library.source, dir: library.match });
+    if (rules.hasGameHint(exePath)) fire('path-hint');
+    const fullscreen = fullscreenBy(window?.bounds, window?.display);
+    if (fullscreen) fire('fullscreen', { by: fullscreen });
+
+    const geekScore = noisyOr(signals.filter(s => GEEK_SIGNALS.has(s.id)));
+    const gameScore = noisyOr(signals.filter(s => !GEEK_SIGNALS.has(s.id)));
+    if (geekScore > 0 && geekScore >= config.threshold) return { category: 'geek', confidence: round(geekScore), signals };
+    if (gameScore > 0 && gameScore >= config.threshold) return { category: 'game', confidence: round(gameScore), signals };
+    return { category: 'other', confidence: round(1 - gameScore), signals };
+  }
+
+  return {
+    classify,
+    configure(patch) {
+      config = mergeClassifierConfig(config, patch);
+      return config;
+    },
+    get config() { return config; },
+  };
+}
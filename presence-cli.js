@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+// presence-cli.js — echotalk-presence: воркер и резолвер без Electron
+//
+//   echotalk-presence watch   [--sink <spec>]... [--provider <name>] [--locale <tag>]... [--header 'K: V']...
+//   echotalk-presence resolve <exe> [--title <заголовок>] [--pid <pid>] [--locale <tag>]... [--explain]
+//   echotalk-presence scan
+//
+// Общие опции: --user-data <dir> (иначе ECHOTALK_USER_DATA или ~/.echotalk), --log-level <уровень>.
+// watch пишет сообщения воркера в приёмники (presence-sinks.js): ndjson (по умолчанию), socket:<путь>,
+// webhook:<url>, ipc. Логи всегда идут в stderr, чтобы не ломать NDJSON в stdout.
+// Коды выхода: 0 — успех, 1 — ошибка, 2 — неверные аргументы.
+
+import { realpathSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { homedir } from 'node:os';
+import { basename, join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createPresenceWorker } from './presence-worker.js';
+import { createNameResolver } from './presence-name-resolver.js';
+import { createScannerRegistry } from './presence-library-scanners.js';
+import { createSink, createSinkFanout, parseSinkSpec } from './presence-sinks.js';
+import { createRulesStore } from './presence-rules.js';
+import { createLogger } from './presence-log.js';
+import { systemLocales } from './presence-locales.js';
+import { isRequest } from './presence-protocol.js';
+
+const USAGE = `usage:
+  echotalk-presence watch [--sink ndjson|socket:<path>|webhook:<url>|ipc]... [--provider active-win|ipc]
+                          [--locale <tag>]... [--header 'Name: value']...
+  echotalk-presence resolve <exe> [--title <title>] [--pid <pid>] [--locale <tag>]... [--explain]
+  echotalk-presence scan
+options: --user-data <dir>  --log-level silent|error|warn|info|debug  --help`;
+
+const OPTIONS = {
+  sink: { type: 'string', multiple: true },
+  provider: { type: 'string' },
+  locale: { type: 'string', multiple: true },
+  header: { type: 'string', multiple: true },
+  title: { type: 'string' },
+  pid: { type: 'string' },
+  explain: { type: 'boolean' },
+  'user-data': { type: 'string' },
+  'log-level': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+class UsageError extends Error {}
+
+// все уровни — в stderr: stdout занят данными
+const stderrSink = { error: console.error, warn: console.error, log: console.error };
+
+function parseHeaders(list = []) {
+  const headers = {};
+  for (const h of list) {
+    const i = h.indexOf(':');
+    if (i <= 0) throw new UsageError(`--header: expected 'Name: value', got ${JSON.stringify(h)}`);
+    headers[h.slice(0, i).trim()] = h.slice(i + 1).trim();
+  }
+  return headers;
+}
+
+async function watch(opts, logger) {
+  let specs;
+  try {
+    specs = (opts.sink?.length ? opts.sink : ['ndjson']).map(parseSinkSpec);
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const headers = parseHeaders(opts.header);
+  const log = logger.child('cli');
+
+  let worker = null;
+  const sinkOptions = {
+    headers,
+    logger,
+    onRequest: msg => worker.request(msg),
+  };
+  let sinks;
+  try {
+    sinks = specs.map(spec => createSink(spec, sinkOptions));
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const fanout = createSinkFanout(sinks, { logger });
+  await fanout.start();
+
+  worker = createPresenceWorker({
+    send: fanout.send,
+    provider: opts.provider,
+    locales: opts.locale, // без --locale — язык системы
+    userDataDir: opts['user-data'],
+    logger,
+  });
+
+  // под fork родитель может и управлять: запросы, окно/idle для провайдера ipc, shutdown
+  if (specs.some(s => s.kind === 'ipc') && process.send) {
+    process.on('message', async (msg) => {
+      if (!msg || typeof msg !== 'object') return;
+      if (msg.type === 'shutdown') { shutdown(); return; }
+      if (isRequest(msg)) process.send(await worker.request(msg));
+      else worker.handleMessage(msg);
+    });
+  }
+  process.on('uncaughtException', e => worker.log.error('uncaughtException:', e));
+  process.on('unhandledRejection', e => worker.log.error('unhandledRejection:', e));
+
+  let stopping = false;
+  const shutdown = async () => {
+    if (stopping) return;
+    stopping = true;
+    await worker.stop();
+    await fanout.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  for (const s of sinks) if (s.path || s.url) log.info(`sink ${s.name}:`, s.path || s.url);
+  await worker.start();
+}
+
+async function resolve(opts, [exePath], logger) {
+  if (!exePath) throw new UsageError('resolve: expected <exe>');
+  let pid;
+  if (opts.pid !== undefined) {
+    pid = Number(opts.pid);
+    if (!Number.isInteger(pid)) throw new UsageError('--pid: expected an integer');
+  }
+  // те же правила, что у воркера (presence-rules.json из userDataDir), а кеш имён — только на чтение:
+  // разовый запрос не должен писать в presence-cache.json, с которым работает запущенный воркер
+  const userDataDir = opts['user-data'] || process.env.ECHOTALK_USER_DATA || join(homedir(), '.echotalk');
+  const rulesStore = createRulesStore({
+    userDataDir,
+    onError: ({ path, errors }) => logger.child('cli').warn('rules error:', path, errors),
+    logger,
+  });
+  await rulesStore.load();
+  const resolver = createNameResolver({
+    userDataDir,
+    knownMap: rulesStore.current.knownMap,
+    locales: opts.locale || systemLocales(),
+    logger,
+    readOnlyCache: true,
+  });
+  try {
+    await resolver.warmup();
+    const r = await resolver.resolveName(
+      { exePath, processName: basename(exePath), windowTitle: opts.title, pid },
+      { explain: Boolean(opts.explain) },
+    );
+    const out = { exePath, displayName: r.name, canonicalName: r.canonicalName, icon: r.icon || null };
+    if (opts.explain) {
+      Object.assign(out, r.explain, {
+        detection: resolver.detect(exePath),
+        library: resolver.library(exePath),
+        ignored: rulesStore.current.isIgnored(basename(exePath)),
+      });
+    }
+    console.log(JSON.stringify(out, null, 2));
+  } finally {
+    await resolver.stop();
+  }
+}
+
+// индекс библиотек лаунчеров: по записи NDJSON на exe, в конце — строка со статистикой сканеров
+async function scan(opts, logger) {
+  const log = logger.child('scan');
+  const registry = createScannerRegistry();
+  const ctx = { platform: process.platform, home: homedir(), env: process.env, debug: (...a) => log.debug(...a) };
+  const { entries, stats } = await registry.scanAll(ctx);
+  for (const [exePath, { name, source, appid = null }] of entries) {
+    console.log(JSON.stringify({ exePath, name, source, appid }));
+  }
+  console.log(JSON.stringify({ stats, entries: entries.size }));
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    return 2;
+  }
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    console.error(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  let logger;
+  try {
+    logger = createLogger({ level: values['log-level'], sink: stderrSink });
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+  try {
+    switch (command) {
+      case 'watch': await watch(values, logger); return null; // работает до сигнала
+      case 'resolve': await resolve(values, rest, logger); return 0;
+      case 'scan': await scan(values, logger); return 0;
+      default: throw new UsageError(`unknown command ${JSON.stringify(command)}`);
+    }
+  } catch (e) {
+    if (e instanceof UsageError) {
+      console.error(e.message);
+      console.error(USAGE);
+      return 2;
+    }
+    console.error('[presence-cli]', e?.stack || e);
+    return 1;
+  }
+}
+
+// через npm bin argv[1] — симлинк в node_modules/.bin, а import.meta.url — настоящий путь
+const isMain = Boolean(process.argv[1]) && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href;
+if (isMain) {
+  main().then((code) => {
+    if (code !== null) process.exit(code);
+  });
+}
@@ -0,0 +1,285 @@
+// presence-desktop-entries.js — индекс .desktop файлов (Linux)
+//
+// Индекс строится один раз: обходим <каталог данных>/applications в порядке приоритета
+// XDG (XDG_DATA_HOME, затем XDG_DATA_DIRS, затем экспорты Flatpak и Snap) и разбираем
+// только группу [Desktop Entry]. Поиск — по полному пути или имени exe за O(1):
+// ключи берутся из программы в Exec (без обёрток и интерпретаторов), TryExec и StartupWMClass.
+// При изменении каталогов индекс перестраивается (fs.watch + debounce).
+
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+
+const REFRESH_DEBOUNCE_MS = 500;
+
+// каталоги данных по приоритету (раньше — важнее)
+export function desktopDataDirs({ env = process.env, home } = {}) {
+  const dataHome = env.XDG_DATA_HOME || path.join(home, '.local', 'share');
+  const dataDirs = (env.XDG_DATA_DIRS || '/usr/local/share:/usr/share').split(':').filter(Boolean);
+  const dirs = [
+    dataHome,
+    ...dataDirs,
+    path.join(dataHome, 'flatpak', 'exports', 'share'),
+    '/var/lib/flatpak/exports/share',
+    '/var/lib/snapd/desktop',
+  ];
+  return [...new Set(dirs.map(d => path.join(d, 'applications')))];
+}
+
+// экранирование значений по спецификации: \s \n \t \r \\
+function unescapeValue(v) {
+  return v.replace(/\\([sntr\\])/g, (_, c) => ({ s: ' ', n: '\n', t: '\t', r: '\r', '\\': '\\' })[c]);
+}
+
+// разбор группы [Desktop Entry]; локализованные ключи Name[ru] складываем в names
+export function parseDesktopEntry(text) {
+  const entry = { names: {} };
+  let inMain = false;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    if (line.startsWith('[')) {
+      inMain = line === '[Desktop Entry]';
+      continue;
+    }
+    if (!inMain) continue;
+    const i = line.indexOf('=');
+    if (i <= 0) continue;
+    const key = line.slice(0, i).trim();
+    const value = unescapeValue(line.slice(i + 1).trim());
+    const loc = key.match(/^Name\[([^\]]+)\]$/);
+    if (loc) entry.names[loc[1]] = value;
+    else if (!(key in entry)) entry[key] = value;
+  }
+  return entry.Type || entry.Name ? entry : null;
+}
+
+// argv из Exec: кавычки "…" с экранированием \" \` \$ \\, поля %f %U и т.п. отбрасываются
+export function parseExec(exec) {
+  const args = [];
+  let cur = '';
+  let quoted = false;
+  let has = false;
+  for (let i = 0; i < exec.length; i++) {
+    const c = exec[i];
+    if (quoted) {
+      if (c === '\\' && i + 1 < exec.length) { cur += exec[++i]; continue; }
+      if (c === '"') { quoted = false; continue; }
+      cur += c;
+    } else if (c === '"') {
+      quoted = true;
+      has = true;
+    } else if (c === ' ' || c === '\t') {
+      if (has || cur) args.push(cur);
+      cur = '';
+      has = false;
+    } else {
+      cur += c;
+    }
+  }
+  if (has || cur) args.push(cur);
+  return args.filter(a => !/^%[a-zA-Z]$/.test(a)).map(a => a.replace(/%%/g, '%'));
+}
+
+// ключи env со значением отдельным аргументом: env -u NAME, env -C DIR
+const ENV_ARG_OPTIONS = new Set(['-u', '--unset', '-C', '--chdir']);
+
+// обёртки без своих ключей: настоящая команда идёт сразу за ними
+const PLAIN_WRAPPERS = new Set(['gamemoderun', 'prime-run', 'primusrun', 'optirun', 'mangohud', 'nohup']);
+
+// интерпретаторы: процесс в системе — сам интерпретатор, поэтому его имя нельзя отдавать одному приложению
+const INTERPRETER_RE = /^(sh|bash|dash|zsh|python[\d.]*|perl|ruby|node|lua[\d.]*)$/;
+// ключи интерпретаторов со значением отдельным аргументом
+const INTERPRETER_ARG_OPTIONS = new Set(['-W', '-X', '-o', '-r', '--require']);
+// код из строки (-c, -e) или модуль (-m): своего файла у программы нет
+const INLINE_CODE_OPTIONS = new Set(['-c', '-e', '-m', '--eval']);
+const JAVA_ARG_OPTIONS = new Set(['-cp', '-classpath', '--class-path', '-p', '--module-path']);
+
+// env VAR=… [ключи] [--] команда
+function skipEnv(args) {
+  let i = 0;
+  while (i < args.length) {
+    const a = args[i];
+    if (a === '--') { i++; break; }
+    if (ENV_ARG_OPTIONS.has(a)) i += 2;
+    else if (a.startsWith('-') || /^[A-Za-z_]\w*=/.test(a)) i++;
+    else break;
+  }
+  return args.slice(i);
+}
+
+// flatpak run [ключи] <app id>: внутри песочницы работает --command=…, без него — команда по умолчанию,
+// которую знает только манифест, поэтому ключом служит app id
+function flatpakProgram(args) {
+  if (args[0] !== 'run') return null;
+  let command = null;
+  for (let i = 1; i < args.length; i++) {
+    const a = args[i];
+    if (a.startsWith('--command=')) command = a.slice('--command='.length);
+    else if (a === '--command') command = args[++i] ?? null;
+    else if (!a.startsWith('-')) return command || a;
+  }
+  return command;
+}
+
+// интерпретатор: программа — файл скрипта
+function scriptProgram(args) {
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (INLINE_CODE_OPTIONS.has(a)) return null;
+    if (a === '--') return args[i + 1] || null;
+    if (INTERPRETER_ARG_OPTIONS.has(a)) i++;
+    else if (!a.startsWith('-')) return a;
+  }
+  return null;
+}
+
+// java -jar <jar>; запуск по имени класса своего файла не имеет
+function jarProgram(args) {
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '-jar') return args[i + 1] || null;
+    if (JAVA_ARG_OPTIONS.has(a)) i++;
+    else if (!a.startsWith('-')) return null;
+  }
+  return null;
+}
+
+// argv → программа, которой принадлежит окно; null, если по Exec её не узнать
+function programOf(argv) {
+  const [prog, ...rest] = argv;
+  if (!prog) return null;
+  const name = path.basename(prog);
+  if (name === 'env') return programOf(skipEnv(rest));
+  if (PLAIN_WRAPPERS.has(name)) return programOf(rest);
+  if (name === 'flatpak') return flatpakProgram(rest);
+  // wine C:\\…\\game.exe — процесс виден как game.exe (см. readWineProcess в presence-processes.js)
+  if (/^wine(64)?$/.test(name)) {
+    const exe = rest.find(a => /\.exe$/i.test(a));
+    return exe ? path.win32.basename(exe) : null;
+  }
+  if (INTERPRETER_RE.test(name)) return scriptProgram(rest);
+  if (/^javaw?$/.test(name)) return jarProgram(rest);
+  // ярлыки игр Steam: steam steam://rungameid/<id> — окно будет у игры, а не у steam
+  if (name === 'steam' && rest.some(a => a.startsWith('steam://'))) return null;
+  return prog;
+}
+
+// настоящая программа из Exec: пропускаем env VAR=… и обёртки (gamemoderun, prime-run, …);
+// для flatpak — --command= или app id, для интерпретаторов — скрипт, для java — jar, для wine — exe.
+// Код из строки (sh -c, python -m) и запуск java по классу не индексируются: иначе одно имя досталось бы
+// всем процессам интерпретатора
+export function execProgram(exec) {
+  return programOf(parseExec(exec || ''));
+}
+
+const isTrue = v => v === 'true';
+
+// desktop-file-id: путь относительно applications/ с заменой / на -
+async function listDesktopFiles(root) {
+  const out = [];
+  async function walk(dir, prefix) {
+    let entries = [];
+    try { entries = await fsp.readdir(dir, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      const p = path.join(dir, e.name);
+      if (e.isDirectory()) await walk(p, `${prefix}${e.name}-`);
+      else if (e.name.endsWith('.desktop')) out.push({ id: prefix + e.name, file: p });
+    }
+  }
+  await walk(root, '');
+  return out;
+}
+
+export function createDesktopIndex({ dirs, onRefresh = () => {}, debug = () => {} } = {}) {
+  let byPath = new Map(); // полный путь exe (lower) -> entry
+  let byExe = new Map();  // имя exe или StartupWMClass (lower) -> entry
+  let watchers = [];
+  let timer = null;
+  let built = false;
+
+  async function refresh() {
+    const nextPath = new Map();
+    const nextExe = new Map();
+    const seenIds = new Set(); // файл с тем же id в менее приоритетном каталоге не читается
+    let files = 0;
+    for (const dir of dirs) {
+      for (const { id, file } of await listDesktopFiles(dir)) {
+        if (seenIds.has(id)) continue;
+        seenIds.add(id);
+        let entry;
+        try {
+          entry = parseDesktopEntry(await fsp.readFile(file, 'utf8'));
+        } catch {
+          continue;
+        }
+        files++;
+        // Hidden=true означает «удалён» и заодно прячет одноимённые файлы ниже по приоритету
+        if (!entry || isTrue(entry.Hidden) || isTrue(entry.NoDisplay)) continue;
+        if ((entry.Type || 'Application') !== 'Application' || !entry.Name) continue;
+
+        const info = { id, file, name: entry.Name, names: entry.names, icon: entry.Icon || null };
+        const put = (map, key) => {
+          if (key && !map.has(key)) map.set(key, info);
+        };
+        // TryExec — путь к файлу, а не строка Exec; интерпретатор или обёртка в нём тоже не ключ
+        for (const prog of [execProgram(entry.Exec), entry.TryExec && programOf([entry.TryExec])]) {
+          if (!prog) continue;
+          if (prog.includes('/')) put(nextPath, prog.toLowerCase());
+          put(nextExe, path.basename(prog).toLowerCase());
+        }
+        if (entry.StartupWMClass) put(nextExe, entry.StartupWMClass.toLowerCase());
+      }
+    }
+    byPath = nextPath;
+    byExe = nextExe;
+    built = true;
+    debug('desktop index built', { files, byPath: byPath.size, byExe: byExe.size });
+  }
+
+  function scheduleRefresh() {
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      timer = null;
+      try {
+        await refresh();
+        onRefresh();
+      } catch (e) {
+        debug('desktop index refresh error', String(e?.message || e));
+      }
+    }, REFRESH_DEBOUNCE_MS);
+  }
+
+  // следим только за существующими каталогами; новые подхватятся при следующем warmup()
+  function watch() {
+    if (watchers.length) return;
+    for (const dir of dirs) {
+      try {
+        const w = fs.watch(dir, () => scheduleRefresh());
+        w.on('error', () => {});
+        watchers.push(w);
+      } catch {}
+    }
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    for (const w of watchers) w.close();
+    watchers = [];
+  }
+
+  // exePath или имя процесса -> { id, file, name, names, icon } | null
+  function lookup(exePath) {
+    if (!exePath) return null;
+    return byPath.get(exePath.toLowerCase()) || byExe.get(path.basename(exePath).toLowerCase()) || null;
+  }
+
+  return {
+    refresh,
+    watch,
+    stop,
+    lookup,
+    get built() { return built; },
+    get size() { return byExe.size; },
+  };
+}
@@ -0,0 +1,190 @@
+// presence-detection-db.js — офлайн-база распознавания игр (несколько exe на игру)
+//
+// Формат совместим с опубликованными списками «detectable games»: массив записей
+// { id, name, aliases, executables: [{ name, os, is_launcher, arguments }] }.
+// executables[].name — хвост пути в нижнем регистре с «/» («game/bin/win64/cs2.exe»);
+// «>» в начале означает точное совпадение имени файла. os — win32 | linux | darwin (пусто — любая).
+// Расширения: names — переводы { ru: '…' }, path_fragments — куски пути, по которым узнаётся игра
+// с безликим exe, disabled — убрать запись нижнего слоя с тем же id.
+//
+// Файл базы — такой массив или обёртка с версией формата и ревизией данных:
+// { "format": "echotalk-detection-db", "version": 1, "revision": "2026.10.1", "games": [ … ] }
+// Слои: встроенная база data/detection-db.json, затем presence-detection-db.json из userDataDir —
+// верхний слой заменяет записи нижнего по id. Пользовательские names из presence-rules.json
+// проверяются резолвером раньше базы.
+
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createLogger } from './presence-log.js';
+
+export const DETECTION_DB_FILE = 'presence-detection-db.json';
+export const DETECTION_DB_FORMAT = 'echotalk-detection-db';
+export const DETECTION_DB_VERSION = 1;
+export const BUILTIN_DETECTION_DB = fileURLToPath(new URL('./data/detection-db.json', import.meta.url));
+
+const OS_NAMES = ['win32', 'linux', 'darwin'];
+
+const norm = p => String(p || '').toLowerCase().replace(/\\/g, '/');
+
+// проверяет запись и приводит её к { id, name, aliases, names, executables, pathFragments, disabled };
+// → { entry } или { error }
+function normalizeEntry(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'expected an object' };
+  const id = raw.id === undefined ? null : String(raw.id);
+  if (raw.disabled === true) return id ? { entry: { id, disabled: true } } : { error: 'disabled entry needs an id' };
+  if (typeof raw.name !== 'string' || !raw.name.trim()) return { error: 'name: expected a non-empty string' };
+
+  const executables = [];
+  for (const [i, x] of (Array.isArray(raw.executables) ? raw.executables : []).entries()) {
+    if (!x || typeof x.name !== 'string' || !x.name.trim()) return { error: `executables[${i}].name: expected a non-empty string` };
+    if (x.os !== undefined && x.os !== null && !OS_NAMES.includes(x.os)) {
+      return { error: `executables[${i}].os: expected one of ${OS_NAMES.join(', ')}` };
+    }
+    if (x.is_launcher) continue; // лаунчер игры — не сама игра
+    const exact = x.name.startsWith('>');
+    const name = norm(exact ? x.name.slice(1) : x.name).replace(/^\/+/, '');
+    executables.push({ name, base: path.posix.basename(name), exact, os: x.os || null });
+  }
+  const pathFragments = (Array.isArray(raw.path_fragments) ? raw.path_fragments : [])
+    .filter(f => typeof f === 'string' && f.trim().length >= 4)
+    .map(norm);
+  if (!executables.length && !pathFragments.length) return { error: 'expected executables or path_fragments' };
+
+  return {
+    entry: {
+      id: id || raw.name.trim().toLowerCase(),
+      name: raw.name.trim(),
+      aliases: Array.isArray(raw.aliases) ? raw.aliases.filter(a => typeof a === 'string') : [],
+      names: raw.names && typeof raw.names === 'object' && !Array.isArray(raw.names) ? raw.names : null,
+      executables,
+      pathFragments,
+    },
+  };
+}
+
+// → { revision, entries, errors }; бросает на неподдерживаемой версии формата
+export function parseDetectionDb(json) {
+  let games = json;
+  let revision = null;
+  if (!Array.isArray(json)) {
+    if (!json || typeof json !== 'object') throw new Error('detection db: expected an array or an object');
+    if (json.format !== undefined && json.format !== DETECTION_DB_FORMAT) {
+      throw new Error(`detection db: unknown format ${JSON.stringify(json.format)}`);
+    }
+    if (json.version !== DETECTION_DB_VERSION) {
+      throw new Error(`detection db: unsupported version ${JSON.stringify(json.version)} (expected ${DETECTION_DB_VERSION})`);
+    }
+    if (!Array.isArray(json.games)) throw new Error('detection db: games: expected an array');
+    games = json.games;
+    revision = json.revision ?? null;
+  }
+  const entries = [];
+  const errors = [];
+  games.forEach((raw, i) => {
+    const { entry, error } = normalizeEntry(raw);
+    if (error) errors.push(`games[${i}]: ${error}`);
+    else entries.push(entry);
+  });
+  return { revision, entries, errors };
+}
+
+// все хвосты пути: /a/b/c.exe → c.exe, b/c.exe, a/b/c.exe
+function pathSuffixes(p) {
+  const parts = p.split('/').filter(Boolean);
+  const out = new Set();
+  for (let i = parts.length - 1; i >= 0; i--) out.add(parts.slice(i).join('/'));
+  return out;
+}
+
+export function createDetectionDb({
+  files,
+  userDataDir,
+  platform = process.platform,
+  logger = createLogger(),
+} = {}) {
+  const log = logger.child('detection-db');
+  const layerFiles = files || [BUILTIN_DETECTION_DB, ...(userDataDir ? [path.join(userDataDir, DETECTION_DB_FILE)] : [])];
+  let byBase = new Map(); // имя файла -> [{ entry, exe, layer }]
+  let byFragment = [];    // [{ entry, fragment, layer }]
+  let layers = [];        // { file, revision, entries, errors, error }
+  let size = 0;
+
+  // exe под Wine/Proton ищем и среди Windows-записей
+  const osMatches = (exe, p) => !exe.os || exe.os === platform || (exe.os === 'win32' && p.endsWith('.exe'));
+
+  async function load() {
+    const byId = new Map(); // верхний слой заменяет нижний целиком
+    const nextLayers = [];
+    for (const [layer, file] of layerFiles.entries()) {
+      let parsed;
+      try {
+        parsed = parseDetectionDb(JSON.parse(await fsp.readFile(file, 'utf8')));
+      } catch (e) {
+        if (e?.code !== 'ENOENT') {
+          log.warn('cannot load', file, String(e?.message || e));
+          nextLayers.push({ file, revision: null, entries: 0, errors: [], error: String(e?.message || e) });
+        }
+        continue;
+      }
+      if (parsed.errors.length) log.warn('skipped invalid entries', file, parsed.errors);
+      for (const entry of parsed.entries) {
+        byId.delete(entry.id);
+        if (!entry.disabled) byId.set(entry.id, { entry, layer });
+      }
+      nextLayers.push({ file, revision: parsed.revision, entries: parsed.entries.length, errors: parsed.errors, error: null });
+    }
+
+    const nextBase = new Map();
+    const nextFragments = [];
+    for (const { entry, layer } of byId.values()) {
+      for (const exe of entry.executables) {
+        if (!nextBase.has(exe.base)) nextBase.set(exe.base, []);
+        nextBase.get(exe.base).push({ entry, exe, layer });
+      }
+      for (const fragment of entry.pathFragments) nextFragments.push({ entry, fragment, layer });
+    }
+    byBase = nextBase;
+    byFragment = nextFragments;
+    layers = nextLayers;
+    size = byId.size;
+    log.debug('detection db loaded', { games: size, layers: layers.map(l => ({ file: l.file, revision: l.revision })) });
+    return { games: size, layers };
+  }
+
+  // exePath или имя процесса → { id, name, aliases, names, match, by } | null;
+  // побеждает самый длинный совпавший хвост пути, при равенстве — верхний слой
+  function lookup(exePath) {
+    const p = norm(exePath);
+    if (!p) return null;
+    const base = path.posix.basename(p);
+    const suffixes = pathSuffixes(p);
+    let best = null;
+    for (const c of byBase.get(base) || []) {
+      if (!osMatches(c.exe, p)) continue;
+      if (!c.exe.exact && !suffixes.has(c.exe.name)) continue;
+      const score = c.exe.exact ? 1 : c.exe.name.split('/').length;
+      if (!best || score > best.score || (score === best.score && c.layer > best.layer)) {
+        best = { ...c, score, by: 'executable', match: c.exe.name };
+      }
+    }
+    if (!best) {
+      for (const c of byFragment) {
+        if (!p.includes(c.fragment)) continue;
+        if (!best || c.fragment.length > best.match.length || (c.fragment.length === best.match.length && c.layer > best.layer)) {
+          best = { ...c, by: 'path', match: c.fragment };
+        }
+      }
+    }
+    if (!best) return null;
+    const { id, name, aliases, names } = best.entry;
+    return { id, name, aliases, names, by: best.by, match: best.match };
+  }
+
+  return {
+    load,
+    lookup,
+    get layers() { return layers; },
+    get size() { return size; },
+  };
+}
@@ -0,0 +1,285 @@
+// presence-icons.js — иконки приложений для payload
+//
+// Иконка — { path, hash, mime, scaled }:
+//   path   — локальный файл (PNG/SVG/JPEG/XPM; из .icns и ресурсов exe картинка сохраняется в presence-icons/);
+//   hash   — sha256 содержимого, чтобы родитель мог кешировать картинку у себя;
+//   scaled — { path, size } уменьшенная PNG-копия, если задан size и исходник — PNG.
+// Источники: тема иконок freedesktop (Icon= из .desktop), .icns из бандлов macOS,
+// ресурсы exe (Windows, Wine/Proton) и готовые пути от сканеров библиотек (Steam librarycache).
+
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { spawn } from 'node:child_process';
+import plist from 'plist';
+import { isPng, decodePng, downscale, encodePng } from './presence-png.js';
+import { readPeIcon } from './presence-pe-icon.js';
+
+export const ICONS_DIR = 'presence-icons';
+
+const MIME = {
+  '.png': 'image/png', '.svg': 'image/svg+xml', '.xpm': 'image/x-xpixmap',
+  '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.ico': 'image/x-icon',
+};
+const THEME_EXTS = ['.png', '.svg', '.xpm'];
+
+// ---- тема иконок freedesktop ----
+
+export function iconBaseDirs({ home, env = process.env } = {}) {
+  const dataHome = env.XDG_DATA_HOME || path.join(home, '.local', 'share');
+  const dataDirs = (env.XDG_DATA_DIRS || '/usr/local/share:/usr/share').split(':').filter(Boolean);
+  return [...new Set([
+    path.join(home, '.icons'),
+    path.join(dataHome, 'icons'),
+    ...dataDirs.map(d => path.join(d, 'icons')),
+    path.join(dataHome, 'flatpak', 'exports', 'share', 'icons'),
+    '/var/lib/flatpak/exports/share/icons',
+  ])];
+}
+
+// index.theme: Inherits и описания подкаталогов (Size, Scale, Type, MinSize, MaxSize, Threshold)
+export function parseIndexTheme(text) {
+  const groups = {};
+  let cur = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const g = line.match(/^\[(.+)\]$/);
+    if (g) {
+      cur = groups[g[1]] = {};
+      continue;
+    }
+    const i = line.indexOf('=');
+    if (cur && i > 0) cur[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+  }
+  const main = groups['Icon Theme'] || {};
+  const list = v => (v || '').split(',').map(s => s.trim()).filter(Boolean);
+  const dirs = list(main.Directories).map((name) => {
+    const d = groups[name] || {};
+    const size = Number(d.Size) || 0;
+    return {
+      name,
+      size,
+      scale: Number(d.Scale) || 1,
+      type: d.Type || 'Threshold',
+      min: Number(d.MinSize) || size,
+      max: Number(d.MaxSize) || size,
+      threshold: Number(d.Threshold) || 2,
+    };
+  });
+  return { inherits: list(main.Inherits), dirs };
+}
+
+// расстояние между размером каталога и нужным по спецификации
+function sizeDistance(dir, size) {
+  if (dir.type === 'Fixed') return Math.abs(dir.size * dir.scale - size);
+  if (dir.type === 'Scalable') {
+    if (size < dir.min * dir.scale) return dir.min * dir.scale - size;
+    if (size > dir.max * dir.scale) return size - dir.max * dir.scale;
+    return 0;
+  }
+  if (size < (dir.size - dir.threshold) * dir.scale) return dir.min * dir.scale - size;
+  if (size > (dir.size + dir.threshold) * dir.scale) return size - dir.max * dir.scale;
+  return 0;
+}
+
+const exists = async (p) => {
+  try { return (await fsp.stat(p)).isFile(); } catch { return false; }
+};
+
+// запуск утилиты с таймаутом; stdout или null при ошибке/ненулевом коде
+function run(cmd, args) {
+  return new Promise((resolve) => {
+    let out = '';
+    let done = false;
+    const finish = (v) => { if (!done) { done = true; resolve(v); } };
+    let child;
+    try {
+      child = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch {
+      finish(null);
+      return;
+    }
+    const timer = setTimeout(() => { child.kill(); finish(null); }, 2000);
+    child.stdout.on('data', d => out += d.toString());
+    child.on('error', () => { clearTimeout(timer); finish(null); });
+    child.on('close', (code) => { clearTimeout(timer); finish(code === 0 ? out.trim() : null); });
+  });
+}
+
+// текущая тема: KDE (kdeglobals) или GNOME (gsettings); null — только hicolor
+async function detectIconTheme({ home, env }) {
+  try {
+    const kde = await fsp.readFile(path.join(env.XDG_CONFIG_HOME || path.join(home, '.config'), 'kdeglobals'), 'utf8');
+    const m = kde.match(/^\[Icons\][^[]*?^Theme=(.+)$/m);
+    if (m) return m[1].trim();
+  } catch {}
+  const out = await run('gsettings', ['get', 'org.gnome.desktop.interface', 'icon-theme']);
+  return out ? out.replace(/^'|'$/g, '') || null : null;
+}
+
+// ---- .icns: контейнер из блоков <тип><длина>, нужные нам — PNG ----
+const ICNS_SIZES = {
+  icp4: 16, icp5: 32, icp6: 64, ic07: 128, ic08: 256, ic09: 512, ic10: 1024,
+  ic11: 32, ic12: 64, ic13: 256, ic14: 512,
+};
+
+// самый маленький PNG не меньше size (или самый большой, если таких нет)
+export function extractIcnsPng(buf, size = 128) {
+  if (buf.length < 8 || buf.toString('latin1', 0, 4) !== 'icns') return null;
+  const pngs = [];
+  let pos = 8;
+  while (pos + 8 <= buf.length) {
+    const type = buf.toString('latin1', pos, pos + 4);
+    const len = buf.readUInt32BE(pos + 4);
+    if (len < 8) break;
+    const data = buf.subarray(pos + 8, pos + len);
+    if (ICNS_SIZES[type] && isPng(data)) pngs.push({ px: ICNS_SIZES[type], data });
+    pos += len;
+  }
+  if (!pngs.length) return null;
+  pngs.sort((a, b) => a.px - b.px);
+  return (pngs.find(p => p.px >= size) || pngs[pngs.length - 1]).data;
+}
+
+export function createIconResolver({
+  userDataDir,
+  home,
+  env = process.env,
+  platform = process.platform,
+  size = null,   // сторона уменьшенной PNG-копии; null — без уменьшения
+  theme = null,  // тема иконок (Linux); по умолчанию — из настроек рабочего стола
+  debug = () => {},
+} = {}) {
+  const outDir = path.join(userDataDir, ICONS_DIR);
+  const baseDirs = iconBaseDirs({ home, env });
+  const themes = new Map(); // имя темы -> { inherits, dirs } | null
+  let themeChain = null;
+
+  async function loadTheme(name) {
+    if (themes.has(name)) return themes.get(name);
+    let parsed = null;
+    for (const base of baseDirs) {
+      try {
+        parsed = parseIndexTheme(await fsp.readFile(path.join(base, name, 'index.theme'), 'utf8'));
+        break;
+      } catch {}
+    }
+    themes.set(name, parsed);
+    return parsed;
+  }
+
+  // тема → её Inherits по порядку → hicolor
+  async function chain() {
+    if (themeChain) return themeChain;
+    const out = [];
+    const visit = async (name) => {
+      if (!name || out.includes(name)) return;
+      const t = await loadTheme(name);
+      if (!t) return;
+      out.push(name);
+      for (const parent of t.inherits) await visit(parent);
+    };
+    await visit(theme || await detectIconTheme({ home, env }));
+    await visit('hicolor');
+    themeChain = out;
+    debug('icon theme chain', out);
+    return out;
+  }
+
+  // Icon= из .desktop: абсолютный путь или имя в теме (размер — с запасом под уменьшение)
+  async function findThemeIcon(name, want = size || 64) {
+    if (path.isAbsolute(name)) return (await exists(name)) ? name : null;
+    const bare = name.replace(/\.(png|svg|xpm)$/i, '');
+    for (const t of await chain()) {
+      // ближайший по размеру каталог — первый, где нашёлся файл
+      const dirs = [...themes.get(t).dirs].sort((x, y) => sizeDistance(x, want) - sizeDistance(y, want));
+      for (const dir of dirs) {
+        for (const base of baseDirs) {
+          for (const ext of THEME_EXTS) {
+            const p = path.join(base, t, dir.name, bare + ext);
+            if (await exists(p)) return p;
+          }
+        }
+      }
+    }
+    for (const ext of THEME_EXTS) {
+      const p = path.join('/usr/share/pixmaps', bare + ext);
+      if (await exists(p)) return p;
+    }
+    return null;
+  }
+
+  const sha256 = buf => createHash('sha256').update(buf).digest('hex');
+
+  // файл → { path, hash, mime, scaled }
+  async function fromFile(file) {
+    let buf;
+    try { buf = await fsp.readFile(file); } catch { return null; }
+    const hash = sha256(buf);
+    const mime = MIME[path.extname(file).toLowerCase()] || (isPng(buf) ? 'image/png' : 'application/octet-stream');
+    let scaled = null;
+    if (size && isPng(buf)) {
+      const target = path.join(outDir, `${hash.slice(0, 16)}-${size}.png`);
+      try {
+        if (!(await exists(target))) {
+          const img = decodePng(buf);
+          if (img) {
+            await fsp.mkdir(outDir, { recursive: true });
+            await fsp.writeFile(target, encodePng(downscale(img, size)));
+          }
+        }
+        if (await exists(target)) scaled = { path: target, size };
+      } catch (e) {
+        debug('icon downscale error', file, String(e?.message || e));
+      }
+    }
+    return { path: file, hash, mime, scaled };
+  }
+
+  async function fromDesktopIcon(name) {
+    if (!name || platform !== 'linux') return null;
+    const file = await findThemeIcon(name);
+    return file ? fromFile(file) : null;
+  }
+
+  // извлечённая картинка → presence-icons/<hash><ext> (одинаковые картинки — один файл)
+  async function saveExtracted(data, ext) {
+    const target = path.join(outDir, `${sha256(data).slice(0, 16)}${ext}`);
+    if (!(await exists(target))) {
+      await fsp.mkdir(outDir, { recursive: true });
+      await fsp.writeFile(target, data);
+    }
+    return fromFile(target);
+  }
+
+  // Info.plist → CFBundleIconFile → PNG из .icns, сохранённый в presence-icons/
+  async function fromMacBundle(appPath) {
+    try {
+      const info = plist.parse(await fsp.readFile(path.join(appPath, 'Contents', 'Info.plist'), 'utf8'));
+      let iconFile = info.CFBundleIconFile;
+      if (!iconFile) return null;
+      if (!path.extname(iconFile)) iconFile += '.icns';
+      const png = extractIcnsPng(await fsp.readFile(path.join(appPath, 'Contents', 'Resources', iconFile)), size || 128);
+      if (!png) return null;
+      return await saveExtracted(png, '.png');
+    } catch (e) {
+      debug('mac icon error', appPath, String(e?.message || e));
+      return null;
+    }
+  }
+
+  // RT_GROUP_ICON из exe → PNG (или .ico для палитровых картинок), сохранённый в presence-icons/
+  async function fromPeIcon(exePath) {
+    const icon = await readPeIcon(exePath, { size: size || 64 });
+    if (!icon) return null;
+    try {
+      return await saveExtracted(icon.data, icon.ext);
+    } catch (e) {
+      debug('pe icon error', exePath, String(e?.message || e));
+      return null;
+    }
+  }
+
+  return { fromFile, fromDesktopIcon, fromMacBundle, fromPeIcon, findThemeIcon, get size() { return size; } };
+}
@@ -0,0 +1,168 @@
+// presence-idle.js — источники времени бездействия пользователя (idle/AFK)
+//
+// Источник — объект с методом getIdleMs(), который возвращает, сколько миллисекунд
+// не было ввода с клавиатуры/мыши, или null, если это неизвестно.
+
+import { spawn } from 'node:child_process';
+
+export const IDLE_SOURCE_ENV = 'ECHOTALK_PRESENCE_IDLE';
+
+const SPAWN_TIMEOUT_MS = 2000;
+const REPROBE_MIN_MS = 30 * 1000;      // пауза перед повторным поиском способа, удваивается до REPROBE_MAX_MS
+const REPROBE_MAX_MS = 10 * 60 * 1000;
+
+// запуск утилиты с таймаутом; stdout или null при ошибке/ненулевом коде
+function run(cmd, args) {
+  return new Promise((resolve) => {
+    let out = '';
+    let done = false;
+    const finish = (v) => { if (!done) { done = true; resolve(v); } };
+    let child;
+    try {
+      child = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch {
+      finish(null);
+      return;
+    }
+    const timer = setTimeout(() => { child.kill(); finish(null); }, SPAWN_TIMEOUT_MS);
+    child.stdout.on('data', d => out += d.toString());
+    child.on('error', () => { clearTimeout(timer); finish(null); });
+    child.on('close', (code) => { clearTimeout(timer); finish(code === 0 ? out.trim() : null); });
+  });
+}
+
+// ---- способы узнать idle на Linux, по порядку ----
+const LINUX_METHODS = [
+  // X11: xprintidle печатает миллисекунды
+  {
+    name: 'xprintidle',
+    async read() {
+      const out = await run('xprintidle', []);
+      const ms = Number(out);
+      return out && Number.isFinite(ms) ? ms : null;
+    },
+  },
+  // GNOME (X11 и Wayland): "(uint64 12345,)"
+  {
+    name: 'mutter',
+    async read() {
+      const out = await run('gdbus', [
+        'call', '--session',
+        '--dest', 'org.gnome.Mutter.IdleMonitor',
+        '--object-path', '/org/gnome/Mutter/IdleMonitor/Core',
+        '--method', 'org.gnome.Mutter.IdleMonitor.GetIdletime',
+      ]);
+      const m = out?.match(/uint64\s+(\d+)/);
+      return m ? Number(m[1]) : null;
+    },
+  },
+  // KDE и прочие реализации org.freedesktop.ScreenSaver: "(uint32 12,)" в секундах
+  {
+    name: 'screensaver',
+    async read() {
+      const out = await run('gdbus', [
+        'call', '--session',
+        '--dest', 'org.freedesktop.ScreenSaver',
+        '--object-path', '/org/freedesktop/ScreenSaver',
+        '--method', 'org.freedesktop.ScreenSaver.GetSessionIdleTime',
+      ]);
+      const m = out?.match(/uint32\s+(\d+)/);
+      return m ? Number(m[1]) * 1000 : null;
+    },
+  },
+  // systemd-logind: IdleHint=yes|no, IdleSinceHint=<мкс с эпохи>
+  {
+    name: 'logind',
+    async read() {
+      const session = process.env.XDG_SESSION_ID || 'auto';
+      const out = await run('loginctl', ['show-session', session, '-p', 'IdleHint', '-p', 'IdleSinceHint']);
+      if (!out) return null;
+      const props = Object.fromEntries(out.split('\n').map(l => l.split('=')));
+      if (props.IdleHint !== 'yes') return props.IdleHint === 'no' ? 0 : null;
+      const since = Number(props.IdleSinceHint) / 1000;
+      return since > 0 ? Math.max(0, Date.now() - since) : null;
+    },
+  },
+];
+
+// Linux: запоминаем первый сработавший способ. Если не сработал ни один, источник молчит и пробует снова
+// с растущей паузой: композитор или сервис D-Bus может подняться позже воркера. Переставший отвечать
+// способ (например, после перезапуска композитора) тоже отправляет на новый поиск.
+export function createLinuxIdleSource({ methods = LINUX_METHODS, now = Date.now } = {}) {
+  let chosen = null;
+  let retryAt = -Infinity;
+  let backoffMs = REPROBE_MIN_MS;
+
+  async function probe() {
+    for (const m of methods) {
+      const ms = await m.read();
+      if (ms !== null) {
+        chosen = m;
+        backoffMs = REPROBE_MIN_MS;
+        return ms;
+      }
+    }
+    retryAt = now() + backoffMs;
+    backoffMs = Math.min(backoffMs * 2, REPROBE_MAX_MS);
+    return null;
+  }
+
+  return {
+    name: 'linux',
+    get method() { return chosen?.name || null; },
+    async getIdleMs() {
+      if (chosen) {
+        const ms = await chosen.read();
+        if (ms !== null) return ms;
+        chosen = null;
+      }
+      if (now() < retryAt) return null;
+      return probe();
+    },
+  };
+}
+
+// idle присылает родитель (например, powerMonitor.getSystemIdleTime() в Electron):
+// { type: 'idle', payload: { idleMs } }
+export function createIpcIdleSource() {
+  let idleMs = null;
+  return {
+    name: 'ipc',
+    feed(payload) {
+      const ms = Number(payload?.idleMs);
+      idleMs = Number.isFinite(ms) && ms >= 0 ? ms : null;
+    },
+    async getIdleMs() { return idleMs; },
+  };
+}
+
+// для тестов: значение задаётся руками
+export function createFakeIdleSource(initial = 0) {
+  let idleMs = initial;
+  return {
+    name: 'fake',
+    set(ms) { idleMs = ms; },
+    async getIdleMs() { return idleMs; },
+  };
+}
+
+// источник, который ничего не знает — idle никогда не наступает
+export function createNoIdleSource() {
+  return { name: 'none', async getIdleMs() { return null; } };
+}
+
+const IDLE_FACTORIES = {
+  linux: createLinuxIdleSource,
+  ipc: createIpcIdleSource,
+  fake: createFakeIdleSource,
+  none: createNoIdleSource,
+};
+
+// выбор источника: объект → имя из опций → переменная окружения → linux на Linux, иначе none
+export function resolveIdleSource(source, { env = process.env, platform = process.platform } = {}) {
+  if (source && typeof source.getIdleMs === 'function') return source;
+  const kind = source || env[IDLE_SOURCE_ENV] || (platform === 'linux' ? 'linux' : 'none');
+  const factory = IDLE_FACTORIES[kind];
+  if (!factory) throw new Error(`unknown idle source: ${kind}`);
+  return factory();
+}
@@ -0,0 +1,296 @@
+// presence-journal.js — локальный журнал завершённых сессий и статистика по времени
+//
+// Файлы в userDataDir:
+//   presence-journal.ndjson            — текущий сегмент, по сессии на строку
+//   presence-journal-<ts>.ndjson       — ротированные сегменты
+//   presence-journal-summary.json      — дневные итоги, в которые сжимаются старые сегменты
+//   presence-journal-open.json         — открытые сессии по ключу (пишутся на update/heartbeat),
+//                                        по ним сессии восстанавливаются после падения
+
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { createLogger } from './presence-log.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SEGMENT_BYTES = 512 * 1024;
+const RAW_RETENTION_MS = 35 * DAY_MS;      // сырые сессии храним чуть больше месяца
+const SUMMARY_RETENTION_DAYS = 400;        // дневные итоги — чуть больше года
+const SUMMARY_VERSION = 1;
+
+const SEGMENT_RE = /^presence-journal-(\d+)\.ndjson$/;
+
+// YYYY-MM-DD в локальной зоне
+export function dayKey(ts) {
+  const d = new Date(ts);
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+// режем сессию по границам суток: [[day, ms], ...]
+function splitByDay(startedAt, endedAt) {
+  const out = [];
+  let t = startedAt;
+  while (t < endedAt) {
+    const d = new Date(t);
+    const nextMidnight = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1).getTime();
+    const end = Math.min(endedAt, nextMidnight);
+    out.push([dayKey(t), end - t]);
+    t = end;
+  }
+  return out;
+}
+
+const appKey = s => s.exeName || s.displayName || 'unknown';
+
+// доля активного (не idle) времени в сессии — на неё умножаются куски по дням
+const activeShare = (r) => {
+  const span = r.endedAt - r.startedAt;
+  return span > 0 && r.idle ? Math.max(0, span - r.idle) / span : 1;
+};
+
+export function createJournal({ userDataDir, now = Date.now, logger = createLogger() } = {}) {
+  const log = logger.child('journal');
+  const file = path.join(userDataDir, 'presence-journal.ndjson');
+  const summaryFile = path.join(userDataDir, 'presence-journal-summary.json');
+  const openFile = path.join(userDataDir, 'presence-journal-open.json');
+
+  // все записи идут по очереди, чтобы строки не перемешивались
+  let queue = Promise.resolve();
+  const enqueue = job => {
+    const p = queue.then(job);
+    queue = p.catch(e => log.error('write error:', e));
+    return p;
+  };
+
+  const toRecord = s => ({
+    exeName: s.exeName || null,
+    exePath: s.exePath || null,
+    displayName: s.displayName || null,
+    category: s.category || 'other',
+    startedAt: s.startedAt,
+    endedAt: s.endedAt,
+    idle: s.idle || 0,
+    duration: Math.max(0, s.endedAt - s.startedAt - (s.idle || 0)),
+    ...(s.recovered ? { recovered: true } : {}),
+  });
+
+  async function appendRecord(rec) {
+    await fsp.mkdir(userDataDir, { recursive: true });
+    let size = 0;
+    try { size = (await fsp.stat(file)).size; } catch {}
+    if (size >= MAX_SEGMENT_BYTES) {
+      await fsp.rename(file, path.join(userDataDir, `presence-journal-${now()}.ndjson`));
+      await compactLocked();
+    }
+    await fsp.appendFile(file, JSON.stringify(rec) + '\n', 'utf8');
+  }
+
+  // открытые сессии: key -> снимок; на диске — копия для восстановления после падения
+  const openSessions = new Map();
+
+  async function writeOpen() {
+    if (!openSessions.size) {
+      await fsp.rm(openFile, { force: true });
+      return;
+    }
+    await fsp.mkdir(userDataDir, { recursive: true });
+    const tmp = openFile + '.tmp';
+    await fsp.writeFile(tmp, JSON.stringify(Object.fromEntries(openSessions)), 'utf8');
+    await fsp.rename(tmp, openFile);
+  }
+
+  // ---- запись ----
+  // session: { exeName, exePath, displayName, category, startedAt, endedAt, idle }
+  // idle — миллисекунды простоя внутри сессии, в duration и статистику не входят;
+  // key — ключ открытой сессии, снимок которой больше не нужен
+  function record(session, key) {
+    return enqueue(async () => {
+      await appendRecord(toRecord(session));
+      if (key !== undefined && openSessions.delete(key)) await writeOpen();
+    });
+  }
+
+  // снимок открытой сессии: lastSeen — время последнего подтверждения активности
+  function checkpoint(key, session) {
+    return enqueue(async () => {
+      openSessions.set(key, session);
+      await writeOpen();
+    });
+  }
+
+  // при старте: оставшиеся открытые сессии закрываем по последнему heartbeat
+  function recover() {
+    return enqueue(async () => {
+      let open;
+      try {
+        open = JSON.parse(await fsp.readFile(openFile, 'utf8'));
+      } catch {
+        return [];
+      }
+      await fsp.rm(openFile, { force: true });
+      // старый формат — одна сессия без ключа
+      const sessions = open?.startedAt ? [open] : Object.values(open || {});
+      const recovered = [];
+      for (const s of sessions) {
+        if (!s?.startedAt || !s?.lastSeen) continue;
+        const rec = toRecord({ ...s, endedAt: s.lastSeen, recovered: true });
+        await appendRecord(rec);
+        recovered.push(rec);
+      }
+      return recovered;
+    });
+  }
+
+  // ---- чтение ----
+  async function readSegment(fp) {
+    let txt = '';
+    try { txt = await fsp.readFile(fp, 'utf8'); } catch { return []; }
+    const out = [];
+    for (const line of txt.split('\n')) {
+      if (!line.trim()) continue;
+      try { out.push(JSON.parse(line)); } catch {} // битая строка (например, обрыв записи) — пропускаем
+    }
+    return out;
+  }
+
+  async function listSegments() {
+    let files = [];
+    try { files = await fsp.readdir(userDataDir); } catch { return []; }
+    return files.filter(f => SEGMENT_RE.test(f)).map(f => path.join(userDataDir, f));
+  }
+
+  async function readSummary() {
+    try {
+      const json = JSON.parse(await fsp.readFile(summaryFile, 'utf8'));
+      if (json?.version === SUMMARY_VERSION && json.days) return json;
+    } catch {}
+    return { version: SUMMARY_VERSION, days: {} };
+  }
+
+  // ---- сжатие: старые сегменты → дневные итоги ----
+  async function compactLocked() {
+    const cutoff = now() - RAW_RETENTION_MS;
+    const summary = await readSummary();
+    let changed = false;
+
+    for (const seg of await listSegments()) {
+      const recs = await readSegment(seg);
+      if (recs.some(r => r.endedAt >= cutoff)) continue; // сегмент ещё нужен целиком
+      for (const r of recs) {
+        splitByDay(r.startedAt, r.endedAt).forEach(([day, ms], i) => {
+          const apps = summary.days[day] || (summary.days[day] = {});
+          const k = appKey(r);
+          const a = apps[k] || (apps[k] = {
+            exeName: r.exeName, displayName: r.displayName, category: r.category, ms: 0, sessions: 0,
+          });
+          a.ms += ms * activeShare(r);
+          a.sessions += i === 0 ? 1 : 0;
+          a.displayName = r.displayName || a.displayName;
+        });
+      }
+      await fsp.rm(seg, { force: true });
+      changed = true;
+    }
+
+    const oldest = dayKey(now() - SUMMARY_RETENTION_DAYS * DAY_MS);
+    for (const day of Object.keys(summary.days)) {
+      if (day < oldest) { delete summary.days[day]; changed = true; }
+    }
+
+    if (changed) {
+      const tmp = summaryFile + '.tmp';
+      await fsp.writeFile(tmp, JSON.stringify(summary), 'utf8');
+      await fsp.rename(tmp, summaryFile);
+    }
+  }
+
+  const compact = () => enqueue(compactLocked);
+
+  // дождаться записей, поставленных в очередь до вызова (например, перед выходом процесса)
+  const flush = () => queue;
+
+  // дневные итоги за [since, until): сжатые дни + сырые сессии
+  // → Map(day -> Map(appKey -> { exeName, displayName, category, ms, sessions }))
+  async function collect(since, until) {
+    await queue;
+    const days = new Map();
+    const add = (day, r, ms, sessions) => {
+      if (!days.has(day)) days.set(day, new Map());
+      const apps = days.get(day);
+      const k = appKey(r);
+      const a = apps.get(k) || { exeName: r.exeName, displayName: r.displayName, category: r.category, ms: 0, sessions: 0 };
+      a.ms += ms;
+      a.sessions += sessions;
+      a.displayName = r.displayName || a.displayName;
+      apps.set(k, a);
+    };
+
+    const fromDay = dayKey(since);
+    const toDay = dayKey(until - 1);
+    const summary = await readSummary();
+    for (const [day, apps] of Object.entries(summary.days)) {
+      if (day < fromDay || day > toDay) continue;
+      for (const a of Object.values(apps)) add(day, a, a.ms, a.sessions);
+    }
+
+    const segments = [...await listSegments(), file];
+    for (const seg of segments) {
+      for (const r of await readSegment(seg)) {
+        const start = Math.max(r.startedAt, since);
+        const end = Math.min(r.endedAt, until);
+        if (end <= start) continue;
+        const parts = splitByDay(start, end);
+        parts.forEach(([day, ms], i) => add(day, r, ms * activeShare(r), i === 0 ? 1 : 0));
+      }
+    }
+    return days;
+  }
+
+  const matches = (a, { exeName, displayName }) =>
+    (!exeName || (a.exeName || '').toLowerCase() === exeName.toLowerCase()) &&
+    (!displayName || (a.displayName || '').toLowerCase() === displayName.toLowerCase());
+
+  // суммарное время по приложению (по exeName и/или displayName)
+  async function totalTime({ since, until = now(), exeName, displayName } = {}) {
+    const days = await collect(since, until);
+    let ms = 0;
+    let sessions = 0;
+    for (const apps of days.values()) {
+      for (const a of apps.values()) {
+        if (!matches(a, { exeName, displayName })) continue;
+        ms += a.ms;
+        sessions += a.sessions;
+      }
+    }
+    return { since, until, ms, sessions };
+  }
+
+  // топ приложений по времени
+  async function topApps({ since, until = now(), limit = 10, category } = {}) {
+    const days = await collect(since, until);
+    const total = new Map();
+    for (const apps of days.values()) {
+      for (const [k, a] of apps) {
+        if (category && a.category !== category) continue;
+        const t = total.get(k) || { ...a, ms: 0, sessions: 0 };
+        t.ms += a.ms;
+        t.sessions += a.sessions;
+        total.set(k, t);
+      }
+    }
+    return [...total.values()].sort((x, y) => y.ms - x.ms).slice(0, limit);
+  }
+
+  // разбивка по дням и категориям: [{ day, game, geek, other }]
+  async function dailyBreakdown({ since, until = now() } = {}) {
+    const days = await collect(since, until);
+    return [...days.keys()].sort().map((day) => {
+      const row = { day, game: 0, geek: 0, other: 0 };
+      for (const a of days.get(day).values()) row[a.category] = (row[a.category] || 0) + a.ms;
+      return row;
+    });
+  }
+
+  return { record, checkpoint, recover, compact, flush, totalTime, topApps, dailyBreakdown };
+}
@@ -0,0 +1,797 @@
+// presence-library-scanners.js — сканеры библиотек лаунчеров (exe → название игры)
+//
+// Сканер — объект { id, platforms, scan(ctx) }:
+//   platforms — на каких платформах запускать (пусто — на всех);
+//   scan(ctx) → Map(exePathLower → { name, appid?, names?, icon? }), icon — путь к локальной картинке.
+// ctx = { platform, home, env, debug } — всё окружение передаётся явно,
+// чтобы сканер можно было натравить на каталог с фикстурами.
+// Необязательное поле watch = { paths(ctx), classify(file), scanManifest(ctx, file) } позволяет
+// следить за каталогами лаунчера: classify отвечает 'manifest' (перечитать только этот файл),
+// 'all' (пересканировать всё) или null (не важно); записи из scanManifest несут manifest — путь файла.
+// Реестр запускает сканеры по очереди и собирает общий индекс { name, source }.
+
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { promisify } from 'node:util';
+import { spawn } from 'node:child_process';
+import vdf from 'vdf';
+
+const gunzip = promisify(zlib.gunzip);
+const SPAWN_TIMEOUT_MS = 5000;
+const WATCH_DEBOUNCE_MS = 2000; // установка пишет манифест много раз подряд
+
+const lower = s => (s || '').toLowerCase();
+
+// запуск утилиты с таймаутом; stdout или null при ошибке/ненулевом коде
+function run(cmd, args) {
+  return new Promise((resolve) => {
+    let out = '';
+    let done = false;
+    const finish = (v) => { if (!done) { done = true; resolve(v); } };
+    let child;
+    try {
+      child = spawn(cmd, args, { windowsHide: true, stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch {
+      finish(null);
+      return;
+    }
+    const timer = setTimeout(() => { child.kill(); finish(null); }, SPAWN_TIMEOUT_MS);
+    child.stdout.on('data', d => out += d.toString());
+    child.on('error', () => { clearTimeout(timer); finish(null); });
+    child.on('close', (code) => { clearTimeout(timer); finish(code === 0 ? out : null); });
+  });
+}
+
+const readJson = async (file) => JSON.parse(await fsp.readFile(file, 'utf8'));
+
+// каталог настроек приложения: %APPDATA%, ~/Library/Application Support или XDG_CONFIG_HOME
+function configDir(ctx, name) {
+  if (ctx.platform === 'win32') return path.join(ctx.env.APPDATA || path.join(ctx.home, 'AppData', 'Roaming'), name);
+  if (ctx.platform === 'darwin') return path.join(ctx.home, 'Library', 'Application Support', name);
+  return path.join(ctx.env.XDG_CONFIG_HOME || path.join(ctx.home, '.config'), name);
+}
+
+function dataDir(ctx, name) {
+  return path.join(ctx.env.XDG_DATA_HOME || path.join(ctx.home, '.local', 'share'), name);
+}
+
+// sqlite3 CLI: строки результата, разбитые по табуляции; null, если утилиты нет
+async function sqliteRows(dbPath, sql) {
+  const out = await run('sqlite3', ['-readonly', '-batch', '-noheader', '-separator', '\t', dbPath, sql]);
+  if (out === null) return null;
+  return out.split('\n').filter(Boolean).map(l => l.split('\t'));
+}
+
+async function findExecutablesWindows(dir, depth = 1) {
+  const out = [];
+  async function dfs(d, lvl) {
+    if (lvl < 0) return;
+    let entries = [];
+    try { entries = await fsp.readdir(d, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      const p = path.join(d, e.name);
+      if (e.isDirectory()) {
+        if (['redist','_commonredist'].includes(e.name.toLowerCase())) continue;
+        await dfs(p, lvl - 1);
+      } else if (e.isFile() && e.name.toLowerCase().endsWith('.exe')) {
+        out.push(p);
+      }
+    }
+  }
+  await dfs(dir, depth);
+  return out;
+}
+
+async function findAppBundleMac(dir, depth = 1) {
+  let found = null;
+  async function dfs(d, lvl) {
+    if (found || lvl < 0) return;
+    let entries = [];
+    try { entries = await fsp.readdir(d, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      const p = path.join(d, e.name);
+      if (e.isDirectory()) {
+        if (e.name.endsWith('.app')) { found = p; return; }
+        await dfs(p, lvl - 1);
+      }
+    }
+  }
+  await dfs(dir, depth);
+  return found;
+}
+
+// ---- Linux: нативные ELF-бинарники игры ----
+const ELF_MAGIC = Buffer.from([0x7f, 0x45, 0x4c, 0x46]);
+const LINUX_SKIP_DIRS = new Set(['redist', '_commonredist', 'lib', 'lib32', 'lib64', 'libs', 'plugins']);
+const MAX_LINUX_CANDIDATES = 16;
+
+async function isElfExecutable(file) {
+  let fh;
+  try {
+    fh = await fsp.open(file, 'r');
+    const st = await fh.stat();
+    if (!st.isFile() || !(st.mode & 0o111)) return false;
+    const buf = Buffer.alloc(4);
+    await fh.read(buf, 0, 4, 0);
+    return buf.equals(ELF_MAGIC);
+  } catch {
+    return false;
+  } finally {
+    await fh?.close();
+  }
+}
+
+// исполняемые ELF-файлы и .exe (игры под Proton) внутри папки игры
+async function findExecutablesLinux(dir, depth = 2) {
+  const out = [];
+  async function dfs(d, lvl) {
+    if (lvl < 0 || out.length >= MAX_LINUX_CANDIDATES) return;
+    let entries = [];
+    try { entries = await fsp.readdir(d, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      if (out.length >= MAX_LINUX_CANDIDATES) return;
+      const p = path.join(d, e.name);
+      const n = e.name.toLowerCase();
+      if (e.isDirectory()) {
+        if (LINUX_SKIP_DIRS.has(n)) continue;
+        await dfs(p, lvl - 1);
+      } else if (e.isFile()) {
+        if (n.endsWith('.exe')) {
+          if (!/^unins|crash|setup|redist/.test(n)) out.push(p);
+        } else if (!/\.(so(\.\d+)*|dll|pak|dat|txt|json|png|ogg)$/.test(n) && await isElfExecutable(p)) {
+          out.push(p);
+        }
+      }
+    }
+  }
+  await dfs(dir, depth);
+  return out;
+}
+
+// ---- Steam: libraryfolders.vdf + appmanifest_*.acf ----
+function steamCandidates(ctx) {
+  if (ctx.platform === 'win32') {
+    return [
+      'C:\\Program Files (x86)\\Steam\\steamapps',
+      'C:\\Program Files\\Steam\\steamapps',
+      path.join(ctx.home, 'AppData', 'Local', 'Steam', 'steamapps'),
+    ];
+  }
+  if (ctx.platform === 'darwin') {
+    return [path.join(ctx.home, 'Library', 'Application Support', 'Steam', 'steamapps')];
+  }
+  return [
+    path.join(dataDir(ctx, 'Steam'), 'steamapps'),
+    path.join(ctx.home, '.steam', 'steam', 'steamapps'),
+    path.join(ctx.home, '.var', 'app', 'com.valvesoftware.Steam', '.local', 'share', 'Steam', 'steamapps'),
+    '/usr/local/share/Steam/steamapps',
+  ];
+}
+
+// служебные «приложения» Steam: Proton, Steam Linux Runtime, общие редисты —
+// их бинарники (wine64-preloader и т.п.) не должны называться игрой
+const STEAM_TOOL_RE = /^(Proton\b|Steam Linux Runtime|SteamLinuxRuntime|Steamworks Common Redistributables)/i;
+
+// обложки и иконки из appcache/librarycache: старая раскладка <appid>_icon.jpg,
+// новая — каталог <appid>/ с <sha1>.jpg (иконка), logo.png, library_600x900.jpg
+async function steamLibraryIcon(steamRoot, appid) {
+  const cacheDir = path.join(steamRoot, 'appcache', 'librarycache');
+  const dir = path.join(cacheDir, appid);
+  let files = [];
+  try { files = await fsp.readdir(dir); } catch {}
+  const hashed = files.find(f => /^[0-9a-f]{40}\.jpg$/.test(f));
+  const candidates = [
+    hashed && path.join(dir, hashed),
+    path.join(cacheDir, `${appid}_icon.jpg`),
+    files.includes('logo.png') && path.join(dir, 'logo.png'),
+    files.includes('library_600x900.jpg') && path.join(dir, 'library_600x900.jpg'),
+    path.join(cacheDir, `${appid}_library_600x900.jpg`),
+  ].filter(Boolean);
+  for (const p of candidates) {
+    try {
+      if ((await fsp.stat(p)).isFile()) return p;
+    } catch {}
+  }
+  return null;
+}
+
+// ~/.steam/steam обычно симлинк на ~/.local/share/Steam — одинаковые каталоги читаем один раз
+async function realDir(p) {
+  try { return await fsp.realpath(p); } catch { return null; }
+}
+
+// каталоги steamapps всех библиотек (из libraryfolders.vdf) → { dir, steamRoot };
+// librarycache есть только в основной установке Steam, а не в дополнительных библиотеках
+async function steamLibraries(ctx) {
+  const out = [];
+  const seen = new Set();
+  for (const sap of steamCandidates(ctx)) {
+    const steamRoot = path.dirname(sap);
+    try {
+      const libPath = path.join(sap, 'libraryfolders.vdf');
+      const jf = vdf.parse(await fsp.readFile(libPath, 'utf8'));
+      const libs = Object.values(jf.libraryfolders || {}).map(v => v.path || v).filter(Boolean);
+      for (const libDir of [path.dirname(libPath), ...libs.map(p => path.join(p, 'steamapps'))]) {
+        const dir = await realDir(libDir);
+        if (!dir || seen.has(dir)) continue;
+        seen.add(dir);
+        out.push({ dir, steamRoot });
+      }
+    } catch (e) {
+      ctx.debug('steam library read fail', sap, String(e?.message || e));
+    }
+  }
+  return out;
+}
+
+// один appmanifest_<appid>.acf → Map(exe → { name, appid, icon?, manifest }); пустой Map, если это не игра
+async function steamManifestEntries(ctx, file, steamRoot) {
+  const result = new Map();
+  const man = vdf.parse(await fsp.readFile(file, 'utf8')).AppState || {};
+  const name = man.name;
+  const installdir = man.installdir;
+  if (!name || !installdir || STEAM_TOOL_RE.test(name)) return result;
+  const appid = String(man.appid || path.basename(file).slice('appmanifest_'.length, -'.acf'.length));
+
+  // Путь до папки игры
+  const commonDir = path.join(path.dirname(file), 'common', installdir);
+  let found = [];
+  if (ctx.platform === 'win32') {
+    found = (await findExecutablesWindows(commonDir, 2)).slice(0, 1);
+  } else if (ctx.platform === 'darwin') {
+    const app = await findAppBundleMac(commonDir, 2);
+    if (app) found = [app];
+  } else {
+    found = await findExecutablesLinux(commonDir, 2);
+  }
+  const icon = found.length ? await steamLibraryIcon(steamRoot, appid) : null;
+  for (const exe of found) result.set(lower(exe), icon ? { name, appid, icon, manifest: file } : { name, appid, manifest: file });
+  return result;
+}
+
+const STEAM_MANIFEST_RE = /^appmanifest_\d+\.acf$/;
+
+export const steamScanner = {
+  id: 'steam',
+  platforms: [],
+  async scan(ctx) {
+    const result = new Map();
+    let manifestsProcessed = 0;
+    for (const { dir, steamRoot } of await steamLibraries(ctx)) {
+      let files = [];
+      try { files = await fsp.readdir(dir); } catch { continue; }
+      for (const f of files) {
+        if (!STEAM_MANIFEST_RE.test(f)) continue;
+        try {
+          manifestsProcessed++;
+          for (const [exe, meta] of await steamManifestEntries(ctx, path.join(dir, f), steamRoot)) result.set(exe, meta);
+        } catch (e) {
+          ctx.debug('steam manifest parse error', f, String(e?.message || e));
+        }
+      }
+    }
+    ctx.debug('steam manifests', { manifestsProcessed });
+    return result;
+  },
+  // манифесты пишутся в steamapps каждой библиотеки; новая библиотека — это правка libraryfolders.vdf
+  watch: {
+    paths: async ctx => (await steamLibraries(ctx)).map(l => l.dir),
+    classify: f => (STEAM_MANIFEST_RE.test(f) ? 'manifest' : f === 'libraryfolders.vdf' ? 'all' : null),
+    async scanManifest(ctx, file) {
+      const dir = await realDir(path.dirname(file));
+      const lib = (await steamLibraries(ctx)).find(l => l.dir === dir);
+      try {
+        return await steamManifestEntries(ctx, file, lib ? lib.steamRoot : path.dirname(path.dirname(file)));
+      } catch (e) {
+        if (e?.code !== 'ENOENT') ctx.debug('steam manifest parse error', file, String(e?.message || e));
+        return new Map();
+      }
+    },
+  },
+};
+
+// ---- Epic Games Launcher: Manifests/*.item ----
+function epicManifestDir(ctx) {
+  const programData = ctx.env.PROGRAMDATA || 'C:\\ProgramData';
+  return path.join(programData, 'Epic', 'EpicGamesLauncher', 'Data', 'Manifests');
+}
+
+async function epicManifestEntries(file) {
+  const j = await readJson(file);
+  const name = j.DisplayName;
+  const install = j.InstallLocation;
+  const exeRel = j.LaunchExecutable;
+  if (!name || !install || !exeRel) return new Map();
+  return new Map([[lower(path.join(install, exeRel)), { name, manifest: file }]]);
+}
+
+export const epicScanner = {
+  id: 'epic',
+  platforms: ['win32'],
+  async scan(ctx) {
+    const result = new Map();
+    const manifestDir = epicManifestDir(ctx);
+    let files = [];
+    try { files = await fsp.readdir(manifestDir); } catch (e) {
+      ctx.debug('epic manifest dir not found', manifestDir, String(e?.message || e));
+      return result;
+    }
+    for (const f of files) {
+      if (!f.toLowerCase().endsWith('.item')) continue;
+      try {
+        for (const [exe, meta] of await epicManifestEntries(path.join(manifestDir, f))) result.set(exe, meta);
+      } catch (e) {
+        ctx.debug('epic parse error', f, String(e?.message || e));
+      }
+    }
+    return result;
+  },
+  watch: {
+    paths: ctx => [epicManifestDir(ctx)],
+    classify: f => (f.toLowerCase().endsWith('.item') ? 'manifest' : null),
+    async scanManifest(ctx, file) {
+      try {
+        return await epicManifestEntries(file);
+      } catch (e) {
+        if (e?.code !== 'ENOENT') ctx.debug('epic parse error', file, String(e?.message || e));
+        return new Map();
+      }
+    },
+  },
+};
+
+// ---- Heroic Games Launcher: Epic (legendary), GOG и добавленные вручную игры ----
+function heroicDirs(ctx) {
+  const dirs = [configDir(ctx, 'heroic')];
+  if (ctx.platform === 'linux') {
+    dirs.push(path.join(ctx.home, '.var', 'app', 'com.heroicgameslauncher.hgl', 'config', 'heroic'));
+  }
+  return dirs;
+}
+
+// { "<appName>": { title, install_path, executable } }
+export async function parseLegendaryInstalled(file) {
+  const out = [];
+  const json = await readJson(file);
+  for (const game of Object.values(json || {})) {
+    if (!game?.title || !game.install_path || !game.executable) continue;
+    out.push({ exePath: path.join(game.install_path, game.executable), name: game.title, appid: game.app_name || null });
+  }
+  return out;
+}
+
+// goggame-<id>.info лежит в папке игры: { name, playTasks: [{ isPrimary, path }] }
+export async function readGogInfo(installPath, gameId) {
+  try {
+    const info = await readJson(path.join(installPath, `goggame-${gameId}.info`));
+    const tasks = Array.isArray(info.playTasks) ? info.playTasks : [];
+    const task = tasks.find(t => t.isPrimary && t.path) || tasks.find(t => t.path);
+    if (!info.name || !task) return null;
+    return { exePath: path.join(installPath, task.path.replace(/\\/g, path.sep)), name: info.name };
+  } catch {
+    return null;
+  }
+}
+
+// gog_store/installed.json: { installed: [{ appName, install_path, platform }] }
+export async function parseHeroicGogInstalled(file) {
+  const out = [];
+  const json = await readJson(file);
+  for (const game of json?.installed || []) {
+    if (!game?.appName || !game.install_path) continue;
+    const found = await readGogInfo(game.install_path, game.appName);
+    if (found) out.push({ ...found, appid: String(game.appName) });
+  }
+  return out;
+}
+
+// sideload_apps/library.json: { games: [{ app_name, title, install: { executable } }] }
+export async function parseHeroicSideload(file) {
+  const json = await readJson(file);
+  return (json?.games || [])
+    .filter(g => g?.title && g.install?.executable)
+    .map(g => ({ exePath: g.install.executable, name: g.title, appid: g.app_name || null }));
+}
+
+export const heroicScanner = {
+  id: 'heroic',
+  platforms: [],
+  async scan(ctx) {
+    const result = new Map();
+    const sources = [
+      ['legendaryConfig/legendary/installed.json', parseLegendaryInstalled],
+      ['gog_store/installed.json', parseHeroicGogInstalled],
+      ['sideload_apps/library.json', parseHeroicSideload],
+    ];
+    for (const dir of heroicDirs(ctx)) {
+      for (const [rel, parse] of sources) {
+        const file = path.join(dir, ...rel.split('/'));
+        try {
+          for (const { exePath, name, appid } of await parse(file)) {
+            result.set(lower(exePath), appid ? { name, appid } : { name });
+          }
+        } catch (e) {
+          if (e?.code !== 'ENOENT') ctx.debug('heroic parse error', file, String(e?.message || e));
+        }
+      }
+    }
+    return result;
+  },
+};
+
+// ---- Lutris: pga.db (названия) + games/*.yml (пути к exe) ----
+function lutrisRoots(ctx) {
+  const flatpak = path.join(ctx.home, '.var', 'app', 'net.lutris.Lutris');
+  return [
+    { db: path.join(dataDir(ctx, 'lutris'), 'pga.db'),
+      games: [path.join(configDir(ctx, 'lutris'), 'games'), path.join(dataDir(ctx, 'lutris'), 'games')] },
+    { db: path.join(flatpak, 'data', 'lutris', 'pga.db'),
+      games: [path.join(flatpak, 'config', 'lutris', 'games'), path.join(flatpak, 'data', 'lutris', 'games')] },
+  ];
+}
+
+// из YAML конфига игры нужен только раздел game: { exe, working_dir } — полноценный парсер не тащим
+export function parseLutrisGameYaml(text) {
+  const game = {};
+  let section = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const top = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+    if (top) {
+      section = top[1];
+      continue;
+    }
+    if (section !== 'game') continue;
+    const m = line.match(/^\s+(exe|working_dir|main_file):\s*(.+?)\s*$/);
+    if (m) game[m[1]] = m[2].replace(/^(['"])(.*)\1$/, '$2');
+  }
+  return game;
+}
+
+// "hollow-knight-1700000000" → "Hollow Knight", когда pga.db прочитать нечем
+const nameFromSlug = slug => slug.replace(/-\d+$/, '').split('-').filter(Boolean)
+  .map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+
+export const lutrisScanner = {
+  id: 'lutris',
+  platforms: ['linux'],
+  async scan(ctx) {
+    const result = new Map();
+    for (const root of lutrisRoots(ctx)) {
+      // configpath → { name, directory }; без sqlite3 названия восстанавливаем из имени файла
+      const games = new Map();
+      const rows = await sqliteRows(root.db, 'SELECT configpath, name, directory FROM games WHERE installed = 1');
+      for (const [configpath, name, directory] of rows || []) {
+        if (configpath && name) games.set(configpath, { name, directory: directory || null });
+      }
+      if (rows === null) ctx.debug('lutris: pga.db unavailable, falling back to yml names', root.db);
+
+      for (const dir of root.games) {
+        let files = [];
+        try { files = await fsp.readdir(dir); } catch { continue; }
+        for (const f of files) {
+          if (!f.endsWith('.yml')) continue;
+          const configpath = f.slice(0, -4);
+          const meta = games.get(configpath);
+          if (rows && !meta) continue; // в базе игры нет или она удалена
+          try {
+            const game = parseLutrisGameYaml(await fsp.readFile(path.join(dir, f), 'utf8'));
+            let exe = game.exe || game.main_file;
+            if (!exe) continue;
+            if (!path.isAbsolute(exe)) {
+              const base = game.working_dir || meta?.directory;
+              if (!base) continue;
+              exe = path.join(base, exe);
+            }
+            result.set(lower(exe), { name: meta?.name || nameFromSlug(configpath) });
+          } catch (e) {
+            ctx.debug('lutris yml parse error', f, String(e?.message || e));
+          }
+        }
+      }
+    }
+    return result;
+  },
+};
+
+// ---- GOG Galaxy: ветка реестра GOG.com\Games ----
+const GOG_REG_KEY = 'HKLM\\SOFTWARE\\WOW6432Node\\GOG.com\\Games';
+
+// вывод `reg query <key> /s`: строка с ключом, затем "    name    REG_SZ    value"
+export function parseRegQuery(text) {
+  const keys = [];
+  let cur = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (/^HKEY_/.test(line)) {
+      cur = { key: line.trim(), values: {} };
+      keys.push(cur);
+      continue;
+    }
+    const m = line.match(/^\s+(.+?)\s{2,}(REG_\w+)\s{2,}(.*)$/);
+    if (m && cur) cur.values[m[1]] = m[3].trim();
+  }
+  return keys;
+}
+
+export function gogGamesFromRegistry(text) {
+  return parseRegQuery(text)
+    .map(({ key, values }) => ({
+      exePath: values.exe || values.EXE,
+      name: values.gameName || values.GAMENAME,
+      appid: values.gameID || key.split('\\').pop(),
+    }))
+    .filter(g => g.exePath && g.name);
+}
+
+export const gogScanner = {
+  id: 'gog',
+  platforms: ['win32'],
+  async scan(ctx) {
+    const result = new Map();
+    const out = await run('reg', ['query', GOG_REG_KEY, '/s']);
+    if (out === null) {
+      ctx.debug('gog registry key not found', GOG_REG_KEY);
+      return result;
+    }
+    for (const { exePath, name, appid } of gogGamesFromRegistry(out)) {
+      result.set(lower(exePath), { name, appid });
+    }
+    return result;
+  },
+};
+
+// ---- itch.io: <папка игры>/.itch/receipt.json.gz ----
+async function itchInstallDirs(ctx) {
+  const base = configDir(ctx, 'itch');
+  const dirs = [path.join(base, 'apps')];
+  // дополнительные места установки хранятся в базе butler
+  const rows = await sqliteRows(path.join(base, 'db', 'butler.db'), 'SELECT path FROM install_locations');
+  for (const [p] of rows || []) if (p && !dirs.includes(p)) dirs.push(p);
+  return dirs;
+}
+
+const ITCH_SKIP = /(^|[\\/])(unins[^\\/]*|[^\\/]*crash[^\\/]*|[^\\/]*setup[^\\/]*|redist)([\\/]|$)/i;
+
+// выбор запускаемого файла из списка files в квитанции: ближе к корню — вероятнее
+export async function pickItchExecutable(installDir, files, platform) {
+  const sorted = files
+    .filter(f => typeof f === 'string' && !ITCH_SKIP.test(f))
+    .sort((a, b) => a.split(/[\\/]/).length - b.split(/[\\/]/).length || a.length - b.length);
+  if (platform === 'win32') {
+    const exe = sorted.find(f => f.toLowerCase().endsWith('.exe'));
+    return exe ? path.join(installDir, exe) : null;
+  }
+  if (platform === 'darwin') {
+    for (const f of sorted) {
+      const m = f.match(/^(.*?\.app)(\/|$)/);
+      if (m) return path.join(installDir, m[1]);
+    }
+    return null;
+  }
+  for (const f of sorted) {
+    const base = path.basename(f);
+    if (/\.(x86_64|x86|AppImage|sh)$/.test(base) || !base.includes('.')) {
+      try {
+        const st = await fsp.stat(path.join(installDir, f));
+        if (st.isFile() && (st.mode & 0o111)) return path.join(installDir, f);
+      } catch {}
+    }
+  }
+  return null;
+}
+
+export async function readItchReceipt(installDir) {
+  const buf = await fsp.readFile(path.join(installDir, '.itch', 'receipt.json.gz'));
+  return JSON.parse((await gunzip(buf)).toString('utf8'));
+}
+
+export const itchScanner = {
+  id: 'itch',
+  platforms: [],
+  async scan(ctx) {
+    const result = new Map();
+    for (const dir of await itchInstallDirs(ctx)) {
+      let entries = [];
+      try { entries = await fsp.readdir(dir, { withFileTypes: true }); } catch { continue; }
+      for (const e of entries) {
+        if (!e.isDirectory()) continue;
+        const installDir = path.join(dir, e.name);
+        try {
+          const receipt = await readItchReceipt(installDir);
+          const name = receipt?.game?.title;
+          if (!name) continue;
+          const exe = await pickItchExecutable(installDir, receipt.files || [], ctx.platform);
+          if (exe) result.set(lower(exe), receipt.game.id ? { name, appid: String(receipt.game.id) } : { name });
+        } catch (e) {
+          if (e?.code !== 'ENOENT') ctx.debug('itch receipt error', installDir, String(e?.message || e));
+        }
+      }
+    }
+    return result;
+  },
+};
+
+// порядок важен: при совпадении путей побеждает сканер, стоящий раньше
+export const BUILTIN_SCANNERS = [steamScanner, epicScanner, gogScanner, heroicScanner, lutrisScanner, itchScanner];
+
+export function createScannerRegistry(initial = BUILTIN_SCANNERS) {
+  const scanners = [];
+  const results = new Map(); // id -> Map(pathLower -> { name, source, … }) последнего скана
+  let watching = null;
+
+  function register(scanner) {
+    if (!scanner || typeof scanner.id !== 'string' || typeof scanner.scan !== 'function') {
+      throw new TypeError('scanner: expected { id, scan(ctx) }');
+    }
+    const i = scanners.findIndex(s => s.id === scanner.id);
+    if (i >= 0) scanners[i] = scanner;
+    else scanners.push(scanner);
+  }
+
+  function unregister(id) {
+    const i = scanners.findIndex(s => s.id === id);
+    if (i >= 0) scanners.splice(i, 1);
+    results.delete(id);
+  }
+
+  const active = ctx => scanners.filter(s => !s.platforms?.length || s.platforms.includes(ctx.platform));
+
+  async function scanOne(s, ctx) {
+    const found = await s.scan(ctx);
+    const own = new Map();
+    for (const [p, meta] of found) if (meta?.name) own.set(p, { ...meta, source: s.id });
+    return own;
+  }
+
+  // запускает все подходящие сканеры; ошибка одного не мешает остальным
+  async function scanAll(ctx) {
+    const entries = new Map(); // pathLower -> { name, source, ... }
+    const stats = {};
+    for (const s of active(ctx)) {
+      const t0 = Date.now();
+      try {
+        const own = await scanOne(s, ctx);
+        results.set(s.id, own);
+        let added = 0;
+        for (const [p, meta] of own) {
+          if (entries.has(p)) continue;
+          entries.set(p, meta);
+          added++;
+        }
+        stats[s.id] = { entries: added, ms: Date.now() - t0, error: null };
+      } catch (e) {
+        stats[s.id] = { entries: 0, ms: Date.now() - t0, error: String(e?.message || e) };
+      }
+      ctx.debug('scanner done', s.id, stats[s.id]);
+    }
+    return { entries, stats };
+  }
+
+  // ---- наблюдение за каталогами лаунчеров ----
+  // onChange({ source, added: [[pathLower, entry]], removed: [[pathLower, entry]] }) —
+  // added включает и изменённые записи; вызывается после debounce, по одному разу на сканер
+  function watch(ctx, onChange, { debounceMs = WATCH_DEBOUNCE_MS } = {}) {
+    if (watching) return watching;
+    const watchers = new Map(); // каталог -> fs.FSWatcher
+    const pending = new Map();  // id -> Set(файлов) | 'all'
+    let timer = null;
+    let stopped = false;
+    let flushing = Promise.resolve();
+
+    function queue(id, dir, file) {
+      const s = scanners.find(x => x.id === id);
+      if (!s) return;
+      const kind = file ? s.watch.classify(String(file)) : 'all';
+      if (!kind) return;
+      const cur = pending.get(id);
+      if (kind === 'all' || cur === 'all') pending.set(id, 'all');
+      else pending.set(id, (cur || new Set()).add(path.join(dir, String(file))));
+      clearTimeout(timer);
+      timer = setTimeout(() => { flushing = flushing.then(flush); }, debounceMs);
+    }
+
+    // набор каталогов меняется вместе с libraryfolders.vdf — пересобираем после каждого прохода
+    async function rewatch() {
+      const wanted = new Map(); // каталог -> [id]
+      for (const s of active(ctx)) {
+        if (!s.watch) continue;
+        let dirs = [];
+        try { dirs = await s.watch.paths(ctx); } catch {}
+        for (const d of dirs) wanted.set(d, [...(wanted.get(d) || []), s.id]);
+      }
+      if (stopped) return;
+      for (const [dir, w] of watchers) {
+        if (!wanted.has(dir)) {
+          w.close();
+          watchers.delete(dir);
+        }
+      }
+      for (const [dir, ids] of wanted) {
+        if (watchers.has(dir)) continue;
+        try {
+          const w = fs.watch(dir, (event, file) => ids.forEach(id => queue(id, dir, file)));
+          w.on('error', () => {});
+          watchers.set(dir, w);
+        } catch {}
+      }
+      ctx.debug('library watch', [...watchers.keys()]);
+    }
+
+    async function rescan(s, files) {
+      const prev = results.get(s.id) || new Map();
+      if (files === 'all') return scanOne(s, ctx);
+      const next = new Map(prev);
+      for (const file of files) {
+        for (const [p, meta] of prev) if (meta.manifest === file) next.delete(p);
+        for (const [p, meta] of await s.watch.scanManifest(ctx, file)) {
+          if (meta?.name) next.set(p, { ...meta, source: s.id });
+        }
+      }
+      return next;
+    }
+
+    async function flush() {
+      const batch = [...pending];
+      pending.clear();
+      for (const [id, files] of batch) {
+        const s = scanners.find(x => x.id === id);
+        if (!s || stopped) continue;
+        const prev = results.get(id) || new Map();
+        let next;
+        try {
+          next = await rescan(s, files);
+        } catch (e) {
+          ctx.debug('library rescan error', id, String(e?.message || e));
+          continue;
+        }
+        results.set(id, next);
+        const added = [...next].filter(([p, meta]) => JSON.stringify(prev.get(p)) !== JSON.stringify(meta));
+        const removed = [...prev].filter(([p]) => !next.has(p));
+        ctx.debug('library change', id, { added: added.length, removed: removed.length });
+        if (added.length || removed.length) {
+          try { onChange({ source: id, added, removed }); } catch (e) {
+            ctx.debug('library change handler error', String(e?.message || e));
+          }
+        }
+      }
+      if (!stopped) await rewatch();
+    }
+
+    flushing = flushing.then(rewatch);
+    watching = {
+      stop() {
+        stopped = true;
+        clearTimeout(timer);
+        for (const w of watchers.values()) w.close();
+        watchers.clear();
+        watching = null;
+      },
+      // дождаться текущего прохода (для остановки и проверок)
+      settled: () => flushing,
+      dirs: () => [...watchers.keys()],
+    };
+    return watching;
+  }
+
+  // запись, которая сейчас видна для пути: первый по порядку сканер, у которого этот путь есть
+  function entry(pathLower) {
+    for (const s of scanners) {
+      const e = results.get(s.id)?.get(pathLower);
+      if (e) return e;
+    }
+    return null;
+  }
+
+  for (const s of initial) register(s);
+
+  return {
+    register,
+    unregister,
+    scanAll,
+    watch,
+    entry,
+    list: () => scanners.map(s => s.id),
+  };
+}
@@ -0,0 +1,43 @@
+// presence-locales.js — предпочитаемые языки: нормализация тегов и язык системы по умолчанию
+//
+// Локали нужны резолверу (переводы имён, таблица строк PE) и строке статуса. Если приложение
+// не передало их явно, берётся язык системы: LANGUAGE, LC_ALL / LC_MESSAGES / LANG, затем Intl
+// (на Windows и macOS переменных обычно нет, а Intl знает язык пользователя).
+
+// ['ru-RU', 'en'] → ['ru_RU', 'ru', 'en']: сначала точная локаль, потом язык; кодировка и @модификатор отбрасываются
+export function normalizeLocales(locales) {
+  const out = [];
+  for (const raw of [].concat(locales || [])) {
+    if (typeof raw !== 'string' || !raw.trim()) continue;
+    const tag = raw.trim().replace(/[.@].*$/, '').replace('-', '_');
+    const lang = tag.split('_')[0];
+    for (const t of [tag, lang]) if (t && !out.includes(t)) out.push(t);
+  }
+  return out;
+}
+
+// C и POSIX — «без языка», их пропускаем
+const isNeutral = tag => /^(C|POSIX)$/i.test(tag.replace(/[.@].*$/, ''));
+
+const intlLocale = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().locale;
+  } catch {
+    return null;
+  }
+};
+
+// локали системы в порядке предпочтения, как их видит gettext: ['ru_RU.UTF-8', 'en-US'] и т. п.
+export function systemLocales({ env = process.env, intl = intlLocale() } = {}) {
+  const out = [];
+  const add = (tag) => {
+    const t = (tag || '').trim();
+    if (t && !isNeutral(t) && !out.includes(t)) out.push(t);
+  };
+  const posix = env.LC_ALL || env.LC_MESSAGES || env.LANG || '';
+  // LANGUAGE — список через двоеточие; gettext не смотрит на него, если локаль — C
+  if (!isNeutral(posix || 'C')) (env.LANGUAGE || '').split(':').forEach(add);
+  add(posix);
+  add(intl);
+  return out;
+}
@@ -0,0 +1,73 @@
+// presence-log.js — уровни логирования воркера и резолвера
+//
+// Уровень задаётся опцией logLevel или переменной ECHOTALK_PRESENCE_LOG:
+//   silent | error | warn (по умолчанию) | info | debug
+// Логгер с областью (child) пишет строки вида "[presence-resolver] сообщение {…}" и делит
+// с родителем уровень и буфер последних ошибок — его видно в снимке диагностики.
+
+export const LOG_ENV = 'ECHOTALK_PRESENCE_LOG';
+export const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+export const DEFAULT_LOG_LEVEL = 'warn';
+
+const MAX_RECENT_ERRORS = 20;
+
+export function parseLogLevel(value) {
+  const level = String(value ?? '').trim().toLowerCase();
+  if (!LOG_LEVELS.includes(level)) {
+    throw new TypeError(`logLevel: expected one of ${LOG_LEVELS.join(', ')}`);
+  }
+  return level;
+}
+
+// мусор в переменной окружения не должен ронять воркер — тогда остаётся уровень по умолчанию
+function levelFromEnv(env) {
+  try {
+    return env[LOG_ENV] ? parseLogLevel(env[LOG_ENV]) : DEFAULT_LOG_LEVEL;
+  } catch {
+    return DEFAULT_LOG_LEVEL;
+  }
+}
+
+// ошибки в буфере — строкой, чтобы снимок диагностики сериализовался без сюрпризов
+const describe = a => (a instanceof Error ? a.stack || a.message : typeof a === 'string' ? a : JSON.stringify(a));
+
+export function createLogger({
+  level,
+  scope = 'presence',
+  env = process.env,
+  sink = console,
+  now = Date.now,
+} = {}) {
+  const state = {
+    level: level === undefined ? levelFromEnv(env) : parseLogLevel(level),
+    errors: [], // { ts, scope, level, message }
+  };
+
+  const enabled = lvl => LOG_LEVELS.indexOf(lvl) <= LOG_LEVELS.indexOf(state.level) && state.level !== 'silent';
+
+  function make(name) {
+    const write = (lvl, out) => (...args) => {
+      if (lvl === 'error' || lvl === 'warn') {
+        state.errors.push({ ts: now(), scope: name, level: lvl, message: args.map(describe).join(' ') });
+        if (state.errors.length > MAX_RECENT_ERRORS) state.errors.shift();
+      }
+      if (enabled(lvl)) out(`[${name}]`, ...args);
+    };
+    return {
+      error: write('error', (...a) => sink.error(...a)),
+      warn: write('warn', (...a) => sink.warn(...a)),
+      info: write('info', (...a) => sink.log(...a)),
+      debug: write('debug', (...a) => sink.log(...a)),
+      enabled,
+      child: sub => make(`${scope}-${sub}`),
+      setLevel(next) {
+        state.level = parseLogLevel(next);
+        return state.level;
+      },
+      get level() { return state.level; },
+      recentErrors: () => state.errors.map(e => ({ ...e })),
+    };
+  }
+
+  return make(scope);
+}
@@ -0,0 +1,388 @@
+// presence-media.js — что сейчас играет в медиаплеерах (MPRIS на шине D-Bus сессии, Linux)
+//
+// Источник — объект с методом getPlayers(), который возвращает
+// [{ player, busName, identity, state, artist, title, album, trackId, positionMs, lengthMs }]
+// или null, если узнать нельзя. player — имя плеера из имени на шине без суффикса экземпляра
+// (org.mpris.MediaPlayer2.firefox.instance_1_84 → firefox), state — playing | paused | stopped.
+//
+// Трекер сравнивает снимки и отдаёт presence:media только при изменениях: новый трек, смена
+// состояния, перемотка. Между ними позицию родитель досчитывает сам: positionMs + (сейчас − ts).
+
+import { spawn } from 'node:child_process';
+
+export const MEDIA_SOURCE_ENV = 'ECHOTALK_PRESENCE_MEDIA';
+export const MPRIS_PREFIX = 'org.mpris.MediaPlayer2.';
+export const MEDIA_STATES = ['playing', 'paused', 'stopped'];
+
+export const DEFAULT_MEDIA_POLL_MS = 5000;
+const MIN_MEDIA_POLL_MS = 1000;
+const SPAWN_TIMEOUT_MS = 2000;
+const SEEK_TOLERANCE_MS = 3000; // расхождение с расчётной позицией больше этого — перемотка
+
+const MPRIS_PATH = '/org/mpris/MediaPlayer2';
+const MPRIS_PLAYER_IFACE = 'org.mpris.MediaPlayer2.Player';
+const PLAYBACK_STATES = { Playing: 'playing', Paused: 'paused', Stopped: 'stopped' };
+
+// запуск утилиты с таймаутом; stdout или null при ошибке/ненулевом коде
+function run(cmd, args) {
+  return new Promise((resolve) => {
+    let out = '';
+    let done = false;
+    const finish = (v) => { if (!done) { done = true; resolve(v); } };
+    let child;
+    try {
+      child = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch {
+      finish(null);
+      return;
+    }
+    const timer = setTimeout(() => { child.kill(); finish(null); }, SPAWN_TIMEOUT_MS);
+    child.stdout.on('data', d => out += d.toString());
+    child.on('error', () => { clearTimeout(timer); finish(null); });
+    child.on('close', (code) => { clearTimeout(timer); finish(code === 0 ? out.trim() : null); });
+  });
+}
+
+// ---- текстовый формат GVariant (вывод gdbus call) ----
+// "({'PlaybackStatus': <'Playing'>, 'Position': <int64 1234>},)" → [{ PlaybackStatus: 'Playing', Position: 1234 }]
+// кортежи и массивы → массивы, словари → объекты, варианты разворачиваются, префиксы типов отбрасываются
+const TYPE_PREFIX = /^(?:@\S+|u?int(?:16|32|64)|byte|double|boolean|objectpath|signature|handle)\s+/;
+const SCALAR = /^(?:true|false|-?(?:0x[0-9a-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?))/i;
+const ESCAPES = { n: '\n', t: '\t', r: '\r', f: '\f', v: '\v', b: '\b', a: '\x07' };
+
+export function parseGVariant(text) {
+  let i = 0;
+  const fail = () => { throw new Error(`gvariant: unexpected ${JSON.stringify(text.slice(i, i + 16))} at ${i}`); };
+  const skip = () => { while (i < text.length && /\s/.test(text[i])) i++; };
+  const expect = (c) => {
+    skip();
+    if (text[i] !== c) fail();
+    i++;
+  };
+
+  function list(close, item) {
+    const out = [];
+    i++;
+    skip();
+    while (text[i] !== close) {
+      if (i >= text.length) fail();
+      out.push(item());
+      skip();
+      if (text[i] === ',') { i++; skip(); } else if (text[i] !== close) fail();
+    }
+    i++;
+    return out;
+  }
+
+  function string(quote) {
+    let out = '';
+    i++;
+    while (i < text.length && text[i] !== quote) {
+      if (text[i] === '\\') {
+        const e = text[++i];
+        if (e === 'u' || e === 'U') {
+          const n = e === 'u' ? 4 : 8;
+          out += String.fromCodePoint(parseInt(text.slice(i + 1, i + 1 + n), 16));
+          i += n;
+        } else {
+          out += ESCAPES[e] ?? e;
+        }
+      } else {
+        out += text[i];
+      }
+      i++;
+    }
+    if (text[i] !== quote) fail();
+    i++;
+    return out;
+  }
+
+  function value() {
+    skip();
+    const prefix = TYPE_PREFIX.exec(text.slice(i));
+    if (prefix) i += prefix[0].length;
+    const c = text[i];
+    if (c === "'" || c === '"') return string(c);
+    if (c === '<') {
+      i++;
+      const v = value();
+      expect('>');
+      return v;
+    }
+    if (c === '[' || c === '(') return list(c === '[' ? ']' : ')', value);
+    if (c === '{') {
+      return Object.fromEntries(list('}', () => {
+        const k = value();
+        expect(':');
+        return [k, value()];
+      }));
+    }
+    const m = SCALAR.exec(text.slice(i));
+    if (!m) fail();
+    i += m[0].length;
+    return m[0] === 'true' ? true : m[0] === 'false' ? false : Number(m[0]);
+  }
+
+  const v = value();
+  skip();
+  if (i < text.length) fail();
+  return v;
+}
+
+// ---- JSON busctl: { "type": "s", "data": "…" } на каждом уровне ----
+function unwrapBusctl(v) {
+  if (Array.isArray(v)) return v.map(unwrapBusctl);
+  if (!v || typeof v !== 'object') return v;
+  if ('type' in v && 'data' in v && Object.keys(v).length === 2) return unwrapBusctl(v.data);
+  return Object.fromEntries(Object.entries(v).map(([k, val]) => [k, unwrapBusctl(val)]));
+}
+
+// ---- способы спросить шину, по порядку ----
+// list() → имена org.mpris.MediaPlayer2.* или null; props(bus) → свойства Player; identity(bus) → имя плеера
+export const MPRIS_METHODS = [
+  // systemd busctl умеет JSON — разбирать проще и надёжнее
+  {
+    name: 'busctl',
+    async call(dest, objectPath, iface, method, signature, ...args) {
+      const out = await run('busctl', [
+        '--user', '--json=short', 'call', dest, objectPath, iface, method, ...(signature ? [signature, ...args] : []),
+      ]);
+      if (!out) return null;
+      try {
+        return unwrapBusctl(JSON.parse(out)); // → список выходных аргументов
+      } catch {
+        return null;
+      }
+    },
+    async list() {
+      const res = await this.call('org.freedesktop.DBus', '/org/freedesktop/DBus', 'org.freedesktop.DBus', 'ListNames');
+      return Array.isArray(res?.[0]) ? res[0] : null;
+    },
+    async props(bus) {
+      const res = await this.call(bus, MPRIS_PATH, 'org.freedesktop.DBus.Properties', 'GetAll', 's', MPRIS_PLAYER_IFACE);
+      return res?.[0] ?? null;
+    },
+    async identity(bus) {
+      const res = await this.call(bus, MPRIS_PATH, 'org.freedesktop.DBus.Properties', 'Get', 'ss', 'org.mpris.MediaPlayer2', 'Identity');
+      return res?.[0] ?? null;
+    },
+  },
+  // GLib gdbus: есть почти везде, где есть GNOME, печатает текстовый GVariant
+  {
+    name: 'gdbus',
+    async call(dest, objectPath, method, ...args) {
+      const out = await run('gdbus', ['call', '--session', '--dest', dest, '--object-path', objectPath, '--method', method, ...args]);
+      if (!out) return null;
+      try {
+        return parseGVariant(out);
+      } catch {
+        return null;
+      }
+    },
+    async list() {
+      const res = await this.call('org.freedesktop.DBus', '/org/freedesktop/DBus', 'org.freedesktop.DBus.ListNames');
+      return Array.isArray(res?.[0]) ? res[0] : null;
+    },
+    async props(bus) {
+      const res = await this.call(bus, MPRIS_PATH, 'org.freedesktop.DBus.Properties.GetAll', MPRIS_PLAYER_IFACE);
+      return res?.[0] ?? null;
+    },
+    async identity(bus) {
+      const res = await this.call(bus, MPRIS_PATH, 'org.freedesktop.DBus.Properties.Get', 'org.mpris.MediaPlayer2', 'Identity');
+      return res?.[0] ?? null;
+    },
+  },
+];
+
+// org.mpris.MediaPlayer2.chromium.instance12345 → chromium
+export function playerIdOf(busName) {
+  return busName.slice(MPRIS_PREFIX.length).replace(/\.instance[_\d]+$/, '').toLowerCase();
+}
+
+// свойства org.mpris.MediaPlayer2.Player → запись плеера; время в MPRIS — в микросекундах
+export function normalizePlayer(busName, props, identity = null) {
+  const meta = props?.Metadata && typeof props.Metadata === 'object' ? props.Metadata : {};
+  const str = v => (typeof v === 'string' && v.trim() ? v.trim() : null);
+  const ms = (v) => {
+    const n = Number(v);
+    return v !== null && v !== undefined && Number.isFinite(n) && n >= 0 ? Math.round(n / 1000) : null;
+  };
+  const artists = [].concat(meta['xesam:artist'] ?? []).map(str).filter(Boolean);
+  return {
+    player: playerIdOf(busName),
+    busName,
+    identity: str(identity),
+    state: PLAYBACK_STATES[props?.PlaybackStatus] ?? 'stopped',
+    artist: artists.length ? artists.join(', ') : null,
+    title: str(meta['xesam:title']),
+    album: str(meta['xesam:album']),
+    trackId: str(meta['mpris:trackid']),
+    positionMs: ms(props?.Position),
+    lengthMs: ms(meta['mpris:length']),
+  };
+}
+
+// Linux: первый сработавший способ запоминается; если не сработал ни один — источник молчит
+export function createMprisMediaSource({ methods = MPRIS_METHODS } = {}) {
+  let chosen = null;
+  let unavailable = false;
+  const identities = new Map(); // busName -> Identity (не меняется, пока плеер на шине)
+
+  async function pick() {
+    for (const m of methods) {
+      const names = await m.list();
+      if (names) {
+        chosen = m;
+        return names;
+      }
+    }
+    unavailable = true;
+    return null;
+  }
+
+  return {
+    name: 'mpris',
+    get method() { return chosen?.name || null; },
+    async getPlayers() {
+      if (unavailable) return null;
+      const names = chosen ? await chosen.list() : await pick();
+      if (!names) return null;
+      const buses = names.filter(n => typeof n === 'string' && n.startsWith(MPRIS_PREFIX)).sort();
+      for (const bus of identities.keys()) if (!buses.includes(bus)) identities.delete(bus);
+      const players = [];
+      for (const bus of buses) {
+        const props = await chosen.props(bus);
+        if (!props) continue; // плеер ушёл с шины между запросами
+        if (!identities.has(bus)) identities.set(bus, await chosen.identity(bus));
+        players.push(normalizePlayer(bus, props, identities.get(bus)));
+      }
+      return players;
+    },
+  };
+}
+
+// для тестов: список плееров задаётся руками
+export function createFakeMediaSource(initial = []) {
+  let players = initial;
+  return {
+    name: 'fake',
+    set(list) { players = list; },
+    async getPlayers() { return players; },
+  };
+}
+
+// источник, который ничего не знает — медиа никогда не бывает
+export function createNoMediaSource() {
+  return { name: 'none', async getPlayers() { return null; } };
+}
+
+const MEDIA_FACTORIES = {
+  mpris: createMprisMediaSource,
+  fake: createFakeMediaSource,
+  none: createNoMediaSource,
+};
+
+// выбор источника: объект → имя из опций → переменная окружения → mpris на Linux, иначе none
+export function resolveMediaSource(source, { env = process.env, platform = process.platform } = {}) {
+  if (source && typeof source.getPlayers === 'function') return source;
+  const kind = source || env[MEDIA_SOURCE_ENV] || (platform === 'linux' ? 'mpris' : 'none');
+  const factory = MEDIA_FACTORIES[kind];
+  if (!factory) throw new Error(`unknown media source: ${kind}`);
+  return factory();
+}
+
+// проверяет { allow, deny, pollMs } и накладывает на base; бросает TypeError на мусоре
+export function mergeMediaConfig(base, patch = {}) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) throw new TypeError('media: expected an object');
+  const next = { ...base };
+  for (const [key, val] of Object.entries(patch)) {
+    switch (key) {
+      case 'allow':
+      case 'deny':
+        if (!Array.isArray(val) || val.some(v => typeof v !== 'string' || !v.trim())) {
+          throw new TypeError(`media.${key}: expected an array of player names`);
+        }
+        next[key] = val.map(v => v.toLowerCase().trim());
+        break;
+      case 'pollMs':
+        if (!Number.isInteger(val) || val < MIN_MEDIA_POLL_MS) {
+          throw new TypeError(`media.pollMs: expected an integer >= ${MIN_MEDIA_POLL_MS}`);
+        }
+        next.pollMs = val;
+        break;
+      default:
+        throw new TypeError(`media.${key}: unknown setting`);
+    }
+  }
+  return next;
+}
+
+// снимки источника → сообщения presence:media; сам ничего не отправляет
+export function createMediaTracker(initial = {}) {
+  let config = mergeMediaConfig({ allow: [], deny: [], pollMs: DEFAULT_MEDIA_POLL_MS }, initial);
+  const last = new Map(); // busName -> { player, ts, announced } — последнее, что видел родитель
+
+  // список сверяется и с именем на шине, и с Identity: в настройках удобно писать «Spotify»
+  const allowed = (p) => {
+    const names = [p.player, p.identity?.toLowerCase()].filter(Boolean);
+    if (names.some(n => config.deny.includes(n))) return false;
+    return !config.allow.length || names.some(n => config.allow.includes(n));
+  };
+
+  const message = (p, ts, reason = null) => {
+    const payload = { ...p, ts };
+    if (reason) payload.reason = reason;
+    return { type: 'presence:media', payload };
+  };
+
+  function changed(prev, p, ts) {
+    const a = prev.player;
+    if (['state', 'trackId', 'title', 'artist', 'album', 'lengthMs'].some(k => a[k] !== p[k])) return true;
+    if (p.positionMs === null || a.positionMs === null) return p.positionMs !== a.positionMs;
+    const expected = a.positionMs + (a.state === 'playing' ? ts - prev.ts : 0);
+    return Math.abs(p.positionMs - expected) > SEEK_TOLERANCE_MS;
+  }
+
+  // players — ответ источника (null — источник молчит: состояние не трогаем)
+  function update(players, ts) {
+    if (!players) return [];
+    const out = [];
+    const present = new Map(players.map(p => [p.busName, p]));
+    for (const [bus, prev] of [...last]) {
+      const p = present.get(bus);
+      if (p && allowed(p)) continue;
+      last.delete(bus);
+      if (prev.announced) out.push(message({ ...prev.player, state: 'stopped', positionMs: null }, ts, p ? 'hidden' : 'closed'));
+    }
+    for (const p of players) {
+      if (!allowed(p)) continue;
+      const prev = last.get(p.busName);
+      if (prev && !changed(prev, p, ts)) continue;
+      // плеер, который с самого начала стоит, неинтересен — ждём, пока он заиграет
+      const announced = Boolean(prev?.announced) || p.state !== 'stopped';
+      last.set(p.busName, { player: p, ts, announced });
+      if (announced) out.push(message(p, ts));
+    }
+    return out;
+  }
+
+  // stopped для всех, кого видел родитель (пауза воркера, выключение медиа); состояние не меняет
+  function endings(ts, reason) {
+    return [...last.values()]
+      .filter(e => e.announced && e.player.state !== 'stopped')
+      .map(e => message({ ...e.player, state: 'stopped', positionMs: null }, ts, reason));
+  }
+
+  return {
+    update,
+    endings,
+    reset() { last.clear(); },
+    configure(patch) {
+      config = mergeMediaConfig(config, patch);
+      return config;
+    },
+    // текущее состояние плееров — как в последнем отправленном presence:media
+    current: () => [...last.values()].filter(e => e.announced).map(e => message(e.player, e.ts)),
+    get config() { return config; },
+  };
+}
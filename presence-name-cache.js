@@ -0,0 +1,267 @@
+// presence-name-cache.js — кеш найденных имён (presence-cache.json)
+//
+// {
+//   version: 2,
+//   byExe:  { "<exe>":  { name, names: { "<локали>": "<имя>" }, source, confidence, ts } },
+//   byPath: { "<путь>": { … то же … } },
+//   icons:  { "<путь>": { path, hash, mime, scaled, mtimeMs, size } | null },
+//   updatedAt
+// }
+// source — откуда имя: сканер библиотеки (steam, epic, …), metadata, path-hint, title, fallback.
+// Записи с низкой уверенностью живут ограниченное время и вытесняются более надёжным источником.
+// Запись атомарная: временный файл + rename, прошлая версия остаётся в .bak.
+// readOnly: true — кеш только читается (CLI рядом с работающим воркером): изменения живут в памяти.
+
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { createLogger } from './presence-log.js';
+
+export const CACHE_FILE = 'presence-cache.json';
+export const CACHE_VERSION = 2;
+
+const HOUR_MS = 60 * 60 * 1000;
+const SAVE_DEBOUNCE_MS = 500;
+
+// уверенность и срок жизни (null — бессрочно) по источнику
+export const CACHE_SOURCES = {
+  library:     { confidence: 0.95, ttlMs: null },     // steam, epic, gog, heroic, lutris, itch
+  metadata:    { confidence: 0.9, ttlMs: null },      // FileDescription, Info.plist, .desktop
+  'path-hint': { confidence: 0.5, ttlMs: 7 * 24 * HOUR_MS },
+  legacy:      { confidence: 0.4, ttlMs: 24 * HOUR_MS }, // перенесено из версии 1, источник неизвестен
+  title:       { confidence: 0.3, ttlMs: HOUR_MS },
+  fallback:    { confidence: 0.2, ttlMs: 24 * HOUR_MS },
+};
+
+// ниже этого порога запись считается предварительной: её перепроверяют по дешёвым источникам
+export const LOW_CONFIDENCE = 0.6;
+
+const sourceInfo = source => CACHE_SOURCES[source] || CACHE_SOURCES.library;
+
+// ключ byPath — путь в нижнем регистре; строка без каталога (голое имя exe, когда провайдер окна
+// не знает пути) путём не считается: под ней собрались бы все одноимённые exe
+export const cachePathKey = p => (p && /[\\/]/.test(p) ? p.toLowerCase() : null);
+
+const emptyCache = () => ({ version: CACHE_VERSION, byExe: {}, byPath: {}, icons: {}, updatedAt: Date.now() });
+
+// версия 1: byExe/byPath — строки, переводы — в localized[<локали>].byExe/byPath
+export function migrateCache(json, now = Date.now()) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) throw new Error('cache: not an object');
+  if (json.version === CACHE_VERSION) {
+    const byPath = Object.fromEntries(Object.entries(json.byPath || {}).filter(([key]) => cachePathKey(key)));
+    return { ...emptyCache(), ...json, byPath };
+  }
+  if (json.version !== undefined) throw new Error(`cache: unsupported version ${json.version}`);
+
+  const out = emptyCache();
+  const ts = Number(json.updatedAt) || now;
+  const { confidence } = CACHE_SOURCES.legacy;
+  for (const kind of ['byExe', 'byPath']) {
+    for (const [key, name] of Object.entries(json[kind] || {})) {
+      if (typeof name === 'string' && name) out[kind][key] = { name, names: {}, source: 'legacy', confidence, ts };
+    }
+  }
+  for (const [localeKey, section] of Object.entries(json.localized || {})) {
+    for (const kind of ['byExe', 'byPath']) {
+      for (const [key, name] of Object.entries(section?.[kind] || {})) {
+        if (out[kind][key] && typeof name === 'string') out[kind][key].names[localeKey] = name;
+      }
+    }
+  }
+  if (json.icons && typeof json.icons === 'object') out.icons = json.icons;
+  return out;
+}
+
+export function createNameCache({
+  userDataDir,
+  readOnly = false,
+  now = () => Date.now(),
+  logger = createLogger(),
+} = {}) {
+  const log = logger.child('name-cache');
+  const cachePath = path.join(userDataDir, CACHE_FILE);
+  const backupPath = `${cachePath}.bak`;
+  let cache = emptyCache();
+  let saveTimer = null;
+  let saving = Promise.resolve();
+
+  const expiresAt = e => (sourceInfo(e.source).ttlMs === null ? null : e.ts + sourceInfo(e.source).ttlMs);
+  const isExpired = e => {
+    const at = expiresAt(e);
+    return at !== null && now() >= at;
+  };
+
+  async function readFrom(file) {
+    return migrateCache(JSON.parse(await fsp.readFile(file, 'utf8')), now());
+  }
+
+  // повреждённый файл откладываем в сторону и пробуем резервную копию
+  async function load() {
+    try {
+      cache = await readFrom(cachePath);
+      log.debug('cache loaded', { byExe: Object.keys(cache.byExe).length, byPath: Object.keys(cache.byPath).length });
+      return;
+    } catch (e) {
+      if (e?.code === 'ENOENT') {
+        cache = emptyCache();
+        return;
+      }
+      if (readOnly) {
+        log.warn('cache unreadable:', cachePath, String(e?.message || e));
+      } else {
+        const aside = `${cachePath}.corrupt-${now()}`;
+        log.warn('cache unreadable, moving aside:', aside, String(e?.message || e));
+        try { await fsp.rename(cachePath, aside); } catch {}
+      }
+    }
+    try {
+      cache = await readFrom(backupPath);
+      log.debug('cache restored from backup');
+    } catch {
+      cache = emptyCache();
+    }
+  }
+
+  async function writeNow() {
+    const tmp = `${cachePath}.tmp`;
+    await fsp.mkdir(userDataDir, { recursive: true });
+    await fsp.writeFile(tmp, JSON.stringify(cache, null, 2), 'utf8');
+    try { await fsp.copyFile(cachePath, backupPath); } catch {}
+    await fsp.rename(tmp, cachePath);
+    log.debug('cache saved', { byExe: Object.keys(cache.byExe).length, byPath: Object.keys(cache.byPath).length });
+  }
+
+  function saveSoon() {
+    cache.updatedAt = now();
+    if (readOnly || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      saving = saving.then(writeNow).catch(e => log.debug('cache save error', String(e?.message || e)));
+    }, SAVE_DEBOUNCE_MS);
+  }
+
+  // немедленная запись отложенных изменений (при остановке)
+  async function flush() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      saving = saving.then(writeNow).catch(e => log.debug('cache save error', String(e?.message || e)));
+    }
+    await saving;
+  }
+
+  // → { entry, key, kind } — сначала по имени exe, затем по пути; просроченные записи не отдаются
+  function get(ex, pLower) {
+    for (const [kind, key] of [['byExe', ex], ['byPath', cachePathKey(pLower)]]) {
+      const entry = key && cache[kind][key];
+      if (entry && !isExpired(entry)) return { entry, key, kind };
+    }
+    return null;
+  }
+
+  // запись не затирает более надёжную непросроченную; низкая уверенность — только по пути,
+  // чтобы случайный заголовок не приклеился ко всем exe с тем же именем (нет пути — не пишем вовсе)
+  function put(ex, pLower, { name, source, localeKey = '', localized = null }) {
+    if (!name) return false;
+    const { confidence } = sourceInfo(source);
+    const low = confidence < LOW_CONFIDENCE;
+    const pathKey = cachePathKey(pLower);
+    if (low && !pathKey) return false;
+    const keys = low ? [['byPath', pathKey]] : [['byExe', ex], ['byPath', pathKey]];
+    let touched = false;
+    for (const [kind, key] of keys) {
+      if (!key) continue;
+      const prev = cache[kind][key];
+      if (prev && !isExpired(prev) && prev.confidence > confidence) continue;
+      const sameName = prev && prev.name === name && prev.source === source;
+      const entry = sameName ? { ...prev, ts: now() } : { name, names: {}, source, confidence, ts: now() };
+      if (localeKey) entry.names = { ...entry.names, [localeKey]: localized || name };
+      cache[kind][key] = entry;
+      touched = true;
+    }
+    if (touched) saveSoon();
+    return touched;
+  }
+
+  // ---- иконки ----
+  const getIcon = key => cache.icons[key];
+  function putIcon(key, icon) {
+    cache.icons[key] = icon;
+    saveSoon();
+  }
+  function dropMissingIcons() {
+    for (const [k, v] of Object.entries(cache.icons)) if (!v) delete cache.icons[k];
+  }
+
+  // ---- просмотр и очистка (команда cache) ----
+  function list({ source, exeName, exePath, limit } = {}) {
+    const out = [];
+    for (const kind of ['byExe', 'byPath']) {
+      for (const [key, e] of Object.entries(cache[kind])) {
+        if (source && e.source !== source) continue;
+        if (exeName && !(kind === 'byExe' ? key === exeName.toLowerCase() : path.basename(key) === exeName.toLowerCase())) continue;
+        if (exePath && !(kind === 'byPath' ? key === exePath.toLowerCase() : key === path.basename(exePath).toLowerCase())) continue;
+        out.push({ kind: kind === 'byExe' ? 'exe' : 'path', key, ...e, expiresAt: expiresAt(e), expired: isExpired(e) });
+      }
+    }
+    out.sort((a, b) => b.ts - a.ts);
+    return Number.isInteger(limit) && limit > 0 ? out.slice(0, limit) : out;
+  }
+
+  // сводка для диагностики: сколько записей, из каких источников, сколько уже просрочено
+  function stats() {
+    const bySource = {};
+    let expired = 0;
+    for (const kind of ['byExe', 'byPath']) {
+      for (const e of Object.values(cache[kind])) {
+        bySource[e.source] = (bySource[e.source] || 0) + 1;
+        if (isExpired(e)) expired++;
+      }
+    }
+    return {
+      path: cachePath,
+      version: CACHE_VERSION,
+      byExe: Object.keys(cache.byExe).length,
+      byPath: Object.keys(cache.byPath).length,
+      icons: Object.keys(cache.icons).length,
+      bySource,
+      expired,
+      updatedAt: cache.updatedAt,
+    };
+  }
+
+  // без фильтров — очищает всё, включая иконки
+  function clear(filter = {}) {
+    const all = !filter.source && !filter.exeName && !filter.exePath;
+    let removed = 0;
+    if (all) {
+      removed = Object.keys(cache.byExe).length + Object.keys(cache.byPath).length;
+      cache = emptyCache();
+    } else {
+      for (const e of list(filter)) {
+        const kind = e.kind === 'exe' ? 'byExe' : 'byPath';
+        delete cache[kind][e.key];
+        if (kind === 'byPath') delete cache.icons[e.key];
+        removed++;
+      }
+    }
+    if (removed || all) saveSoon();
+    return removed;
+  }
+
+  return {
+    load,
+    flush,
+    get,
+    put,
+    getIcon,
+    putIcon,
+    dropMissingIcons,
+    list,
+    clear,
+    stats,
+    isExpired,
+    get path() { return cachePath; },
+    get readOnly() { return readOnly; },
+    get version() { return CACHE_VERSION; },
+  };
+}
@@ -1,255 +1,133 @@
-// presence-name-resolver.mjs (ESM + DEBUG logs)
+// presence-name-resolver.js — exe/путь → человекочитаемое название и иконка
 
 import fs from 'node:fs';
 import fsp from 'node:fs/promises';
 import os from 'node:os';
 import path from 'node:path';
 import { spawn } from 'node:child_process';
-import vdf from 'vdf';
 import plist from 'plist';
+import { createScannerRegistry } from './presence-library-scanners.js';
+import { isWineLoader, readWineProcess } from './presence-processes.js';
+import { createDesktopIndex, desktopDataDirs } from './presence-desktop-entries.js';
+import { createIconResolver } from './presence-icons.js';
+import { cachePathKey, createNameCache, LOW_CONFIDENCE } from './presence-name-cache.js';
+import { readVersionInfo, versionInfoName } from './presence-pe-version.js';
+import { createLogger } from './presence-log.js';
+import { normalizeLocales } from './presence-locales.js';
+import { createDetectionDb } from './presence-detection-db.js';
 
-const DEBUG = false;
 const HOME = os.homedir();
 
-function debug(...args) {
-  if (!DEBUG) return;
-  console.log('[resolver]', ...args);
+// на сколько уровней вверх от exe искать каталог установленной игры
+const LIBRARY_DIR_DEPTH = 4;
+
+// системные каталоги программ и «свалки» вроде ~/Downloads: игра из Lutris или Heroic может лежать и там,
+// но соседние exe к ней отношения не имеют — такие каталоги не считаются каталогом игры
+const SHARED_BIN_DIRS = [
+  '/', '/bin', '/sbin', '/usr', '/usr/bin', '/usr/sbin', '/usr/games', '/usr/lib', '/usr/lib64', '/usr/libexec',
+  '/usr/local', '/usr/local/bin', '/usr/local/sbin', '/usr/local/games', '/opt', '/opt/bin', '/snap/bin', '/app/bin',
+  '/var/lib/flatpak/exports/bin', '/applications',
+  'c:\\', 'c:\\windows', 'c:\\windows\\system32', 'c:\\windows\\syswow64', 'c:\\program files', 'c:\\program files (x86)',
+];
+const HOME_SHARED_DIRS = ['', 'bin', '.local/bin', '.local/share/flatpak/exports/bin', 'Applications', 'Desktop', 'Downloads', 'Documents'];
+
+function sharedBinDirs(home) {
+  return new Set([...SHARED_BIN_DIRS, ...HOME_SHARED_DIRS.map(d => path.join(home, d))].map(d => d.toLowerCase()));
+}
+
+// последний шаг резолвера: имя exe без .exe с заглавной буквы ("game.exe" → "Game"), null без имени
+export function fallbackName(exeName) {
+  const base = (exeName || '').toLowerCase().replace(/\.exe$/, '');
+  return base ? base.charAt(0).toUpperCase() + base.slice(1) : null;
+}
+
+// старые имена .lproj у macOS-бандлов
+const LPROJ_LEGACY = {
+  en: 'English', ru: 'Russian', de: 'German', fr: 'French', es: 'Spanish', it: 'Italian', ja: 'Japanese', nl: 'Dutch',
+};
+
+// InfoPlist.strings: UTF-16 с BOM или UTF-8, строки вида "CFBundleName" = "Имя";
+export function parseStringsFile(buf) {
+  let txt;
+  if (buf[0] === 0xff && buf[1] === 0xfe) txt = buf.subarray(2).toString('utf16le');
+  else if (buf[0] === 0xfe && buf[1] === 0xff) txt = Buffer.from(buf.subarray(2)).swap16().toString('utf16le');
+  else txt = buf.toString('utf8').replace(/^\uFEFF/, '');
+  txt = txt.replace(/\/\*[\s\S]*?\*\//g, '').replace(/^\s*\/\/.*$/gm, '');
+  const out = {};
+  const re = /"?([\w.-]+)"?\s*=\s*"((?:[^"\\]|\\.)*)"\s*;/g;
+  let m;
+  while ((m = re.exec(txt))) {
+    out[m[1]] = m[2]
+      .replace(/\\U([0-9a-fA-F]{4})/g, (_, h) => String.fromCharCode(parseInt(h, 16)))
+      .replace(/\\n/g, '\n')
+      .replace(/\\(.)/g, '$1');
+  }
+  return out;
 }
 
 export function createNameResolver({
                                      userDataDir,
                                      knownMap = new Map(),
                                      platform = process.platform,       // 'win32' | 'darwin' | 'linux'
+                                     scanners,                          // реестр сканеров библиотек или массив сканеров
+                                     procRoot = '/proc',                // откуда читать процессы Wine/Proton (Linux)
+                                     desktopDirs,                       // каталоги applications/ для .desktop (Linux)
+                                     locales = [],                      // предпочитаемые локали, например ['ru-RU', 'en']
+                                     icons = {},                        // { size?, theme? } для иконок; null — без иконок
+                                     logger = createLogger(),           // см. presence-log.js; подробности — на уровне debug
+                                     detectionDb,                       // база распознавания игр; null — без неё
+                                     readOnlyCache = false,             // не писать presence-cache.json (CLI рядом с воркером)
                                    } = {}) {
 
-  const cachePath = path.join(userDataDir, 'presence-cache.json');
-  let cache = { byExe: {}, byPath: {}, updatedAt: Date.now() };
+  const log = logger.child('resolver');
+  const debug = (...args) => log.debug(...args);
+
+  const cache = createNameCache({ userDataDir, readOnly: readOnlyCache, logger });
+  let localeTags = normalizeLocales(locales);
+  let localeKey = localeTags.join(',');
+  const libraries = scanners && typeof scanners.scanAll === 'function'
+    ? scanners
+    : createScannerRegistry(scanners);
+  const desktop = platform === 'linux'
+    ? createDesktopIndex({ dirs: desktopDirs || desktopDataDirs({ env: process.env, home: HOME }), debug })
+    : null;
+  const detection = detectionDb === undefined
+    ? createDetectionDb({ userDataDir, platform, logger })
+    : detectionDb;
+  const iconResolver = icons ? createIconResolver({ userDataDir, home: HOME, platform, debug, ...icons }) : null;
 
   // ---- helpers ----
   const exeBase = fp => (fp ? path.basename(fp).toLowerCase() : '');
   const lower = s => (s || '').toLowerCase();
 
-  const loadCache = async () => {
-    try {
-      const txt = await fsp.readFile(cachePath, 'utf8');
-      const json = JSON.parse(txt);
-      if (json && typeof json === 'object') {
-        cache = { ...cache, ...json };
-        debug('cache loaded', {
-          byExe: Object.keys(cache.byExe).length,
-          byPath: Object.keys(cache.byPath).length,
-          updatedAt: new Date(cache.updatedAt).toISOString(),
-        });
-      }
-    } catch (e) {
-      debug('cache load: none/failed → starting fresh', String(e?.message || e));
-    }
+  // source — откуда имя (см. CACHE_SOURCES); для текущих локалей запоминаем и отсутствие перевода,
+  // иначе каждый раз искали бы заново. exePath без каталога путём не считается (см. cachePathKey)
+  const putCache = (ex, exePath, name, source, localized = null) => {
+    const touched = cache.put(ex, cachePathKey(exePath), { name, source, localeKey, localized });
+    if (touched) debug('cache put', { exePath, name, source, localized });
   };
 
-  const saveCacheSoon = (() => {
-    let timer = null;
-    return () => {
-      if (timer) return;
-      timer = setTimeout(async () => {
-        try {
-          await fsp.mkdir(path.dirname(cachePath), { recursive: true });
-          await fsp.writeFile(cachePath, JSON.stringify(cache, null, 2), 'utf8');
-          debug('cache saved', {
-            byExe: Object.keys(cache.byExe).length,
-            byPath: Object.keys(cache.byPath).length,
-          });
-        } catch (e) {
-          debug('cache save error', String(e?.message || e));
-        }
-        timer = null;
-      }, 500);
-    };
-  })();
-
-  const putCache = (exePath, name) => {
-    if (!name) return;
-    const ex = exeBase(exePath);
-    let touched = 0;
-    if (ex && cache.byExe[ex] !== name) {
-      cache.byExe[ex] = name;
-      touched++;
-    }
-    const pLower = exePath ? lower(exePath) : null;
-    if (pLower && cache.byPath[pLower] !== name) {
-      cache.byPath[pLower] = name;
-      touched++;
-    }
-    if (touched) {
-      cache.updatedAt = Date.now();
-      debug('cache put', { ex, exePath, name });
-      saveCacheSoon();
-    }
+  // { name, canonicalName, confidence, source, ts } из кеша; при заданных локалях — только если имя искали именно для них
+  const getCache = (ex, exePath) => {
+    const hit = cache.get(ex, cachePathKey(exePath));
+    if (!hit) return null;
+    const { name: canonicalName, names, confidence, source, ts } = hit.entry;
+    if (!localeKey) return { name: canonicalName, canonicalName, confidence, source, ts };
+    return names?.[localeKey] ? { name: names[localeKey], canonicalName, confidence, source, ts } : null;
   };
 
-  // ---- кросплатформенный обход директорий известных лаунчеров ----
-  const steamCandidates = (() => {
-    // типичные места Steam
-    const win = [
-      'C:\\Program Files (x86)\\Steam\\steamapps',
-      'C:\\Program Files\\Steam\\steamapps',
-      path.join(HOME, 'AppData', 'Local', 'Steam', 'steamapps'),
-    ];
-    const mac = [
-      path.join(HOME, 'Library', 'Application Support', 'Steam', 'steamapps'),
-    ];
-    const lin = [
-      path.join(HOME, '.local', 'share', 'Steam', 'steamapps'),
-      '/usr/local/share/Steam/steamapps',
-    ];
-    return platform === 'win32' ? win : platform === 'darwin' ? mac : lin;
-  })();
-
-  async function scanSteam() {
-    const t0 = Date.now();
-    const result = new Map(); // exePathLower -> DisplayName
-    let libFoldersRead = 0;
-    let manifestsProcessed = 0;
-    let resolvedExecs = 0;
-
-    for (const sap of steamCandidates) {
-      try {
-        const libPath = path.join(sap, 'libraryfolders.vdf');
-        const txt = await fsp.readFile(libPath, 'utf8');
-        libFoldersRead++;
-        const jf = vdf.parse(txt);
-
-        const libs = Object.values(jf.libraryfolders || {}).map(v => v.path || v).filter(Boolean);
-        const libDirs = [path.dirname(libPath), ...libs.map(p => path.join(p, 'steamapps'))];
-
-        for (const dir of libDirs) {
-          let files = [];
-          try { files = await fsp.readdir(dir); } catch { continue; }
-          for (const f of files) {
-            if (!f.startsWith('appmanifest_') || !f.endsWith('.acf')) continue;
-            try {
-              const t = await fsp.readFile(path.join(dir, f), 'utf8');
-              const man = vdf.parse(t).AppState || {};
-              manifestsProcessed++;
-
-              const name = man.name;
-              const installdir = man.installdir;
-              if (!name || !installdir) continue;
-
-              // Путь до папки игры
-              const commonDir = path.join(dir, 'common', installdir);
-
-              let foundExe = null;
-              if (platform === 'win32') {
-                const exes = await findExecutablesWindows(commonDir, 2);
-                foundExe = exes[0] || null;
-              } else if (platform === 'darwin') {
-                const appPath = await findAppBundleMac(commonDir, 2);
-                foundExe = appPath || null;
-              }
-              if (foundExe) {
-                result.set(lower(foundExe), name);
-                resolvedExecs++;
-                if (DEBUG && resolvedExecs <= 5) {
-                  debug('steam exec', { name, exe: foundExe });
-                }
-              }
-            } catch (e) {
-              if (DEBUG) debug('steam manifest parse error', f, String(e?.message || e));
-            }
-          }
-        }
-      } catch (e) {
-        if (DEBUG) debug('steam library read fail', sap, String(e?.message || e));
-      }
-    }
-
-    debug('steam scan done', {
-      candidatesRoots: steamCandidates.length,
-      libFoldersRead,
-      manifestsProcessed,
-      resolvedExecs,
-      ms: Date.now() - t0,
-    });
-    return result;
-  }
-
-  async function findExecutablesWindows(dir, depth = 1) {
-    const out = [];
-    async function dfs(d, lvl) {
-      if (lvl < 0) return;
-      let entries = [];
-      try { entries = await fsp.readdir(d, { withFileTypes: true }); } catch { return; }
-      for (const e of entries) {
-        const p = path.join(d, e.name);
-        if (e.isDirectory()) {
-          if (['redist','_commonredist'].includes(e.name.toLowerCase())) continue;
-          await dfs(p, lvl - 1);
-        } else if (e.isFile() && e.name.toLowerCase().endsWith('.exe')) {
-          out.push(p);
-        }
-      }
+  // перевод из словаря { ru_RU: '…', ru: '…' } по списку локалей
+  const pickLocalized = (names) => {
+    if (!names || !localeTags.length) return null;
+    const byTag = new Map(Object.entries(names).map(([k, v]) => [k.replace(/@.*$/, '').replace('-', '_').toLowerCase(), v]));
+    for (const tag of localeTags) {
+      const v = byTag.get(tag.toLowerCase());
+      if (v) return v;
     }
-    await dfs(dir, depth);
-    if (DEBUG && out.length) debug('win exe candidates', dir, out.slice(0, 3));
-    return out;
-  }
-
-  async function findAppBundleMac(dir, depth = 1) {
-    let found = null;
-    async function dfs(d, lvl) {
-      if (found || lvl < 0) return;
-      let entries = [];
-      try { entries = await fsp.readdir(d, { withFileTypes: true }); } catch { return; }
-      for (const e of entries) {
-        const p = path.join(d, e.name);
-        if (e.isDirectory()) {
-          if (e.name.endsWith('.app')) { found = p; return; }
-          await dfs(p, lvl - 1);
-        }
-      }
-    }
-    await dfs(dir, depth);
-    if (DEBUG && found) debug('mac app found', found);
-    return found;
-  }
-
-  async function scanEpic() {
-    const t0 = Date.now();
-    const result = new Map(); // exePathLower -> DisplayName
-    if (platform !== 'win32') {
-      debug('epic scan skipped (not win32)');
-      return result;
-    }
-    const manifestDir = 'C:\\ProgramData\\Epic\\EpicGamesLauncher\\Data\\Manifests';
-    let files = [];
-    try { files = await fsp.readdir(manifestDir); } catch (e) {
-      debug('epic manifest dir not found', manifestDir, String(e?.message || e));
-      return result;
-    }
-
-    let parsed = 0, resolved = 0;
-    for (const f of files) {
-      if (!f.toLowerCase().endsWith('.item')) continue;
-      try {
-        const t = await fsp.readFile(path.join(manifestDir, f), 'utf8');
-        const j = JSON.parse(t);
-        parsed++;
-        const name = j.DisplayName;
-        const install = j.InstallLocation;
-        const exeRel = j.LaunchExecutable;
-        if (!name || !install || !exeRel) continue;
-        const exeAbs = path.join(install, exeRel);
-        result.set(lower(exeAbs), name);
-        resolved++;
-        if (DEBUG && resolved <= 5) debug('epic exec', { name, exe: exeAbs });
-      } catch (e) {
-        if (DEBUG) debug('epic parse error', f, String(e?.message || e));
-      }
-    }
-    debug('epic scan done', { files: files.length, parsed, resolved, ms: Date.now() - t0 });
-    return result;
-  }
+    return null;
+  };
 
+  // запасной путь, если ресурс версии не разобрался сам (нестандартный упаковщик и т.п.)
   async function fileDescriptionWindows(exePath) {
     return new Promise((resolve) => {
       const ps = spawn('powershell.exe', [
@@ -260,11 +138,11 @@ export function createNameResolver({
       ps.stdout.on('data', d => out += d.toString());
       ps.on('close', () => {
         const s = out.trim();
-        if (DEBUG) debug('win file description', { exePath, description: s || null });
+        debug('win file description', { exePath, description: s || null });
         resolve(s || null);
       });
       ps.on('error', (e) => {
-        if (DEBUG) debug('win file description error', exePath, String(e?.message || e));
+        log.warn('win file description error', exePath, String(e?.message || e));
         resolve(null);
       });
     });
@@ -276,156 +154,407 @@ export function createNameResolver({
       const txt = await fsp.readFile(infoPlist, 'utf8');
       const p = plist.parse(txt);
       const name = p.CFBundleDisplayName || p.CFBundleName || path.basename(appPath, '.app');
-      if (DEBUG) debug('mac bundle name', { appPath, name });
+      debug('mac bundle name', { appPath, name });
       return name;
     } catch (e) {
-      if (DEBUG) debug('mac bundle name error', appPath, String(e?.message || e));
+      debug('mac bundle name error', appPath, String(e?.message || e));
       return null;
     }
   }
 
-  async function linuxDesktopName(exePath) {
-    const candidates = [
-      '/usr/share/applications',
-      '/usr/local/share/applications',
-      path.join(HOME, '.local', 'share', 'applications'),
-    ];
-    const base = path.basename(exePath);
-    for (const dir of candidates) {
-      let files = [];
-      try { files = await fsp.readdir(dir); } catch { continue; }
-      for (const f of files) {
-        if (!f.endsWith('.desktop')) continue;
+  // <lang>.lproj/InfoPlist.strings внутри бандла
+  async function macLocalizedName(appPath) {
+    const resources = path.join(appPath, 'Contents', 'Resources');
+    for (const tag of localeTags) {
+      const dirs = [tag, tag.replace('_', '-'), LPROJ_LEGACY[tag]].filter(Boolean);
+      for (const dir of new Set(dirs)) {
         try {
-          const t = await fsp.readFile(path.join(dir, f), 'utf8');
-          if (!t.includes('Name=') || !t.includes('Exec=')) continue;
-          if (!t.toLowerCase().includes(base.toLowerCase())) continue;
-          const nameLine = t.split('\n').find(l => l.startsWith('Name='));
-          if (nameLine) {
-            const name = nameLine.slice(5).trim();
-            if (DEBUG) debug('linux .desktop name', { exePath, name, desktop: f });
-            return name;
-          }
+          const strings = parseStringsFile(await fsp.readFile(path.join(resources, `${dir}.lproj`, 'InfoPlist.strings')));
+          const name = strings.CFBundleDisplayName || strings.CFBundleName;
+          if (name) return name;
         } catch {}
       }
     }
-    if (DEBUG) debug('linux .desktop name not found', exePath);
     return null;
   }
 
-  // ---- init scans (выполняются один раз при старте) ----
-  let precomputedPaths = new Map(); // pathLower -> DisplayName
+  // ---- init scans (выполняются при старте и по refresh-libraries) ----
+  let precomputedPaths = new Map(); // pathLower -> { name, source, appid? }
+  let steamByAppId = new Map();     // appid -> { name, source, appid }
+  let libraryDirs = new Map();      // каталог игры (dirname exe из индекса) -> { name, source }
+  let libraryWatch = null;
+  let lastScan = null;              // { at, stats } последнего warmup()
+  const scanCtx = () => ({ platform, home: HOME, env: process.env, debug });
+
+  // производные индексы: Steam appid и каталоги установленных игр. Каталог, где лежат exe разных игр,
+  // как и системный, — общий: по нему уже не сказать, чья программа рядом
+  function reindexLibraries() {
+    steamByAppId = new Map();
+    libraryDirs = new Map();
+    const shared = sharedBinDirs(HOME);
+    for (const [p, e] of precomputedPaths) {
+      if (e.source === 'steam' && e.appid && !steamByAppId.has(e.appid)) steamByAppId.set(e.appid, e);
+      const dir = path.dirname(p);
+      if (shared.has(dir)) continue;
+      const cur = libraryDirs.get(dir);
+      if (!cur) {
+        libraryDirs.set(dir, e);
+      } else if (cur.name !== e.name) {
+        libraryDirs.delete(dir);
+        shared.add(dir);
+      }
+    }
+  }
+
   async function warmup() {
     debug('warmup start');
-    await loadCache();
-
-    try {
-      const steam = await scanSteam();
-      for (const [p, n] of steam) precomputedPaths.set(p, n);
-      debug('warmup steam loaded', { entries: steam.size });
-    } catch (e) {
-      debug('warmup steam error', String(e?.message || e));
+    await cache.load();
+
+    await detection?.load();
+    const { entries, stats } = await libraries.scanAll(scanCtx());
+    precomputedPaths = entries;
+    lastScan = { at: Date.now(), stats };
+    // после пересканирования библиотек иконки, которых раньше не было, могли появиться
+    cache.dropMissingIcons();
+    if (desktop) {
+      await desktop.refresh();
+      desktop.watch();
+    }
+    reindexLibraries();
+    if (!libraryWatch && typeof libraries.watch === 'function') {
+      libraryWatch = libraries.watch(scanCtx(), applyLibraryChange);
+      await libraryWatch.settled?.();
     }
 
-    try {
-      const epic = await scanEpic();
-      for (const [p, n] of epic) precomputedPaths.set(p, n);
-      debug('warmup epic loaded', { entries: epic.size });
-    } catch (e) {
-      debug('warmup epic error', String(e?.message || e));
+    debug('warmup done', { precomputed: precomputedPaths.size, stats });
+    return { precomputed: precomputedPaths.size, scanners: stats };
+  }
+
+  // игра установлена, обновлена или удалена, пока воркер работает: правим индекс на месте
+  // и исправляем в кеше имена, которые для этих exe успели взять из заголовка, пути или fallback.
+  // Для каждого затронутого пути победитель берётся из реестра заново: при совпадении путей побеждает
+  // сканер, который раньше в списке, а если его запись удалили — снова видна запись следующего
+  function applyLibraryChange({ source, added, removed }) {
+    for (const p of new Set([...removed, ...added].map(([k]) => k))) {
+      const cur = precomputedPaths.get(p);
+      const next = libraries.entry(p);
+      if (!next) {
+        if (!cur) continue;
+        precomputedPaths.delete(p);
+        cache.clear({ exePath: p, source: cur.source });
+        continue;
+      }
+      // изменилась запись сканера, которую перекрывает другой — снаружи ничего не поменялось
+      if (next.source !== source && cur?.source === next.source) continue;
+      if (cur && cur.source !== next.source) cache.clear({ exePath: p, source: cur.source });
+      precomputedPaths.set(p, next);
+      const hit = cache.get(exeBase(p), p);
+      if (hit && (hit.entry.confidence < LOW_CONFIDENCE || hit.entry.source === next.source)) {
+        putCache(exeBase(p), p, next.name, next.source, pickLocalized(next.names));
+      }
     }
+    reindexLibraries();
+    cache.dropMissingIcons();
+    debug('library change applied', { source, added: added.length, removed: removed.length });
+  }
 
-    debug('warmup done', { precomputed: precomputedPaths.size });
+  // { windowsExe, exePath, prefix, appid } процесса Wine/Proton или null, если exe — не загрузчик Wine
+  async function wineProcess(exePath, pid) {
+    if (platform !== 'linux' || !pid || !isWineLoader(exePath)) return null;
+    return readWineProcess(pid, { procRoot });
   }
 
   // ---- основной резолвер ----
-  async function resolveDisplayName({ exePath, processName, windowTitle }) {
+  // → { name, canonicalName, source, icon }: name — на языке из locales (если перевод нашёлся), canonicalName — исходное имя,
+  // source — откуда имя: победивший шаг (known, library, title, fallback, …), для кеша — источник записи кеша,
+  // icon — { path, hash, mime, scaled } или null.
+  // explain: true добавляет explain = { exePath, wine, steps, winner, ms } — какие шаги пробовались и что вернули
+  async function resolveName({ exePath, processName, windowTitle, pid }, { explain = false } = {}) {
+    const t0 = Date.now();
+    const steps = [];
+    // Wine/Proton: вместо wine64-preloader дальше резолвим настоящий Windows exe
+    let wine = null;
+    if (platform === 'linux' && pid && isWineLoader(exePath)) {
+      wine = await wineProcess(exePath, pid);
+      steps.push({ step: 'wine', result: wine?.exePath || null, appid: wine?.appid || null, prefix: wine?.prefix || null });
+      if (wine?.exePath) {
+        debug('resolve: wine target', { exePath, target: wine.exePath, appid: wine.appid });
+        exePath = wine.exePath;
+      }
+    }
     const ex = exeBase(exePath) || lower(processName);
+    const { step: winner, ...resolved } = await lookupName({ exePath, ex, windowTitle, wine }, steps);
+    const icon = await resolveIcon(exePath, ex, wine, steps);
+    if (!explain) return { ...resolved, icon };
+    return {
+      ...resolved,
+      icon,
+      explain: { exePath: exePath || null, exeName: ex || null, wine, steps, winner, ms: Date.now() - t0 },
+    };
+  }
+
+  // steps — журнал для explain: { step, result, …детали }, result — имя или null, если шаг ничего не дал
+  async function lookupName({ exePath, ex, windowTitle, wine }, steps) {
+    const missed = (step, detail = {}) => steps.push({ step, result: null, ...detail });
+    const found = (step, canonicalName, localized = null, detail = {}) => {
+      if (localized === canonicalName) localized = null;
+      steps.push({ step, result: canonicalName, localized, ...detail });
+      debug(`resolve: ${step}`, { exePath: exePath || ex, name: canonicalName, localized, ...detail });
+      // имя из кеша когда-то нашёл другой шаг — важен он (например, заголовок окна)
+      const source = step === 'cache' || step === 'cache-tentative' ? detail.source : step;
+      return { name: localized || canonicalName, canonicalName, source, step };
+    };
 
     // 1) KNOWN
-    if (ex && knownMap.has(ex)) {
-      const name = knownMap.get(ex);
-      DEBUG && debug('resolve: KNOWN', { ex, name });
-      return name;
+    if (ex && knownMap.has(ex)) return found('known', knownMap.get(ex), null, { exeName: ex });
+    missed('known', { exeName: ex || null });
+
+    // 1b) DETECTION DB — встроенная и пользовательская база; без кеша, индекс и так в памяти
+    if (detection) {
+      const hit = detection.lookup(exePath || ex);
+      if (hit) return found('detection-db', hit.name, pickLocalized(hit.names), { id: hit.id, by: hit.by, match: hit.match });
+      missed('detection-db', { games: detection.size });
     }
 
-    // 2) CACHE
-    if (ex && cache.byExe[ex]) {
-      const name = cache.byExe[ex];
-      DEBUG && debug('resolve: CACHE byExe', { ex, name });
-      return name;
-    }
+    // 2) CACHE — надёжная запись отдаётся сразу; предварительная (заголовок, fallback)
+    // отдаётся, только если дешёвые источники ниже ничего лучше не нашли
+    const cached = getCache(ex, exePath);
+    const cacheDetail = cached && { source: cached.source, confidence: cached.confidence, ts: cached.ts };
+    if (cached && cached.confidence >= LOW_CONFIDENCE) return found('cache', cached.canonicalName, cached.name, cacheDetail);
+    missed('cache', cached ? { tentative: cached.canonicalName, ...cacheDetail } : {});
+
+    // 3) PRECOMPUTED (библиотеки лаунчеров; сканер может отдать переводы в names)
     if (exePath) {
-      const byPath = cache.byPath[lower(exePath)];
-      if (byPath) {
-        DEBUG && debug('resolve: CACHE byPath', { exePath, name: byPath });
-        return byPath;
+      const entry = precomputedPaths.get(lower(exePath));
+      if (entry) {
+        const localized = pickLocalized(entry.names);
+        putCache(ex, exePath, entry.name, entry.source, localized);
+        return found('library', entry.name, localized, { source: entry.source, appid: entry.appid || null });
       }
+      missed('library', { indexed: precomputedPaths.size });
     }
-
-    // 3) PRECOMPUTED (Steam/Epic)
-    if (exePath && precomputedPaths.size) {
-      const p = lower(exePath);
-      const found = precomputedPaths.get(p);
-      if (found) {
-        DEBUG && debug('resolve: PRECOMPUTED', { exePath, name: found });
-        putCache(exePath, found);
-        return found;
+    // игра под Proton, exe которой не попал в индекс, — по appid из окружения процесса
+    if (wine?.appid) {
+      const entry = steamByAppId.get(wine.appid);
+      if (entry) {
+        const localized = pickLocalized(entry.names);
+        putCache(ex, exePath, entry.name, entry.source, localized);
+        return found('steam-appid', entry.name, localized, { appid: wine.appid });
       }
+      missed('steam-appid', { appid: wine.appid });
     }
+    if (cached) return found('cache-tentative', cached.canonicalName, cached.name, cacheDetail);
 
     // 4) FILE METADATA
-    if (platform === 'win32' && exePath) {
+    // ресурс версии PE читаем сами — на Windows и для .exe под Wine/Proton;
+    // каноническое имя — из английской таблицы строк, перевод — из таблицы языка пользователя
+    const isPe = exePath && (platform === 'win32' || /\.exe$/i.test(exePath));
+    const version = isPe ? await readVersionInfo(exePath, { locales: localeTags }) : null;
+    if (version) {
+      const picked = versionInfoName(version, ex);
+      const detail = { fileDescription: version.fileDescription, productName: version.productName, lang: version.lang };
+      if (picked) {
+        putCache(ex, exePath, picked.name, 'metadata', picked.localized);
+        return found('version-info', picked.name, picked.localized, detail);
+      }
+      missed('version-info', detail);
+    } else if (isPe) {
+      missed('version-info', { error: 'no version resource' });
+    }
+    if (!version && platform === 'win32' && exePath) {
       const fd = await fileDescriptionWindows(exePath);
       if (fd && fd.length >= 3) {
-        DEBUG && debug('resolve: FILEDESC', { exePath, name: fd });
-        putCache(exePath, fd);
-        return fd;
+        putCache(ex, exePath, fd, 'metadata');
+        return found('file-description', fd);
       }
+      missed('file-description', { description: fd || null });
     }
     if (platform === 'darwin' && exePath && exePath.endsWith('.app')) {
       const nm = await macBundleName(exePath);
       if (nm) {
-        DEBUG && debug('resolve: MAC BUNDLE', { exePath, name: nm });
-        putCache(exePath, nm);
-        return nm;
+        const localized = localeTags.length ? await macLocalizedName(exePath) : null;
+        putCache(ex, exePath, nm, 'metadata', localized);
+        return found('mac-bundle', nm, localized);
       }
+      missed('mac-bundle');
     }
-    if (platform === 'linux' && exePath) {
-      const nm = await linuxDesktopName(exePath);
-      if (nm) {
-        DEBUG && debug('resolve: LINUX DESKTOP', { exePath, name: nm });
-        putCache(exePath, nm);
-        return nm;
+    if (desktop && exePath) {
+      const entry = desktop.lookup(exePath);
+      if (entry) {
+        const localized = pickLocalized(entry.names);
+        putCache(ex, exePath, entry.name, 'metadata', localized);
+        return found('desktop', entry.name, localized, { desktop: entry.id });
       }
+      missed('desktop', { indexed: desktop.size });
     }
 
     // 5) WINDOW TITLE (как fallback)
     if (windowTitle && windowTitle.trim().length >= 3) {
       const t = windowTitle.trim().slice(0, 80);
-      DEBUG && debug('resolve: WINDOW TITLE', { title: t });
-      putCache(exePath || ex, t);
-      return t;
+      putCache(ex, exePath, t, 'title');
+      return found('title', t);
     }
+    missed('title', { title: windowTitle || null });
 
     // 6) Эвристика Steam по пути
     if (exePath) {
       const m = lower(exePath).replace(/\\/g, '/').match(/steamapps\/common\/([^/]+)/);
       if (m?.[1]) {
         const name = decodeURI(m[1]).replace(/[_-]+/g, ' ');
-        DEBUG && debug('resolve: STEAM PATH HINT', { exePath, name });
-        putCache(exePath, name);
-        return name;
+        putCache(ex, exePath, name, 'path-hint');
+        return found('path-hint', name);
       }
+      missed('path-hint');
     }
 
     // 7) Fallback — базовое имя без .exe
-    const fallback = ex.replace(/\.exe$/, '');
-    const titled = fallback ? fallback.charAt(0).toUpperCase() + fallback.slice(1) : 'Unknown App';
-    DEBUG && debug('resolve: FALLBACK', { ex, titled });
-    putCache(exePath || ex, titled);
-    return titled;
+    const titled = fallbackName(ex) || 'Unknown App';
+    putCache(ex, exePath, titled, 'fallback');
+    return found('fallback', titled);
   }
 
-  return { warmup, resolveDisplayName };
+  // иконка: картинка из библиотеки лаунчера → Icon= из .desktop → .icns бандла → ресурсы exe
+  async function resolveIcon(exePath, ex, wine, steps) {
+    if (!iconResolver) return null;
+    const key = exePath ? lower(exePath) : ex;
+    if (!key) return null;
+
+    const cached = cache.getIcon(key);
+    if (cached === null) {
+      steps.push({ step: 'icon', result: null, from: 'cache' });
+      return null;
+    }
+    if (cached && cached.size === iconResolver.size) {
+      try {
+        const st = await fsp.stat(cached.path);
+        if (st.mtimeMs === cached.mtimeMs) {
+          const { mtimeMs, size, ...icon } = cached;
+          steps.push({ step: 'icon', result: icon.path, from: 'cache' });
+          return icon;
+        }
+      } catch {}
+    }
+
+    let icon = null;
+    let from = null;
+    const entry = (exePath && precomputedPaths.get(lower(exePath))) || (wine?.appid && steamByAppId.get(wine.appid));
+    if (entry?.icon) {
+      icon = await iconResolver.fromFile(entry.icon);
+      from = 'library';
+    }
+    if (!icon && desktop && exePath) {
+      const d = desktop.lookup(exePath);
+      if (d?.icon) {
+        icon = await iconResolver.fromDesktopIcon(d.icon);
+        from = 'desktop';
+      }
+    }
+    if (!icon && platform === 'darwin' && exePath && exePath.endsWith('.app')) {
+      icon = await iconResolver.fromMacBundle(exePath);
+      from = 'mac-bundle';
+    }
+    // на Windows и для .exe под Wine/Proton, как ресурс версии в шаге FILE METADATA
+    if (!icon && exePath && (platform === 'win32' || /\.exe$/i.test(exePath))) {
+      icon = await iconResolver.fromPeIcon(exePath);
+      from = 'pe';
+    }
+    steps.push({ step: 'icon', result: icon?.path || null, from: icon ? from : null });
+    debug('resolve: icon', { exePath, icon: icon?.path || null });
+
+    let mtimeMs = null;
+    if (icon) {
+      try { mtimeMs = (await fsp.stat(icon.path)).mtimeMs; } catch {}
+    }
+    cache.putIcon(key, icon ? { ...icon, mtimeMs, size: iconResolver.size } : null);
+    return icon;
+  }
+
+  // только локализованное имя — для тех, кому канонический вариант не нужен
+  async function resolveDisplayName(input, options) {
+    return (await resolveName(input, options)).name;
+  }
+
+  // смена языка интерфейса: кеш для новых локалей заполняется заново, старые записи остаются
+  function setLocales(list) {
+    localeTags = normalizeLocales(list);
+    localeKey = localeTags.join(',');
+    return localeTags;
+  }
+
+  // подмена таблицы известных exe (пользовательские правила перечитываются на лету)
+  function setKnownMap(map) {
+    if (map instanceof Map) knownMap = map;
+  }
+
+  // запись базы распознавания для exe — воркер по ней понимает, что это игра
+  const detect = exePath => detection?.lookup(exePath) ?? null;
+
+  // exe из библиотеки лаунчера → { source, name, by: 'exe' | 'dir', match } | null; by: 'dir' — exe лежит
+  // в каталоге установленной игры (до LIBRARY_DIR_DEPTH уровней вверх), но сам в индекс не попал
+  function library(exePath) {
+    if (!exePath) return null;
+    let p = lower(exePath);
+    const exact = precomputedPaths.get(p);
+    if (exact) return { source: exact.source, name: exact.name, by: 'exe', match: p };
+    for (let i = 0; i < LIBRARY_DIR_DEPTH; i++) {
+      const dir = path.dirname(p);
+      if (dir === p) break;
+      p = dir;
+      // macOS: индекс хранит путь к .app, а окно — бинарник внутри бандла
+      const bundle = precomputedPaths.get(p);
+      if (bundle) return { source: bundle.source, name: bundle.name, by: 'exe', match: p };
+      const e = libraryDirs.get(p);
+      if (e) return { source: e.source, name: e.name, by: 'dir', match: p };
+    }
+    return null;
+  }
+
+  // состояние индексов и кеша для снимка диагностики
+  function diagnostics() {
+    const bySource = {};
+    for (const e of precomputedPaths.values()) bySource[e.source] = (bySource[e.source] || 0) + 1;
+    return {
+      platform,
+      locales: localeTags,
+      libraries: {
+        scannedAt: lastScan?.at ?? null,
+        scanners: lastScan?.stats ?? null,
+        entries: precomputedPaths.size,
+        bySource,
+        steamAppIds: steamByAppId.size,
+        gameDirs: libraryDirs.size,
+        watching: libraryWatch ? libraryWatch.dirs() : [],
+      },
+      desktop: desktop ? { built: desktop.built, entries: desktop.size } : null,
+      detectionDb: detection ? {
+        games: detection.size,
+        layers: detection.layers.map(({ file, revision, entries, errors, error }) => ({ file, revision, entries, errors: errors.length, error })),
+      } : null,
+      icons: iconResolver ? { size: iconResolver.size } : null,
+      cache: cache.stats(),
+    };
+  }
+
+  // остановка наблюдения за каталогами .desktop и библиотек, запись несохранённого кеша
+  async function stop() {
+    desktop?.stop();
+    libraryWatch?.stop();
+    libraryWatch = null;
+    await cache.flush();
+  }
+
+  return {
+    warmup,
+    resolveName,
+    resolveDisplayName,
+    setKnownMap,
+    setLocales,
+    detect,
+    library,
+    wine: wineProcess,
+    diagnostics,
+    stop,
+    cache,
+    get locales() { return localeTags; },
+  };
 }
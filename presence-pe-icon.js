@@ -0,0 +1,119 @@
+// presence-pe-icon.js — главная иконка приложения из ресурсов PE (exe) без нативных зависимостей
+//
+// Путь: каталог ресурсов → первая группа RT_GROUP_ICON (14) — та, что Проводник показывает у exe →
+// картинка нужного размера из RT_ICON (3). PNG-картинка (обычно 256×256) отдаётся как есть,
+// 32-битная DIB переводится в PNG, остальные DIB (с палитрой) упаковываются в .ico из одной картинки.
+
+import { openReader, readResourceDir, findResource } from './presence-pe-version.js';
+import { isPng, encodePng } from './presence-png.js';
+
+const RT_ICON = 3;
+const RT_GROUP_ICON = 14;
+const MAX_GROUP_ENTRIES = 64;
+const MAX_ICON_RESOURCE = 1024 * 1024;
+
+// GRPICONDIR: 6 байт заголовка + записи по 14 байт; ширина 0 — это 256
+export function parseIconGroup(buf) {
+  if (buf.length < 6 || buf.readUInt16LE(2) !== 1) return [];
+  const count = Math.min(buf.readUInt16LE(4), MAX_GROUP_ENTRIES);
+  const out = [];
+  for (let i = 0; i < count && 6 + (i + 1) * 14 <= buf.length; i++) {
+    const p = 6 + i * 14;
+    out.push({
+      width: buf[p] || 256,
+      height: buf[p + 1] || 256,
+      colors: buf[p + 2],
+      bitCount: buf.readUInt16LE(p + 6),
+      id: buf.readUInt16LE(p + 12),
+    });
+  }
+  return out;
+}
+
+// самая маленькая картинка не меньше size с наибольшей глубиной цвета (или самая большая, если таких нет)
+function pickIcon(entries, size) {
+  const sorted = [...entries].sort((a, b) => a.width - b.width || b.bitCount - a.bitCount);
+  const largest = sorted[sorted.length - 1].width;
+  return sorted.find(e => e.width >= size) || sorted.find(e => e.width === largest);
+}
+
+// 32-битная DIB иконки: BITMAPINFOHEADER, BGRA снизу вверх, затем 1-битная маска AND
+// (высота в заголовке — вместе с маской) → { width, height, data: RGBA } или null
+export function dibToRgba(buf) {
+  if (buf.length < 40) return null;
+  const headerSize = buf.readUInt32LE(0);
+  const width = buf.readInt32LE(4);
+  const height = buf.readInt32LE(8) / 2;
+  if (buf.readUInt16LE(14) !== 32 || buf.readUInt32LE(16) !== 0) return null;
+  if (width <= 0 || height <= 0 || !Number.isInteger(height) || headerSize < 40) return null;
+  const maskStride = Math.ceil(width / 32) * 4;
+  const maskBase = headerSize + width * height * 4;
+  const hasMask = buf.length >= maskBase + maskStride * height;
+  if (buf.length < maskBase) return null;
+
+  const data = Buffer.alloc(width * height * 4);
+  let anyAlpha = false;
+  for (let y = 0; y < height; y++) {
+    const row = headerSize + (height - 1 - y) * width * 4;
+    for (let x = 0; x < width; x++) {
+      const s = row + x * 4;
+      const o = (y * width + x) * 4;
+      data[o] = buf[s + 2];
+      data[o + 1] = buf[s + 1];
+      data[o + 2] = buf[s];
+      data[o + 3] = buf[s + 3];
+      anyAlpha ||= buf[s + 3] !== 0;
+    }
+  }
+  // старые 32-битные иконки без альфы: прозрачность только в маске AND
+  if (!anyAlpha) {
+    for (let y = 0; y < height; y++) {
+      const row = maskBase + (height - 1 - y) * maskStride;
+      for (let x = 0; x < width; x++) {
+        const transparent = hasMask && (buf[row + (x >> 3)] >> (7 - (x & 7))) & 1;
+        data[(y * width + x) * 4 + 3] = transparent ? 0 : 255;
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+// одна картинка RT_ICON → файл .ico: ICONDIR + ICONDIRENTRY + данные
+function toIco(entry, data) {
+  const head = Buffer.alloc(22);
+  head.writeUInt16LE(1, 2);
+  head.writeUInt16LE(1, 4);
+  head[6] = entry.width >= 256 ? 0 : entry.width;
+  head[7] = entry.height >= 256 ? 0 : entry.height;
+  head[8] = entry.colors;
+  head.writeUInt16LE(1, 10);
+  head.writeUInt16LE(entry.bitCount, 12);
+  head.writeUInt32LE(data.length, 14);
+  head.writeUInt32LE(22, 18);
+  return Buffer.concat([head, data]);
+}
+
+// → { data, ext: '.png' | '.ico', width } или null, если иконки нет или файл не PE
+export async function readPeIcon(file, { size = 64 } = {}) {
+  let r;
+  try {
+    r = await openReader(file);
+    const dir = await readResourceDir(r);
+    const group = dir && await findResource(dir, RT_GROUP_ICON);
+    if (!group) return null;
+    const entries = parseIconGroup(await r.read(group.offset, Math.min(group.size, 6 + MAX_GROUP_ENTRIES * 14)));
+    if (!entries.length) return null;
+    const entry = pickIcon(entries, size);
+    const res = await findResource(dir, RT_ICON, entry.id);
+    if (!res || res.size > MAX_ICON_RESOURCE) return null;
+    const data = await r.read(res.offset, res.size);
+    if (isPng(data)) return { data, ext: '.png', width: entry.width };
+    const img = dibToRgba(data);
+    if (img) return { data: encodePng(img), ext: '.png', width: entry.width };
+    return { data: toIco(entry, data), ext: '.ico', width: entry.width };
+  } catch {
+    return null;
+  } finally {
+    await r?.close();
+  }
+}
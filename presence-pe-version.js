@@ -0,0 +1,265 @@
+// presence-pe-version.js — VS_VERSIONINFO из PE-файла (exe/dll) без PowerShell
+//
+// Путь: заголовки PE → каталог ресурсов (data directory #2) → RT_VERSION (16) → первый
+// ресурс → VS_VERSIONINFO: VS_FIXEDFILEINFO (версии) + StringFileInfo (таблицы строк по языкам)
+// + VarFileInfo\Translation. Файл читается точечно, без загрузки целиком: игровые exe бывают огромными.
+// Каталог ресурсов (readResourceDir, findResource) читает и presence-pe-icon.js.
+
+import fsp from 'node:fs/promises';
+
+const RT_VERSION = 16;
+const MAX_VERSION_RESOURCE = 64 * 1024;
+const MAX_RESOURCE_ENTRIES = 4096;
+
+// основной язык (PRIMARYLANGID) для локалей из normalizeLocales (presence-locales.js)
+const PRIMARY_LANG = {
+  ar: 0x01, bg: 0x02, ca: 0x03, zh: 0x04, cs: 0x05, da: 0x06, de: 0x07, el: 0x08, en: 0x09, es: 0x0a,
+  fi: 0x0b, fr: 0x0c, he: 0x0d, hu: 0x0e, it: 0x10, ja: 0x11, ko: 0x12, nl: 0x13, no: 0x14, nb: 0x14,
+  pl: 0x15, pt: 0x16, ro: 0x18, ru: 0x19, hr: 0x1a, sk: 0x1b, sv: 0x1d, th: 0x1e, tr: 0x1f, uk: 0x22,
+  be: 0x23, kk: 0x3f, vi: 0x2a,
+};
+// полные LANGID там, где вариант языка заметно отличается
+const LANG_ID = {
+  en_US: 0x0409, en_GB: 0x0809, zh_CN: 0x0804, zh_TW: 0x0404, zh_HK: 0x0c04, pt_BR: 0x0416, pt_PT: 0x0816,
+  es_ES: 0x0c0a, es_MX: 0x080a, fr_FR: 0x040c, fr_CA: 0x0c0c, de_DE: 0x0407, ru_RU: 0x0419,
+};
+const LANG_EN_US = 0x0409;
+
+// описания, по которым игру не узнать, — тогда лучше ProductName
+const GENERIC_DESCRIPTIONS = /^(game|launcher|application|app|client|main|bootstrap(per)?|bootstrappackagedgame|unity|unreal engine.*|.*win64[- ]shipping|(32|64)-?bit|executable|setup|start(er)?)$/i;
+
+export async function openReader(file) {
+  const fh = await fsp.open(file, 'r');
+  const { size } = await fh.stat();
+  return {
+    size,
+    async read(pos, len) {
+      if (pos < 0 || pos >= size) throw new Error('pe: offset out of range');
+      const buf = Buffer.alloc(Math.min(len, size - pos));
+      await fh.read(buf, 0, buf.length, pos);
+      return buf;
+    },
+    close: () => fh.close(),
+  };
+}
+
+// RVA → смещение в файле по таблице секций
+function rvaToOffset(sections, rva) {
+  for (const s of sections) {
+    const span = Math.max(s.virtualSize, s.rawSize);
+    if (rva >= s.virtualAddress && rva < s.virtualAddress + span) return rva - s.virtualAddress + s.rawPointer;
+  }
+  return null;
+}
+
+// каталог ресурсов (data directory #2) → { r, sections, resBase, entries(dirOff) } или null
+export async function readResourceDir(r) {
+  const dos = await r.read(0, 64);
+  if (dos.length < 64 || dos.toString('latin1', 0, 2) !== 'MZ') return null;
+  const peOff = dos.readUInt32LE(0x3c);
+  const head = await r.read(peOff, 24);
+  if (head.length < 24 || head.toString('latin1', 0, 4) !== 'PE\0\0') return null;
+  const sectionCount = head.readUInt16LE(6);
+  const optSize = head.readUInt16LE(20);
+  const opt = await r.read(peOff + 24, optSize);
+  const magic = opt.readUInt16LE(0);
+  const ddBase = magic === 0x20b ? 112 : magic === 0x10b ? 96 : null;
+  if (ddBase === null || opt.length < ddBase + 24) return null;
+  const rvaCount = opt.readUInt32LE(ddBase - 4);
+  if (rvaCount < 3) return null;
+  const resRva = opt.readUInt32LE(ddBase + 16);
+  if (!resRva) return null;
+
+  const secBuf = await r.read(peOff + 24 + optSize, sectionCount * 40);
+  const sections = [];
+  for (let i = 0; i + 40 <= secBuf.length; i += 40) {
+    sections.push({
+      virtualSize: secBuf.readUInt32LE(i + 8),
+      virtualAddress: secBuf.readUInt32LE(i + 12),
+      rawSize: secBuf.readUInt32LE(i + 16),
+      rawPointer: secBuf.readUInt32LE(i + 20),
+    });
+  }
+  const resBase = rvaToOffset(sections, resRva);
+  if (resBase === null) return null;
+
+  // каталог: 16 байт заголовка + записи по 8 байт; старший бит смещения — подкаталог
+  async function entries(dirOff) {
+    const h = await r.read(resBase + dirOff, 16);
+    const count = Math.min(h.readUInt16LE(12) + h.readUInt16LE(14), MAX_RESOURCE_ENTRIES);
+    const buf = await r.read(resBase + dirOff + 16, count * 8);
+    const out = [];
+    for (let i = 0; i + 8 <= buf.length; i += 8) {
+      const name = buf.readUInt32LE(i);
+      const target = buf.readUInt32LE(i + 4);
+      out.push({ id: name & 0x80000000 ? null : name, dir: Boolean(target & 0x80000000), offset: target & 0x7fffffff });
+    }
+    return out;
+  }
+
+  return { r, sections, resBase, entries };
+}
+
+// ресурс: тип → имя (id или первое) → первый язык; → { offset, size } в файле или null
+export async function findResource({ r, sections, resBase, entries }, type, id = null) {
+  const typeDir = (await entries(0)).find(e => e.id === type && e.dir);
+  if (!typeDir) return null;
+  const name = (await entries(typeDir.offset)).find(e => e.dir && (id === null || e.id === id));
+  if (!name) return null;
+  const lang = (await entries(name.offset)).find(e => !e.dir);
+  if (!lang) return null;
+  const dataEntry = await r.read(resBase + lang.offset, 16);
+  const offset = rvaToOffset(sections, dataEntry.readUInt32LE(0));
+  const size = dataEntry.readUInt32LE(4);
+  if (offset === null || !size) return null;
+  return { offset, size };
+}
+
+// → { offset, size } данных первого ресурса RT_VERSION или null
+async function findVersionResource(r) {
+  const dir = await readResourceDir(r);
+  const res = dir && await findResource(dir, RT_VERSION);
+  return res && { offset: res.offset, size: Math.min(res.size, MAX_VERSION_RESOURCE) };
+}
+
+const align4 = n => (n + 3) & ~3;
+
+// UTF-16LE до нуля, не дальше end
+function readSz(buf, p, end) {
+  let s = '';
+  while (p + 1 < end) {
+    const c = buf.readUInt16LE(p);
+    p += 2;
+    if (!c) break;
+    s += String.fromCharCode(c);
+  }
+  return { s, p };
+}
+
+// блок версии: wLength, wValueLength, wType, szKey, [Value], [Children]
+function readBlock(buf, off, limit) {
+  if (off + 6 > limit) return null;
+  const len = buf.readUInt16LE(off);
+  if (len < 6) return null;
+  const end = Math.min(off + len, limit);
+  const valueLen = buf.readUInt16LE(off + 2);
+  const type = buf.readUInt16LE(off + 4);
+  const key = readSz(buf, off + 6, end);
+  let p = align4(key.p);
+  let value = null;
+  if (valueLen) {
+    // у текстовых значений длина в символах, но встречаются и файлы с длиной в байтах — читаем до нуля
+    value = type === 1 ? readSz(buf, p, end).s : buf.subarray(p, Math.min(p + valueLen, end));
+    p = align4(type === 1 ? p + valueLen * 2 : p + valueLen);
+  }
+  const children = [];
+  while (p < end) {
+    const child = readBlock(buf, p, end);
+    if (!child) break;
+    children.push(child);
+    p = align4(p + child.len);
+  }
+  // truncated — блок обрезан концом родителя или файла: такой строке верить нельзя
+  return { key: key.s, value, children, len, truncated: off + len > limit };
+}
+
+const version = (ms, ls) => `${ms >>> 16}.${ms & 0xffff}.${ls >>> 16}.${ls & 0xffff}`;
+
+// → { tables: [{ lang, codepage, strings }], translations: [{ lang, codepage }], fileVersion, productVersion }
+export function parseVersionInfo(buf) {
+  const root = readBlock(buf, 0, buf.length);
+  if (!root || root.key !== 'VS_VERSION_INFO') return null;
+  let fileVersion = null;
+  let productVersion = null;
+  if (Buffer.isBuffer(root.value) && root.value.length >= 52 && root.value.readUInt32LE(0) === 0xfeef04bd) {
+    fileVersion = version(root.value.readUInt32LE(8), root.value.readUInt32LE(12));
+    productVersion = version(root.value.readUInt32LE(16), root.value.readUInt32LE(20));
+  }
+  const tables = [];
+  const translations = [];
+  for (const child of root.children) {
+    if (child.key === 'StringFileInfo') {
+      for (const t of child.children) {
+        const strings = {};
+        for (const s of t.children) if (typeof s.value === 'string' && !s.truncated) strings[s.key] = s.value.trim();
+        // пустая (например, обрезанная) таблица не должна перебивать соседние
+        if (!Object.keys(strings).length) continue;
+        tables.push({ lang: parseInt(t.key.slice(0, 4), 16) || 0, codepage: parseInt(t.key.slice(4), 16) || 0, strings });
+      }
+    } else if (child.key === 'VarFileInfo') {
+      const tr = child.children.find(c => c.key === 'Translation');
+      if (Buffer.isBuffer(tr?.value)) {
+        for (let i = 0; i + 4 <= tr.value.length; i += 4) {
+          translations.push({ lang: tr.value.readUInt16LE(i), codepage: tr.value.readUInt16LE(i + 2) });
+        }
+      }
+    }
+  }
+  return { tables, translations, fileVersion, productVersion };
+}
+
+// таблица строк для локалей: точный LANGID → тот же основной язык → en-US → нейтральная → язык из Translation → первая
+export function pickStringTable(tables, locales = [], translations = []) {
+  if (!tables.length) return null;
+  for (const tag of locales) {
+    const exact = LANG_ID[tag] && tables.find(t => t.lang === LANG_ID[tag]);
+    if (exact) return exact;
+    const primary = PRIMARY_LANG[tag.split('_')[0].toLowerCase()];
+    if (!primary) continue;
+    const same = tables.find(t => (t.lang & 0x3ff) === primary);
+    if (same) return same;
+  }
+  return tables.find(t => t.lang === LANG_EN_US) || tables.find(t => t.lang === 0)
+    || tables.find(t => translations.some(tr => tr.lang === t.lang)) || tables[0];
+}
+
+// для канонического имени — en-US/нейтральная таблица, а не язык пользователя
+const canonicalTable = info => pickStringTable(info.tables, ['en_US', 'en'], info.translations);
+
+// → { fileDescription, productName, companyName, fileVersion, productVersion, lang, canonical } или null
+export async function readVersionInfo(file, { locales = [] } = {}) {
+  let r;
+  try {
+    r = await openReader(file);
+    const res = await findVersionResource(r);
+    if (!res) return null;
+    const info = parseVersionInfo(await r.read(res.offset, res.size));
+    if (!info) return null;
+    const table = pickStringTable(info.tables, locales, info.translations);
+    const canon = canonicalTable(info);
+    const fields = t => ({
+      fileDescription: t?.strings.FileDescription || null,
+      productName: t?.strings.ProductName || null,
+      companyName: t?.strings.CompanyName || null,
+    });
+    return {
+      ...fields(table),
+      fileVersion: table?.strings.FileVersion || info.fileVersion,
+      productVersion: table?.strings.ProductVersion || info.productVersion,
+      lang: table ? table.lang : null,
+      canonical: fields(canon),
+    };
+  } catch {
+    return null;
+  } finally {
+    await r?.close();
+  }
+}
+
+export function isGenericDescription(desc, exeName = '') {
+  if (!desc || desc.length < 3) return true;
+  const bare = exeName.toLowerCase().replace(/\.exe$/, '');
+  const d = desc.toLowerCase().replace(/\.exe$/, '');
+  return GENERIC_DESCRIPTIONS.test(desc) || (bare && d === bare);
+}
+
+// имя приложения из версии: FileDescription, а если оно общее — ProductName
+export function versionInfoName(info, exeName = '') {
+  if (!info) return null;
+  const pick = f => (!isGenericDescription(f.fileDescription, exeName) ? f.fileDescription
+    : f.productName && f.productName.length >= 3 ? f.productName : f.fileDescription && f.fileDescription.length >= 3 ? f.fileDescription : null);
+  const name = pick(info.canonical);
+  if (!name) return null;
+  const localized = pick(info);
+  return { name, localized: localized && localized !== name ? localized : null };
+}
@@ -0,0 +1,191 @@
+// presence-png.js — минимальный PNG: чтение, уменьшение и запись без нативных зависимостей
+//
+// Поддерживается всё, что обычно встречается в иконках: глубина 8/16 бит,
+// оттенки серого (с альфой и без), RGB, RGBA и палитра (с tRNS). Чересстрочные (Adam7)
+// картинки не разбираются — decodePng вернёт null, и иконка уйдёт без уменьшения.
+
+import zlib from 'node:zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+export const isPng = buf => buf.length > 8 && buf.subarray(0, 8).equals(SIGNATURE);
+
+const CRC_TABLE = (() => {
+  const t = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = -1;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// → { width, height, data: Buffer RGBA } или null, если формат не поддержан
+export function decodePng(buf) {
+  if (!isPng(buf)) return null;
+  let pos = 8;
+  let ihdr = null;
+  let palette = null;
+  let trns = null;
+  const idat = [];
+  while (pos + 8 <= buf.length) {
+    const len = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const data = buf.subarray(pos + 8, pos + 8 + len);
+    pos += 12 + len;
+    if (type === 'IHDR') {
+      ihdr = {
+        width: data.readUInt32BE(0), height: data.readUInt32BE(4),
+        depth: data[8], color: data[9], interlace: data[12],
+      };
+    } else if (type === 'PLTE') palette = data;
+    else if (type === 'tRNS') trns = data;
+    else if (type === 'IDAT') idat.push(data);
+    else if (type === 'IEND') break;
+  }
+  if (!ihdr || ihdr.interlace || !CHANNELS[ihdr.color] || ![8, 16].includes(ihdr.depth)) return null;
+  if (ihdr.color === 3 && (!palette || ihdr.depth !== 8)) return null;
+
+  const { width, height, depth, color } = ihdr;
+  const bpp = CHANNELS[color] * (depth / 8); // байт на пиксель
+  const stride = width * bpp;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  if (raw.length < height * (stride + 1)) return null;
+
+  // снимаем фильтры построчно
+  const pixels = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = pixels.subarray(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : null;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? row[x - bpp] : 0;
+      const b = prev ? prev[x] : 0;
+      const c = prev && x >= bpp ? prev[x - bpp] : 0;
+      let v = src[x];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) v += paeth(a, b, c);
+      row[x] = v & 0xff;
+    }
+  }
+
+  // приводим к RGBA 8 бит; из 16-битных каналов берём старший байт
+  const out = Buffer.alloc(width * height * 4);
+  const step = depth / 8;
+  for (let i = 0; i < width * height; i++) {
+    const p = i * bpp;
+    const ch = k => pixels[p + k * step];
+    let r;
+    let g;
+    let b;
+    let a = 255;
+    if (color === 0) {
+      r = g = b = ch(0);
+    } else if (color === 4) {
+      r = g = b = ch(0);
+      a = ch(1);
+    } else if (color === 2) {
+      r = ch(0); g = ch(1); b = ch(2);
+    } else if (color === 6) {
+      r = ch(0); g = ch(1); b = ch(2); a = ch(3);
+    } else {
+      const idx = pixels[p];
+      r = palette[idx * 3]; g = palette[idx * 3 + 1]; b = palette[idx * 3 + 2];
+      a = trns && idx < trns.length ? trns[idx] : 255;
+    }
+    out[i * 4] = r;
+    out[i * 4 + 1] = g;
+    out[i * 4 + 2] = b;
+    out[i * 4 + 3] = a;
+  }
+  return { width, height, data: out };
+}
+
+// уменьшение с усреднением по площади (с учётом альфы), вписываем в size×size
+export function downscale(img, size) {
+  const scale = Math.min(1, size / Math.max(img.width, img.height));
+  if (scale === 1) return img;
+  const w = Math.max(1, Math.round(img.width * scale));
+  const h = Math.max(1, Math.round(img.height * scale));
+  const out = Buffer.alloc(w * h * 4);
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.floor(y * img.height / h);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * img.height / h));
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.floor(x * img.width / w);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * img.width / w));
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      let n = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const p = (sy * img.width + sx) * 4;
+          const al = img.data[p + 3];
+          r += img.data[p] * al;
+          g += img.data[p + 1] * al;
+          b += img.data[p + 2] * al;
+          a += al;
+          n++;
+        }
+      }
+      const o = (y * w + x) * 4;
+      if (a) {
+        out[o] = Math.round(r / a);
+        out[o + 1] = Math.round(g / a);
+        out[o + 2] = Math.round(b / a);
+      }
+      out[o + 3] = Math.round(a / n);
+    }
+  }
+  return { width: w, height: h, data: out };
+}
+
+function chunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+// RGBA → PNG (фильтр None, deflate)
+export function encodePng({ width, height, data }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  const raw = Buffer.alloc(height * (width * 4 + 1));
+  for (let y = 0; y < height; y++) {
+    data.copy(raw, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+  }
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
@@ -0,0 +1,139 @@
+// presence-privacy.js — настройки приватности, применяемые до отправки из воркера
+//
+// {
+//   hiddenExes: ['telegram.exe', 'c:\\work\\secret.exe'], // никогда не отправлять эти приложения
+//   mode: 'full' | 'minimal',  // minimal — наружу только displayName + category
+//   streamer: false,           // режим стримера — заголовки окон вырезаются полностью (и имена, взятые из них)
+//   invisible: false,          // невидимка — трекинг идёт локально, наружу ничего не уходит
+//   media: false,              // что играет в медиаплеерах (presence:media) — только если явно включено
+// }
+
+import path from 'node:path';
+import { fallbackName } from './presence-name-resolver.js';
+
+export const PRIVACY_MODES = ['full', 'minimal'];
+
+export const DEFAULT_PRIVACY = Object.freeze({
+  hiddenExes: [],
+  mode: 'full',
+  streamer: false,
+  invisible: false,
+  media: false,
+});
+
+// сообщения с данными об активности; остальные (ready, ошибки) проходят как есть
+const ACTIVITY_TYPES = new Set([
+  'presence:update', 'presence:heartbeat', 'presence:ended', 'presence:idle', 'presence:active', 'presence:detail',
+  'presence:media',
+]);
+
+// поля, которые остаются в режиме minimal
+const MINIMAL_FIELDS = [
+  'sessionId', 'source', 'displayName', 'category', 'confidence', 'ts', 'endedAt', 'reason', 'idle', 'idleSince',
+  'statusText',
+];
+
+// presence:media в режиме minimal: какой плеер и играет ли он, без трека
+const MEDIA_MINIMAL_FIELDS = ['player', 'identity', 'state', 'ts', 'reason'];
+
+// проверяет частичные настройки и накладывает их на base; бросает TypeError на мусоре
+export function mergePrivacy(base, patch = {}) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new TypeError('privacy: expected an object');
+  }
+  const next = { ...base };
+  for (const [key, val] of Object.entries(patch)) {
+    switch (key) {
+      case 'hiddenExes':
+        if (!Array.isArray(val) || val.some(v => typeof v !== 'string' || !v.trim())) {
+          throw new TypeError('privacy.hiddenExes: expected an array of exe names or paths');
+        }
+        next.hiddenExes = val.map(v => v.toLowerCase().trim());
+        break;
+      case 'mode':
+        if (!PRIVACY_MODES.includes(val)) {
+          throw new TypeError(`privacy.mode: expected one of ${PRIVACY_MODES.join(', ')}`);
+        }
+        next.mode = val;
+        break;
+      case 'streamer':
+      case 'invisible':
+      case 'media':
+        if (typeof val !== 'boolean') throw new TypeError(`privacy.${key}: expected a boolean`);
+        next[key] = val;
+        break;
+      default:
+        throw new TypeError(`privacy.${key}: unknown setting`);
+    }
+  }
+  return next;
+}
+
+// renderStatus(payload) — пересобрать statusText из урезанного payload: в строке статуса могут быть
+// заголовок, детали и exe, которые стример-режим и minimal вырезают (без renderStatus строка просто убирается)
+export function createPrivacyFilter(initial = {}, { renderStatus = null } = {}) {
+  let settings = mergePrivacy(DEFAULT_PRIVACY, initial);
+  let hidden = new Set(settings.hiddenExes);
+
+  const isHidden = (payload) => {
+    if (!payload || !hidden.size) return false;
+    const full = (payload.exePath || '').toLowerCase();
+    const base = payload.exeName || (full ? path.basename(full) : '');
+    return hidden.has(base) || (full && hidden.has(full));
+  };
+
+  // можно ли вообще показывать эту активность наружу
+  function isVisible(payload) {
+    return !settings.invisible && !isHidden(payload);
+  }
+
+  function redact(payload) {
+    let out = { ...payload };
+    if (settings.streamer) {
+      out.title = null;
+      out.extra = null; // детали тоже берутся из заголовка
+    }
+    // имя, которое резолвер взял из заголовка окна (nameSource: 'title'), — тот же заголовок:
+    // вместо него имя по exe, как на последнем шаге резолвера
+    if ((settings.streamer || settings.mode === 'minimal') && out.nameSource === 'title') {
+      const name = fallbackName(out.exeName) || 'Unknown App';
+      out.displayName = name;
+      if ('canonicalName' in out) out.canonicalName = name;
+      out.nameSource = 'fallback';
+    }
+    if (settings.mode === 'minimal') {
+      out = Object.fromEntries(MINIMAL_FIELDS.filter(k => k in out).map(k => [k, out[k]]));
+    }
+    if ('statusText' in out && (settings.streamer || settings.mode === 'minimal')) {
+      out.statusText = renderStatus ? renderStatus(out) : null;
+    }
+    return out;
+  }
+
+  // возвращает сообщение для отправки или null, если отправлять нельзя
+  function apply(msg) {
+    if (!msg || !ACTIVITY_TYPES.has(msg.type)) return msg;
+    if (msg.type === 'presence:media') {
+      if (!settings.media || settings.invisible) return null;
+      if (settings.mode !== 'minimal') return msg;
+      return { ...msg, payload: Object.fromEntries(MEDIA_MINIMAL_FIELDS.filter(k => k in msg.payload).map(k => [k, msg.payload[k]])) };
+    }
+    if (!isVisible(msg.payload)) return null;
+    // presence:detail несёт только заголовок и детали — в minimal/стример-режиме в нём нечего отправлять
+    if (msg.type === 'presence:detail' && (settings.streamer || settings.mode === 'minimal')) return null;
+    return { ...msg, payload: redact(msg.payload) };
+  }
+
+  function update(patch) {
+    settings = mergePrivacy(settings, patch);
+    hidden = new Set(settings.hiddenExes);
+    return settings;
+  }
+
+  return {
+    apply,
+    update,
+    isVisible,
+    get settings() { return settings; },
+  };
+}
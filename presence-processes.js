@@ -0,0 +1,195 @@
+// presence-processes.js — снимок таблицы процессов
+//
+// Сканер — объект с методами:
+//   list()        → [{ pid, exePath, processName, cmdline, startTime }] — вся таблица процессов;
+//   inspect(pids) → то же, но только для указанных pid (на Linux — без обхода всего /proc).
+// Оба возвращают null, если таблицу прочитать не удалось (ps завис или упал): это «неизвестно»,
+// а не «ничего не запущено».
+// startTime — время старта процесса (на Linux — в тиках с загрузки), null, если неизвестно;
+// по нему отличаем перезапуск с тем же pid. Нужен, чтобы игровая сессия жила,
+// пока жив процесс игры, даже без фокуса.
+
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+
+// ---- Linux: /proc/<pid>/exe + cmdline ----
+async function readLinuxProc(procRoot, pid) {
+  const dir = path.join(procRoot, String(pid));
+  let cmdline = [];
+  try {
+    const raw = await fsp.readFile(path.join(dir, 'cmdline'), 'utf8');
+    cmdline = raw.split('\0').filter(Boolean);
+  } catch {
+    return null; // процесс успел завершиться
+  }
+  let exePath = '';
+  try {
+    exePath = await fsp.readlink(path.join(dir, 'exe'));
+    exePath = exePath.replace(/ \(deleted\)$/, '');
+  } catch {
+    // чужой процесс (EACCES) или поток ядра — берём argv[0], если он есть
+    exePath = cmdline[0] || '';
+  }
+  if (!exePath) return null;
+  // /proc/<pid>/stat: поле 22 — starttime; имя процесса в скобках может содержать пробелы
+  let startTime = null;
+  try {
+    const stat = await fsp.readFile(path.join(dir, 'stat'), 'utf8');
+    const rest = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    startTime = Number(rest[19]) || null;
+  } catch {}
+  return { pid: Number(pid), exePath, processName: path.basename(exePath), cmdline, startTime };
+}
+
+async function listLinux(procRoot = '/proc') {
+  let entries = [];
+  try { entries = await fsp.readdir(procRoot); } catch { return null; }
+  const out = [];
+  for (const name of entries) {
+    if (!/^\d+$/.test(name)) continue;
+    const p = await readLinuxProc(procRoot, name);
+    if (p) out.push(p);
+  }
+  return out;
+}
+
+const SPAWN_TIMEOUT_MS = 5000;
+
+// запуск утилиты с таймаутом; stdout или null при ошибке, ненулевом коде выхода и таймауте —
+// зависший ps не должен держать опрос воркера
+function run(cmd, args, timeoutMs = SPAWN_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    let out = '';
+    let done = false;
+    const finish = (v) => { if (!done) { done = true; resolve(v); } };
+    let child;
+    try {
+      child = spawn(cmd, args, { windowsHide: true, stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch {
+      finish(null);
+      return;
+    }
+    const timer = setTimeout(() => { child.kill(); finish(null); }, timeoutMs);
+    child.stdout.on('data', d => out += d.toString());
+    child.on('error', () => { clearTimeout(timer); finish(null); });
+    child.on('close', (code) => { clearTimeout(timer); finish(code === 0 ? out : null); });
+  });
+}
+
+// ---- Windows: Get-Process (только процессы с известным путём) ----
+async function listWindows(timeoutMs) {
+  const out = await run('powershell.exe', [
+    '-NoProfile', '-Command',
+    'Get-Process | Where-Object Path | ForEach-Object { "$($_.Id)|$($_.Path)" }',
+  ], timeoutMs);
+  if (out === null) return null;
+  return out.split(/\r?\n/).map((line) => {
+    const i = line.indexOf('|');
+    if (i <= 0) return null;
+    const exePath = line.slice(i + 1).trim();
+    return {
+      pid: Number(line.slice(0, i)), exePath, processName: path.win32.basename(exePath), cmdline: [], startTime: null,
+    };
+  }).filter(p => p && Number.isInteger(p.pid) && p.exePath);
+}
+
+// ---- macOS: ps ----
+async function listDarwin(timeoutMs) {
+  const out = await run('ps', ['-axo', 'pid=,comm='], timeoutMs);
+  if (out === null) return null;
+  return out.split('\n').map((line) => {
+    const m = line.trim().match(/^(\d+)\s+(.+)$/);
+    if (!m) return null;
+    return { pid: Number(m[1]), exePath: m[2], processName: path.basename(m[2]), cmdline: [], startTime: null };
+  }).filter(Boolean);
+}
+
+// timeoutMs — сколько ждать ps/powershell, после этого процесс убивается, а скан считается недоступным (null)
+export function createProcessScanner({ platform = process.platform, procRoot = '/proc', timeoutMs = SPAWN_TIMEOUT_MS } = {}) {
+  async function list() {
+    if (platform === 'linux') return listLinux(procRoot);
+    if (platform === 'win32') return listWindows(timeoutMs);
+    if (platform === 'darwin') return listDarwin(timeoutMs);
+    return [];
+  }
+
+  async function inspect(pids) {
+    if (platform !== 'linux') {
+      const wanted = new Set(pids);
+      const all = await list();
+      return all && all.filter(p => wanted.has(p.pid));
+    }
+    const out = [];
+    for (const pid of pids) {
+      const p = await readLinuxProc(procRoot, pid);
+      if (p) out.push(p);
+    }
+    return out;
+  }
+
+  return { name: platform, list, inspect };
+}
+
+// для тестов: список процессов задаётся руками; set(null) — таблица недоступна
+export function createFakeProcessScanner(initial = []) {
+  let procs = [...initial];
+  return {
+    name: 'fake',
+    set(list) { procs = list && [...list]; },
+    async list() { return procs; },
+    async inspect(pids) { return procs && procs.filter(p => pids.includes(p.pid)); },
+  };
+}
+
+// ---- Wine/Proton: какой Windows exe на самом деле запущен ----
+// Под Proton /proc/<pid>/exe указывает на wine(64)-preloader, а сам exe виден только
+// в cmdline; префикс и appid Steam — в окружении процесса (STEAM_COMPAT_DATA_PATH = …/compatdata/<appid>).
+const WINE_LOADER_RE = /^wine(64)?(-preloader)?$/;
+
+export const isWineLoader = exePath => WINE_LOADER_RE.test(path.basename(exePath || ''));
+
+export function steamAppIdFromPath(p) {
+  return (p || '').replace(/\\/g, '/').match(/\/compatdata\/(\d+)(\/|$)/)?.[1] || null;
+}
+
+// "Z:\\home\\me\\game.exe" → "/home/me/game.exe"; "C:\\Games\\x.exe" → "<prefix>/drive_c/Games/x.exe"
+export function wineToUnixPath(winPath, prefix) {
+  const m = (winPath || '').match(/^([A-Za-z]):[\\/](.*)$/);
+  if (!m) return winPath && winPath.startsWith('/') ? winPath : null;
+  const rest = m[2].split(/[\\/]+/).filter(Boolean);
+  const drive = m[1].toLowerCase();
+  if (drive === 'z') return '/' + rest.join('/');
+  if (!prefix) return null;
+  if (drive === 'c') return path.join(prefix, 'drive_c', ...rest);
+  return path.join(prefix, 'dosdevices', `${drive}:`, ...rest);
+}
+
+// { windowsExe, exePath, prefix, appid } или null, если процесс не под Wine/Proton
+export async function readWineProcess(pid, { procRoot = '/proc' } = {}) {
+  const dir = path.join(procRoot, String(pid));
+  let cmdline;
+  let environ;
+  try {
+    cmdline = (await fsp.readFile(path.join(dir, 'cmdline'), 'utf8')).split('\0').filter(Boolean);
+    environ = (await fsp.readFile(path.join(dir, 'environ'), 'utf8')).split('\0').filter(Boolean);
+  } catch {
+    return null;
+  }
+  const env = Object.fromEntries(environ.map((kv) => {
+    const i = kv.indexOf('=');
+    return [kv.slice(0, i), kv.slice(i + 1)];
+  }));
+  const windowsExe = cmdline.find(a => /\.exe$/i.test(a));
+  if (!windowsExe) return null;
+  const compat = env.STEAM_COMPAT_DATA_PATH || null;
+  const prefix = env.WINEPREFIX || (compat ? path.join(compat, 'pfx') : null);
+  const appid = env.SteamAppId || env.SteamGameId || env.STEAM_COMPAT_APP_ID
+    || steamAppIdFromPath(compat) || steamAppIdFromPath(prefix);
+  let exePath = wineToUnixPath(windowsExe, prefix);
+  if (exePath) {
+    // D:, E: и т.п. — симлинки в dosdevices; раскрываем, чтобы путь совпал с индексом
+    try { exePath = await fsp.realpath(exePath); } catch {}
+  }
+  return { windowsExe, exePath, prefix, appid: appid && appid !== '0' ? String(appid) : null };
+}
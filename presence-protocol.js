@@ -0,0 +1,64 @@
+// presence-protocol.js — версионированный протокол запрос/ответ между родителем и воркером
+//
+// Запрос:  { type: 'request',  v: 1, id: 'abc', command: 'get-state', args: {...} }
+// Ответ:   { type: 'response', v: 1, id: 'abc', ok: true,  result: {...} }
+//          { type: 'response', v: 1, id: 'abc', ok: false, error: { code, message } }
+//
+// id — произвольная строка/число от родителя, возвращается в ответе как есть.
+
+export const PROTOCOL_VERSION = 1;
+export const WORKER_VERSION = '1.0.0';
+
+export const ERROR_CODES = Object.freeze({
+  BAD_REQUEST: 'bad-request',
+  UNSUPPORTED_VERSION: 'unsupported-version',
+  UNKNOWN_COMMAND: 'unknown-command',
+  INVALID_ARGS: 'invalid-args',
+  INTERNAL: 'internal',
+});
+
+export class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+export const isRequest = msg => Boolean(msg) && typeof msg === 'object' && msg.type === 'request';
+
+const reply = (id, body) => ({ type: 'response', v: PROTOCOL_VERSION, id: id ?? null, ...body });
+
+// ответ с ошибкой без роутера — для тех, кто отклоняет запрос до воркера (например, сокет-приёмник)
+export const errorResponse = (id, code, message) => reply(id, { ok: false, error: { code, message } });
+
+// handlers: { [command]: async (args) => result }; ошибка ProtocolError уходит с её кодом,
+// любая другая — как internal
+export function createCommandRouter(handlers) {
+  async function handle(msg) {
+    const id = msg?.id;
+    try {
+      if (typeof id !== 'string' && typeof id !== 'number') {
+        throw new ProtocolError(ERROR_CODES.BAD_REQUEST, 'request id must be a string or a number');
+      }
+      if (msg.v !== PROTOCOL_VERSION) {
+        throw new ProtocolError(ERROR_CODES.UNSUPPORTED_VERSION,
+          `unsupported protocol version ${JSON.stringify(msg.v)} (worker speaks ${PROTOCOL_VERSION})`);
+      }
+      if (typeof msg.command !== 'string' || !Object.hasOwn(handlers, msg.command)) {
+        throw new ProtocolError(ERROR_CODES.UNKNOWN_COMMAND, `unknown command ${JSON.stringify(msg.command)}`);
+      }
+      const args = msg.args ?? {};
+      if (typeof args !== 'object' || Array.isArray(args)) {
+        throw new ProtocolError(ERROR_CODES.INVALID_ARGS, 'args must be an object');
+      }
+      const result = await handlers[msg.command](args);
+      return reply(id, { ok: true, result: result ?? null });
+    } catch (e) {
+      const code = e instanceof ProtocolError ? e.code : ERROR_CODES.INTERNAL;
+      return errorResponse(id, code, String(e?.message || e));
+    }
+  }
+
+  return { handle, commands: Object.keys(handlers) };
+}
@@ -0,0 +1,195 @@
+// presence-replay.js — воспроизведение записанной трассы через воркер
+//
+// Сэмплы окна подаются в воркер по одному, часы виртуальные (ts из трассы),
+// имена берутся из записанных ответов резолвера, настройки и правила — из заголовка
+// трассы и записанных изменений. Отправленные события (после фильтра приватности)
+// сравниваются с записанными.
+
+import { createPresenceWorker } from './presence-worker.js';
+import { createScriptedProvider } from './presence-window-providers.js';
+import { readTrace, resolveKey } from './presence-trace.js';
+import { buildRules } from './presence-rules.js';
+import { PROTOCOL_VERSION } from './presence-protocol.js';
+
+// резолвер, отвечающий записанными именами; при промахе — fallback (если задан)
+function createRecordedResolver(records, fallback, clock) {
+  const answers = new Map(); // key -> [{ name, canonicalName, source, icon }, ...]
+  for (const r of records) {
+    if (r.kind !== 'resolve') continue;
+    const k = resolveKey(r.input);
+    if (!answers.has(k)) answers.set(k, []);
+    answers.get(k).push({ name: r.name, canonicalName: r.canonicalName ?? r.name, source: r.source ?? null, icon: r.icon ?? null });
+  }
+  async function resolveName(input) {
+    const queue = answers.get(resolveKey(input));
+    if (queue?.length) return queue.length > 1 ? queue.shift() : queue[0];
+    if (fallback?.resolveName) return fallback.resolveName(input);
+    const name = fallback ? await fallback.resolveDisplayName(input) : null;
+    return { name, canonicalName: name, icon: null };
+  }
+  // попадания в базу распознавания: от них зависит категория окна
+  const detections = new Map();
+  for (const r of records) if (r.kind === 'detect') detections.set(r.exePath, { id: r.id, name: r.name });
+  // индекс библиотек: последний записанный к текущему моменту ответ — библиотека могла поменяться посреди трассы
+  const libraryAnswers = new Map(); // exePath -> [{ ts, hit }, ...]
+  for (const r of records) {
+    if (r.kind !== 'library') continue;
+    if (!libraryAnswers.has(r.exePath)) libraryAnswers.set(r.exePath, []);
+    libraryAnswers.get(r.exePath).push({ ts: r.ts, hit: r.hit });
+  }
+  // Wine/Proton: настоящий exe процесса читался из /proc машины, на которой писали трассу
+  const wine = new Map(); // `${pid}|${exePath}` -> hit
+  for (const r of records) if (r.kind === 'wine') wine.set(`${r.pid}|${r.exePath}`, r.hit);
+  return {
+    async warmup() {},
+    resolveName,
+    async resolveDisplayName(input) { return (await resolveName(input)).name; },
+    detect: exePath => detections.get(exePath) ?? fallback?.detect?.(exePath) ?? null,
+    async wine(exePath, pid) {
+      const key = `${pid}|${exePath}`;
+      return wine.has(key) ? wine.get(key) : (await fallback?.wine?.(exePath, pid)) ?? null;
+    },
+    library(exePath) {
+      const answers = libraryAnswers.get(exePath);
+      if (!answers) return fallback?.library?.(exePath) ?? null;
+      let hit = null;
+      for (const a of answers) {
+        if (a.ts > clock()) break;
+        hit = a.hit;
+      }
+      return hit;
+    },
+  };
+}
+
+// idle отдаётся таким, каким он был записан к текущему моменту виртуальных часов
+function createRecordedIdleSource(records, clock) {
+  const readings = records.filter(r => r.kind === 'idle');
+  return {
+    name: 'recorded',
+    async getIdleMs() {
+      let ms = null;
+      for (const r of readings) {
+        if (r.ts > clock()) break;
+        ms = r.idleMs;
+      }
+      return ms;
+    },
+  };
+}
+
+// медиаплееры — последний записанный ответ к текущему моменту
+function createRecordedMediaSource(records, clock) {
+  const readings = records.filter(r => r.kind === 'media');
+  return {
+    name: 'recorded',
+    async getPlayers() {
+      let players = null;
+      for (const r of readings) {
+        if (r.ts > clock()) break;
+        players = r.players;
+      }
+      return players;
+    },
+  };
+}
+
+// таблица процессов — последний записанный скан к текущему моменту (null — скан не удался)
+function createRecordedProcessScanner(records, clock) {
+  const scans = records.filter(r => r.kind === 'processes');
+  return {
+    name: 'recorded',
+    async list() {
+      let procs = [];
+      for (const r of scans) {
+        if (r.ts > clock()) break;
+        procs = r.processes;
+      }
+      return procs;
+    },
+  };
+}
+
+// правила из трассы: заголовок, затем каждая записанная загрузка файла
+function createRecordedRules(json) {
+  let current = buildRules(json);
+  return {
+    get current() { return current; },
+    set(next) { current = buildRules(next); },
+  };
+}
+
+export async function replayTrace(filePath, { resolver } = {}) {
+  const records = await readTrace(filePath);
+  const meta = records.find(r => r.kind === 'meta');
+  const config = meta?.config ?? {};
+  const samples = records.filter(r => r.kind === 'sample');
+  const expected = records.filter(r => r.kind === 'event').map(r => r.message);
+
+  const actual = [];
+  let clock = samples[0]?.ts ?? 0;
+  const rules = createRecordedRules(meta?.rules ?? {});
+  const worker = createPresenceWorker({
+    provider: createScriptedProvider(samples.map(s => s.window)),
+    resolver: createRecordedResolver(records, resolver, () => clock),
+    send: msg => actual.push(msg),
+    now: () => clock,
+    trace: null,
+    journal: null,
+    idle: { ...config.idle, source: createRecordedIdleSource(records, () => clock) },
+    processes: createRecordedProcessScanner(records, () => clock),
+    rules, // правила машины, на которой писали трассу, а не её presence-rules.json
+    media: { ...config.media, source: createRecordedMediaSource(records, () => clock) },
+    privacy: config.privacy,
+    sessions: config.sessions,
+    titleParsers: config.titleParsers,
+    classifier: config.classifier,
+    statusText: config.statusText,
+    locales: config.locales ?? [], // язык строки статуса — как при записи
+  });
+
+  // presence:ready отправляется при старте, а не из опроса
+  if (expected[0]?.type === 'presence:ready') actual.push({ type: 'presence:ready' });
+
+  // записи идут в порядке событий: смена настроек или правил применяется между теми же сэмплами, что и при записи
+  let requestId = 0;
+  for (const r of records) {
+    if (r.kind === 'sample') {
+      clock = r.ts;
+      await worker.pollActive();
+    } else if (r.kind === 'config') {
+      clock = r.ts;
+      const res = await worker.request({ type: 'request', v: PROTOCOL_VERSION, id: ++requestId, command: 'set-config', args: r.patch });
+      if (!res.ok) throw new Error(`trace ${filePath}: set-config at ${r.ts} failed: ${res.error.message}`);
+    } else if (r.kind === 'rules') {
+      clock = r.ts;
+      rules.set(r.rules);
+      await worker.reevaluate();
+    }
+  }
+  // остановка при записи закрыла отложенные сессии (presence:ended) — без неё их не будет и здесь
+  await worker.stop();
+
+  // sessionId случайны — сравниваем их по порядку появления
+  const normalizeIds = (messages) => {
+    const ids = new Map();
+    return messages.map((m) => {
+      const id = m?.payload?.sessionId;
+      if (!id) return m;
+      if (!ids.has(id)) ids.set(id, `session-${ids.size + 1}`);
+      return { ...m, payload: { ...m.payload, sessionId: ids.get(id) } };
+    });
+  };
+  const want = normalizeIds(expected);
+  const got = normalizeIds(actual);
+
+  const diffs = [];
+  const len = Math.max(expected.length, actual.length);
+  for (let i = 0; i < len; i++) {
+    if (JSON.stringify(want[i]) !== JSON.stringify(got[i])) {
+      diffs.push({ index: i, expected: want[i] ?? null, actual: got[i] ?? null });
+    }
+  }
+
+  return { ok: diffs.length === 0, samples: samples.length, expected, actual, diffs };
+}
@@ -0,0 +1,272 @@
+// presence-rules.js — встроенные списки классификации + пользовательский presence-rules.json
+//
+// Пользовательский файл лежит в userDataDir и накладывается поверх встроенных списков:
+// {
+//   "version": 1,
+//   "names":      { "mygame.exe": "My Game" },       // exe → название (перекрывает KNOWN_EXE_MAP)
+//   "categories": { "obs64.exe": "geek" },           // принудительная категория: game | geek | other
+//   "pathHints":  ["^d:\\\\games\\\\"],              // дополнительные регулярки для GAME_PATH_HINTS
+//   "ignore":     ["updater.exe"]                    // никогда не считать активностью
+// }
+// Файл перечитывается при изменении (fs.watch), невалидный файл не применяется.
+
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { createLogger } from './presence-log.js';
+
+export const RULES_FILE = 'presence-rules.json';
+export const RULES_VERSION = 1;
+export const CATEGORIES = ['game', 'geek', 'other'];
+
+const RELOAD_DEBOUNCE_MS = 200;
+
+// лаунчеры игнорируем
+export const LAUNCHER_BASES = new Set([
+  'steam.exe',
+  'epicgameslauncher.exe',
+  'battle.net.exe',
+  'origin.exe',
+  'ea desktop.exe'
+]);
+
+// явный стоп-лист «не игр»
+export const NON_GAME_BASES = new Set([
+  // браузеры
+  'chrome.exe','msedge.exe','firefox.exe','opera.exe','opera_gx.exe','brave.exe','vivaldi.exe','iexplore.exe','safari.exe',
+  // мессенджеры/клиенты
+  'discord.exe','telegram.exe','slack.exe','teams.exe','skype.exe',
+  // офис/почта
+  'outlook.exe','winword.exe','excel.exe','powerpnt.exe','thunderbird.exe',
+]);
+
+export const KNOWN_EXE_MAP = new Map([
+  ['cs2.exe', 'Counter-Strike 2'],
+  ['csgo.exe', 'Counter-Strike: Global Offensive'],
+  ['dota2.exe', 'Dota 2'],
+  ['eldenring.exe', 'ELDEN RING'],
+  ['witcher3.exe', 'The Witcher 3'],
+  ['steam.exe', 'Steam'],
+  ['epicgameslauncher.exe', 'Epic Games Launcher'],
+  ['battle.net.exe', 'Battle.net'],
+  ['code.exe', 'Visual Studio Code'],
+  ['discord.exe', 'Discord'],
+  ['electron', 'Electron App'],
+  ['terminal', 'Terminal'],
+]);
+
+export const KNOWN_GEEK_SET = new Set([
+  // IDE/редакторы
+  'code.exe','goland64.exe','idea64.exe','pycharm64.exe','webstorm64.exe','clion64.exe',
+  'studio64.exe','devenv.exe','sublime_text.exe','notepad++.exe',
+  'rider64.exe','phpstorm64.exe','rubymine64.exe','datagrip64.exe','codium.exe','code - insiders.exe',
+  // IDE/редакторы: бинарники Linux и macOS (Contents/MacOS/<имя>) и бандлы .app, которые отдаёт active-win на macOS
+  'code','code-oss','codium','code-insiders','idea','pycharm','goland','webstorm','clion','rider','phpstorm',
+  'rubymine','datagrip','studio','sublime_text',
+  'visual studio code.app','vscodium.app','intellij idea.app','intellij idea ce.app','pycharm.app','pycharm ce.app',
+  'goland.app','webstorm.app','clion.app','rider.app','phpstorm.app','rubymine.app','datagrip.app',
+  'android studio.app','sublime text.app',
+  // инструменты
+  'powershell.exe','wt.exe','windowsterminal.exe','conhost.exe','cmd.exe','wsl.exe',
+  'git.exe','gitkraken.exe','sourceTree.exe','docker desktop.exe','docker.exe','kubectl.exe',
+  'postman.exe','insomnia.exe','dbeaver.exe','tableplus.exe','heidisql.exe','pgadmin4.exe',
+  'obsidian.exe','figma.exe','unity.exe','ue4editor.exe','unrealeditor.exe','blender.exe',
+  // коммуникации
+  'discord.exe','telegram.exe','slack.exe'
+]);
+
+// подсказки по путям библиотек игр (используются только в классификации активного окна)
+export const GAME_PATH_HINTS = [
+  /steamapps[\/\\]common[\/\\]/i,
+  /\\steam\\.*\\common\\*/i,
+  /epic\s*games/i,
+  /gog\s*galaxy[\/\\]games/i,
+  /ubisoft\s*(connect|game\s*launcher)/i,
+  /battle\.net/i,
+  /origin[\/\\]|ea\s*(games|desktop)/i,
+  /riot\s*games/i,
+  /rockstar\s*games/i,
+  /xboxgames|microsoft\\xbox/i,
+  /games[\/\\](?=.*\.(exe|app))/i
+];
+
+// ---- валидация пользовательского файла ----
+// возвращает список ошибок вида "categories["x.exe"]: ..." — пустой, если всё ок
+export function validateRules(json) {
+  const errors = [];
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    return ['root: expected an object'];
+  }
+
+  const known = ['version', 'names', 'categories', 'pathHints', 'ignore'];
+  for (const key of Object.keys(json)) {
+    if (!known.includes(key)) errors.push(`${key}: unknown field (expected one of ${known.join(', ')})`);
+  }
+
+  if (json.version !== undefined && json.version !== RULES_VERSION) {
+    errors.push(`version: unsupported version ${JSON.stringify(json.version)} (expected ${RULES_VERSION})`);
+  }
+
+  const checkMap = (field, checkValue) => {
+    const v = json[field];
+    if (v === undefined) return;
+    if (!v || typeof v !== 'object' || Array.isArray(v)) {
+      errors.push(`${field}: expected an object`);
+      return;
+    }
+    for (const [k, val] of Object.entries(v)) {
+      if (!k.trim()) errors.push(`${field}: empty exe name`);
+      const err = checkValue(val);
+      if (err) errors.push(`${field}[${JSON.stringify(k)}]: ${err}`);
+    }
+  };
+  checkMap('names', val =>
+    (typeof val === 'string' && val.trim() ? null : 'expected a non-empty string'));
+  checkMap('categories', val =>
+    (CATEGORIES.includes(val) ? null : `expected one of ${CATEGORIES.join(', ')}`));
+
+  const checkList = (field, checkItem) => {
+    const v = json[field];
+    if (v === undefined) return;
+    if (!Array.isArray(v)) {
+      errors.push(`${field}: expected an array`);
+      return;
+    }
+    v.forEach((item, i) => {
+      const err = checkItem(item);
+      if (err) errors.push(`${field}[${i}]: ${err}`);
+    });
+  };
+  checkList('pathHints', (item) => {
+    if (typeof item !== 'string' || !item) return 'expected a non-empty regex string';
+    try { new RegExp(item, 'i'); } catch (e) { return `invalid regex: ${String(e?.message || e)}`; }
+    return null;
+  });
+  checkList('ignore', item =>
+    (typeof item === 'string' && item.trim() ? null : 'expected a non-empty exe name'));
+
+  return errors;
+}
+
+// ---- слияние со встроенными списками ----
+export function buildRules(user = {}) {
+  const knownMap = new Map(KNOWN_EXE_MAP);
+  for (const [k, v] of Object.entries(user.names || {})) knownMap.set(k.toLowerCase().trim(), v.trim());
+
+  const forced = new Map();
+  for (const [k, v] of Object.entries(user.categories || {})) forced.set(k.toLowerCase().trim(), v);
+
+  const ignore = new Set((user.ignore || []).map(s => s.toLowerCase().trim()));
+  const pathHints = [...GAME_PATH_HINTS, ...(user.pathHints || []).map(s => new RegExp(s, 'i'))];
+
+  function hasGameHint(p) {
+    const lp = (p || '').toLowerCase();
+    return pathHints.some(rx => rx.test(lp));
+  }
+
+  // пользовательский ignore — всегда; встроенные стоп-листы — если категория не задана явно
+  function isIgnored(base) {
+    const b = (base || '').toLowerCase();
+    if (ignore.has(b)) return true;
+    if (forced.has(b)) return false;
+    return LAUNCHER_BASES.has(b) || NON_GAME_BASES.has(b);
+  }
+
+  // категорию по этим спискам считает presence-classifier.js; user — исходный файл (для трассы)
+  return { user, knownMap, forced, ignore, pathHints, hasGameHint, isIgnored };
+}
+
+// ---- хранилище правил с горячей перезагрузкой ----
+// userDataDir = null → только встроенные списки, без файла и без watch
+export function createRulesStore({
+                                   userDataDir = null,
+                                   onChange = () => {},
+                                   onError = () => {},
+                                   logger = createLogger(),
+                                 } = {}) {
+
+  const log = logger.child('rules');
+
+  const rulesPath = userDataDir ? path.join(userDataDir, RULES_FILE) : null;
+  let current = buildRules();
+  let errors = [];
+  let watcher = null;
+  let reloadTimer = null;
+
+  // читает файл; при ошибке оставляет предыдущие правила и возвращает false
+  async function load() {
+    if (!rulesPath) return true;
+    let txt;
+    try {
+      txt = await fsp.readFile(rulesPath, 'utf8');
+    } catch (e) {
+      if (e?.code !== 'ENOENT') {
+        errors = [`read: ${String(e?.message || e)}`];
+        onError({ path: rulesPath, errors });
+        return false;
+      }
+      txt = null; // файла нет — только встроенные правила
+    }
+
+    let json = {};
+    if (txt !== null) {
+      try {
+        json = JSON.parse(txt);
+      } catch (e) {
+        errors = [`json: ${String(e?.message || e)}`];
+        onError({ path: rulesPath, errors });
+        return false;
+      }
+    }
+
+    const found = validateRules(json);
+    if (found.length) {
+      errors = found;
+      onError({ path: rulesPath, errors });
+      return false;
+    }
+
+    errors = [];
+    current = buildRules(json);
+    return true;
+  }
+
+  function scheduleReload() {
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(async () => {
+      reloadTimer = null;
+      if (await load()) onChange(current);
+    }, RELOAD_DEBOUNCE_MS);
+  }
+
+  // следим за каталогом, а не за файлом: так ловим и создание, и замену через rename
+  async function start() {
+    await load();
+    if (!rulesPath || watcher) return;
+    try {
+      await fsp.mkdir(userDataDir, { recursive: true });
+      watcher = fs.watch(userDataDir, (_event, filename) => {
+        if (filename && filename !== RULES_FILE) return;
+        scheduleReload();
+      });
+      watcher.on('error', e => log.error('watch error:', e));
+    } catch (e) {
+      log.error('watch failed:', e);
+    }
+  }
+
+  function stop() {
+    clearTimeout(reloadTimer);
+    watcher?.close();
+    watcher = null;
+  }
+
+  return {
+    start,
+    stop,
+    load,
+    get path() { return rulesPath; },
+    get current() { return current; },
+    get errors() { return errors; },
+  };
+}
@@ -0,0 +1,348 @@
+// presence-sinks.js — куда уходят сообщения воркера
+//
+// Приёмник (sink) — { name, start?(), send(msg), close?(), stats? }. Воркер отдаёт сообщения в
+// send(), а fanout раздаёт их всем приёмникам сразу; ошибка одного приёмника не мешает остальным.
+//   ipc     — process.send родителю (режим fork из Electron, как раньше);
+//   ndjson  — по строке JSON на сообщение в поток (stdout);
+//   socket  — локальный Unix-сокет (named pipe на Windows): любое число подписчиков читает NDJSON
+//             и может слать запросы протокола строками — ответ приходит только спросившему.
+//             Подписчикам доступны только команды чтения (SOCKET_COMMANDS): set-config, diagnostics
+//             с записью файла и прочие команды, меняющие состояние, остаются у родителя;
+//   webhook — POST JSON на URL с повторами и экспоненциальной задержкой.
+// Спецификация в CLI: ipc | ndjson | socket:<путь> | webhook:<url>.
+
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import net from 'node:net';
+import { ERROR_CODES, errorResponse, isRequest } from './presence-protocol.js';
+import { createLogger } from './presence-log.js';
+
+export const SINK_KINDS = ['ipc', 'ndjson', 'socket', 'webhook'];
+export const SOCKET_COMMANDS = ['hello', 'get-state'];
+
+const SOCKET_MAX_BUFFER = 1024 * 1024; // подписчик, который не читает, отключается, а не копит память
+const WEBHOOK_RETRIES = 5;
+const WEBHOOK_BACKOFF_MS = 1000;
+const WEBHOOK_MAX_BACKOFF_MS = 30 * 1000;
+const WEBHOOK_TIMEOUT_MS = 5000;
+const WEBHOOK_MAX_QUEUE = 500;
+const WEBHOOK_DRAIN_MS = 5000;
+
+const line = msg => JSON.stringify(msg) + '\n';
+
+// ---- ipc ----
+export function createIpcSink({ proc = process } = {}) {
+  return {
+    name: 'ipc',
+    send(msg) { proc.send?.(msg); },
+  };
+}
+
+// ---- ndjson ----
+export function createNdjsonSink({ stream = process.stdout } = {}) {
+  return {
+    name: 'ndjson',
+    send(msg) { stream.write(line(msg)); },
+  };
+}
+
+// ---- socket ----
+// onRequest(msg) → Promise<response> — обработчик запросов протокола от подписчиков (например, worker.request);
+// до него доходят только команды из commands, на остальные сокет сам отвечает unknown-command
+export function createSocketSink({
+  path: socketPath,
+  onRequest = null,
+  commands = SOCKET_COMMANDS,
+  platform = process.platform,
+  logger = createLogger(),
+} = {}) {
+  const log = logger.child('sinks');
+  if (!socketPath) throw new TypeError('socket sink: path is required');
+  const clients = new Set();
+  // последнее сообщение по каждой открытой сессии: новый подписчик сразу видит текущее состояние
+  const live = new Map();
+  let readyMsg = null;
+  let server = null;
+  const stats = { clients: 0, connections: 0, sent: 0, dropped: 0 };
+
+  const write = (socket, msg) => {
+    if (socket.writableLength > SOCKET_MAX_BUFFER) {
+      stats.dropped++;
+      log.warn('socket subscriber is not reading, disconnecting');
+      socket.destroy();
+      return;
+    }
+    socket.write(line(msg));
+  };
+
+  function track(msg) {
+    if (msg?.type === 'presence:ready') readyMsg = msg;
+    const id = msg?.payload?.sessionId;
+    if (!id || typeof msg.type !== 'string' || !msg.type.startsWith('presence:')) return;
+    if (msg.type === 'presence:ended') live.delete(id);
+    else if (msg.type !== 'presence:detail') live.set(id, msg);
+  }
+
+  function onConnection(socket) {
+    clients.add(socket);
+    stats.connections++;
+    stats.clients = clients.size;
+    socket.setEncoding('utf8');
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      clients.delete(socket);
+      stats.clients = clients.size;
+    });
+    if (readyMsg) write(socket, readyMsg);
+    for (const msg of live.values()) write(socket, msg);
+
+    let buf = '';
+    socket.on('data', async (chunk) => {
+      buf += chunk;
+      let nl;
+      while ((nl = buf.indexOf('\n')) >= 0) {
+        const text = buf.slice(0, nl).trim();
+        buf = buf.slice(nl + 1);
+        if (!text || !onRequest) continue;
+        let msg;
+        try { msg = JSON.parse(text); } catch { continue; }
+        if (!isRequest(msg)) continue;
+        if (!commands.includes(msg.command)) {
+          if (!socket.destroyed) {
+            write(socket, errorResponse(msg.id, ERROR_CODES.UNKNOWN_COMMAND,
+              `command ${JSON.stringify(msg.command)} is not available over the socket (allowed: ${commands.join(', ')})`));
+          }
+          continue;
+        }
+        try {
+          const res = await onRequest(msg);
+          if (res && !socket.destroyed) write(socket, res);
+        } catch (e) {
+          log.warn('socket request error:', String(e?.message || e));
+        }
+      }
+    });
+  }
+
+  // сокет от упавшего процесса остаётся файлом: если к нему никто не отвечает — удаляем
+  async function removeStale() {
+    if (platform === 'win32') return;
+    try {
+      await fsp.lstat(socketPath);
+    } catch {
+      return;
+    }
+    const alive = await new Promise((resolve) => {
+      const probe = net.connect(socketPath);
+      probe.once('connect', () => { probe.destroy(); resolve(true); });
+      probe.once('error', () => resolve(false));
+    });
+    if (alive) throw new Error(`socket sink: ${socketPath} is in use by another process`);
+    await fsp.unlink(socketPath);
+  }
+
+  // только для текущего пользователя: в потоке есть пути и заголовки окон. Права задаются umask на время
+  // bind (он синхронный внутри listen), а не chmod после: иначе до chmod к сокету успел бы подключиться кто угодно
+  async function start() {
+    await removeStale();
+    server = net.createServer(onConnection);
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      const mask = platform !== 'win32' ? process.umask(0o177) : null;
+      try {
+        server.listen(socketPath, () => {
+          server.off('error', reject);
+          resolve();
+        });
+      } finally {
+        if (mask !== null) process.umask(mask);
+      }
+    });
+    server.on('error', e => log.warn('socket server error:', String(e?.message || e)));
+  }
+
+  function send(msg) {
+    track(msg);
+    if (!clients.size) return;
+    stats.sent++;
+    for (const socket of clients) write(socket, msg);
+  }
+
+  async function close() {
+    for (const socket of clients) socket.end();
+    if (server) await new Promise(resolve => server.close(() => resolve()));
+    server = null;
+    if (platform !== 'win32') fs.rmSync(socketPath, { force: true });
+  }
+
+  return {
+    name: 'socket',
+    start,
+    send,
+    close,
+    get path() { return socketPath; },
+    get stats() { return { ...stats }; },
+  };
+}
+
+// ---- webhook ----
+// Доставка по порядку, по одному запросу. Повторяются сетевые ошибки, таймауты, 408, 429 и 5xx
+// (429/503 — с учётом Retry-After); остальные 4xx — сразу в отброшенные. При переполнении очереди
+// первыми теряются heartbeat-ы: они всё равно повторятся через несколько секунд.
+export function createWebhookSink({
+  url,
+  headers = {},
+  retries = WEBHOOK_RETRIES,
+  backoffMs = WEBHOOK_BACKOFF_MS,
+  maxBackoffMs = WEBHOOK_MAX_BACKOFF_MS,
+  timeoutMs = WEBHOOK_TIMEOUT_MS,
+  maxQueue = WEBHOOK_MAX_QUEUE,
+  fetch: fetchImpl = globalThis.fetch,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  random = Math.random,
+  logger = createLogger(),
+} = {}) {
+  const log = logger.child('sinks');
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    throw new TypeError(`webhook sink: invalid url ${JSON.stringify(url)}`);
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw new TypeError('webhook sink: url must be http or https');
+  }
+  if (typeof fetchImpl !== 'function') throw new Error('webhook sink: fetch is not available (Node 18+)');
+
+  const queue = [];
+  const stats = { sent: 0, retried: 0, failed: 0, dropped: 0, lastError: null };
+  let running = null;
+  let abandoned = false; // close() не дождался очереди — оставшиеся сообщения без повторов
+
+  const retryable = status => status === 408 || status === 429 || status >= 500;
+
+  // задержка перед попыткой attempt (с 1): экспонента с разбросом ±20%, Retry-After важнее
+  function delayFor(attempt, res) {
+    const raw = res?.headers?.get?.('retry-after');
+    const after = raw ? Number(raw) : NaN;
+    if (Number.isFinite(after) && after >= 0) return Math.min(after * 1000, maxBackoffMs);
+    const base = Math.min(backoffMs * 2 ** (attempt - 1), maxBackoffMs);
+    return Math.round(base * (0.8 + 0.4 * random()));
+  }
+
+  async function deliver(msg) {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      let res = null;
+      let error = null;
+      try {
+        res = await fetchImpl(target, {
+          method: 'POST',
+          headers: { 'content-type': 'application/json', ...headers },
+          body: JSON.stringify(msg),
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (res.ok) {
+          stats.sent++;
+          return;
+        }
+        error = `HTTP ${res.status}`;
+        if (!retryable(res.status)) break;
+      } catch (e) {
+        error = String(e?.message || e);
+      }
+      stats.lastError = error;
+      if (attempt === retries || abandoned) break;
+      stats.retried++;
+      await sleep(delayFor(attempt + 1, res));
+    }
+    stats.failed++;
+    log.warn('webhook delivery failed:', msg?.type, stats.lastError);
+  }
+
+  async function pump() {
+    while (queue.length) {
+      await deliver(queue[0]);
+      queue.shift();
+    }
+    running = null;
+  }
+
+  function send(msg) {
+    if (msg?.type === 'response') return; // ответ нужен только тому, кто спрашивал
+    if (queue.length >= maxQueue) {
+      // первый элемент сейчас в доставке — его не трогаем
+      const i = queue.findIndex((m, idx) => idx > 0 && m?.type === 'presence:heartbeat');
+      queue.splice(i > 0 ? i : 1, 1);
+      stats.dropped++;
+    }
+    queue.push(msg);
+    if (!running) running = pump();
+  }
+
+  // ждём, пока очередь уйдёт, но не дольше drainMs; после этого повторов больше нет
+  async function close({ drainMs = WEBHOOK_DRAIN_MS } = {}) {
+    if (!running) return;
+    let timer;
+    await Promise.race([running, new Promise(resolve => { timer = setTimeout(resolve, drainMs); })]);
+    clearTimeout(timer);
+    if (!queue.length) return;
+    abandoned = true;
+    log.warn('webhook: undelivered messages on close', queue.length);
+  }
+
+  return {
+    name: 'webhook',
+    send,
+    close,
+    get url() { return target.href; },
+    get stats() { return { ...stats, queued: queue.length }; },
+  };
+}
+
+// 'ndjson' | 'socket:/run/user/1000/echotalk-presence.sock' | 'webhook:http://127.0.0.1:8080/presence' | 'ipc'
+export function parseSinkSpec(spec) {
+  const s = String(spec || '').trim();
+  const i = s.indexOf(':');
+  const kind = (i < 0 ? s : s.slice(0, i)).toLowerCase();
+  const arg = i < 0 ? '' : s.slice(i + 1);
+  if (kind === 'stdout') return { kind: 'ndjson' };
+  if (!SINK_KINDS.includes(kind)) throw new TypeError(`sink: unknown kind ${JSON.stringify(kind)} (expected one of ${SINK_KINDS.join(', ')})`);
+  if ((kind === 'socket' || kind === 'webhook') && !arg) throw new TypeError(`sink ${kind}: expected ${kind}:<${kind === 'socket' ? 'path' : 'url'}>`);
+  return kind === 'socket' ? { kind, path: arg } : kind === 'webhook' ? { kind, url: arg } : { kind };
+}
+
+// spec → приёмник; options — общие зависимости (onRequest для сокета, logger, stream и т.п.)
+export function createSink(spec, options = {}) {
+  const { kind, ...args } = typeof spec === 'string' ? parseSinkSpec(spec) : spec;
+  switch (kind) {
+    case 'ipc': return createIpcSink(options);
+    case 'ndjson': return createNdjsonSink(options);
+    case 'socket': return createSocketSink({ ...options, ...args });
+    case 'webhook': return createWebhookSink({ ...options, ...args });
+    default: throw new TypeError(`sink: unknown kind ${JSON.stringify(kind)}`);
+  }
+}
+
+// один send на всех: исключение в приёмнике логируется и не доходит до воркера
+export function createSinkFanout(sinks, { logger = createLogger() } = {}) {
+  const log = logger.child('sinks');
+  return {
+    sinks,
+    async start() {
+      for (const s of sinks) await s.start?.();
+    },
+    send(msg) {
+      for (const s of sinks) {
+        try {
+          s.send(msg);
+        } catch (e) {
+          log.warn(`sink ${s.name} error:`, String(e?.message || e));
+        }
+      }
+    },
+    async close() {
+      await Promise.allSettled(sinks.map(s => s.close?.()));
+    },
+    stats: () => Object.fromEntries(sinks.filter(s => s.stats).map(s => [s.name, s.stats])),
+  };
+}
@@ -0,0 +1,247 @@
+// presence-status-text.js — готовая строка статуса («играет в Dota 2 · 1 час 5 минут») для payload
+//
+// Шаблоны лежат в data/status-templates/<локаль>.json, по шаблону на категорию (game, geek, other)
+// и отдельный idle — для сессии, от которой пользователь отошёл:
+// { "format": "echotalk-status-templates", "version": 1, "locale": "ru",
+//   "templates": { "game": "играет в {displayName}[ · {elapsed}]", … },
+//   "units": { "hour": { "one": "час", "few": "часа", "many": "часов" }, "minute": { … } } }
+// Подстановки: {displayName}, {canonicalName}, {exeName}, {title}, {elapsed}, {extra.<поле>} — детали
+// из парсеров заголовков. [ … ] — необязательная часть: выпадает целиком, если хоть одна подстановка в ней пуста.
+// Формы множественного числа выбираются по Intl.PluralRules локали (русские one/few/many, английские one/other).
+//
+// Цепочка для каждого ключа: шаблон пользователя → файл локали → en.json → «{displayName}».
+// Неверный шаблон не роняет воркер: берётся следующий по цепочке, а ошибка видна в errors.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { normalizeLocales } from './presence-locales.js';
+import { createLogger } from './presence-log.js';
+
+export const STATUS_TEMPLATES_DIR = fileURLToPath(new URL('./data/status-templates/', import.meta.url));
+export const STATUS_TEMPLATES_FORMAT = 'echotalk-status-templates';
+export const STATUS_TEMPLATES_VERSION = 1;
+export const STATUS_TEMPLATE_KEYS = ['game', 'geek', 'other', 'idle'];
+export const FALLBACK_STATUS_LOCALE = 'en';
+
+const FIELDS = ['displayName', 'canonicalName', 'exeName', 'title', 'elapsed'];
+const LAST_RESORT = '{displayName}';
+const MINUTE_MS = 60 * 1000;
+
+const isPlaceholder = key => FIELDS.includes(key) || /^extra\.[A-Za-z_]\w*$/.test(key);
+
+// шаблон → список частей: строка, { key } или { group: [...] }; бросает Error с описанием
+export function compileTemplate(src) {
+  if (typeof src !== 'string' || !src.trim()) throw new Error('expected a non-empty string');
+  const root = [];
+  let group = null;
+  let text = '';
+  const flush = () => {
+    if (text) (group || root).push(text);
+    text = '';
+  };
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (c === '{') {
+      const end = src.indexOf('}', i);
+      if (end < 0) throw new Error(`unclosed { at ${i}`);
+      const key = src.slice(i + 1, end).trim();
+      if (!isPlaceholder(key)) throw new Error(`unknown placeholder {${key}}`);
+      flush();
+      (group || root).push({ key });
+      i = end;
+    } else if (c === '}') {
+      throw new Error(`unexpected } at ${i}`);
+    } else if (c === '[') {
+      if (group) throw new Error(`nested [ at ${i}`);
+      flush();
+      group = [];
+    } else if (c === ']') {
+      if (!group) throw new Error(`unexpected ] at ${i}`);
+      flush();
+      root.push({ group });
+      group = null;
+    } else {
+      text += c;
+    }
+  }
+  if (group) throw new Error('unclosed [');
+  flush();
+  return root;
+}
+
+function renderParts(parts, value) {
+  let out = '';
+  for (const p of parts) {
+    if (typeof p === 'string') {
+      out += p;
+    } else if (p.key) {
+      out += value(p.key);
+    } else {
+      const inner = p.group.map(g => (typeof g === 'string' ? g : value(g.key)));
+      if (p.group.every((g, i) => typeof g === 'string' || inner[i])) out += inner.join('');
+    }
+  }
+  return out;
+}
+
+// форма слова для числа n: { one, few, many, other } по правилам локали
+function plural(forms, n, rules) {
+  return forms[rules.select(n)] ?? forms.other ?? forms.many ?? Object.values(forms)[0];
+}
+
+// «1 час 5 минут»; меньше минуты — пустая строка, чтобы [ · {elapsed}] выпал
+export function formatElapsed(ms, units, locale) {
+  if (!Number.isFinite(ms) || ms < MINUTE_MS) return '';
+  const rules = new Intl.PluralRules(locale.replace('_', '-'));
+  const total = Math.floor(ms / MINUTE_MS);
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  const parts = [];
+  if (hours) parts.push(`${hours} ${plural(units.hour, hours, rules)}`);
+  if (minutes) parts.push(`${minutes} ${plural(units.minute, minutes, rules)}`);
+  return parts.join(' ');
+}
+
+const isForms = v => v && typeof v === 'object' && !Array.isArray(v)
+  && Object.values(v).length > 0 && Object.values(v).every(f => typeof f === 'string' && f.trim());
+
+// файл набора → { locale, templates, units, errors }; бросает, если сам файл не годится
+export function parseTemplateFile(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) throw new Error('expected an object');
+  if (json.format !== STATUS_TEMPLATES_FORMAT) throw new Error(`unknown format ${JSON.stringify(json.format)}`);
+  if (json.version !== STATUS_TEMPLATES_VERSION) {
+    throw new Error(`unsupported version ${JSON.stringify(json.version)} (expected ${STATUS_TEMPLATES_VERSION})`);
+  }
+  const errors = [];
+  const templates = {};
+  for (const key of STATUS_TEMPLATE_KEYS) {
+    const src = json.templates?.[key];
+    if (src === undefined) continue;
+    try {
+      templates[key] = { src, parts: compileTemplate(src) };
+    } catch (e) {
+      errors.push({ key, template: src, error: e.message });
+    }
+  }
+  const units = {};
+  for (const unit of ['hour', 'minute']) {
+    if (isForms(json.units?.[unit])) units[unit] = json.units[unit];
+    else errors.push({ key: `units.${unit}`, error: 'expected an object of plural forms' });
+  }
+  return { locale: json.locale ?? null, templates, units, errors };
+}
+
+// проверяет { enabled, templates } и накладывает на base; бросает TypeError на мусоре
+// (синтаксис самих шаблонов здесь не проверяется — неверный шаблон заменяется шаблоном по умолчанию)
+export function mergeStatusTextConfig(base, patch = {}) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) throw new TypeError('statusText: expected an object');
+  const next = { ...base, templates: { ...base.templates } };
+  for (const [key, val] of Object.entries(patch)) {
+    if (key === 'enabled') {
+      if (typeof val !== 'boolean') throw new TypeError('statusText.enabled: expected a boolean');
+      next.enabled = val;
+    } else if (key === 'templates') {
+      if (!val || typeof val !== 'object' || Array.isArray(val)) throw new TypeError('statusText.templates: expected an object');
+      for (const [k, src] of Object.entries(val)) {
+        if (!STATUS_TEMPLATE_KEYS.includes(k)) {
+          throw new TypeError(`statusText.templates.${k}: unknown key (expected one of ${STATUS_TEMPLATE_KEYS.join(', ')})`);
+        }
+        if (src === null) delete next.templates[k]; // null — вернуть шаблон по умолчанию
+        else if (typeof src !== 'string') throw new TypeError(`statusText.templates.${k}: expected a string or null`);
+        else next.templates[k] = src;
+      }
+    } else {
+      throw new TypeError(`statusText.${key}: unknown setting`);
+    }
+  }
+  return next;
+}
+
+export function createStatusText({
+  locales = [],
+  config: initial = {},
+  dir = STATUS_TEMPLATES_DIR,
+  logger = createLogger(),
+} = {}) {
+  const log = logger.child('status-text');
+  let config = mergeStatusTextConfig({ enabled: true, templates: {} }, initial);
+  const files = new Map(); // локаль -> parseTemplateFile(...) | null, если файла нет
+  let localeList = locales;
+  let locale = FALLBACK_STATUS_LOCALE;
+  let chain = [];           // [{ source, templates, units }] — от пользователя к запасному варианту
+  let errors = [];          // { source, key, template?, error }
+
+  function loadFile(tag) {
+    if (files.has(tag)) return files.get(tag);
+    const file = path.join(dir, `${tag}.json`);
+    let parsed = null;
+    try {
+      parsed = parseTemplateFile(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (e) {
+      if (e?.code !== 'ENOENT') parsed = { templates: {}, units: {}, errors: [{ key: null, error: String(e?.message || e) }] };
+    }
+    files.set(tag, parsed);
+    return parsed;
+  }
+
+  // выбирает файл по локалям и заново собирает цепочку; ошибки — каждый раз целиком
+  function rebuild() {
+    const tags = normalizeLocales(localeList);
+    locale = tags.find(t => loadFile(t)) || FALLBACK_STATUS_LOCALE;
+    errors = [];
+    const user = { source: 'user', templates: {}, units: {} };
+    for (const [key, src] of Object.entries(config.templates)) {
+      try {
+        user.templates[key] = { src, parts: compileTemplate(src) };
+      } catch (e) {
+        errors.push({ source: 'user', key, template: src, error: e.message });
+      }
+    }
+    chain = [user];
+    for (const tag of new Set([locale, FALLBACK_STATUS_LOCALE])) {
+      const f = loadFile(tag);
+      if (!f) continue;
+      for (const err of f.errors) errors.push({ source: `${tag}.json`, ...err });
+      chain.push({ source: `${tag}.json`, templates: f.templates, units: f.units });
+    }
+    for (const e of errors) log.warn('invalid status template, using the default', e);
+  }
+
+  const pick = (what, key) => chain.find(c => c[what][key])?.[what][key];
+
+  // payload сессии (или урезанный фильтром приватности) → строка или null; at — момент, на который считается {elapsed}
+  function render(payload, at = Date.now()) {
+    if (!config.enabled || !payload) return null;
+    const key = payload.idle ? 'idle' : STATUS_TEMPLATE_KEYS.includes(payload.category) ? payload.category : 'other';
+    const parts = pick('templates', key)?.parts || compileTemplate(LAST_RESORT);
+    const startedAt = payload.startedAt ?? payload.ts;
+    const units = { hour: pick('units', 'hour') || { other: 'h' }, minute: pick('units', 'minute') || { other: 'min' } };
+    const value = (k) => {
+      if (k === 'elapsed') return formatElapsed((payload.endedAt ?? at) - startedAt, units, locale);
+      const v = k.startsWith('extra.') ? payload.extra?.[k.slice(6)] : payload[k];
+      return v === null || v === undefined ? '' : String(v);
+    };
+    const text = renderParts(parts, value).replace(/\s+/g, ' ').trim();
+    return text || null;
+  }
+
+  rebuild();
+
+  return {
+    render,
+    setLocales(list) {
+      localeList = list;
+      rebuild();
+      return locale;
+    },
+    configure(patch) {
+      config = mergeStatusTextConfig(config, patch);
+      rebuild();
+      return config;
+    },
+    get config() { return config; },
+    get locale() { return locale; },
+    get errors() { return errors; },
+  };
+}
@@ -0,0 +1,243 @@
+// presence-title-parsers.js — структурированные детали активности из заголовков окон
+//
+// Парсер — { id, exes, categories, defaultEnabled, parse(title) → объект | null }.
+// Результат кладётся в payload.extra вместе с id парсера: { parser: 'vscode', workspace, file, ... }.
+// Каждый парсер включается отдельно, плюс есть общий выключатель.
+
+import path from 'node:path';
+import { createLogger } from './presence-log.js';
+
+// расширение → язык (для fileType); неизвестные расширения отдаются как есть
+const LANGUAGES = {
+  js: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript', jsx: 'JavaScript',
+  ts: 'TypeScript', tsx: 'TypeScript', py: 'Python', go: 'Go', rs: 'Rust',
+  java: 'Java', kt: 'Kotlin', kts: 'Kotlin', cs: 'C#', cpp: 'C++', cc: 'C++', hpp: 'C++', c: 'C', h: 'C',
+  rb: 'Ruby', php: 'PHP', swift: 'Swift', dart: 'Dart', lua: 'Lua', sql: 'SQL',
+  json: 'JSON', yaml: 'YAML', yml: 'YAML', toml: 'TOML', md: 'Markdown',
+  html: 'HTML', css: 'CSS', scss: 'SCSS', vue: 'Vue', svelte: 'Svelte', sh: 'Shell',
+};
+
+function fileInfo(file) {
+  if (!file) return {};
+  const base = file.split(/[\\/]/).pop();
+  const m = base.match(/\.([A-Za-z0-9]+)$/);
+  const ext = m ? m[1].toLowerCase() : null;
+  return { file: base, fileType: ext ? (LANGUAGES[ext] || ext) : null };
+}
+
+// ---- VS Code и форки ----
+// "● index.ts - echotalk - Visual Studio Code", "app.py - api [WSL: Ubuntu] - Visual Studio Code",
+// "echotalk - Visual Studio Code", "Welcome - Visual Studio Code"
+const vscode = {
+  id: 'vscode',
+  exes: [
+    'code.exe', 'code', 'code-oss', 'codium', 'codium.exe', 'code - insiders.exe', 'code-insiders',
+    'visual studio code.app', 'vscodium.app',
+  ],
+  categories: ['geek'],
+  defaultEnabled: true,
+  parse(title) {
+    const m = title.match(/^(●\s*)?(.*?)\s+-\s+(Visual Studio Code(?: - Insiders)?|VSCodium|Code - OSS)$/);
+    if (!m) return null;
+    const dirty = Boolean(m[1]);
+    let parts = m[2].split(' - ');
+    let remote = null;
+    const last = parts[parts.length - 1];
+    const r = last.match(/^(.*?)\s+\[(.+)\]$/);
+    if (r) {
+      parts[parts.length - 1] = r[1];
+      remote = r[2];
+    }
+    parts = parts.filter(Boolean);
+    if (!parts.length) return null;
+    if (parts.length === 1) {
+      // только рабочая область или служебная вкладка
+      if (/^(Welcome|Settings|Keyboard Shortcuts|Extension: .*)$/.test(parts[0])) return { view: parts[0], remote };
+      return { workspace: parts[0], file: null, fileType: null, dirty, remote };
+    }
+    const workspace = parts[parts.length - 1];
+    return { workspace, ...fileInfo(parts[0]), dirty, remote };
+  },
+};
+
+// ---- JetBrains IDE ----
+// новые версии: "echotalk – presence-worker.js", "api – src/main.py [api-module]"
+// старые: "echotalk [~/src/echotalk] – .../src/App.java – IntelliJ IDEA"
+const jetbrains = {
+  id: 'jetbrains',
+  exes: [
+    'idea64.exe', 'idea', 'pycharm64.exe', 'pycharm', 'goland64.exe', 'goland', 'webstorm64.exe', 'webstorm',
+    'clion64.exe', 'clion', 'rider64.exe', 'rider', 'phpstorm64.exe', 'phpstorm', 'rubymine64.exe', 'rubymine',
+    'datagrip64.exe', 'datagrip', 'studio64.exe', 'studio',
+    'intellij idea.app', 'intellij idea ce.app', 'pycharm.app', 'pycharm ce.app', 'goland.app', 'webstorm.app',
+    'clion.app', 'rider.app', 'phpstorm.app', 'rubymine.app', 'datagrip.app', 'android studio.app',
+  ],
+  categories: ['geek'],
+  defaultEnabled: true,
+  parse(title) {
+    const parts = title.split(/\s+[–-]\s+/).filter(Boolean);
+    if (!parts.length) return null;
+    // хвост с названием IDE в старом формате
+    if (parts.length > 2 && /(IntelliJ IDEA|PyCharm|GoLand|WebStorm|CLion|Rider|PhpStorm|RubyMine|DataGrip|Android Studio)/.test(parts[parts.length - 1])) {
+      parts.pop();
+    }
+    const workspace = parts[0].replace(/\s+\[.*\]$/, '').trim();
+    if (!workspace) return null;
+    const file = parts[1] ? parts[1].replace(/\s+\[.*\]$/, '').trim() : null;
+    const module = parts[1]?.match(/\[(.+)\]$/)?.[1] || null;
+    return { workspace, ...fileInfo(file), module };
+  },
+};
+
+// ---- терминалы: текущий каталог → репозиторий ----
+// "user@host: ~/src/echotalk", "MINGW64:/c/Users/me/src/echotalk", "~/src/echotalk — zsh",
+// "Administrator: C:\\src\\echotalk"
+const terminal = {
+  id: 'terminal',
+  exes: [
+    'windowsterminal.exe', 'wt.exe', 'powershell.exe', 'pwsh.exe', 'cmd.exe', 'mintty.exe', 'wsl.exe',
+    'gnome-terminal-server', 'konsole', 'alacritty', 'kitty', 'wezterm-gui', 'xterm', 'tilix', 'terminal', 'iterm2',
+  ],
+  categories: ['geek'],
+  defaultEnabled: false, // каталоги часто содержат имя пользователя — только по явному согласию
+  parse(title) {
+    const m = title.match(/(?:^|[:\s])((?:~|\/|[A-Za-z]:\\)[^\s—]*)/);
+    if (!m) return null;
+    const cwd = m[1].replace(/[\\/]+$/, '');
+    const repo = cwd === '~' || !cwd ? null : cwd.split(/[\\/]/).pop() || null;
+    const shell = title.match(/—\s*(\w+)$/)?.[1] || null;
+    return { repo, shell };
+  },
+};
+
+// ---- Minecraft (Java Edition) ----
+// "Minecraft 1.20.1 - Multiplayer (3rd-party Server)", "Minecraft* 1.20.4 - Singleplayer"
+const minecraft = {
+  id: 'minecraft',
+  exes: ['javaw.exe', 'java', 'minecraft.exe', 'minecraftlauncher.exe'],
+  categories: ['game'],
+  defaultEnabled: true,
+  parse(title) {
+    const m = title.match(/^Minecraft\*?\s+([\d.]+)(?:\s+-\s+(.+))?$/);
+    if (!m) return null;
+    const state = m[2] || null;
+    let mode = null;
+    if (state && /^Singleplayer/i.test(state)) mode = 'singleplayer';
+    else if (state && /^Multiplayer/i.test(state)) mode = 'multiplayer';
+    else if (state) mode = 'menu';
+    const server = state?.match(/\((.+)\)$/)?.[1] || null;
+    return { game: 'Minecraft', version: m[1], mode, server };
+  },
+};
+
+// ---- Luanti (бывший Minetest) ----
+// "Luanti 5.10.0 [Singleplayer]", "Minetest 5.8.0 [Multiplayer] [OpenGL 4.6]", "Minetest 5.7.0 [Main Menu]"
+const luanti = {
+  id: 'luanti',
+  exes: ['luanti.exe', 'luanti', 'minetest.exe', 'minetest'],
+  categories: ['game'],
+  defaultEnabled: true,
+  parse(title) {
+    const m = title.match(/^(Luanti|Minetest)\s+([\w.-]+)((?:\s+\[[^\]]*\])*)\s*(.*)$/);
+    if (!m) return null;
+    const tags = [...m[3].matchAll(/\[([^\]]*)\]/g)].map(t => t[1]);
+    let mode = null;
+    if (tags.some(t => /^Singleplayer$/i.test(t))) mode = 'singleplayer';
+    else if (tags.some(t => /^Multiplayer$/i.test(t))) mode = 'multiplayer';
+    else if (tags.some(t => /^Main Menu$/i.test(t))) mode = 'menu';
+    return { game: m[1], version: m[2], mode, world: m[4].trim() || null };
+  },
+};
+
+// ---- GZDoom: карта и название уровня ----
+// "MAP01 - Entryway - GZDoom g4.11.3", "E1M1: Hangar - GZDoom", "GZDoom g4.11.3"
+const gzdoom = {
+  id: 'gzdoom',
+  exes: ['gzdoom.exe', 'gzdoom', 'lzdoom.exe', 'lzdoom'],
+  categories: ['game'],
+  defaultEnabled: true,
+  parse(title) {
+    const m = title.match(/^(?:(.+?)\s+-\s+)?(GZDoom|LZDoom)(?:\s+g?([\w.-]+))?$/);
+    if (!m) return null;
+    const level = m[1] || null;
+    const lump = level?.match(/^((?:E\dM\d+|MAP\d+))\s*(?:[-:]\s*(.+))?$/i);
+    return {
+      game: m[2],
+      version: m[3] || null,
+      map: lump ? lump[1].toUpperCase() : null,
+      level: lump ? (lump[2] || null) : level,
+    };
+  },
+};
+
+export const BUILTIN_TITLE_PARSERS = [vscode, jetbrains, terminal, minecraft, luanti, gzdoom];
+
+// проверяет и накладывает настройки; бросает TypeError на мусоре
+export function mergeTitleParserConfig(base, patch = {}, parsers = BUILTIN_TITLE_PARSERS) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new TypeError('titleParsers: expected an object');
+  }
+  const next = { enabled: base.enabled, parsers: { ...base.parsers } };
+  for (const [key, val] of Object.entries(patch)) {
+    if (key === 'enabled') {
+      if (typeof val !== 'boolean') throw new TypeError('titleParsers.enabled: expected a boolean');
+      next.enabled = val;
+    } else if (key === 'parsers') {
+      if (!val || typeof val !== 'object' || Array.isArray(val)) {
+        throw new TypeError('titleParsers.parsers: expected an object of { id: boolean }');
+      }
+      for (const [id, on] of Object.entries(val)) {
+        if (!parsers.some(p => p.id === id)) throw new TypeError(`titleParsers.parsers.${id}: unknown parser`);
+        if (typeof on !== 'boolean') throw new TypeError(`titleParsers.parsers.${id}: expected a boolean`);
+        next.parsers[id] = on;
+      }
+    } else {
+      throw new TypeError(`titleParsers.${key}: unknown setting`);
+    }
+  }
+  return next;
+}
+
+export function createTitleParsers(initial = {}, { parsers = BUILTIN_TITLE_PARSERS, logger = createLogger() } = {}) {
+  const log = logger.child('title-parsers');
+  const defaults = {
+    enabled: true,
+    parsers: Object.fromEntries(parsers.map(p => [p.id, p.defaultEnabled])),
+  };
+  let config = mergeTitleParserConfig(defaults, initial, parsers);
+
+  // индекс exe → парсеры
+  const byExe = new Map();
+  for (const p of parsers) {
+    for (const ex of p.exes) {
+      if (!byExe.has(ex)) byExe.set(ex, []);
+      byExe.get(ex).push(p);
+    }
+  }
+
+  // { exePath, category, title } → extra или null
+  function parse({ exePath, category, title }) {
+    if (!config.enabled || !title) return null;
+    const ex = exePath ? path.basename(exePath).toLowerCase() : '';
+    for (const p of byExe.get(ex) || []) {
+      if (!config.parsers[p.id]) continue;
+      if (p.categories.length && !p.categories.includes(category)) continue;
+      try {
+        const details = p.parse(title);
+        if (details) return { parser: p.id, ...details };
+      } catch (e) {
+        log.error('parser failed:', p.id, e);
+      }
+    }
+    return null;
+  }
+
+  return {
+    parse,
+    configure(patch) {
+      config = mergeTitleParserConfig(config, patch, parsers);
+      return config;
+    },
+    get config() { return config; },
+  };
+}
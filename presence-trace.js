@@ -0,0 +1,75 @@
+// presence-trace.js — запись трассы воркера в NDJSON
+//
+// Каждая строка — отдельная запись:
+//   { kind: 'meta',    version, startedAt, platform, config, rules } — настройки воркера на момент старта
+//                      (privacy, idle, sessions, titleParsers, classifier, statusText, media, locales)
+//                      и пользовательские правила (содержимое presence-rules.json) — без них прогон не повторить
+//   { kind: 'config',  ts, patch }                 — принятый set-config (приватность, локали и т. д.)
+//   { kind: 'rules',   ts, rules }                 — правила после загрузки или перезагрузки файла
+//   { kind: 'sample',  ts, window }                 — сырое активное окно (или null)
+//   { kind: 'resolve', ts, input, name, canonicalName, source, icon } — результат резолвера имён
+//   { kind: 'detect',  ts, exePath, id, name }      — первое попадание exe в базу распознавания игр
+//   { kind: 'library', ts, exePath, hit }           — exe в библиотеке лаунчера ({ source, name, by, match } или null), при смене ответа
+//   { kind: 'wine',    ts, exePath, pid, hit }      — настоящий exe процесса Wine/Proton ({ windowsExe, exePath, prefix, appid } или null)
+//   { kind: 'idle',    ts, idleMs }                 — ответ источника idle
+//   { kind: 'processes', ts, processes }            — живые процессы отслеживаемых сессий [{ pid, exePath }]
+//                                                    или null, если таблица была недоступна
+//   { kind: 'media',   ts, players }                — ответ источника медиа (см. presence-media.js) или null
+//   { kind: 'event',   ts, message }                — presence:* сообщение в том виде, в каком оно ушло наружу
+//                                                    (после фильтра приватности)
+
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import { createLogger } from './presence-log.js';
+
+export const TRACE_VERSION = 2;
+export const TRACE_ENV = 'ECHOTALK_PRESENCE_TRACE';
+export const REPLAY_ENV = 'ECHOTALK_PRESENCE_REPLAY';
+
+export function createTraceRecorder(filePath, { platform = process.platform, config = {}, rules = {}, logger = createLogger() } = {}) {
+  const log = logger.child('trace');
+  const out = fs.createWriteStream(filePath, { flags: 'a' });
+  out.on('error', e => log.error('write error:', e));
+
+  const write = rec => { out.write(JSON.stringify(rec) + '\n'); };
+  write({ kind: 'meta', version: TRACE_VERSION, startedAt: Date.now(), platform, config, rules });
+
+  return {
+    sample(ts, window) { write({ kind: 'sample', ts, window: window ?? null }); },
+    resolve(ts, input, { name, canonicalName = name, source = null, icon = null }) {
+      write({ kind: 'resolve', ts, input, name, canonicalName, source, icon });
+    },
+    detect(ts, exePath, { id, name }) { write({ kind: 'detect', ts, exePath, id, name }); },
+    library(ts, exePath, hit) { write({ kind: 'library', ts, exePath, hit: hit ?? null }); },
+    wine(ts, exePath, pid, hit) { write({ kind: 'wine', ts, exePath, pid, hit: hit ?? null }); },
+    idle(ts, idleMs) { write({ kind: 'idle', ts, idleMs }); },
+    processes(ts, processes) { write({ kind: 'processes', ts, processes }); },
+    media(ts, players) { write({ kind: 'media', ts, players: players ?? null }); },
+    config(ts, patch) { write({ kind: 'config', ts, patch }); },
+    rules(ts, rules) { write({ kind: 'rules', ts, rules }); },
+    event(ts, message) { write({ kind: 'event', ts, message }); },
+    close() { return new Promise(resolve => out.end(resolve)); },
+  };
+}
+
+export async function readTrace(filePath) {
+  const txt = await fsp.readFile(filePath, 'utf8');
+  const records = [];
+  txt.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      throw new Error(`trace ${filePath}:${i + 1}: ${String(e?.message || e)}`);
+    }
+  });
+  const meta = records.find(r => r.kind === 'meta');
+  if (meta && meta.version !== TRACE_VERSION) {
+    throw new Error(`trace ${filePath}: unsupported version ${meta.version}`);
+  }
+  return records;
+}
+
+// ключ для сопоставления вызовов резолвера при воспроизведении
+export const resolveKey = ({ exePath, processName, windowTitle } = {}) =>
+  [exePath || '', processName || '', windowTitle || ''].join('|');
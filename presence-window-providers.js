@@ -0,0 +1,96 @@
+// presence-window-providers.js — источники активного окна для воркера
+//
+// Провайдер — объект с методом getActiveWindow(), который возвращает
+// { exePath, processName, title, pid, bounds, display } или null, если активного окна нет.
+// display — границы монитора, на котором окно (если провайдер их знает, например родитель по IPC);
+// по нему классификатор узнаёт полноэкранные окна.
+
+export const WINDOW_PROVIDER_ENV = 'ECHOTALK_PRESENCE_PROVIDER';
+
+// приводим «сырое» окно к единому виду
+export function normalizeWindow(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const exePath = raw.exePath || '';
+  const processName = raw.processName || '';
+  if (!exePath && !processName) return null;
+  const rect = r => (r && typeof r === 'object'
+    ? { x: r.x ?? 0, y: r.y ?? 0, width: r.width ?? 0, height: r.height ?? 0 }
+    : null);
+  return {
+    exePath: exePath || processName,
+    processName,
+    title: raw.title || '',
+    pid: Number.isInteger(raw.pid) ? raw.pid : null,
+    bounds: rect(raw.bounds),
+    display: rect(raw.display),
+  };
+}
+
+// ---- active-win (по умолчанию) ----
+export function createActiveWinProvider() {
+  let activeWin = null;
+
+  async function ensureDeps() {
+    if (!activeWin) {
+      const esmImport = new Function('s', 'return import(s)');
+      activeWin = (await esmImport('active-win')).default;
+    }
+  }
+
+  return {
+    name: 'active-win',
+    async getActiveWindow() {
+      await ensureDeps();
+      const aw = await activeWin();
+      if (!aw) return null;
+      return normalizeWindow({
+        exePath: aw.owner?.path || aw.owner?.name || '',
+        processName: aw.owner?.name || '',
+        title: aw.title || '',
+        pid: aw.owner?.processId ?? null,
+        bounds: aw.bounds || null,
+      });
+    },
+  };
+}
+
+// ---- заранее записанный сценарий (для тестов) ----
+// каждый вызов отдаёт следующий сэмпл; после конца сценария — null
+export function createScriptedProvider(samples = []) {
+  const queue = [...samples];
+  return {
+    name: 'scripted',
+    push(...more) { queue.push(...more); },
+    get remaining() { return queue.length; },
+    async getActiveWindow() {
+      if (!queue.length) return null;
+      return normalizeWindow(queue.shift());
+    },
+  };
+}
+
+// ---- окно, присланное родительским процессом по IPC ----
+// родитель шлёт { type: 'window', payload: {...} | null }
+export function createIpcProvider() {
+  let latest = null;
+  return {
+    name: 'ipc',
+    feed(raw) { latest = normalizeWindow(raw); },
+    async getActiveWindow() { return latest; },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  'active-win': createActiveWinProvider,
+  scripted: createScriptedProvider,
+  ipc: createIpcProvider,
+};
+
+// выбор провайдера: явный объект → имя из опций → переменная окружения → active-win
+export function resolveWindowProvider(provider, env = process.env) {
+  if (provider && typeof provider.getActiveWindow === 'function') return provider;
+  const kind = provider || env[WINDOW_PROVIDER_ENV] || 'active-win';
+  const factory = PROVIDER_FACTORIES[kind];
+  if (!factory) throw new Error(`unknown window provider: ${kind}`);
+  return factory();
+}
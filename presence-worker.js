@@ -1,112 +1,59 @@
 import { homedir } from 'node:os';
-import { basename, join } from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { realpathSync } from 'node:fs';
+import { writeFile, mkdir } from 'node:fs/promises';
+import { basename, dirname, isAbsolute, join } from 'node:path';
+import { pathToFileURL } from 'node:url';
 import { createNameResolver } from './presence-name-resolver.js';
+import { resolveWindowProvider } from './presence-window-providers.js';
+import { createTraceRecorder, TRACE_ENV, REPLAY_ENV } from './presence-trace.js';
+import { createRulesStore } from './presence-rules.js';
+import { createPrivacyFilter, mergePrivacy } from './presence-privacy.js';
+import { createJournal } from './presence-journal.js';
+import { resolveIdleSource } from './presence-idle.js';
+import { createProcessScanner, isWineLoader } from './presence-processes.js';
+import { createTitleParsers, mergeTitleParserConfig } from './presence-title-parsers.js';
+import { createLogger, parseLogLevel } from './presence-log.js';
+import { systemLocales } from './presence-locales.js';
+import { createClassifier, mergeClassifierConfig } from './presence-classifier.js';
+import { createStatusText, mergeStatusTextConfig } from './presence-status-text.js';
+import { resolveMediaSource, createMediaTracker, mergeMediaConfig } from './presence-media.js';
+import { createIpcSink } from './presence-sinks.js';
+import {
+  createCommandRouter, isRequest, ProtocolError, ERROR_CODES, PROTOCOL_VERSION, WORKER_VERSION,
+} from './presence-protocol.js';
 
-let activeWin = null;
-
-// ---- session/heartbeat state
-let currentActive = null;
+// ---- session/heartbeat timing
 const ACTIVE_STALE_MS = 5000;
 const HEARTBEAT_MS    = 5000;
-let lastHeartbeatAt   = 0;
-
-async function ensureDeps() {
-  if (!activeWin) {
-    const esmImport = new Function('s', 'return import(s)');
-    activeWin = (await esmImport('active-win')).default;
-  }
-}
 
-const userDataDir =
+const defaultUserDataDir =
   process.env.ECHOTALK_USER_DATA ||
   join(homedir(), '.echotalk');
 
 const POLL_ACTIVE_MS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---- idle/AFK
+const IDLE_POLL_MS = 5000;                  // как часто спрашиваем источник idle
+const DEFAULT_IDLE_THRESHOLD_MS = 5 * 60 * 1000;
+
+// ---- фоновые игры: как часто сверяемся с таблицей процессов
+const PROCESS_SCAN_MS = 5000;
 
-// лаунчеры игнорируем
-const LAUNCHER_BASES = new Set([
-  'steam.exe',
-  'epicgameslauncher.exe',
-  'battle.net.exe',
-  'origin.exe',
-  'ea desktop.exe'
-]);
-
-// явный стоп-лист «не игр»
-const NON_GAME_BASES = new Set([
-  // браузеры
-  'chrome.exe','msedge.exe','firefox.exe','opera.exe','opera_gx.exe','brave.exe','vivaldi.exe','iexplore.exe','safari.exe',
-  // мессенджеры/клиенты
-  'discord.exe','telegram.exe','slack.exe','teams.exe','skype.exe',
-  // офис/почта
-  'outlook.exe','winword.exe','excel.exe','powerpnt.exe','thunderbird.exe',
-  // IDE/редакторы (подстраховка поверх KNOWN_GEEK_SET)
-  'code.exe','goland64.exe','idea64.exe','pycharm64.exe','webstorm64.exe','clion64.exe','studio64.exe','devenv.exe',
-  'sublime_text.exe','notepad++.exe',
-]);
-
-const KNOWN_EXE_MAP = new Map([
-  ['cs2.exe', 'Counter-Strike 2'],
-  ['csgo.exe', 'Counter-Strike: Global Offensive'],
-  ['dota2.exe', 'Dota 2'],
-  ['eldenring.exe', 'ELDEN RING'],
-  ['witcher3.exe', 'The Witcher 3'],
-  ['steam.exe', 'Steam'],
-  ['epicgameslauncher.exe', 'Epic Games Launcher'],
-  ['battle.net.exe', 'Battle.net'],
-  ['code.exe', 'Visual Studio Code'],
-  ['discord.exe', 'Discord'],
-  ['electron', 'Electron App'],
-  ['terminal', 'Terminal'],
-]);
-
-const KNOWN_GEEK_SET = new Set([
-  // IDE/редакторы
-  'code.exe','goland64.exe','idea64.exe','pycharm64.exe','webstorm64.exe','clion64.exe',
-  'studio64.exe','devenv.exe','sublime_text.exe','notepad++.exe',
-  // инструменты
-  'powershell.exe','wt.exe','windowsterminal.exe','conhost.exe','cmd.exe','wsl.exe',
-  'git.exe','gitkraken.exe','sourceTree.exe','docker desktop.exe','docker.exe','kubectl.exe',
-  'postman.exe','insomnia.exe','dbeaver.exe','tableplus.exe','heidisql.exe','pgadmin4.exe',
-  'obsidian.exe','figma.exe','unity.exe','ue4editor.exe','unrealeditor.exe','blender.exe',
-  // коммуникации
-  'discord.exe','telegram.exe','slack.exe'
-]);
-
-// подсказки по путям библиотек игр (используются только в классификации активного окна)
-const GAME_PATH_HINTS = [
-  /steamapps[\/\\]common[\/\\]/i,
-  /\\steam\\.*\\common\\*/i,
-  /epic\s*games/i,
-  /gog\s*galaxy[\/\\]games/i,
-  /ubisoft\s*(connect|game\s*launcher)/i,
-  /battle\.net/i,
-  /origin[\/\\]|ea\s*(games|desktop)/i,
-  /riot\s*games/i,
-  /rockstar\s*games/i,
-  /xboxgames|microsoft\\xbox/i,
-  /games[\/\\](?=.*\.(exe|app))/i
-];
+// ---- склейка сессий и лимит presence:update
+const DEFAULT_RESUME_GRACE_MS = 15 * 1000;  // вернулся в течение этого времени — сессия продолжается
+const DEFAULT_MAX_UPDATES_PER_MINUTE = 20;  // новых сессий наружу в минуту, остальные ждут очереди
+const UPDATE_RATE_WINDOW_MS = 60 * 1000;
+// причины, по которым сессия может вернуться; остальные (выход процесса, AFK, пауза) завершают сразу
+const GRACE_REASONS = new Set(['focus-lost', 'stale']);
 
 function exeBase(fpOrName) {
   if (!fpOrName) return '';
   return basename(fpOrName).toLowerCase().trim();
 }
 
-function hasGameHint(p) {
-  const lp = (p || '').toLowerCase();
-  return GAME_PATH_HINTS.some(rx => rx.test(lp));
-}
-
-function classify(base, fullPath) {
-  const b = (base || '').toLowerCase();
-  if (KNOWN_EXE_MAP.has(b)) return { category: 'game', confidence: 0.9 };
-  if (KNOWN_GEEK_SET.has(b)) return { category: 'geek', confidence: 0.8 };
-  if (hasGameHint(fullPath)) return { category: 'game', confidence: 0.6 };
-  return { category: 'other', confidence: 0.3 };
-}
-
-function buildPresencePayload({ source, exe, title, app, pid, displayName }) {
+function buildPresencePayload({ source, exe, title, app, pid, displayName, extra = null, ts = Date.now() }) {
   return {
     source,
     pid: pid ?? null,
@@ -115,109 +62,983 @@ function buildPresencePayload({ source, exe, title, app, pid, displayName }) {
     displayName: displayName || null,
     title: title || null,
     app: app?.name || null,
-    extra: null,
-    ts: Date.now(),
+    extra,
+    ts,
   };
 }
 
-const resolver = createNameResolver({
-  userDataDir,
-  knownMap: KNOWN_EXE_MAP,
-  platform: process.platform,
-});
+// проверяет и накладывает настройки idle; бросает TypeError на мусоре
+function mergeIdleConfig(base, patch = {}) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) throw new TypeError('idle: expected an object');
+  const next = { ...base };
+  for (const [key, val] of Object.entries(patch)) {
+    if (key === 'thresholdMs') {
+      if (!Number.isFinite(val) || val <= 0) throw new TypeError('idle.thresholdMs: expected a positive number');
+      next.thresholdMs = val;
+    } else if (key === 'afkEndMs') {
+      if (val !== null && (!Number.isFinite(val) || val <= 0)) {
+        throw new TypeError('idle.afkEndMs: expected a positive number or null');
+      }
+      next.afkEndMs = val;
+    } else {
+      throw new TypeError(`idle.${key}: unknown setting`);
+    }
+  }
+  return next;
+}
 
-// -------- ACTIVE WINDOW ONLY --------
-async function pollActive() {
-  try {
-    await ensureDeps();
-    const aw = await activeWin();
-    const now = Date.now();
+// проверяет и накладывает настройки склейки сессий; бросает TypeError на мусоре
+function mergeSessionConfig(base, patch = {}) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) throw new TypeError('sessions: expected an object');
+  const next = { ...base };
+  for (const [key, val] of Object.entries(patch)) {
+    if (key === 'resumeGraceMs') {
+      if (!Number.isFinite(val) || val < 0) throw new TypeError('sessions.resumeGraceMs: expected a non-negative number');
+      next.resumeGraceMs = val;
+    } else if (key === 'maxUpdatesPerMinute') {
+      if (val !== null && (!Number.isInteger(val) || val <= 0)) {
+        throw new TypeError('sessions.maxUpdatesPerMinute: expected a positive integer or null');
+      }
+      next.maxUpdatesPerMinute = val;
+    } else {
+      throw new TypeError(`sessions.${key}: unknown setting`);
+    }
+  }
+  return next;
+}
 
-    const finishCurrentIfStale = () => {
-      if (currentActive && (now - currentActive.lastSeen) > ACTIVE_STALE_MS) {
-        process.send?.({ type: 'presence:ended', payload: { ...currentActive.payload, endedAt: now } });
-        currentActive = null;
+// -------- WORKER --------
+// send: куда уходят сообщения — по умолчанию IPC родителю; CLI подставляет fanout приёмников (presence-sinks.js);
+// provider: объект-провайдер окна или его имя ('active-win' | 'scripted' | 'ipc'),
+// по умолчанию берётся из ECHOTALK_PRESENCE_PROVIDER;
+// trace: рекордер трассы или путь к NDJSON-файлу (ECHOTALK_PRESENCE_TRACE);
+// rules: хранилище правил (по умолчанию presence-rules.json из userDataDir);
+// privacy: начальные настройки приватности (см. presence-privacy.js);
+// journal: журнал сессий (по умолчанию в userDataDir, null — без журнала);
+// idle: { source, thresholdMs, afkEndMs } — источник idle (см. presence-idle.js), порог «отошёл»
+// и порог, после которого сессия завершается (null — не завершать);
+// processes: сканер процессов (см. presence-processes.js), null — без фоновых игр;
+// titleParsers: { enabled, parsers: { id: boolean } } — детали из заголовков (см. presence-title-parsers.js)
+// logLevel: silent | error | warn | info | debug, по умолчанию из ECHOTALK_PRESENCE_LOG (см. presence-log.js)
+// classifier: { threshold, weights } — порог и веса сигналов классификатора (см. presence-classifier.js)
+// sessions: { resumeGraceMs, maxUpdatesPerMinute } — окно, в которое сессия может вернуться после потери
+// фокуса (0 — завершать сразу), и лимит presence:update в минуту (null — без лимита)
+// statusText: { enabled, templates } — готовая строка статуса в payload (см. presence-status-text.js)
+// media: { source, allow, deny, pollMs } — медиаплееры (см. presence-media.js); опрашиваются, только если privacy.media
+// locales: предпочитаемые языки имён и строки статуса, по умолчанию — язык системы (см. presence-locales.js)
+export function createPresenceWorker({
+                                       provider,
+                                       resolver,
+                                       send: sendRaw = createIpcSink().send,
+                                       now = Date.now,
+                                       userDataDir = defaultUserDataDir,
+                                       platform = process.platform,
+                                       trace = process.env[TRACE_ENV] || null,
+                                       rules,
+                                       privacy: privacySettings,
+                                       journal: journalOpt,
+                                       idle: { source: idleSourceOpt, ...idleOpts } = {},
+                                       processes,
+                                       titleParsers: titleParserConfig,
+                                       classifier: classifierConfig,
+                                       sessions: sessionOpts = {},
+                                       statusText: statusTextConfig,
+                                       media: { source: mediaSourceOpt, ...mediaOpts } = {},
+                                       locales = systemLocales(),
+                                       icons = {},
+                                       logLevel,
+                                       logger = createLogger({ level: logLevel }),
+                                     } = {}) {
+
+  const log = logger.child('worker');
+  const windows = resolveWindowProvider(provider);
+  const rulesStore = rules || createRulesStore({
+    userDataDir,
+    logger,
+    onChange: (current) => {
+      recorder?.rules(now(), current.user);
+      reevaluate();
+    },
+    onError: ({ path, errors }) => {
+      log.error('rules error:', path, errors);
+      sendRaw({ type: 'presence:rules-error', payload: { path, errors } });
+    },
+  });
+  const baseResolver = resolver || createNameResolver({
+    userDataDir,
+    knownMap: rulesStore.current.knownMap,
+    platform,
+    locales,
+    icons,
+    logger,
+  });
+  const statusText = createStatusText({ locales, config: statusTextConfig, logger });
+  // строку статуса фильтр приватности пересобирает из уже урезанного payload
+  const privacy = createPrivacyFilter(privacySettings, { renderStatus: p => statusText.render(p, now()) });
+  const journal = journalOpt === undefined ? createJournal({ userDataDir, now, logger }) : journalOpt;
+  const idleSource = resolveIdleSource(idleSourceOpt, { platform });
+  const mediaSource = resolveMediaSource(mediaSourceOpt, { platform });
+  const media = createMediaTracker(mediaOpts);
+  const titleParsers = createTitleParsers(titleParserConfig, { logger });
+  const classifier = createClassifier(classifierConfig);
+  const processScanner = processes === undefined ? createProcessScanner({ platform }) : processes;
+  let idleConfig = mergeIdleConfig({ thresholdMs: DEFAULT_IDLE_THRESHOLD_MS, afkEndMs: null }, idleOpts);
+  let sessionConfig = mergeSessionConfig(
+    { resumeGraceMs: DEFAULT_RESUME_GRACE_MS, maxUpdatesPerMinute: DEFAULT_MAX_UPDATES_PER_MINUTE },
+    sessionOpts,
+  );
+  // в заголовок трассы — всё, от чего зависят отправленные события, чтобы воспроизведение шло с теми же настройками
+  const recorder = typeof trace === 'string'
+    ? createTraceRecorder(trace, {
+      platform,
+      logger,
+      config: {
+        privacy: privacy.settings,
+        idle: idleConfig,
+        sessions: sessionConfig,
+        titleParsers: titleParsers.config,
+        classifier: classifier.config,
+        statusText: statusText.config,
+        media: media.config,
+        locales,
+      },
+      rules: rulesStore.current.user,
+    })
+    : trace;
+
+  // в трассу пишется то, что ушло наружу, — после фильтра приватности; с этим и сравнивает воспроизведение
+  const emit = (out) => {
+    recorder?.event(now(), out);
+    sendRaw(out);
+  };
+  const send = msg => {
+    const out = privacy.apply(msg);
+    if (out) emit(out);
+  };
+  // резолверу без resolveName (например, подставленному в тестах) канонический вариант не нужен
+  const resolveName = async (input) => {
+    if (baseResolver.resolveName) return baseResolver.resolveName(input);
+    const name = await baseResolver.resolveDisplayName(input);
+    return { name, canonicalName: name, icon: null };
+  };
+  const tracedDetections = new Set(); // в трассу — только первое попадание exe, опрос идёт каждую секунду
+  const tracedLibrary = new Map();     // exePath -> последний записанный ответ; библиотеки меняются на лету
+  const nameResolver = {
+    ...baseResolver,
+    async resolveName(input) {
+      const resolved = await resolveName(input);
+      recorder?.resolve(now(), input, resolved);
+      return resolved;
+    },
+    detect(exePath) {
+      const hit = baseResolver.detect?.(exePath) ?? null;
+      if (hit && recorder && !tracedDetections.has(exePath)) {
+        tracedDetections.add(exePath);
+        recorder.detect(now(), exePath, hit);
       }
+      return hit;
+    },
+    library(exePath) {
+      const hit = baseResolver.library?.(exePath) ?? null;
+      const key = hit ? `${hit.source}|${hit.by}|${hit.match}` : null;
+      if (recorder && (tracedLibrary.get(exePath) ?? null) !== key) {
+        tracedLibrary.set(exePath, key);
+        recorder.library(now(), exePath, hit);
+      }
+      return hit;
+    },
+    async wine(exePath, pid) {
+      const hit = (await baseResolver.wine?.(exePath, pid)) ?? null;
+      recorder?.wine(now(), exePath, pid, hit);
+      return hit;
+    },
+  };
+  // Wine/Proton: окно принадлежит wine64-preloader — категорию считаем по настоящему Windows exe, как и имя.
+  // Ответ запоминается на pid: окно опрашивается каждую секунду, а exe процесса не меняется
+  const wineTargets = new Map();     // `${pid}|${exePath}` -> путь Windows exe или null
+
+  let currentActive = null;          // основная сессия — приложение в фокусе
+  const background = new Map();      // key -> игровые сессии без фокуса, живущие, пока жив процесс
+  const held = new Map();            // key -> { s, endedAt, reason } — завершение отложено на resumeGraceMs
+  const updateTimes = [];            // когда уходили presence:update за последнюю минуту
+  let activeTick = null;
+  let lastWindow = null;
+  let paused = false;
+  let idleMs = null;
+  let lastIdleCheckAt = -Infinity;
+  let lastMediaCheckAt = -Infinity;
+  let liveProcs = null;              // pid -> { exePath, startTime } из последнего скана (только отслеживаемые pid)
+  let lastProcScanAt = -Infinity;
+  // длительность опроса по настоящим часам, а не по now(): при воспроизведении трассы время виртуальное
+  const pollStats = { count: 0, errors: 0, lastMs: null, maxMs: 0, totalMs: 0, lastAt: null };
+
+  const sessionKey = (exePath, pid) => `${(exePath || '').toLowerCase()}|${pid ?? ''}`;
+  const allSessions = () => [...(currentActive ? [currentActive] : []), ...background.values()];
+
+  // суммарное время простоя в сессии, включая незакрытый отрезок до ts
+  const idleTotal = (s, ts) => s.idleTotal + (s.idle ? Math.max(0, ts - s.idleSince) : 0);
+
+  // поля сессии для журнала
+  const sessionRecord = (s, ts) => {
+    const { exeName, exePath, displayName, category } = s.payload;
+    return { exeName, exePath, displayName, category, startedAt: s.startedAt, idle: idleTotal(s, ts) };
+  };
+
+  // payload исходящих сообщений: данные сессии + фокус, состояние простоя и строка статуса
+  const sessionPayload = (s) => {
+    const payload = {
+      ...s.payload,
+      primary: s.primary,
+      idle: s.idle,
+      idleSince: s.idleSince,
     };
+    payload.statusText = statusText.render(payload, now());
+    return payload;
+  };
+
+  // reason — причина завершения: focus-lost | stale | process-exited | afk | ...
+  // focus-lost и stale завершают не сразу: сессия ждёт resumeGraceMs и, если вернётся, продолжается
+  function endSession(s, ts, reason) {
+    if (s === currentActive) currentActive = null;
+    background.delete(s.key);
+    if (GRACE_REASONS.has(reason) && sessionConfig.resumeGraceMs > 0) {
+      held.set(s.key, { s, endedAt: ts, reason });
+      return;
+    }
+    finishSession(s, ts, reason);
+  }
+
+  // настоящее завершение; сессия, которую родитель так и не увидел (лимит update), уходит только в журнал
+  function finishSession(s, ts, reason) {
+    held.delete(s.key);
+    if (s.announced) {
+      const payload = { ...sessionPayload(s), endedAt: ts };
+      payload.statusText = statusText.render(payload, ts);
+      if (reason) payload.reason = reason;
+      send({ type: 'presence:ended', payload });
+    }
+    journal?.record({ ...sessionRecord(s, ts), endedAt: ts }, s.id);
+  }
+
+  // отложенные завершения: истёкшие (или все — при паузе, AFK, остановке) уходят с исходным endedAt
+  function flushHeld(ts = Infinity) {
+    for (const { s, endedAt, reason } of [...held.values()]) {
+      if (ts - endedAt >= sessionConfig.resumeGraceMs) finishSession(s, endedAt, reason);
+    }
+  }
+
+  // presence:update новой сессии, если лимит в минуту не исчерпан; иначе сессия ждёт следующего опроса
+  function announce(s, ts) {
+    while (updateTimes.length && ts - updateTimes[0] >= UPDATE_RATE_WINDOW_MS) updateTimes.shift();
+    const limit = sessionConfig.maxUpdatesPerMinute;
+    if (limit !== null && updateTimes.length >= limit) {
+      if (!s.deferredAt) log.debug('update rate limit, deferring session', s.payload.exeName);
+      s.deferredAt ??= ts;
+      return false;
+    }
+    updateTimes.push(ts);
+    s.announced = true;
+    send({ type: 'presence:update', payload: sessionPayload(s) });
+    return true;
+  }
+
+  function heartbeat(s, ts) {
+    if (s.announced) send({ type: 'presence:heartbeat', payload: sessionPayload(s) });
+    s.lastHeartbeatAt = ts;
+    journal?.checkpoint(s.id, { ...sessionRecord(s, ts), lastSeen: ts });
+  }
+
+  // pid сессии теперь принадлежит другому процессу: другой exe или другое время старта
+  function pidReused(s) {
+    const p = liveProcs?.get(s.pid);
+    if (!p || lastProcScanAt < s.startedAt) return false;
+    if (p.exePath && s.exePath && exeBase(p.exePath) !== exeBase(s.exePath)) return true;
+    return Boolean(s.startTime && p.startTime && s.startTime !== p.startTime);
+  }
+
+  // процесс сессии ещё жив? пока скана после старта сессии не было — считаем, что да
+  function isAlive(s) {
+    if (!processScanner || s.pid == null) return false;
+    if (!liveProcs || lastProcScanAt < s.startedAt) return true;
+    return liveProcs.has(s.pid) && !pidReused(s);
+  }
+
+  const canRunInBackground = s => s.payload.category === 'game' && isAlive(s);
+
+  async function refreshIdle(ts) {
+    if (ts - lastIdleCheckAt < IDLE_POLL_MS) return;
+    lastIdleCheckAt = ts;
+    try {
+      idleMs = await idleSource.getIdleMs();
+    } catch (e) {
+      idleMs = null;
+      log.error('idle source error:', e);
+    }
+    recorder?.idle(ts, idleMs);
+  }
+
+  // медиаплееры спрашиваем, только если пользователь сам включил privacy.media
+  async function refreshMedia(ts) {
+    if (!privacy.settings.media || ts - lastMediaCheckAt < media.config.pollMs) return;
+    lastMediaCheckAt = ts;
+    let players = null;
+    try {
+      players = await mediaSource.getPlayers();
+    } catch (e) {
+      log.error('media source error:', e);
+    }
+    recorder?.media(ts, players);
+    for (const msg of media.update(players, ts)) send(msg);
+  }
+
+  // скан процессов нужен только для игровых сессий, которым может понадобиться фон
+  async function refreshProcesses(ts) {
+    if (!processScanner || ts - lastProcScanAt < PROCESS_SCAN_MS) return;
+    const tracked = allSessions().filter(s => s.pid != null && s.payload.category === 'game');
+    if (!tracked.length) return;
+    lastProcScanAt = ts;
+    const pids = [...new Set(tracked.map(s => s.pid))];
+    let list = null;
+    try {
+      list = processScanner.inspect
+        ? await processScanner.inspect(pids)
+        : (await processScanner.list())?.filter(p => pids.includes(p.pid)) ?? null;
+    } catch (e) {
+      log.error('process scan error:', e);
+      liveProcs = null;
+      return;
+    }
+    // таблица недоступна (ps завис или упал) — это не «всё завершилось»: до следующего удачного скана
+    // считаем процессы живыми и фоновые игры не трогаем
+    if (!list) {
+      log.warn('process table unavailable, keeping background sessions');
+      liveProcs = null;
+      recorder?.processes(ts, null);
+      return;
+    }
+    liveProcs = new Map(list
+      .filter(p => pids.includes(p.pid))
+      .map(p => [p.pid, { exePath: p.exePath, startTime: p.startTime ?? null }]));
+    recorder?.processes(ts, [...liveProcs].map(([pid, p]) => ({ pid, ...p })));
+
+    // время старта запоминаем при первом скане — дальше по нему ловим перезапуск с тем же pid
+    for (const s of tracked) {
+      const p = liveProcs.get(s.pid);
+      if (p && !s.startTime && !pidReused(s)) s.startTime = p.startTime;
+    }
+
+    for (const s of [...background.values()]) {
+      if (!isAlive(s)) endSession(s, ts, 'process-exited');
+    }
+  }
+
+  // простой закончился в resumedAt
+  function closeIdle(s, resumedAt) {
+    s.idleTotal += Math.max(0, resumedAt - s.idleSince);
+    s.idle = false;
+    s.idleSince = null;
+  }
+
+  // переходы «активен ↔ отошёл» внутри основной сессии
+  function applyIdle(s, ts) {
+    const isIdle = idleMs !== null && idleMs >= idleConfig.thresholdMs;
+    if (isIdle && !s.idle) {
+      s.idle = true;
+      s.idleSince = Math.max(s.startedAt, ts - idleMs);
+      if (s.announced) send({ type: 'presence:idle', payload: sessionPayload(s) });
+    } else if (!isIdle && s.idle) {
+      // ввод вернулся idleMs назад — простой закончился тогда
+      closeIdle(s, Math.max(s.idleSince, ts - (idleMs ?? 0)));
+      if (s.announced) send({ type: 'presence:active', payload: sessionPayload(s) });
+    }
+  }
+
+  // основная сессия теряет фокус: игра с живым процессом уходит в фон, остальное завершается
+  function releaseFocus(ts, reason) {
+    const s = currentActive;
+    if (!s) return;
+    if (!canRunInBackground(s)) {
+      endSession(s, ts, reason);
+      return;
+    }
+    currentActive = null;
+    if (s.idle) closeIdle(s, ts); // фокус сменился — значит, пользователь вернулся
+    s.primary = false;
+    background.set(s.key, s);
+    heartbeat(s, ts); // сразу сообщаем, что игра ушла в фон
+  }
+
+  // -------- ACTIVE WINDOW + BACKGROUND GAMES --------
+  async function pollActive() {
+    if (paused) return;
+    const t0 = performance.now();
+    try {
+      const aw = await windows.getActiveWindow();
+      const ts = now();
+      recorder?.sample(ts, aw);
+      lastWindow = aw;
+      await refreshIdle(ts);
+      await refreshProcesses(ts);
+      await processWindow(aw, ts);
+      flushHeld(ts);
+
+      for (const s of allSessions()) if (!s.announced) announce(s, ts);
+      for (const s of background.values()) {
+        if (ts - s.lastHeartbeatAt >= HEARTBEAT_MS) heartbeat(s, ts);
+      }
+      await refreshMedia(ts);
+    } catch (e) {
+      pollStats.errors++;
+      log.error('pollActive error:', e);
+    } finally {
+      const ms = performance.now() - t0;
+      pollStats.count++;
+      pollStats.lastMs = ms;
+      pollStats.maxMs = Math.max(pollStats.maxMs, ms);
+      pollStats.totalMs += ms;
+      pollStats.lastAt = now();
+    }
+  }
+
+  // force: начать основную сессию заново, даже если окно не поменялось (например, после смены правил)
+  async function processWindow(aw, ts, { force = false } = {}) {
+    const finishCurrentIfStale = () => {
+      if (!currentActive) return;
+      if (force) endSession(currentActive, ts, 'reevaluated');
+      else if (canRunInBackground(currentActive)) releaseFocus(ts, 'focus-lost');
+      else if ((ts - currentActive.lastSeen) > ACTIVE_STALE_MS) endSession(currentActive, ts, 'stale');
+    };
+
+    // AFK дольше порога: сессии закрываем и новых не начинаем, пока пользователь не вернётся
+    if (idleConfig.afkEndMs !== null && idleMs !== null && idleMs >= idleConfig.afkEndMs) {
+      for (const s of allSessions()) endSession(s, ts, 'afk');
+      flushHeld();
+      return;
+    }
 
     if (!aw) { finishCurrentIfStale(); return; }
 
-    const exePath  = aw.owner?.path || aw.owner?.name || '';
-    const procName = aw.owner?.name || '';
-    const title    = aw.title || '';
-    const base     = exeBase(exePath || procName);
-    const cls      = classify(base, exePath);
+    const r        = rulesStore.current;
+    const { exePath, processName: procName, title, pid } = aw;
+    const cls      = await classifyWindow(r, aw, aw);
+    const base     = cls.base;
 
     // не считаем лаунчеры/явные не-игры активной «игровой» сессией
-    if (LAUNCHER_BASES.has(base) || NON_GAME_BASES.has(base)) { finishCurrentIfStale(); return; }
-    // интересуют игры/«гиковское» или явные игровые пути
-    if (!(cls.category === 'game' || cls.category === 'geek' || hasGameHint(exePath))) { finishCurrentIfStale(); return; }
+    if (r.isIgnored(base)) { finishCurrentIfStale(); return; }
+    // интересуют игры и «гиковское» с уверенностью не ниже порога классификатора
+    if (cls.category !== 'game' && cls.category !== 'geek') { finishCurrentIfStale(); return; }
+
+    // сессия — это процесс (exe + pid), а не окно: смена заголовка сессию не рвёт
+    const key = sessionKey(exePath, pid);
+
+    if (!force && currentActive && currentActive.key === key && !pidReused(currentActive)) {
+      // тот же процесс — обновляем lastSeen, детали, состояние простоя + редкий heartbeat
+      currentActive.lastSeen = ts;
+      updateDetail(currentActive, title, ts);
+      applyIdle(currentActive, ts);
+      if (ts - currentActive.lastHeartbeatAt >= HEARTBEAT_MS) heartbeat(currentActive, ts);
+      return;
+    }
+
+    // фокус уходит с прежней основной сессии
+    if (currentActive) {
+      if (force) endSession(currentActive, ts, 'reevaluated');
+      else if (currentActive.key === key) endSession(currentActive, ts, 'process-exited'); // pid переиспользован
+      else releaseFocus(ts, 'focus-lost');
+    }
+
+    // фоновая игра снова в фокусе или сессия вернулась в пределах resumeGraceMs — продолжаем её
+    const wasHeld = held.get(key);
+    if (wasHeld && (force || pidReused(wasHeld.s))) finishSession(wasHeld.s, wasHeld.endedAt, wasHeld.reason);
+    const resumed = background.get(key) || (held.has(key) ? wasHeld.s : null);
+    if (resumed) {
+      background.delete(key);
+      held.delete(key);
+      if (resumed.idle) closeIdle(resumed, ts); // фокус вернулся — значит, пользователь тоже
+      resumed.primary = true;
+      resumed.lastSeen = ts;
+      currentActive = resumed;
+      updateDetail(resumed, title, ts);
+      heartbeat(resumed, ts);
+      return;
+    }
 
-    const signature = [exePath, title, procName, aw.owner?.processId ?? ''].join('|');
+    // красивое имя (Steam/Epic/кэш/метаданные)
+    const { name: displayName, canonicalName, icon, source: nameSource } = await nameResolver.resolveName({
+      exePath,
+      processName: procName,
+      windowTitle: title,
+      pid,
+    });
+
+    const sessionId = randomUUID();
+    const payload = {
+      sessionId,
+      ...buildPresencePayload({
+        source: 'active',
+        exe: exePath,
+        title,
+        app: { name: procName },
+        pid,
+        displayName,
+        extra: titleParsers.parse({ exePath, category: cls.category, title }),
+        ts,
+      }),
+      canonicalName: canonicalName || displayName || null,
+      nameSource: nameSource || null, // title — имя взято из заголовка, фильтр приватности прячет его вместе с заголовком
+      icon: icon || null,
+      category: cls.category,
+      confidence: cls.confidence,
+      signals: cls.signals.map(sig => sig.id),
+    };
+
+    currentActive = {
+      id: sessionId, key, pid, exePath, startTime: null, startedAt: ts, lastSeen: ts, lastHeartbeatAt: ts, payload,
+      primary: true, idle: false, idleSince: null, idleTotal: 0, announced: false, deferredAt: null,
+    };
+    announce(currentActive, ts);
+    journal?.checkpoint(sessionId, { ...sessionRecord(currentActive, ts), lastSeen: ts });
+  }
+
+  // exe, по которому классифицируется окно: под Wine/Proton — настоящий Windows exe, иначе exePath окна
+  async function classifiedExe(exePath, pid) {
+    if (!pid || !isWineLoader(exePath) || !nameResolver.wine) return exePath;
+    const key = `${pid}|${exePath}`;
+    if (!wineTargets.has(key)) {
+      if (wineTargets.size >= 64) wineTargets.clear();
+      wineTargets.set(key, (await nameResolver.wine(exePath, pid))?.exePath || null);
+    }
+    return wineTargets.get(key) || exePath;
+  }
+
+  // категория по сигналам: правила, списки, база распознавания, библиотеки лаунчеров, размер окна;
+  // → результат классификатора + base — имя exe, по которому он считался (и по которому проверяется ignore)
+  async function classifyWindow(r, { exePath: windowExe, processName, pid }, window = null) {
+    const exePath = await classifiedExe(windowExe, pid);
+    const base = exeBase(exePath || processName);
+    const cls = classifier.classify({
+      rules: r,
+      base,
+      exePath,
+      window,
+      detection: nameResolver.detect?.(exePath || base) ?? null,
+      library: nameResolver.library?.(exePath) ?? null,
+    });
+    return { ...cls, base };
+  }
 
-    if (!currentActive || currentActive.signature !== signature) {
-      // завершаем предыдущую сессию, если была
-      if (currentActive) {
-        process.send?.({ type: 'presence:ended', payload: { ...currentActive.payload, endedAt: now } });
+  // новый порог или веса могут перевести текущее окно в другую категорию — тогда сессию начинаем заново
+  async function recheckCategory() {
+    if (!lastWindow) return;
+    const { category } = await classifyWindow(rulesStore.current, lastWindow, lastWindow);
+    if (currentActive ? category !== currentActive.payload.category : category !== 'other') void reevaluate();
+  }
+
+  // заголовок окна поменялся внутри сессии — лёгкое presence:detail вместо новой сессии
+  function updateDetail(s, title, ts) {
+    if ((title || null) === s.payload.title) return;
+    const extra = titleParsers.parse({ exePath: s.exePath, category: s.payload.category, title });
+    s.payload = { ...s.payload, title: title || null, extra };
+    if (!s.announced) return; // заголовок уйдёт вместе с отложенным presence:update
+    const { sessionId, exeName, exePath, displayName, category } = s.payload;
+    const payload = {
+      sessionId, exeName, exePath, displayName, category,
+      title: title || null, extra, startedAt: s.startedAt, ts,
+    };
+    payload.statusText = statusText.render({ ...payload, idle: s.idle }, ts);
+    send({ type: 'presence:detail', payload });
+  }
+
+  // правила поменялись — сразу пересчитываем текущую сессию
+  async function reevaluate() {
+    nameResolver.setKnownMap?.(rulesStore.current.knownMap);
+    if (!lastWindow && !currentActive) return;
+    try {
+      await processWindow(lastWindow, now(), { force: true });
+    } catch (e) {
+      log.error('reevaluate error:', e);
+    }
+  }
+
+  // смена настроек приватности на лету: родитель должен сразу увидеть,
+  // что активность скрыта (ended) или снова видна (update)
+  function setPrivacy(patch) {
+    const ts = now();
+    const before = allSessions().filter(s => s.announced).map(s => ({
+      s,
+      wasVisible: privacy.isVisible(s.payload),
+      ended: privacy.apply({ type: 'presence:ended', payload: { ...sessionPayload(s), endedAt: ts } }),
+    }));
+    const mediaWasOn = privacy.settings.media;
+    const mediaEnded = media.endings(ts, 'disabled').map(m => privacy.apply(m)).filter(Boolean);
+
+    try {
+      privacy.update(patch);
+    } catch (e) {
+      throw new ProtocolError(ERROR_CODES.INVALID_ARGS, String(e?.message || e));
+    }
+
+    if (mediaWasOn && !privacy.settings.media) {
+      media.reset();
+      mediaEnded.forEach(emit);
+    } else if (privacy.settings.media) {
+      if (!mediaWasOn) lastMediaCheckAt = -Infinity; // только что включили — спросим на ближайшем опросе
+      for (const m of media.current()) {
+        const out = privacy.apply(m);
+        if (out) emit(out);
       }
+    }
+
+    for (const { s, wasVisible, ended } of before) {
+      const nowVisible = privacy.isVisible(s.payload);
+      if (wasVisible && !nowVisible) {
+        emit(ended);
+      } else if (!wasVisible && nowVisible) {
+        emit(privacy.apply({ type: 'presence:update', payload: sessionPayload(s) }));
+      } else if (nowVisible) {
+        // видимость не поменялась, но могла поменяться редакция полей
+        emit(privacy.apply({ type: 'presence:heartbeat', payload: sessionPayload(s) }));
+      }
+    }
+    return privacy.settings;
+  }
+
+  // снимок для баг-репорта: без заголовков окон и списка скрытых приложений,
+  // сессии — только в том виде, в каком их видит родитель
+  function diagnostics() {
+    const session = (s) => {
+      const visible = privacy.apply({ type: 'presence:update', payload: sessionPayload(s) });
+      if (!visible) return null;
+      const { exeName, displayName, canonicalName, category, confidence, primary, idle } = visible.payload;
+      return { exeName, displayName, canonicalName, category, confidence, primary, idle, startedAt: s.startedAt };
+    };
+    const { hiddenExes, ...privacyFlags } = privacy.settings;
+    return {
+      generatedAt: new Date().toISOString(),
+      worker: {
+        version: WORKER_VERSION,
+        protocol: PROTOCOL_VERSION,
+        platform,
+        node: process.version,
+        uptimeMs: Math.round(process.uptime() * 1000),
+        paused,
+        logLevel: logger.level,
+        provider: windows.name ?? null,
+        idleSource: idleSource.name ?? null,
+        tracing: Boolean(recorder),
+        journal: Boolean(journal),
+      },
+      poll: {
+        intervalMs: POLL_ACTIVE_MS,
+        count: pollStats.count,
+        errors: pollStats.errors,
+        lastMs: pollStats.lastMs === null ? null : Math.round(pollStats.lastMs * 10) / 10,
+        avgMs: pollStats.count ? Math.round(pollStats.totalMs / pollStats.count * 10) / 10 : null,
+        maxMs: Math.round(pollStats.maxMs * 10) / 10,
+        lastAt: pollStats.lastAt,
+      },
+      sessions: {
+        active: currentActive ? session(currentActive) : null,
+        background: [...background.values()].map(session).filter(Boolean),
+        held: [...held.values()].map(h => session(h.s)).filter(Boolean),
+      },
+      idle: { ...idleConfig, idleMs },
+      updates: { ...sessionConfig, lastMinute: updateTimes.filter(t => now() - t < UPDATE_RATE_WINDOW_MS).length, deferred: allSessions().filter(s => !s.announced).length },
+      privacy: { ...privacyFlags, hiddenExes: hiddenExes.length },
+      titleParsers: titleParsers.config,
+      classifier: classifier.config,
+      statusText: { ...statusText.config, locale: statusText.locale, errors: statusText.errors },
+      media: {
+        source: mediaSource.name ?? null,
+        method: mediaSource.method ?? null,
+        pollMs: media.config.pollMs,
+        allow: media.config.allow.length,
+        deny: media.config.deny.length,
+        players: media.current().length,
+      },
+      resolver: baseResolver.diagnostics?.() ?? null,
+      errors: logger.recentErrors(),
+    };
+  }
 
-      // красивое имя (Steam/Epic/кэш/метаданные)
-      const displayName = await resolver.resolveDisplayName({
+  // ---- команды родителя (presence-protocol.js) ----
+  const router = createCommandRouter({
+    hello: async () => ({
+      protocol: PROTOCOL_VERSION,
+      worker: WORKER_VERSION,
+      commands: router.commands,
+    }),
+
+    'get-state': async () => {
+      const view = (s) => {
+        const visible = privacy.apply({ type: 'presence:update', payload: sessionPayload(s) });
+        return visible ? { startedAt: s.startedAt, lastSeen: s.lastSeen, payload: visible.payload } : null;
+      };
+      return {
+        paused,
+        session: currentActive ? view(currentActive) : null,
+        background: [...background.values()].map(view).filter(Boolean),
+        // потеряли фокус и ждут возврата; для родителя они ещё не завершены
+        held: [...held.values()].map(h => ({ ...view(h.s), endedAt: h.endedAt, reason: h.reason })).filter(h => h.payload),
+        media: media.current().map(m => privacy.apply(m)?.payload).filter(Boolean),
+      };
+    },
+
+    // пауза завершает все сессии и останавливает опрос до resume
+    pause: async () => {
+      if (!paused) {
+        paused = true;
+        lastWindow = null;
+        const ts = now();
+        for (const s of allSessions()) endSession(s, ts, 'paused');
+        flushHeld();
+        for (const m of media.endings(ts, 'paused')) send(m);
+        media.reset();
+        lastMediaCheckAt = -Infinity;
+      }
+      return { paused };
+    },
+
+    resume: async () => {
+      paused = false;
+      return { paused };
+    },
+
+    'refresh-libraries': async () => {
+      const libraries = await nameResolver.warmup();
+      return { refreshed: true, libraries: libraries || null };
+    },
+
+    resolve: async ({ exePath, processName, windowTitle, pid }) => {
+      if (typeof exePath !== 'string' || !exePath) {
+        throw new ProtocolError(ERROR_CODES.INVALID_ARGS, 'resolve: exePath must be a non-empty string');
+      }
+      if (pid !== undefined && !Number.isInteger(pid)) {
+        throw new ProtocolError(ERROR_CODES.INVALID_ARGS, 'resolve: pid must be an integer');
+      }
+      const { name: displayName, canonicalName, icon } = await nameResolver.resolveName({ exePath, processName, windowTitle, pid });
+      return { exePath, displayName, canonicalName, icon: icon || null };
+    },
+
+    // почему у приложения такое имя: шаги резолвера по порядку и победивший шаг;
+    // без exePath — для текущей основной сессии. В трассу не пишется
+    explain: async ({ exePath, processName, windowTitle, pid } = {}) => {
+      if (exePath === undefined) {
+        if (!currentActive) throw new ProtocolError(ERROR_CODES.INVALID_ARGS, 'explain: no exePath and no active session');
+        ({ exePath, pid } = currentActive);
+        processName = currentActive.payload.app;
+        windowTitle = currentActive.payload.title;
+      }
+      if (typeof exePath !== 'string' || !exePath) {
+        throw new ProtocolError(ERROR_CODES.INVALID_ARGS, 'explain: exePath must be a non-empty string');
+      }
+      if (pid !== undefined && pid !== null && !Number.isInteger(pid)) {
+        throw new ProtocolError(ERROR_CODES.INVALID_ARGS, 'explain: pid must be an integer');
+      }
+      const input = { exePath, processName, windowTitle, pid: pid ?? undefined };
+      const resolved = baseResolver.resolveName
+        ? await baseResolver.resolveName(input, { explain: true })
+        : await resolveName(input);
+      const window = lastWindow?.exePath === exePath ? lastWindow : null;
+      const { base, ...classification } = await classifyWindow(rulesStore.current, { exePath, processName, pid }, window);
+      return {
         exePath,
-        processName: procName,
-        windowTitle: title,
-      });
-
-      const payload = {
-        ...buildPresencePayload({
-          source: 'active',
-          exe: exePath,
-          title,
-          app: { name: procName },
-          pid: aw.owner?.processId ?? null,
-          displayName,
-        }),
-        category: cls.category,
-        confidence: cls.confidence,
+        displayName: resolved.name,
+        canonicalName: resolved.canonicalName,
+        icon: resolved.icon || null,
+        classification,
+        ignored: rulesStore.current.isIgnored(base),
+        ...(resolved.explain || { steps: null, winner: null }),
       };
+    },
 
-      process.send?.({ type: 'presence:update', payload });
-      currentActive = { signature, pid: aw.owner?.processId, startedAt: now, lastSeen: now, payload };
-      lastHeartbeatAt = now;
-    } else {
-      // то же окно — обновляем lastSeen + редкий heartbeat
-      currentActive.lastSeen = now;
-      if (now - lastHeartbeatAt >= HEARTBEAT_MS) {
-        process.send?.({ type: 'presence:heartbeat', payload: { ...currentActive.payload } });
-        lastHeartbeatAt = now;
+    // снимок состояния; save: true — ещё и файл presence-diagnostics-<время>.json в userDataDir, file — свой путь
+    diagnostics: async ({ save = false, file } = {}) => {
+      if (file !== undefined && (typeof file !== 'string' || !isAbsolute(file))) {
+        throw new ProtocolError(ERROR_CODES.INVALID_ARGS, 'diagnostics: file must be an absolute path');
+      }
+      const snapshot = diagnostics();
+      if (!save && file === undefined) return { path: null, snapshot };
+      const target = file || join(userDataDir, `presence-diagnostics-${snapshot.generatedAt.replace(/[:.]/g, '-')}.json`);
+      await mkdir(dirname(target), { recursive: true });
+      await writeFile(target, JSON.stringify(snapshot, null, 2), 'utf8');
+      return { path: target, snapshot };
+    },
+
+    // кеш имён: list — записи (фильтры source, exeName, exePath, limit), clear — удаление по тем же фильтрам или всё
+    cache: async ({ action = 'list', source, exeName, exePath, limit } = {}) => {
+      const cache = baseResolver.cache;
+      if (!cache) throw new ProtocolError(ERROR_CODES.INVALID_ARGS, 'cache: resolver has no cache');
+      const filter = { source, exeName, exePath, limit };
+      for (const key of ['source', 'exeName', 'exePath']) {
+        if (filter[key] !== undefined && (typeof filter[key] !== 'string' || !filter[key])) {
+          throw new ProtocolError(ERROR_CODES.INVALID_ARGS, `cache: ${key} must be a non-empty string`);
+        }
+      }
+      if (action === 'list') return { version: cache.version, path: cache.path, entries: cache.list(filter) };
+      if (action === 'clear') return { removed: cache.clear({ source, exeName, exePath }) };
+      throw new ProtocolError(ERROR_CODES.INVALID_ARGS, `cache: unknown action ${action}`);
+    },
+
+    // статистика из журнала: kind = total | top | daily; период — since/until или days назад от now
+    stats: async ({ kind, since, until, days, exeName, displayName, category, limit }) => {
+      if (!journal) throw new ProtocolError(ERROR_CODES.INVALID_ARGS, 'stats: journal is disabled');
+      const to = Number.isFinite(until) ? until : now();
+      const from = Number.isFinite(since) ? since : Number.isFinite(days) ? to - days * DAY_MS : to - 7 * DAY_MS;
+      switch (kind) {
+        case 'total': return journal.totalTime({ since: from, until: to, exeName, displayName });
+        case 'top': return { since: from, until: to, apps: await journal.topApps({ since: from, until: to, limit, category }) };
+        case 'daily': return { since: from, until: to, days: await journal.dailyBreakdown({ since: from, until: to }) };
+        default:
+          throw new ProtocolError(ERROR_CODES.INVALID_ARGS, 'stats: kind must be one of total, top, daily');
+      }
+    },
+
+    // сначала проверяются все ключи, потом применяются: ошибка в одном не оставляет остальные применёнными наполовину
+    'set-config': async (args) => {
+      for (const key of Object.keys(args)) {
+        if (!['privacy', 'idle', 'sessions', 'titleParsers', 'classifier', 'statusText', 'media', 'locales', 'logLevel'].includes(key)) {
+          throw new ProtocolError(ERROR_CODES.INVALID_ARGS, `set-config: unknown key ${key}`);
+        }
+      }
+      let nextIdle = idleConfig;
+      let nextSessions = sessionConfig;
+      try {
+        if (args.idle !== undefined) nextIdle = mergeIdleConfig(idleConfig, args.idle);
+        if (args.sessions !== undefined) nextSessions = mergeSessionConfig(sessionConfig, args.sessions);
+        if (args.titleParsers !== undefined) mergeTitleParserConfig(titleParsers.config, args.titleParsers);
+        if (args.classifier !== undefined) mergeClassifierConfig(classifier.config, args.classifier);
+        if (args.statusText !== undefined) mergeStatusTextConfig(statusText.config, args.statusText);
+        if (args.media !== undefined) mergeMediaConfig(media.config, args.media);
+        if (args.privacy !== undefined) mergePrivacy(privacy.settings, args.privacy);
+        if (args.logLevel !== undefined) parseLogLevel(args.logLevel);
+      } catch (e) {
+        throw new ProtocolError(ERROR_CODES.INVALID_ARGS, String(e?.message || e));
+      }
+      const localeList = args.locales === undefined ? null : [].concat(args.locales);
+      if (localeList?.some(l => typeof l !== 'string' || !l.trim())) {
+        throw new ProtocolError(ERROR_CODES.INVALID_ARGS, 'locales: expected a locale string or an array of them');
+      }
+
+      idleConfig = nextIdle;
+      sessionConfig = nextSessions;
+      if (args.titleParsers !== undefined) titleParsers.configure(args.titleParsers);
+      if (args.classifier !== undefined) classifier.configure(args.classifier);
+      if (args.statusText !== undefined) statusText.configure(args.statusText);
+      if (args.media !== undefined) {
+        media.configure(args.media);
+        lastMediaCheckAt = -Infinity; // новые списки — со следующего опроса
       }
+      if (localeList) {
+        // новые имена получат только новые сессии, строка статуса сменит язык со следующего сообщения
+        nameResolver.setLocales?.(localeList);
+        statusText.setLocales(localeList);
+      }
+      if (args.logLevel !== undefined) logger.setLevel(args.logLevel);
+      if (args.privacy !== undefined) setPrivacy(args.privacy);
+      if (args.classifier !== undefined) await recheckCategory();
+      recorder?.config(now(), args);
+      return {
+        privacy: privacy.settings,
+        idle: idleConfig,
+        sessions: sessionConfig,
+        titleParsers: titleParsers.config,
+        classifier: classifier.config,
+        statusText: statusText.config,
+        media: media.config,
+        locales: baseResolver.locales ?? null,
+        logLevel: logger.level,
+      };
+    },
+  });
+
+  // запрос протокола → ответ; вызывающий сам решает, кому его отдать (например, одному подписчику сокета)
+  const request = msg => router.handle(msg);
+
+  // сообщения от родителя, которые касаются самого воркера
+  async function handleMessage(msg) {
+    if (!msg || typeof msg !== 'object') return;
+    if (isRequest(msg)) {
+      sendRaw(await router.handle(msg));
+      return;
     }
-  } catch (e) {
-    console.error('[presence-worker] pollActive error:', e);
+    if (msg.type === 'window' && typeof windows.feed === 'function') windows.feed(msg.payload);
+    if (msg.type === 'idle' && typeof idleSource.feed === 'function') idleSource.feed(msg.payload);
+  }
+
+  async function start() {
+    await rulesStore.start?.();
+    recorder?.rules(now(), rulesStore.current.user); // файл правил читается только здесь, после заголовка трассы
+    await journal?.recover(); // сессия, оборванная падением, закрывается по последнему heartbeat
+    journal?.compact();
+    nameResolver.setKnownMap?.(rulesStore.current.knownMap);
+    await nameResolver.warmup(); // индекс библиотек лаунчеров + загрузка кеша
+    send({ type: 'presence:ready' });
+    activeTick = setInterval(pollActive, POLL_ACTIVE_MS);
   }
+
+  async function stop() {
+    clearInterval(activeTick);
+    activeTick = null;
+    flushHeld(); // отложенные завершения — с их исходным временем
+    // штатная остановка закрывает открытые сессии сама: иначе при следующем старте они вернутся как recovered
+    const ts = now();
+    for (const s of allSessions()) endSession(s, ts, 'shutdown');
+    rulesStore.stop?.();
+    await nameResolver.stop?.();
+    await journal?.flush();
+    await recorder?.close();
+  }
+
+  return {
+    start,
+    stop,
+    pollActive,
+    handleMessage,
+    request,
+    setPrivacy,
+    reevaluate,
+    diagnostics,
+    log,
+    get currentActive() { return currentActive; },
+    get background() { return [...background.values()]; },
+  };
 }
 
-// ---- IPC и ошибки ----
-process.on('message', (msg) => {
-  if (!msg || typeof msg !== 'object') return;
-  if (msg.type === 'shutdown') process.exit(0);
-});
-process.on('uncaughtException', (e) => console.error('[presence-worker] uncaughtException:', e));
-process.on('unhandledRejection', (e) => console.error('[presence-worker] unhandledRejection:', e));
+// -------- BOOT (только при запуске как отдельный процесс) --------
+// как в presence-cli.js: argv[1] может быть симлинком, а import.meta.url — настоящий путь
+const isMain = Boolean(process.argv[1]) && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href;
 
-// -------- BOOT --------
-async function start() {
-  await resolver.warmup(); // индекс Steam/Epic + загрузка кеша
-  process.send?.({ type: 'presence:ready' });
+if (isMain && process.env[REPLAY_ENV]) {
+  // режим воспроизведения: прогоняем трассу и сообщаем расхождения
+  import('./presence-replay.js')
+    .then(({ replayTrace }) => replayTrace(process.env[REPLAY_ENV]))
+    .then((res) => {
+      console.log(JSON.stringify({ ok: res.ok, samples: res.samples, diffs: res.diffs }, null, 2));
+      process.exit(res.ok ? 0 : 1);
+    })
+    .catch((e) => {
+      console.error('[presence-worker] replay error:', e);
+      process.exit(2);
+    });
+} else if (isMain) {
+  const worker = createPresenceWorker();
 
-  const activeTick = setInterval(pollActive, POLL_ACTIVE_MS);
+  // ---- IPC и ошибки ----
+  process.on('message', (msg) => {
+    if (!msg || typeof msg !== 'object') return;
+    if (msg.type === 'shutdown') { shutdown(); return; }
+    worker.handleMessage(msg);
+  });
+  process.on('uncaughtException', (e) => worker.log.error('uncaughtException:', e));
+  process.on('unhandledRejection', (e) => worker.log.error('unhandledRejection:', e));
 
-  const shutdown = () => {
-    clearInterval(activeTick);
+  const shutdown = async () => {
+    await worker.stop();
     process.exit(0);
   };
   process.on('SIGINT', shutdown);
   process.on('SIGTERM', shutdown);
-}
 
-start();
+  worker.start();
+}
@@ -0,0 +1,83 @@
+#!/usr/bin/env python3
+# Поддельный MPRIS-плеер для тестов presence-media.js: регистрирует org.mpris.MediaPlayer2.<id>
+# на шине из DBUS_SESSION_BUS_ADDRESS и отдаёт свойства Player из JSON.
+#
+#   fake-mpris.py <id> '<json>'    — {"identity": ..., "status": "Playing", "position": мкс,
+#                                     "metadata": {"xesam:title": ..., "xesam:artist": [...], "mpris:length": мкс, ...}}
+# Каждая строка stdin — новый JSON того же вида (плеер сменил трек или состояние); EOF — уйти с шины.
+# После регистрации печатает "ready" и повторяет его после каждого применённого обновления.
+
+import json
+import sys
+
+import dbus
+import dbus.service
+from dbus.mainloop.glib import DBusGMainLoop
+from gi.repository import GLib
+
+ROOT_IFACE = 'org.mpris.MediaPlayer2'
+PLAYER_IFACE = 'org.mpris.MediaPlayer2.Player'
+PROPS_IFACE = 'org.freedesktop.DBus.Properties'
+
+METADATA_TYPES = {
+    'mpris:trackid': dbus.ObjectPath,
+    'mpris:length': dbus.Int64,
+    'xesam:artist': lambda v: dbus.Array(v, signature='s'),
+}
+
+
+def metadata(raw):
+    return dbus.Dictionary({k: METADATA_TYPES.get(k, dbus.String)(v) for k, v in raw.items()}, signature='sv')
+
+
+class Player(dbus.service.Object):
+    def __init__(self, bus, state):
+        super().__init__(bus, '/org/mpris/MediaPlayer2')
+        self.state = state
+
+    def props(self, iface):
+        if iface == ROOT_IFACE:
+            return {'Identity': dbus.String(self.state.get('identity', 'Fake Player'))}
+        if iface == PLAYER_IFACE:
+            return {
+                'PlaybackStatus': dbus.String(self.state.get('status', 'Stopped')),
+                'Position': dbus.Int64(self.state.get('position', 0)),
+                'Rate': dbus.Double(1.0),
+                'CanPlay': dbus.Boolean(True),
+                'Metadata': metadata(self.state.get('metadata', {})),
+            }
+        raise dbus.exceptions.DBusException('unknown interface ' + iface, name='org.freedesktop.DBus.Error.UnknownInterface')
+
+    @dbus.service.method(PROPS_IFACE, in_signature='s', out_signature='a{sv}')
+    def GetAll(self, iface):
+        return self.props(iface)
+
+    @dbus.service.method(PROPS_IFACE, in_signature='ss', out_signature='v')
+    def Get(self, iface, name):
+        return self.props(iface)[name]
+
+
+def main():
+    DBusGMainLoop(set_as_default=True)
+    bus = dbus.SessionBus()
+    player = Player(bus, json.loads(sys.argv[2]))
+    name = dbus.service.BusName(ROOT_IFACE + '.' + sys.argv[1], bus)
+    loop = GLib.MainLoop()
+
+    def on_stdin(source, _cond):
+        line = source.readline()
+        if not line:
+            loop.quit()
+            return False
+        player.state = json.loads(line)
+        print('ready', flush=True)
+        return True
+
+    GLib.io_add_watch(sys.stdin, GLib.IO_IN | GLib.IO_HUP, on_stdin)
+    print('ready', flush=True)
+    loop.run()
+    del name
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,84 @@
+// Категория окна по взвешенным сигналам: таблица случаев
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createClassifier, fullscreenBy, mergeClassifierConfig, DEFAULT_SIGNAL_WEIGHTS } from '../presence-classifier.js';
+import { buildRules } from '../presence-rules.js';
+
+const rules = buildRules({ categories: { 'obs64.exe': 'geek', 'chrome.exe': 'game' }, pathHints: ['^d:\\\\games\\\\'] });
+const FULL = { bounds: { x: 0, y: 0, width: 1920, height: 1080 } };
+const MAXIMIZED = { bounds: { x: 0, y: 0, width: 1920, height: 1040 } };
+const steam = { by: 'exe', source: 'steam', match: '/games/hades/hades.exe' };
+const steamDir = { by: 'dir', source: 'steam', match: '/games/hades' };
+
+// [описание, вход classify, категория, уверенность, id сработавших сигналов]
+const CASES = [
+  ['user category wins over everything', { base: 'obs64.exe', library: steam }, 'geek', 1, ['user-category']],
+  ['user category can make a browser a game', { base: 'chrome.exe' }, 'game', 1, ['user-category']],
+  ['known geek tool', { base: 'code.exe', window: FULL }, 'geek', 0.8, ['known-geek', 'fullscreen']],
+  ['known name', { base: 'cs2.exe' }, 'game', 0.9, ['known-name']],
+  ['detection db', { base: 'hades.exe', detection: { id: 'hades' } }, 'game', 0.85, ['detection-db']],
+  ['library exe', { base: 'hades.exe', library: steam }, 'game', 0.8, ['library']],
+  ['library dir', { base: 'helper', library: steamDir }, 'game', 0.6, ['library-dir']],
+  ['path hint', { base: 'game.exe', exePath: 'C:\\Program Files\\Epic Games\\Foo\\game.exe' }, 'game', 0.6, ['path-hint']],
+  ['user path hint', { base: 'x.exe', exePath: 'D:\\Games\\x.exe' }, 'game', 0.6, ['path-hint']],
+  ['fullscreen alone is below the threshold', { base: 'vlc', window: FULL }, 'other', 0.6, ['fullscreen']],
+  ['fullscreen plus library dir', { base: 'helper', library: steamDir, window: FULL }, 'game', 0.76, ['library-dir', 'fullscreen']],
+  ['known name plus library plus fullscreen', { base: 'dota2.exe', library: steam, window: FULL }, 'game', 0.99, ['known-name', 'library', 'fullscreen']],
+  ['maximized window is not fullscreen', { base: 'vlc', window: MAXIMIZED }, 'other', 1, []],
+  ['nothing fired', { base: 'notes', exePath: '/usr/bin/notes' }, 'other', 1, []],
+];
+
+test('classify table', async (t) => {
+  const classifier = createClassifier();
+  for (const [name, input, category, confidence, ids] of CASES) {
+    await t.test(name, () => {
+      const r = classifier.classify({ rules, exePath: '', ...input });
+      assert.equal(r.category, category);
+      assert.equal(r.confidence, confidence);
+      assert.deepEqual(r.signals.map(s => s.id), ids);
+    });
+  }
+});
+
+test('signal details', () => {
+  const r = createClassifier().classify({ rules, base: 'helper', exePath: '', library: steamDir, detection: null, window: FULL });
+  assert.deepEqual(r.signals, [
+    { id: 'library-dir', weight: 0.6, source: 'steam', dir: '/games/hades' },
+    { id: 'fullscreen', weight: 0.4, by: 'resolution' },
+  ]);
+});
+
+test('weights and threshold', () => {
+  const classifier = createClassifier({ threshold: 0.7 });
+  assert.equal(classifier.classify({ rules, base: 'helper', exePath: '', library: steamDir }).category, 'other');
+  assert.equal(classifier.classify({ rules, base: 'helper', exePath: '', library: steamDir, window: FULL }).category, 'game');
+  classifier.configure({ weights: { fullscreen: 0 } });
+  const r = classifier.classify({ rules, base: 'helper', exePath: '', library: steamDir, window: FULL });
+  assert.equal(r.category, 'other');
+  assert.deepEqual(r.signals.map(s => s.id), ['library-dir']);
+});
+
+test('fullscreenBy', () => {
+  const display = { x: 1920, y: 0, width: 2560, height: 1440 };
+  const cases = [
+    [{ x: 1920, y: 0, width: 2560, height: 1440 }, display, 'display'],
+    [{ x: 1919, y: -1, width: 2562, height: 1442 }, display, 'display'],
+    [{ x: 1920, y: 0, width: 2560, height: 1400 }, display, null],
+    [{ x: 1920, y: 0, width: 1920, height: 1080 }, null, 'resolution'],
+    [{ x: 100, y: 0, width: 1920, height: 1080 }, null, null],
+    [{ x: 0, y: 0, width: 1920, height: 1040 }, null, null],
+    [{ x: 0, y: 0, width: 0, height: 0 }, null, null],
+    [null, null, null],
+  ];
+  for (const [bounds, d, expected] of cases) assert.equal(fullscreenBy(bounds, d), expected, JSON.stringify(bounds));
+});
+
+test('config validation', () => {
+  const base = { threshold: 0.5, weights: { ...DEFAULT_SIGNAL_WEIGHTS } };
+  assert.throws(() => mergeClassifierConfig(base, { threshold: 2 }), TypeError);
+  assert.throws(() => mergeClassifierConfig(base, { weights: { nope: 1 } }), TypeError);
+  assert.throws(() => mergeClassifierConfig(base, { weights: { library: -0.1 } }), TypeError);
+  assert.throws(() => mergeClassifierConfig(base, { other: 1 }), TypeError);
+  assert.equal(mergeClassifierConfig(base, { weights: { library: 0.5 } }).weights.library, 0.5);
+});
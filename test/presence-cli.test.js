@@ -0,0 +1,58 @@
+// CLI как отдельный процесс: resolve с правилами воркера и без записи в кеш имён
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../presence-cli.js', import.meta.url));
+
+// пустой домашний каталог: сканеры библиотек не видят настоящих лаунчеров
+async function sandbox(t) {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'presence-cli-'));
+  t.after(() => fsp.rm(root, { recursive: true, force: true }));
+  const userData = path.join(root, 'userData');
+  await fsp.mkdir(userData);
+  const env = { ...process.env, HOME: root, XDG_CONFIG_HOME: '', XDG_DATA_HOME: '', ECHOTALK_PRESENCE_LOG: 'error' };
+  const cli = (...args) => {
+    const r = spawnSync(process.execPath, [CLI, ...args, '--user-data', userData], { env, encoding: 'utf8', timeout: 60000 });
+    return { code: r.status, out: r.stdout, err: r.stderr };
+  };
+  return { root, userData, cli };
+}
+
+test('resolve: built-in and user names, cache left untouched', async (t) => {
+  const { root, userData, cli } = await sandbox(t);
+  await fsp.writeFile(path.join(userData, 'presence-rules.json'), JSON.stringify({ version: 1, names: { 'mygame.exe': 'My Game' } }));
+
+  const cs2 = cli('resolve', path.join(root, 'games', 'cs2.exe'));
+  assert.equal(cs2.code, 0, cs2.err);
+  assert.equal(JSON.parse(cs2.out).displayName, 'Counter-Strike 2');
+
+  const mine = cli('resolve', path.join(root, 'games', 'mygame.exe'), '--explain');
+  assert.equal(mine.code, 0, mine.err);
+  const out = JSON.parse(mine.out);
+  assert.equal(out.displayName, 'My Game');
+  assert.equal(out.ignored, false);
+
+  // fallback-имя из пути тоже не должно попасть в presence-cache.json
+  const other = cli('resolve', path.join(root, 'games', 'some_tool.exe'));
+  assert.equal(other.code, 0, other.err);
+  assert.ok(!fs.existsSync(path.join(userData, 'presence-cache.json')));
+});
+
+test('usage errors exit with 2', async (t) => {
+  const { cli } = await sandbox(t);
+  assert.equal(cli('resolve').code, 2);
+  assert.equal(cli('frobnicate').code, 2);
+  assert.equal(cli('resolve', 'x.exe', '--pid', 'abc').code, 2);
+});
+
+test('executable with a shebang', { skip: process.platform === 'win32' }, () => {
+  assert.ok(fs.statSync(CLI).mode & 0o111);
+  assert.ok(fs.readFileSync(CLI, 'utf8').startsWith('#!/usr/bin/env node\n'));
+});
@@ -0,0 +1,116 @@
+// Разбор .desktop и индекс на каталогах-фикстурах
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { parseExec, execProgram, parseDesktopEntry, createDesktopIndex } from '../presence-desktop-entries.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/desktop/', import.meta.url));
+// домашний каталог важнее системного
+const DIRS = [`${FIXTURES}home/applications`, `${FIXTURES}usr/applications`];
+
+test('Exec: field codes, quoting and %%', () => {
+  const cases = [
+    ['firefox %u', ['firefox']],
+    ['gimp-2.10 %U %i %c %k', ['gimp-2.10']],
+    ['"/opt/My Game/game.sh" --title "100%% \\"fun\\"" %F', ['/opt/My Game/game.sh', '--title', '100% "fun"']],
+    ['sh -c "echo \\$HOME"', ['sh', '-c', 'echo $HOME']],
+    ['app ""', ['app', '']],
+    ['  spaced\targs  ', ['spaced', 'args']],
+  ];
+  for (const [exec, argv] of cases) assert.deepEqual(parseExec(exec), argv, exec);
+});
+
+test('Exec: program behind env', () => {
+  assert.equal(execProgram('env QT_QPA_PLATFORM=wayland -u DISPLAY telegram-desktop -- %u'), 'telegram-desktop');
+  assert.equal(execProgram('/usr/bin/env FOO=1 /opt/app/run'), '/opt/app/run');
+  assert.equal(execProgram('env -C /opt/game -- ./start.sh'), './start.sh');
+  assert.equal(execProgram('env'), null);
+  assert.equal(execProgram(''), null);
+});
+
+test('Exec: wrappers and interpreters', () => {
+  const cases = [
+    ['gamemoderun prime-run /usr/bin/supertuxkart %f', '/usr/bin/supertuxkart'],
+    ['mangohud /opt/game/game', '/opt/game/game'],
+    ['/usr/bin/flatpak run --branch=stable --command=notes-app org.example.Notes %U', 'notes-app'],
+    ['flatpak run --command telegram-desktop org.telegram.desktop', 'telegram-desktop'],
+    ['flatpak run --branch=stable org.example.Chess', 'org.example.Chess'],
+    ['flatpak install org.example.Chess', null],
+    ['python3 -X utf8 /opt/retro/retro-tool.py %f', '/opt/retro/retro-tool.py'],
+    ['python3 -m http.server', null],
+    ['sh -c "cd /opt && ./run"', null],
+    ['bash /opt/launcher/start.sh', '/opt/launcher/start.sh'],
+    ['node -- ./cli.js', './cli.js'],
+    ['java -Xmx1g -cp lib -jar /opt/sheets/sheet-editor.jar', '/opt/sheets/sheet-editor.jar'],
+    ['java -cp lib com.example.Main', null],
+    ['wine C:\\\\Games\\\\Game\\\\game.exe', 'game.exe'],
+    ['wine64', null],
+    ['steam steam://rungameid/620', null],
+    ['steam -silent', 'steam'],
+    ['env LANG=C python3', null],
+  ];
+  for (const [exec, program] of cases) assert.equal(execProgram(exec), program, exec);
+});
+
+test('parseDesktopEntry: only [Desktop Entry], localized names', () => {
+  const entry = parseDesktopEntry([
+    '[Desktop Entry]', 'Name=Firefox', 'Name[ru]=Веб-браузер Firefox', 'Name[pt_BR]=Navegador Firefox',
+    'Comment=Browse\\sthe web', 'Exec=firefox %u', '',
+    '[Desktop Action new-window]', 'Name=New Window', 'Name[ru]=Новое окно', 'Exec=firefox --new-window %u',
+  ].join('\r\n'));
+  assert.equal(entry.Name, 'Firefox');
+  assert.equal(entry.Exec, 'firefox %u');
+  assert.equal(entry.Comment, 'Browse the web');
+  assert.deepEqual(entry.names, { ru: 'Веб-браузер Firefox', pt_BR: 'Navegador Firefox' });
+  assert.equal(parseDesktopEntry('[Other]\nName=x\n'), null);
+});
+
+test('index over fixture dirs', async (t) => {
+  const index = createDesktopIndex({ dirs: DIRS });
+  await index.refresh();
+  const name = exe => index.lookup(exe)?.name ?? null;
+
+  await t.test('Exec argv[0] by name and by full path', () => {
+    assert.equal(name('/usr/lib/firefox/firefox'), 'Firefox');
+    assert.equal(name('/opt/My Game/game.sh'), 'My Game');
+    assert.equal(name('/usr/bin/konsole'), 'Konsole');
+  });
+
+  await t.test('program behind env, TryExec and StartupWMClass', () => {
+    assert.equal(name('/usr/bin/telegram-desktop'), 'Telegram Desktop');
+    assert.equal(name('TelegramDesktop'), 'Telegram Desktop');
+    assert.equal(name('/opt/Obsidian/launcher.sh'), 'Obsidian');
+    assert.equal(name('/opt/Obsidian/obsidian'), 'Obsidian');
+  });
+
+  await t.test('wrappers and interpreters are not keys, their target is', () => {
+    assert.equal(name('notes-app'), 'Notes');
+    assert.equal(name('org.example.Chess'), 'Chess');
+    assert.equal(name('/opt/retro/retro-tool.py'), 'Retro Tool');
+    assert.equal(name('sheet-editor.jar'), 'Sheet Editor');
+    for (const exe of ['flatpak', '/usr/bin/flatpak', 'python3', 'java', 'sh']) assert.equal(name(exe), null, exe);
+  });
+
+  await t.test('localized names and desktop-file-id', () => {
+    const ff = index.lookup('firefox');
+    assert.deepEqual(ff.names, { ru: 'Веб-браузер Firefox', pt_BR: 'Navegador Firefox' });
+    assert.deepEqual(index.lookup('/opt/My Game/game.sh').names, { de: 'Mein Spiel' });
+    assert.equal(index.lookup('konsole').id, 'kde-org.kde.konsole.desktop');
+  });
+
+  await t.test('NoDisplay and Hidden are skipped, Hidden masks the system file', () => {
+    assert.equal(name('steam-runtime-helper'), null);
+    assert.equal(name('/usr/bin/vlc'), null);
+    assert.equal(name('vlc'), null);
+  });
+
+  await t.test('home entry overrides the system one with the same id', () => {
+    assert.equal(name('/usr/share/code/code'), 'VS Code (Wayland)');
+    assert.equal(name('code'), 'VS Code (Wayland)');
+  });
+
+  await t.test('non-applications are skipped', () => {
+    assert.equal(name('project-site'), null);
+  });
+});
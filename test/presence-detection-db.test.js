@@ -0,0 +1,129 @@
+// База распознавания игр на фикстурах: проверка записей, слои, точное совпадение, os и path_fragments
+//
+// base.json — нижний слой с версией формата; user.json — пользовательский слой: замена CS2 по id,
+// отключение Dota 2, своя запись по куску пути и несколько битых записей; broken.json — битый JSON.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+
+import { createDetectionDb, parseDetectionDb, DETECTION_DB_FORMAT } from '../presence-detection-db.js';
+import { createLogger } from '../presence-log.js';
+
+const fixture = name => fileURLToPath(new URL(`./fixtures/detection-db/${name}`, import.meta.url));
+
+async function dbWith(names, platform = 'win32') {
+  const db = createDetectionDb({ files: names.map(fixture), platform, logger: createLogger({ level: 'silent' }) });
+  await db.load();
+  return db;
+}
+
+const nameOf = db => p => db.lookup(p)?.name ?? null;
+
+test('parseDetectionDb: проверка записей и версии формата', () => {
+  const { revision, entries, errors } = parseDetectionDb([
+    { id: 1, name: ' Game ', executables: [{ name: 'Bin\\Game.exe' }, { name: 'launcher.exe', is_launcher: true }] },
+    { name: 'Only Fragments', path_fragments: ['games/frag', 'abc', 42] },
+    { id: 'off', disabled: true },
+    { name: 'No Exe' },
+    { name: 'Bad Exe', executables: [{ name: ' ' }] },
+    { name: 'Bad OS', executables: [{ name: 'a.exe', os: 'win64' }] },
+    { disabled: true },
+    [],
+  ]);
+  assert.equal(revision, null);
+  assert.deepEqual(entries, [
+    {
+      id: '1', name: 'Game', aliases: [], names: null,
+      executables: [{ name: 'bin/game.exe', base: 'game.exe', exact: false, os: null }], // лаунчер пропущен
+      pathFragments: [],
+    },
+    { id: 'only fragments', name: 'Only Fragments', aliases: [], names: null, executables: [], pathFragments: ['games/frag'] },
+    { id: 'off', disabled: true },
+  ]);
+  assert.deepEqual(errors, [
+    'games[3]: expected executables or path_fragments',
+    'games[4]: executables[0].name: expected a non-empty string',
+    'games[5]: executables[0].os: expected one of win32, linux, darwin',
+    'games[6]: disabled entry needs an id',
+    'games[7]: expected an object',
+  ]);
+
+  assert.equal(parseDetectionDb({ format: DETECTION_DB_FORMAT, version: 1, revision: 'r1', games: [] }).revision, 'r1');
+  for (const bad of [null, 'games', { version: 2, games: [] }, { format: 'other', version: 1, games: [] }, { version: 1 }]) {
+    assert.throws(() => parseDetectionDb(bad), /detection db/, JSON.stringify(bad));
+  }
+});
+
+test('слои: пользовательская запись заменяет встроенную по id, disabled её убирает', async () => {
+  const base = await dbWith(['base.json']);
+  assert.equal(base.lookup('C:\\Steam\\steamapps\\common\\Counter-Strike Global Offensive\\game\\bin\\win64\\cs2.exe').name, 'Counter-Strike 2');
+  assert.deepEqual(base.lookup('D:\\Games\\dota 2 beta\\game\\bin\\win64\\dota2.exe'),
+    { id: '570', name: 'Dota 2', aliases: [], names: { ru: 'Дота 2' }, by: 'executable', match: 'game/bin/win64/dota2.exe' });
+
+  const db = await dbWith(['base.json', 'user.json']);
+  const name = nameOf(db);
+  // запись заменяется целиком: у новой CS2 свой exe, а старый хвост пути больше ничего не значит
+  assert.equal(name('C:\\Games\\cs2.exe'), 'CS2 (моя сборка)');
+  assert.equal(name('C:\\Games\\game\\bin\\win64\\cs2.exe'), 'CS2 (моя сборка)');
+  assert.equal(name('/opt/cs2/game/bin/linuxsteamrt64/cs2'), null);
+  assert.equal(name('D:\\Games\\dota 2 beta\\game\\bin\\win64\\dota2.exe'), null);
+  assert.equal(db.size, 6); // 6 встроенных − Dota 2 + mods
+
+  const [baseLayer, userLayer] = db.layers;
+  assert.deepEqual([baseLayer.revision, baseLayer.entries, baseLayer.errors], ['2026.10.1', 6, []]);
+  assert.deepEqual(userLayer.errors, [
+    'games[3]: name: expected a non-empty string',
+    'games[4]: disabled entry needs an id',
+    'games[5]: executables[0].os: expected one of win32, linux, darwin',
+  ]);
+});
+
+test('слои: битый или отсутствующий файл не мешает остальным', async () => {
+  const db = await dbWith(['base.json', 'broken.json', 'missing.json']);
+  assert.equal(nameOf(db)('C:\\Games\\game\\bin\\win64\\cs2.exe'), 'Counter-Strike 2');
+  // отсутствующего слоя в списке нет, битый — с ошибкой
+  assert.deepEqual(db.layers.map(l => [l.file, l.error === null]), [[fixture('base.json'), true], [fixture('broken.json'), false]]);
+});
+
+test('«>»: точное имя файла в любом каталоге, но длинный хвост пути важнее', async () => {
+  const name = nameOf(await dbWith(['base.json']));
+  assert.equal(name('C:\\Games\\Some Game\\launcher.exe'), 'Generic Launcher Game');
+  assert.equal(name('launcher.exe'), 'Generic Launcher Game');
+  assert.equal(name('C:\\Games\\Other\\launcher.exe'), 'Other Launcher'); // other/launcher.exe длиннее
+  // без «>» нужен весь хвост: одного имени файла мало
+  assert.equal(name('C:\\Games\\dota2.exe'), null);
+  assert.equal(name('C:\\Games\\win64\\dota2.exe'), null);
+});
+
+test('os: запись для другой ОС не срабатывает, Windows-записи годятся для .exe под Wine', async () => {
+  const cases = [
+    // [платформа, путь, ожидаемое имя]
+    ['win32', 'C:\\cs2\\game\\bin\\win64\\cs2.exe', 'Counter-Strike 2'],
+    ['win32', '/cs2/game/bin/linuxsteamrt64/cs2', null],
+    ['linux', '/cs2/game/bin/linuxsteamrt64/cs2', 'Counter-Strike 2'],
+    ['linux', '/home/u/.steam/steamapps/compatdata/0/pfx/drive_c/cs2/game/bin/win64/cs2.exe', 'Counter-Strike 2'],
+    ['darwin', '/cs2/game/bin/linuxsteamrt64/cs2', null],
+    ['darwin', '/Applications/MacOnly.app', 'Mac Only'],
+    ['linux', '/Applications/MacOnly.app', null],
+    ['linux', 'C:\\Games\\dota 2 beta\\game\\bin\\win64\\dota2.exe', 'Dota 2'], // без os — на любой ОС
+    ['linux', 'C:\\Games\\csgo.exe', null],                                   // is_launcher не индексируется
+  ];
+  for (const [platform, p, expected] of cases) {
+    assert.equal(nameOf(await dbWith(['base.json'], platform))(p), expected, `${platform} ${p}`);
+  }
+});
+
+test('path_fragments: игра с безликим exe по куску пути, самый длинный кусок побеждает', async () => {
+  const base = await dbWith(['base.json']);
+  assert.deepEqual(base.lookup('D:\\SteamLibrary\\steamapps\\common\\Hades\\x64\\launcher64.exe'),
+    { id: '1145360', name: 'Hades', aliases: [], names: null, by: 'path', match: 'steamapps/common/hades' });
+  // совпадение по exe важнее куска пути
+  assert.equal(base.lookup('D:\\SteamLibrary\\steamapps\\common\\Hades\\x64\\Hades.exe').by, 'executable');
+  // куски короче 4 символов отбрасываются
+  assert.equal(base.lookup('/games/hds/run.exe'), null);
+
+  const db = await dbWith(['base.json', 'user.json']);
+  assert.equal(db.lookup('D:\\SteamLibrary\\steamapps\\common\\Hades\\mods\\loader.exe').name, 'Hades Mod');
+  assert.equal(db.lookup('D:\\SteamLibrary\\steamapps\\common\\Hades\\x64\\launcher64.exe').name, 'Hades');
+});
@@ -0,0 +1,154 @@
+// Иконки на каталогах-фикстурах: тема freedesktop, .icns из бандла macOS, картинки Steam и ресурсы exe
+//
+// fixtures/icons/share/icons — тема Papirus (наследует hicolor) и hicolor с каталогами 16x16, 48x48 и scalable;
+// fixtures/icons/MyGame.app — бандл с AppIcon.icns (PNG-блоки 16, 32 и 128); fixtures/pe/icon.exe — exe с иконкой.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+import { createIconResolver, extractIcnsPng, parseIndexTheme, ICONS_DIR } from '../presence-icons.js';
+import { decodePng } from '../presence-png.js';
+import { createNameResolver } from '../presence-name-resolver.js';
+import { createLogger } from '../presence-log.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/icons/', import.meta.url));
+const THEMES = path.join(FIXTURES, 'share', 'icons');
+const STEAM_CACHE = fileURLToPath(new URL('./fixtures/libraries/home/.local/share/Steam/appcache/librarycache/', import.meta.url));
+const PE_ICON = fileURLToPath(new URL('./fixtures/pe/icon.exe', import.meta.url));
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'presence-icons-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// тема задаётся явно: иначе её спросили бы у kdeglobals и gsettings этой машины
+const iconsIn = (t, options = {}) => createIconResolver({
+  userDataDir: tempDir(t),
+  home: path.join(FIXTURES, 'home'),
+  env: { XDG_DATA_HOME: path.join(FIXTURES, 'share'), XDG_DATA_DIRS: path.join(FIXTURES, 'none') },
+  platform: 'linux',
+  theme: 'Papirus',
+  ...options,
+});
+
+const sha256 = file => createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+const firstPixel = file => [...decodePng(fs.readFileSync(file)).data.subarray(0, 4)];
+
+test('parseIndexTheme: Inherits и каталоги с размерами', () => {
+  const theme = parseIndexTheme(fs.readFileSync(path.join(THEMES, 'hicolor', 'index.theme'), 'utf8'));
+  assert.deepEqual(theme.inherits, []);
+  assert.deepEqual(theme.dirs.map(d => [d.name, d.size, d.type, d.min, d.max]), [
+    ['16x16/apps', 16, 'Threshold', 16, 16],
+    ['48x48/apps', 48, 'Threshold', 48, 48],
+    ['scalable/apps', 128, 'Scalable', 8, 512],
+  ]);
+  assert.deepEqual(parseIndexTheme('[Icon Theme]\nInherits=breeze, hicolor\n').inherits, ['breeze', 'hicolor']);
+});
+
+test('Icon= из .desktop: тема, её Inherits и ближайший размер', async (t) => {
+  const icons = iconsIn(t);
+  const cases = [
+    // [имя, нужный размер, ожидаемый файл относительно каталога тем]
+    ['mygame', 16, 'hicolor/16x16/apps/mygame.png'],
+    ['mygame', 64, 'hicolor/48x48/apps/mygame.png'],
+    ['mygame.png', 20, 'hicolor/16x16/apps/mygame.png'], // расширение в Icon= отбрасывается
+    ['editor', 16, 'Papirus/48x48/apps/editor.png'],     // своя тема важнее hicolor, даже с худшим размером
+  ];
+  for (const [name, want, expected] of cases) {
+    assert.equal(await icons.findThemeIcon(name, want), path.join(THEMES, expected), `${name}@${want}`);
+  }
+  assert.equal(await icons.findThemeIcon('presence-no-such-icon', 16), null);
+
+  // без Papirus editor находится только в scalable
+  assert.equal(await iconsIn(t, { theme: 'hicolor' }).findThemeIcon('editor', 16), path.join(THEMES, 'hicolor/scalable/apps/editor.svg'));
+
+  // абсолютный путь берётся как есть, если файл существует
+  const abs = path.join(THEMES, 'hicolor/48x48/apps/mygame.png');
+  assert.equal(await icons.findThemeIcon(abs), abs);
+  assert.equal(await icons.findThemeIcon(path.join(THEMES, 'missing.png')), null);
+
+  // fromDesktopIcon — только на Linux
+  assert.equal((await icons.fromDesktopIcon('mygame')).path, path.join(THEMES, 'hicolor/48x48/apps/mygame.png'));
+  assert.equal(await iconsIn(t, { platform: 'darwin' }).fromDesktopIcon('mygame'), null);
+});
+
+test('fromFile: хеш, mime и уменьшенная PNG-копия', async (t) => {
+  const icons = iconsIn(t, { size: 16 });
+  const file = path.join(THEMES, 'hicolor/48x48/apps/mygame.png');
+  const icon = await icons.fromFile(file);
+  assert.equal(icon.path, file);
+  assert.equal(icon.hash, sha256(file));
+  assert.equal(icon.mime, 'image/png');
+  assert.equal(icon.scaled.size, 16);
+  assert.equal(path.basename(path.dirname(icon.scaled.path)), ICONS_DIR);
+  const scaled = decodePng(fs.readFileSync(icon.scaled.path));
+  assert.deepEqual([scaled.width, scaled.height], [16, 16]);
+  assert.deepEqual([...scaled.data.subarray(0, 4)], [0, 0, 255, 255]);
+
+  // SVG не уменьшается; без size копий нет
+  const svg = await icons.fromFile(path.join(THEMES, 'hicolor/scalable/apps/editor.svg'));
+  assert.deepEqual([svg.mime, svg.scaled], ['image/svg+xml', null]);
+  assert.equal((await iconsIn(t).fromFile(file)).scaled, null);
+  assert.equal(await icons.fromFile(path.join(THEMES, 'missing.png')), null);
+});
+
+test('.icns: PNG-блок нужного размера из бандла macOS', async (t) => {
+  const icns = fs.readFileSync(path.join(FIXTURES, 'MyGame.app/Contents/Resources/AppIcon.icns'));
+  const width = png => decodePng(png).width;
+  assert.equal(width(extractIcnsPng(icns, 16)), 16);
+  assert.equal(width(extractIcnsPng(icns, 20)), 32);   // самый маленький не меньше нужного
+  assert.equal(width(extractIcnsPng(icns)), 128);
+  assert.equal(width(extractIcnsPng(icns, 1024)), 128); // больше нет — самый большой
+  assert.equal(extractIcnsPng(Buffer.from('not an icns file')), null);
+
+  const icon = await iconsIn(t, { size: 32 }).fromMacBundle(path.join(FIXTURES, 'MyGame.app'));
+  assert.equal(path.basename(path.dirname(icon.path)), ICONS_DIR);
+  assert.deepEqual(firstPixel(icon.path), [70, 80, 90, 255]);
+  assert.equal(icon.hash, sha256(icon.path));
+  assert.equal(await iconsIn(t).fromMacBundle(path.join(FIXTURES, 'Missing.app')), null);
+});
+
+test('fromPeIcon: картинка из ресурсов exe сохраняется в presence-icons', async (t) => {
+  const icon = await iconsIn(t, { size: 16 }).fromPeIcon(PE_ICON);
+  assert.equal(path.basename(path.dirname(icon.path)), ICONS_DIR);
+  assert.equal(icon.mime, 'image/png');
+  assert.deepEqual(firstPixel(icon.path), [255, 0, 0, 255]);
+  assert.equal(await iconsIn(t).fromPeIcon(path.join(FIXTURES, 'missing.exe')), null);
+});
+
+test('резолвер: картинка Steam из librarycache, иначе иконка из exe', async (t) => {
+  const userDataDir = tempDir(t);
+  const terraria = '/games/terraria/terraria.exe';
+  const steamIcon = path.join(STEAM_CACHE, '105600', '4b1c1f8f3a2e6d1c9a5b7e0f2d3c4b5a6e7f8091.jpg');
+  const scanner = { id: 'steam', scan: async () => new Map([[terraria, { name: 'Terraria', appid: '105600', icon: steamIcon }]]) };
+  const resolver = createNameResolver({
+    userDataDir,
+    platform: 'linux',
+    scanners: [scanner],
+    desktopDirs: [],
+    detectionDb: null,
+    icons: { size: 16 },
+    logger: createLogger({ level: 'silent' }),
+  });
+  t.after(() => resolver.stop());
+  await resolver.warmup();
+
+  const steam = await resolver.resolveName({ exePath: terraria }, { explain: true });
+  assert.deepEqual([steam.icon.path, steam.icon.mime, steam.icon.scaled], [steamIcon, 'image/jpeg', null]);
+  assert.deepEqual(steam.explain.steps.find(s => s.step === 'icon'), { step: 'icon', result: steamIcon, from: 'library' });
+
+  const pe = await resolver.resolveName({ exePath: PE_ICON }, { explain: true });
+  assert.equal(path.dirname(pe.icon.path), path.join(userDataDir, ICONS_DIR));
+  assert.equal(pe.explain.steps.find(s => s.step === 'icon').from, 'pe');
+
+  // второй раз — из кеша
+  const again = await resolver.resolveName({ exePath: PE_ICON }, { explain: true });
+  assert.equal(again.icon.path, pe.icon.path);
+  assert.equal(again.explain.steps.find(s => s.step === 'icon').from, 'cache');
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLinuxIdleSource } from '../presence-idle.js';
+
+// способ, ответ которого задаётся руками; calls — сколько раз его спрашивали
+function method(name, value = null) {
+  return {
+    name,
+    value,
+    calls: 0,
+    async read() {
+      this.calls++;
+      return this.value;
+    },
+  };
+}
+
+test('linux: ни один способ не сработал — повторный поиск с растущей паузой', async () => {
+  let clock = 0;
+  const mutter = method('mutter');
+  const logind = method('logind');
+  const source = createLinuxIdleSource({ methods: [mutter, logind], now: () => clock });
+
+  assert.equal(await source.getIdleMs(), null);
+  assert.equal(mutter.calls, 1);
+
+  // до конца паузы способы не дёргаются
+  clock = 29_000;
+  assert.equal(await source.getIdleMs(), null);
+  assert.equal(mutter.calls, 1);
+
+  // пауза удваивается: 30 с, 60 с, …
+  clock = 30_000;
+  assert.equal(await source.getIdleMs(), null);
+  assert.equal(mutter.calls, 2);
+  clock = 89_000;
+  await source.getIdleMs();
+  assert.equal(mutter.calls, 2);
+
+  // сервис поднялся позже воркера — со следующего поиска он и выбирается
+  logind.value = 1500;
+  clock = 90_000;
+  assert.equal(await source.getIdleMs(), 1500);
+  assert.equal(source.method, 'logind');
+  assert.equal(await source.getIdleMs(), 1500);
+  assert.equal(mutter.calls, 3);
+});
+
+test('linux: пауза не растёт дольше 10 минут', async () => {
+  let clock = 0;
+  const m = method('xprintidle');
+  const source = createLinuxIdleSource({ methods: [m], now: () => clock });
+  for (let i = 0; i < 10; i++) {
+    await source.getIdleMs();
+    clock += 10 * 60 * 1000;
+  }
+  assert.equal(m.calls, 10);
+});
+
+test('linux: выбранный способ перестал отвечать — ищем заново', async () => {
+  let clock = 0;
+  const mutter = method('mutter', 100);
+  const screensaver = method('screensaver', 2000);
+  const source = createLinuxIdleSource({ methods: [mutter, screensaver], now: () => clock });
+  assert.equal(await source.getIdleMs(), 100);
+  assert.equal(source.method, 'mutter');
+
+  mutter.value = null; // композитор перезапустили
+  assert.equal(await source.getIdleMs(), 2000);
+  assert.equal(source.method, 'screensaver');
+
+  screensaver.value = null;
+  assert.equal(await source.getIdleMs(), null);
+  assert.equal(source.method, null);
+  mutter.value = 300;
+  assert.equal(await source.getIdleMs(), null); // пауза
+  clock = 30_000;
+  assert.equal(await source.getIdleMs(), 300);
+});
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createJournal, dayKey } from '../presence-journal.js';
+import { createLogger } from '../presence-log.js';
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+// даты в локальной зоне: журнал режет сессии по локальной полуночи
+const at = (day, hour, minute = 0) => new Date(2026, 0, day, hour, minute).getTime();
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'presence-journal-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const journalIn = (dir, now = at(12, 12)) => createJournal({ userDataDir: dir, now: () => now, logger: createLogger({ level: 'silent' }) });
+
+const DOTA = { exeName: 'dota2.exe', exePath: 'C:\\Games\\dota2.exe', displayName: 'Dota 2', category: 'game' };
+const CODE = { exeName: 'code', exePath: '/usr/share/code/code', displayName: 'VS Code', category: 'geek' };
+
+test('record: строка на сессию, простой не входит в duration', async (t) => {
+  const dir = tempDir(t);
+  const journal = journalIn(dir);
+  journal.record({ ...DOTA, startedAt: at(10, 12), endedAt: at(10, 13), idle: 10 * MIN });
+  journal.record({ ...CODE, displayName: null, category: undefined, startedAt: at(10, 14), endedAt: at(10, 14, 30) });
+  await journal.flush();
+
+  const lines = fs.readFileSync(path.join(dir, 'presence-journal.ndjson'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(lines, [
+    { ...DOTA, startedAt: at(10, 12), endedAt: at(10, 13), idle: 10 * MIN, duration: 50 * MIN },
+    { ...CODE, displayName: null, category: 'other', startedAt: at(10, 14), endedAt: at(10, 14, 30), idle: 0, duration: 30 * MIN },
+  ]);
+});
+
+test('recover: открытые сессии закрываются по lastSeen и помечаются recovered', async (t) => {
+  const dir = tempDir(t);
+  const crashed = journalIn(dir);
+  crashed.checkpoint('s1', { ...DOTA, startedAt: at(10, 12), lastSeen: at(10, 12, 40) });
+  crashed.checkpoint('s2', { ...CODE, startedAt: at(10, 13), lastSeen: at(10, 13, 5) });
+  crashed.record({ ...CODE, startedAt: at(10, 13), endedAt: at(10, 13, 10) }, 's2'); // s2 завершилась штатно
+  await crashed.flush();
+  assert.ok(fs.existsSync(path.join(dir, 'presence-journal-open.json')));
+
+  const journal = journalIn(dir);
+  const recovered = await journal.recover();
+  assert.deepEqual(recovered, [
+    { ...DOTA, startedAt: at(10, 12), endedAt: at(10, 12, 40), idle: 0, duration: 40 * MIN, recovered: true },
+  ]);
+  assert.ok(!fs.existsSync(path.join(dir, 'presence-journal-open.json')));
+  assert.deepEqual(await journal.recover(), []); // второй раз восстанавливать нечего
+  assert.deepEqual(await journal.totalTime({ since: at(10, 0), exeName: 'dota2.exe' }),
+    { since: at(10, 0), until: at(12, 12), ms: 40 * MIN, sessions: 1 });
+});
+
+test('статистика: totalTime, topApps и dailyBreakdown с переходом через полночь', async (t) => {
+  const dir = tempDir(t);
+  const journal = journalIn(dir);
+  journal.record({ ...DOTA, startedAt: at(10, 12), endedAt: at(10, 13), idle: 10 * MIN });
+  journal.record({ ...CODE, startedAt: at(10, 14), endedAt: at(10, 14, 30) });
+  journal.record({ ...DOTA, startedAt: at(11, 23, 30), endedAt: at(12, 0, 30) });
+  const since = at(10, 0);
+
+  await t.test('totalTime: по exeName или displayName без учёта регистра, с периодом', async () => {
+    const dota = { since, until: at(12, 12), ms: 50 * MIN + HOUR, sessions: 2 };
+    assert.deepEqual(await journal.totalTime({ since, exeName: 'DOTA2.EXE' }), dota);
+    assert.deepEqual(await journal.totalTime({ since, displayName: 'dota 2' }), dota);
+    assert.equal((await journal.totalTime({ since })).ms, 50 * MIN + HOUR + 30 * MIN);
+    // период обрезает сессию: с полуночи 12-го — только её вторая половина
+    assert.equal((await journal.totalTime({ since: at(12, 0), exeName: 'dota2.exe' })).ms, 30 * MIN);
+    assert.equal((await journal.totalTime({ since, until: at(10, 12, 30), exeName: 'dota2.exe' })).ms, 25 * MIN);
+  });
+
+  await t.test('topApps: по убыванию времени, limit и category', async () => {
+    const top = await journal.topApps({ since });
+    assert.deepEqual(top.map(a => [a.exeName, a.ms, a.sessions]), [['dota2.exe', 50 * MIN + HOUR, 2], ['code', 30 * MIN, 1]]);
+    assert.deepEqual((await journal.topApps({ since, limit: 1 })).map(a => a.exeName), ['dota2.exe']);
+    assert.deepEqual((await journal.topApps({ since, category: 'geek' })).map(a => a.displayName), ['VS Code']);
+  });
+
+  await t.test('dailyBreakdown: сессия через полночь делится между днями', async () => {
+    assert.deepEqual(await journal.dailyBreakdown({ since }), [
+      { day: dayKey(at(10, 0)), game: 50 * MIN, geek: 30 * MIN, other: 0 },
+      { day: dayKey(at(11, 0)), game: 30 * MIN, geek: 0, other: 0 },
+      { day: dayKey(at(12, 0)), game: 30 * MIN, geek: 0, other: 0 },
+    ]);
+  });
+});
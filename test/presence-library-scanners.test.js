@@ -0,0 +1,254 @@
+// Сканеры библиотек на каталогах-фикстурах и наблюдение за установкой/удалением игр
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  steamScanner, epicScanner, heroicScanner, lutrisScanner, itchScanner,
+  gogGamesFromRegistry, createScannerRegistry,
+} from '../presence-library-scanners.js';
+import { createNameResolver } from '../presence-name-resolver.js';
+import { createLogger } from '../presence-log.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/libraries/', import.meta.url));
+const hasSqlite = spawnSync('sqlite3', ['-version']).status === 0;
+
+// копия фикстур во временный каталог: абсолютные пути в манифестах записаны как @ROOT@
+async function fixtureRoot(t) {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), 'presence-libs-'));
+  t.after(() => fsp.rm(root, { recursive: true, force: true }));
+  await fsp.cp(FIXTURES, root, { recursive: true });
+  for (const f of await fsp.readdir(root, { recursive: true })) {
+    if (!/\.(vdf|acf|json|info|yml)$/.test(f)) continue;
+    const file = path.join(root, f);
+    await fsp.writeFile(file, (await fsp.readFile(file, 'utf8')).replaceAll('@ROOT@', root));
+  }
+  return root;
+}
+
+const ctxFor = (root, platform = 'linux') => ({
+  platform,
+  home: path.join(root, 'home'),
+  env: { PROGRAMDATA: path.join(root, 'ProgramData') },
+  debug: () => {},
+});
+
+const names = found => Object.fromEntries([...found].map(([p, e]) => [p, e.name]));
+
+// ждёт, пока условие станет истинным (события fs.watch приходят не сразу)
+async function until(check, ms = 5000) {
+  const end = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > end) throw new Error('timed out');
+    await new Promise(r => setTimeout(r, 20));
+  }
+}
+
+test('steam: manifests from every library, tools and crash reporters skipped', async (t) => {
+  const root = await fixtureRoot(t);
+  const common = path.join(root, 'home', '.local', 'share', 'Steam', 'steamapps', 'common');
+  const found = await steamScanner.scan(ctxFor(root));
+  assert.deepEqual(names(found), {
+    [path.join(common, 'Terraria', 'Terraria.bin.x86_64').toLowerCase()]: 'Terraria',
+    [path.join(root, 'SteamLibrary', 'steamapps', 'common', 'Hades', 'x64', 'Hades.exe').toLowerCase()]: 'Hades',
+  });
+  const terraria = found.get(path.join(common, 'Terraria', 'Terraria.bin.x86_64').toLowerCase());
+  assert.equal(terraria.appid, '105600');
+  // иконки из librarycache основной установки Steam: <appid>/<sha1>.jpg важнее обложки, старая раскладка — <appid>_icon.jpg
+  const cache = path.join(root, 'home', '.local', 'share', 'Steam', 'appcache', 'librarycache');
+  assert.equal(terraria.icon, path.join(cache, '105600', '4b1c1f8f3a2e6d1c9a5b7e0f2d3c4b5a6e7f8091.jpg'));
+  const hades = found.get(path.join(root, 'SteamLibrary', 'steamapps', 'common', 'Hades', 'x64', 'Hades.exe').toLowerCase());
+  assert.equal(hades.icon, path.join(cache, '1145360_icon.jpg'));
+});
+
+test('epic: .item manifests', async (t) => {
+  const root = await fixtureRoot(t);
+  const found = await epicScanner.scan(ctxFor(root, 'win32'));
+  assert.deepEqual(names(found), {
+    [path.join('C:\\Program Files\\Epic Games\\Control', 'Control_DX12.exe').toLowerCase()]: 'Control',
+  });
+});
+
+test('gog: registry export', async () => {
+  const text = await fsp.readFile(path.join(FIXTURES, 'gog-reg-query.txt'), 'utf8');
+  assert.deepEqual(gogGamesFromRegistry(text), [
+    { exePath: 'C:\\GOG Games\\Witcher 3\\bin\\x64\\witcher3.exe', name: 'The Witcher 3: Wild Hunt', appid: '1207664643' },
+  ]);
+});
+
+test('heroic: legendary, gog and sideloaded games', async (t) => {
+  const root = await fixtureRoot(t);
+  const found = await heroicScanner.scan(ctxFor(root));
+  assert.deepEqual(Object.fromEntries([...found].map(([p, e]) => [p, e])), {
+    [path.join('/games/heroic/Celeste', 'Celeste.exe').toLowerCase()]: { name: 'Celeste', appid: 'Sugar' },
+    [path.join(root, 'games', 'gog', 'Stardew Valley', 'StardewValley').toLowerCase()]: { name: 'Stardew Valley', appid: '1453375253' },
+    [path.join(root, 'home', '.local', 'share', 'Steam', 'steamapps', 'common', 'Terraria', 'Terraria.bin.x86_64').toLowerCase()]:
+      { name: 'Terraria (sideload)', appid: 'terraria-sideload' },
+  });
+});
+
+test('lutris: pga.db names and yml fallback', async (t) => {
+  const root = await fixtureRoot(t);
+  const found = names(await lutrisScanner.scan(ctxFor(root)));
+  // Flatpak-версия без pga.db: название из имени файла
+  assert.equal(found['/games/lutris/dead cells/deadcells'], 'Dead Cells');
+  if (hasSqlite) {
+    assert.equal(found['/games/lutris/hollow knight/hollow_knight.x86_64'], 'Hollow Knight');
+    assert.equal(found['/games/lutris/uninstalled/game'], undefined);
+  }
+});
+
+test('itch: receipt picks the game binary', async (t) => {
+  const root = await fixtureRoot(t);
+  const found = await itchScanner.scan(ctxFor(root));
+  assert.deepEqual(names(found), {
+    [path.join(root, 'home', '.config', 'itch', 'apps', 'a-short-hike', 'AShortHike.x86_64').toLowerCase()]: 'A Short Hike',
+  });
+});
+
+test('scanAll: earlier scanner wins, entry() falls back to the next one', async (t) => {
+  const root = await fixtureRoot(t);
+  const registry = createScannerRegistry([steamScanner, heroicScanner]);
+  const { entries } = await registry.scanAll(ctxFor(root));
+  const terraria = path.join(root, 'home', '.local', 'share', 'Steam', 'steamapps', 'common', 'Terraria', 'Terraria.bin.x86_64').toLowerCase();
+  assert.equal(entries.get(terraria).source, 'steam');
+  assert.equal(registry.entry(terraria).source, 'steam');
+  registry.unregister('steam');
+  assert.equal(registry.entry(terraria).name, 'Terraria (sideload)');
+});
+
+test('watch: manifest added and removed', async (t) => {
+  const root = await fixtureRoot(t);
+  const ctx = ctxFor(root);
+  const registry = createScannerRegistry([steamScanner]);
+  await registry.scanAll(ctx);
+  const changes = [];
+  const w = registry.watch(ctx, c => changes.push(c), { debounceMs: 50 });
+  t.after(() => w.stop());
+  await w.settled();
+
+  const steamapps = path.join(root, 'SteamLibrary', 'steamapps');
+  const exe = path.join(steamapps, 'common', 'Balatro', 'Balatro.exe');
+  await fsp.mkdir(path.dirname(exe), { recursive: true });
+  await fsp.writeFile(exe, 'MZ');
+  const manifest = path.join(steamapps, 'appmanifest_2379780.acf');
+  await fsp.writeFile(manifest, '"AppState"\n{\n\t"appid"\t\t"2379780"\n\t"name"\t\t"Balatro"\n\t"installdir"\t\t"Balatro"\n}\n');
+  await until(() => changes.length === 1);
+  assert.deepEqual(changes[0].added.map(([p, e]) => [p, e.name, e.source]), [[exe.toLowerCase(), 'Balatro', 'steam']]);
+  assert.deepEqual(changes[0].removed, []);
+  assert.equal(registry.entry(exe.toLowerCase()).name, 'Balatro');
+
+  await fsp.rm(manifest);
+  await until(() => changes.length === 2);
+  assert.deepEqual(changes[1].added, []);
+  assert.deepEqual(changes[1].removed.map(([p]) => p), [exe.toLowerCase()]);
+  assert.equal(registry.entry(exe.toLowerCase()), null);
+});
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+const acf = (appid, name, installdir = name) =>
+  `"AppState"\n{\n\t"appid"\t\t"${appid}"\n\t"name"\t\t"${name}"\n\t"installdir"\t\t"${installdir}"\n}\n`;
+
+async function install(steamapps, appid, name) {
+  const exe = path.join(steamapps, 'common', name, `${name}.exe`);
+  await fsp.mkdir(path.dirname(exe), { recursive: true });
+  await fsp.writeFile(exe, 'MZ');
+  return exe.toLowerCase();
+}
+
+test('watch: burst of writes is one change, a new library is watched, stop() closes the watchers', async (t) => {
+  const root = await fixtureRoot(t);
+  const ctx = ctxFor(root);
+  const registry = createScannerRegistry([steamScanner]);
+  await registry.scanAll(ctx);
+  const changes = [];
+  const w = registry.watch(ctx, c => changes.push(c), { debounceMs: 300 });
+  t.after(() => w.stop());
+  await w.settled();
+  const steamapps = path.join(root, 'SteamLibrary', 'steamapps');
+  assert.deepEqual(w.dirs().sort(), [path.join(root, 'home', '.local', 'share', 'Steam', 'steamapps'), steamapps].sort());
+
+  // установка пишет манифест по частям и сразу второй — после debounce это одно изменение
+  const balatro = await install(steamapps, '2379780', 'Balatro');
+  const celeste = await install(steamapps, '504230', 'Celeste');
+  const manifest = path.join(steamapps, 'appmanifest_2379780.acf');
+  await fsp.writeFile(manifest, '"AppState"\n{\n');
+  await fsp.writeFile(manifest, acf('2379780', 'Balatro (downloading)', 'Balatro'));
+  await fsp.writeFile(manifest, acf('2379780', 'Balatro'));
+  await fsp.writeFile(path.join(steamapps, 'appmanifest_504230.acf'), acf('504230', 'Celeste'));
+  await until(() => changes.length === 1);
+  await sleep(600);
+  assert.equal(changes.length, 1);
+  assert.deepEqual(changes[0].added.map(([p, e]) => [p, e.name]).sort(), [[balatro, 'Balatro'], [celeste, 'Celeste']]);
+
+  // новая библиотека в libraryfolders.vdf: полный перескан и наблюдение за её каталогом без перезапуска
+  const newLib = path.join(root, 'NewLibrary', 'steamapps');
+  const hollow = await install(newLib, '367520', 'Hollow Knight');
+  await fsp.writeFile(path.join(newLib, 'appmanifest_367520.acf'), acf('367520', 'Hollow Knight'));
+  const vdf = path.join(root, 'home', '.local', 'share', 'Steam', 'steamapps', 'libraryfolders.vdf');
+  const text = await fsp.readFile(vdf, 'utf8');
+  await fsp.writeFile(vdf, text.replace(/}\s*$/, `\t"2"\n\t{\n\t\t"path"\t\t"${path.join(root, 'NewLibrary')}"\n\t}\n}\n`));
+  await until(() => changes.length === 2);
+  assert.deepEqual(changes[1].added.map(([p, e]) => [p, e.name]), [[hollow, 'Hollow Knight']]);
+  await w.settled();
+  assert.ok(w.dirs().includes(newLib));
+
+  const silksong = await install(newLib, '1030300', 'Silksong');
+  await fsp.writeFile(path.join(newLib, 'appmanifest_1030300.acf'), acf('1030300', 'Silksong'));
+  await until(() => changes.length === 3);
+  assert.deepEqual(changes[2].added.map(([p]) => p), [silksong]);
+
+  // после stop() каталоги не наблюдаются, а watch() можно запустить заново
+  w.stop();
+  assert.deepEqual(w.dirs(), []);
+  await fsp.rm(path.join(newLib, 'appmanifest_1030300.acf'));
+  await sleep(600);
+  assert.equal(changes.length, 3);
+  assert.equal(registry.entry(silksong).name, 'Silksong');
+  const again = registry.watch(ctx, () => {});
+  assert.notEqual(again, w);
+  again.stop();
+});
+
+// сканер, который видит фикстуры вместо настоящего домашнего каталога
+function atRoot(scanner, root) {
+  const fix = ctx => ({ ...ctx, ...ctxFor(root), debug: ctx.debug });
+  return {
+    ...scanner,
+    scan: ctx => scanner.scan(fix(ctx)),
+    watch: scanner.watch && {
+      paths: ctx => scanner.watch.paths(fix(ctx)),
+      classify: scanner.watch.classify,
+      scanManifest: (ctx, file) => scanner.watch.scanManifest(fix(ctx), file),
+    },
+  };
+}
+
+test('resolver: removing the winning entry promotes the shadowed one', async (t) => {
+  const root = await fixtureRoot(t);
+  const resolver = createNameResolver({
+    userDataDir: path.join(root, 'userData'),
+    platform: 'linux',
+    scanners: createScannerRegistry([atRoot(steamScanner, root), atRoot(heroicScanner, root)]),
+    desktopDirs: [],
+    detectionDb: null,
+    icons: null,
+    logger: createLogger({ level: 'silent' }),
+  });
+  t.after(() => resolver.stop());
+  const steamDir = path.join(root, 'home', '.local', 'share', 'Steam', 'steamapps');
+  const terraria = path.join(steamDir, 'common', 'Terraria', 'Terraria.bin.x86_64');
+  const hades = path.join(root, 'SteamLibrary', 'steamapps', 'common', 'Hades', 'x64', 'Hades.exe');
+  await resolver.warmup();
+  assert.equal(resolver.library(terraria).name, 'Terraria');
+
+  await fsp.rm(path.join(steamDir, 'appmanifest_105600.acf'));
+  await fsp.rm(path.join(root, 'SteamLibrary', 'steamapps', 'appmanifest_1145360.acf'));
+  await until(() => resolver.library(terraria)?.source === 'heroic' && !resolver.library(hades));
+  assert.equal(resolver.library(terraria).name, 'Terraria (sideload)');
+  assert.equal((await resolver.resolveName({ exePath: terraria })).name, 'Terraria (sideload)');
+});
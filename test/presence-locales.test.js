@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeLocales, systemLocales } from '../presence-locales.js';
+
+test('normalizeLocales', () => {
+  const cases = [
+    [['ru-RU', 'en'], ['ru_RU', 'ru', 'en']],
+    ['de_DE.UTF-8', ['de_DE', 'de']],
+    [['sr_RS@latin', 'sr'], ['sr_RS', 'sr']],
+    [['', '  ', null, 'fr'], ['fr']],
+    [undefined, []],
+  ];
+  for (const [input, expected] of cases) assert.deepEqual(normalizeLocales(input), expected, JSON.stringify(input));
+});
+
+test('systemLocales: переменные окружения, затем Intl', () => {
+  const cases = [
+    // [env, intl, ожидаемое]
+    [{ LANG: 'ru_RU.UTF-8' }, 'en-US', ['ru_RU.UTF-8', 'en-US']],
+    [{ LC_ALL: 'de_DE.UTF-8', LANG: 'ru_RU.UTF-8' }, 'de-DE', ['de_DE.UTF-8', 'de-DE']],
+    [{ LC_MESSAGES: 'uk_UA.UTF-8', LANG: 'en_US.UTF-8' }, null, ['uk_UA.UTF-8']],
+    [{ LANGUAGE: 'ru:en', LANG: 'ru_RU.UTF-8' }, 'ru-RU', ['ru', 'en', 'ru_RU.UTF-8', 'ru-RU']],
+    // C/POSIX — не язык, и LANGUAGE при них не действует
+    [{ LANGUAGE: 'ru', LANG: 'C.UTF-8' }, 'en-US', ['en-US']],
+    [{ LC_ALL: 'POSIX' }, null, []],
+    // Windows/macOS: переменных нет — только Intl
+    [{}, 'pt-BR', ['pt-BR']],
+  ];
+  for (const [env, intl, expected] of cases) {
+    assert.deepEqual(systemLocales({ env, intl }), expected, JSON.stringify(env));
+  }
+});
@@ -0,0 +1,197 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import readline from 'node:readline';
+import { spawn, spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import {
+  createMediaTracker, createMprisMediaSource, mergeMediaConfig, MPRIS_METHODS, parseGVariant,
+} from '../presence-media.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/media/', import.meta.url));
+const only = name => MPRIS_METHODS.filter(m => m.name === name);
+
+// busctl и gdbus берутся из PATH; env — поверх process.env на время теста
+function withEnv(t, env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  t.after(() => { process.env = saved; });
+}
+
+const withFakeTools = t => withEnv(t, { PATH: `${path.join(FIXTURES, 'bin')}${path.delimiter}${process.env.PATH}` });
+
+const SPOTIFY = {
+  player: 'spotify', busName: 'org.mpris.MediaPlayer2.spotify', identity: 'Spotify', state: 'playing',
+  artist: 'Alice, Bob', title: 'Song "A"', album: 'LP', trackId: '/com/spotify/track/1', positionMs: 61500, lengthMs: 240000,
+};
+
+test('parseGVariant', () => {
+  const cases = [
+    ["(<'VLC media player'>,)", ['VLC media player']],
+    ["(['a', 'b'],)", [['a', 'b']]],
+    ["({'Position': <int64 -5>, 'Rate': <1.5>, 'Shuffle': <false>},)", [{ Position: -5, Rate: 1.5, Shuffle: false }]],
+    ["(<@as []>, <@a{sv} {}>, <objectpath '/a/b'>)", [[], {}, '/a/b']],
+    ["('It\\'s \\u00e9\\n',)", ["It's é\n"]],
+    ['("say \\"hi\\"",)', ['say "hi"']],
+    ['(uint32 7, byte 0x10, 2.5e3)', [7, 16, 2500]],
+  ];
+  for (const [text, expected] of cases) assert.deepEqual(parseGVariant(text), expected, text);
+  for (const bad of ["('open", '({1: }', '(1,) tail', '<>']) assert.throws(() => parseGVariant(bad), /gvariant/, bad);
+});
+
+test('mpris через busctl: записанные ответы', async (t) => {
+  withFakeTools(t);
+  const source = createMprisMediaSource({ methods: only('busctl') });
+  const players = await source.getPlayers();
+  assert.equal(source.method, 'busctl');
+  assert.deepEqual(players, [
+    {
+      player: 'firefox', busName: 'org.mpris.MediaPlayer2.firefox.instance_1_84', identity: 'Mozilla Firefox', state: 'paused',
+      artist: null, title: 'Video', album: null, trackId: null, positionMs: null, lengthMs: null,
+    },
+    SPOTIFY,
+  ]);
+});
+
+test('mpris через gdbus: записанные ответы', async (t) => {
+  withFakeTools(t);
+  const source = createMprisMediaSource({ methods: only('gdbus') });
+  const players = await source.getPlayers();
+  assert.equal(source.method, 'gdbus');
+  assert.deepEqual(players, [
+    {
+      player: 'mpv', busName: 'org.mpris.MediaPlayer2.mpv.instance4242', identity: 'mpv Media Player', state: 'stopped',
+      artist: null, title: null, album: null, trackId: null, positionMs: 0, lengthMs: null,
+    },
+    {
+      player: 'vlc', busName: 'org.mpris.MediaPlayer2.vlc', identity: 'VLC media player', state: 'playing',
+      artist: 'Fleetwood Mac', title: "Don't Stop", album: 'Rumours é', trackId: '/org/videolan/vlc/playlist/3',
+      positionMs: 5000, lengthMs: 193000,
+    },
+  ]);
+});
+
+test('mpris: первый способ не ответил — берётся следующий', async (t) => {
+  withFakeTools(t);
+  const broken = { name: 'broken', async list() { return null; } };
+  const source = createMprisMediaSource({ methods: [broken, ...only('gdbus')] });
+  assert.equal((await source.getPlayers()).length, 2);
+  assert.equal(source.method, 'gdbus');
+});
+
+// ---- настоящая шина: поддельный MPRIS-плеер (fixtures/media/fake-mpris.py) на отдельном dbus-daemon ----
+// привязки dbus/gi обычно есть только у системного python
+const python = ['python3', '/usr/bin/python3'].find(bin => spawnSync(bin, ['-c', 'import dbus, gi']).status === 0);
+const hasBus = Boolean(python)
+  && [['dbus-daemon', '--version'], ['busctl', '--version'], ['gdbus', 'help']].every(([tool, arg]) => spawnSync(tool, [arg]).status === 0);
+
+// первая строка stdout процесса (адрес шины, "ready" плеера)
+const firstLine = child => new Promise((resolve, reject) => {
+  const rl = readline.createInterface({ input: child.stdout });
+  rl.once('line', (line) => { rl.close(); resolve(line); });
+  child.once('exit', code => reject(new Error(`exited with ${code}`)));
+});
+
+async function privateBus(t) {
+  const daemon = spawn('dbus-daemon', ['--session', '--nofork', '--print-address=1'], { stdio: ['ignore', 'pipe', 'ignore'] });
+  t.after(() => daemon.kill());
+  withEnv(t, { DBUS_SESSION_BUS_ADDRESS: await firstLine(daemon) });
+}
+
+async function fakePlayer(t, id, state) {
+  const child = spawn(python, [path.join(FIXTURES, 'fake-mpris.py'), id, JSON.stringify(state)], { stdio: ['pipe', 'pipe', 'inherit'] });
+  t.after(() => child.kill());
+  const lines = readline.createInterface({ input: child.stdout });
+  const ready = () => new Promise(resolve => lines.once('line', resolve));
+  await ready();
+  return {
+    async set(next) {
+      const done = ready();
+      child.stdin.write(JSON.stringify(next) + '\n');
+      await done;
+    },
+    async quit() {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.stdin.end();
+      await exited;
+    },
+  };
+}
+
+const SONG = {
+  identity: 'Spotify',
+  status: 'Playing',
+  position: 61500000,
+  metadata: {
+    'mpris:trackid': '/com/spotify/track/1', 'xesam:title': 'Song "A"', 'xesam:artist': ['Alice', 'Bob'],
+    'xesam:album': 'LP', 'mpris:length': 240000000,
+  },
+};
+
+for (const method of ['busctl', 'gdbus']) {
+  test(`mpris через ${method}: поддельный плеер на отдельной шине`, { skip: !hasBus && 'нужны dbus-daemon, busctl, gdbus и python3 с dbus и gi' }, async (t) => {
+    await privateBus(t);
+    const fake = await fakePlayer(t, 'spotify', SONG);
+    const source = createMprisMediaSource({ methods: only(method) });
+    const tracker = createMediaTracker();
+
+    assert.deepEqual(await source.getPlayers(), [SPOTIFY]);
+    assert.equal(source.method, method);
+    assert.deepEqual(tracker.update(await source.getPlayers(), 1000).map(m => m.payload.title), ['Song "A"']);
+
+    // смена трека видна со следующего опроса
+    await fake.set({ ...SONG, position: 0, metadata: { ...SONG.metadata, 'mpris:trackid': '/com/spotify/track/2', 'xesam:title': 'B' } });
+    const next = tracker.update(await source.getPlayers(), 2000);
+    assert.deepEqual(next.map(m => [m.payload.title, m.payload.positionMs]), [['B', 0]]);
+
+    // плеер ушёл с шины — родитель получает stopped с reason closed
+    await fake.quit();
+    assert.deepEqual(await source.getPlayers(), []);
+    const gone = tracker.update([], 3000);
+    assert.deepEqual(gone.map(m => [m.payload.player, m.payload.state, m.payload.reason]), [['spotify', 'stopped', 'closed']]);
+  });
+}
+
+// ---- списки allow/deny ----
+const player = (id, identity, extra = {}) => ({
+  player: id, busName: `org.mpris.MediaPlayer2.${id}`, identity, state: 'playing', artist: 'A', title: `${id} song`,
+  album: null, trackId: `/${id}/1`, positionMs: 0, lengthMs: 100000, ...extra,
+});
+const PLAYERS = [player('spotify', 'Spotify'), player('firefox', 'Mozilla Firefox'), player('vlc', 'VLC media player')];
+
+test('allow/deny: кто попадает в presence:media', () => {
+  const cases = [
+    // [настройки, ожидаемые плееры]
+    [{}, ['spotify', 'firefox', 'vlc']],
+    [{ allow: ['spotify', 'vlc'] }, ['spotify', 'vlc']],
+    [{ allow: ['Mozilla Firefox'] }, ['firefox']],          // по Identity, без учёта регистра
+    [{ deny: ['firefox'] }, ['spotify', 'vlc']],
+    [{ deny: ['vlc media player'] }, ['spotify', 'firefox']],
+    [{ allow: ['spotify', 'firefox'], deny: ['firefox'] }, ['spotify']], // deny важнее allow
+    [{ allow: ['mpv'] }, []],
+  ];
+  for (const [config, expected] of cases) {
+    const tracker = createMediaTracker(config);
+    assert.deepEqual(tracker.update(PLAYERS, 1000).map(m => m.payload.player), expected, JSON.stringify(config));
+  }
+});
+
+test('allow/deny: смена списков на лету скрывает плеер с reason hidden и возвращает его', () => {
+  const tracker = createMediaTracker();
+  tracker.update(PLAYERS, 1000);
+  tracker.configure({ deny: ['spotify'] });
+  assert.deepEqual(tracker.update(PLAYERS, 2000).map(m => [m.payload.player, m.payload.state, m.payload.reason]),
+    [['spotify', 'stopped', 'hidden']]);
+  assert.deepEqual(tracker.current().map(m => m.payload.player), ['firefox', 'vlc']);
+  tracker.configure({ deny: [] });
+  assert.deepEqual(tracker.update(PLAYERS, 3000).map(m => [m.payload.player, m.payload.state]), [['spotify', 'playing']]);
+});
+
+test('mergeMediaConfig', () => {
+  const base = { allow: [], deny: [], pollMs: 5000 };
+  assert.deepEqual(mergeMediaConfig(base, { allow: [' Spotify '], pollMs: 1000 }), { allow: ['spotify'], deny: [], pollMs: 1000 });
+  for (const bad of [{ allow: 'spotify' }, { deny: [''] }, { pollMs: 10 }, { pollMs: 1.5 }, { other: 1 }, []]) {
+    assert.throws(() => mergeMediaConfig(base, bad), TypeError, JSON.stringify(bad));
+  }
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createNameCache, migrateCache } from '../presence-name-cache.js';
+import { createLogger } from '../presence-log.js';
+
+function cache(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'presence-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createNameCache({ userDataDir: dir, readOnly: true, logger: createLogger({ level: 'silent' }) });
+}
+
+test('put: что и куда пишется в зависимости от уверенности источника', async (t) => {
+  const cases = [
+    // [источник, путь, ожидаемые записи { kind: key }]
+    ['metadata', '/games/a/game.exe', [['exe', 'game.exe'], ['path', '/games/a/game.exe']]],
+    ['metadata', '', [['exe', 'game.exe']]],
+    ['title', '/games/a/game.exe', [['path', '/games/a/game.exe']]],
+    ['title', '', []],     // без пути низкая уверенность не пишется по имени exe
+    ['fallback', '', []],
+    ['path-hint', '', []],
+    ['title', 'game.exe', []],  // имя без каталога — не путь
+    ['metadata', 'game.exe', [['exe', 'game.exe']]],
+  ];
+  for (const [source, pLower, expected] of cases) {
+    const c = cache(t);
+    assert.equal(c.put('game.exe', pLower, { name: 'Game', source }), expected.length > 0, `${source} ${pLower}`);
+    assert.deepEqual(c.list().map(e => [e.kind, e.key]).sort(), expected.sort(), `${source} ${pLower}`);
+  }
+});
+
+test('загрузка: ключи byPath без каталога из старых файлов выбрасываются', () => {
+  const entry = { name: 'Loading screen', names: {}, source: 'title', confidence: 0.3, ts: 1 };
+  const migrated = migrateCache({ version: 2, byExe: {}, byPath: { 'game.exe': entry, '/games/game.exe': entry } });
+  assert.deepEqual(Object.keys(migrated.byPath), ['/games/game.exe']);
+});
@@ -0,0 +1,88 @@
+// Резолвер имён: индекс библиотек и каталоги установленных игр
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createNameResolver } from '../presence-name-resolver.js';
+import { createLogger } from '../presence-log.js';
+
+const HOME = os.homedir();
+
+async function resolverWith(t, entries) {
+  const userDataDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'presence-resolver-'));
+  const scanner = { id: 'lutris', scan: async () => new Map(entries.map(([p, name]) => [p.toLowerCase(), { name }])) };
+  const resolver = createNameResolver({
+    userDataDir,
+    platform: 'linux',
+    scanners: [scanner],
+    desktopDirs: [],
+    detectionDb: null,
+    icons: null,
+    logger: createLogger({ level: 'silent' }),
+  });
+  t.after(async () => {
+    await resolver.stop();
+    await fsp.rm(userDataDir, { recursive: true, force: true });
+  });
+  await resolver.warmup();
+  return resolver;
+}
+
+test('library dirs skip system and shared directories', async (t) => {
+  const resolver = await resolverWith(t, [
+    ['/usr/games/supertuxkart', 'SuperTuxKart'],
+    ['/usr/bin/openttd', 'OpenTTD'],
+    [path.join(HOME, 'Downloads', 'Celeste.AppImage'), 'Celeste'],
+    [path.join(HOME, 'game.sh'), 'Home Game'],
+    ['/games/hollow knight/hollow_knight.x86_64', 'Hollow Knight'],
+    ['/games/hollow knight/launcher', 'Hollow Knight'],
+    ['/games/appimages/dead-cells.AppImage', 'Dead Cells'],
+    ['/games/appimages/hades.AppImage', 'Hades'],
+  ]);
+  const hit = p => {
+    const r = resolver.library(p);
+    return r && [r.by, r.name];
+  };
+  const cases = [
+    // сами exe из индекса находятся всегда
+    ['/usr/games/supertuxkart', ['exe', 'SuperTuxKart']],
+    ['/usr/bin/openttd', ['exe', 'OpenTTD']],
+    [path.join(HOME, 'Downloads', 'Celeste.AppImage'), ['exe', 'Celeste']],
+    // соседи в системных и общих каталогах — нет
+    ['/usr/games/sl', null],
+    ['/usr/bin/firefox', null],
+    ['/usr/lib/firefox/firefox', null],
+    [path.join(HOME, 'Downloads', 'installer.run'), null],
+    [path.join(HOME, 'src', 'app', 'bin', 'app'), null],
+    // каталог одной игры — да, вместе с подкаталогами
+    ['/games/hollow knight/unityplayer', ['dir', 'Hollow Knight']],
+    ['/games/hollow knight/hollow_knight_data/crash/reporter', ['dir', 'Hollow Knight']],
+    // в каталоге exe разных игр — общий
+    ['/games/appimages/hades.AppImage', ['exe', 'Hades']],
+    ['/games/appimages/celeste.AppImage', null],
+  ];
+  for (const [p, expected] of cases) assert.deepEqual(hit(p), expected, p);
+});
+
+test('без пути к exe заголовок и fallback не кешируются под голым именем exe', async (t) => {
+  const resolver = await resolverWith(t, []);
+  // провайдер окна знает только имя процесса — normalizeWindow кладёт его в exePath
+  const first = await resolver.resolveName({ exePath: 'game.exe', processName: 'game.exe', windowTitle: 'Loading screen' });
+  assert.equal(first.name, 'Loading screen');
+  assert.equal(first.source, 'title');
+
+  // другой game.exe без пути не должен получить чужой заголовок из кеша
+  const other = await resolver.resolveName({ exePath: 'game.exe', processName: 'game.exe', windowTitle: '' }, { explain: true });
+  assert.equal(other.name, 'Game');
+  assert.equal(other.explain.winner, 'fallback');
+  assert.deepEqual(resolver.cache.list(), []);
+
+  // с настоящим путём предварительная запись сохраняется — по этому пути
+  await resolver.resolveName({ exePath: '/games/game.exe', processName: 'game.exe', windowTitle: 'Real Game' });
+  assert.deepEqual(resolver.cache.list().map(e => [e.key, e.source]), [['/games/game.exe', 'title']]);
+  // имя из кеша помечено тем источником, откуда оно когда-то пришло, — для фильтра приватности это заголовок
+  const again = await resolver.resolveName({ exePath: '/games/game.exe', processName: 'game.exe', windowTitle: '' });
+  assert.deepEqual([again.name, again.source], ['Real Game', 'title']);
+});
@@ -0,0 +1,88 @@
+// Иконка из ресурсов PE
+//
+// icon.exe — PE32+ с группой RT_GROUP_ICON из трёх картинок: 16×16 32-битная DIB (верх красный, низ —
+// полупрозрачный синий), 32×32 палитровая DIB и 48×48 PNG (зелёная); witcher3.exe — ресурсы без иконки.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { readPeIcon, parseIconGroup, dibToRgba } from '../presence-pe-icon.js';
+import { decodePng, isPng } from '../presence-png.js';
+
+const fixture = name => fileURLToPath(new URL(`./fixtures/pe/${name}`, import.meta.url));
+
+const pixel = (img, x, y) => [...img.data.subarray((y * img.width + x) * 4, (y * img.width + x) * 4 + 4)];
+
+test('readPeIcon: картинка нужного размера из первой группы', async () => {
+  // [size, ext, ширина картинки из группы]
+  const cases = [
+    [16, '.png', 16],
+    [24, '.ico', 32],   // самая маленькая не меньше нужной
+    [48, '.png', 48],
+    [256, '.png', 48],  // больше нет — самая большая
+  ];
+  for (const [size, ext, width] of cases) {
+    const icon = await readPeIcon(fixture('icon.exe'), { size });
+    assert.deepEqual([icon.ext, icon.width], [ext, width], String(size));
+  }
+});
+
+test('readPeIcon: 32-битная DIB становится PNG, палитровая — файлом .ico', async () => {
+  const small = decodePng((await readPeIcon(fixture('icon.exe'), { size: 16 })).data);
+  assert.deepEqual([small.width, small.height], [16, 16]);
+  assert.deepEqual(pixel(small, 0, 0), [255, 0, 0, 255]);   // строки DIB идут снизу вверх, каналы — BGRA
+  assert.deepEqual(pixel(small, 15, 15), [0, 0, 255, 128]);
+
+  const big = await readPeIcon(fixture('icon.exe'), { size: 48 });
+  assert.ok(isPng(big.data));
+  assert.deepEqual(pixel(decodePng(big.data), 0, 0), [0, 128, 0, 255]);
+
+  const ico = (await readPeIcon(fixture('icon.exe'), { size: 32 })).data;
+  assert.deepEqual([ico.readUInt16LE(2), ico.readUInt16LE(4)], [1, 1]);                   // ICONDIR: иконка, одна картинка
+  assert.deepEqual([ico[6], ico[7], ico.readUInt16LE(12)], [32, 32, 8]);                 // 32×32, 8 бит
+  assert.deepEqual([ico.readUInt32LE(14), ico.readUInt32LE(18)], [ico.length - 22, 22]); // данные сразу за заголовком
+  assert.equal(ico.readUInt32LE(22), 40);                                                // BITMAPINFOHEADER
+});
+
+test('readPeIcon: без иконки, не PE и нет файла — null', async () => {
+  for (const name of ['witcher3.exe', 'no-resources.exe', 'not-pe.exe', 'truncated.exe', 'missing.exe']) {
+    assert.equal(await readPeIcon(fixture(name)), null, name);
+  }
+});
+
+test('parseIconGroup: ширина 0 — это 256', () => {
+  const grp = Buffer.alloc(6 + 14 * 2);
+  grp.writeUInt16LE(1, 2);
+  grp.writeUInt16LE(2, 4);
+  grp.writeUInt16LE(32, 6 + 6);
+  grp.writeUInt16LE(7, 6 + 12);
+  grp[20] = 48;
+  grp[21] = 48;
+  grp.writeUInt16LE(8, 20 + 6);
+  grp.writeUInt16LE(9, 20 + 12);
+  assert.deepEqual(parseIconGroup(grp), [
+    { width: 256, height: 256, colors: 0, bitCount: 32, id: 7 },
+    { width: 48, height: 48, colors: 0, bitCount: 8, id: 9 },
+  ]);
+  grp.writeUInt16LE(2, 2); // тип 2 — курсор
+  assert.deepEqual(parseIconGroup(grp), []);
+});
+
+test('dibToRgba: 32-битная DIB без альфы берёт прозрачность из маски AND', () => {
+  // 2×2: все пиксели с нулевой альфой, в маске прозрачен левый верхний
+  const dib = Buffer.alloc(40 + 2 * 2 * 4 + 4 * 2);
+  dib.writeUInt32LE(40, 0);
+  dib.writeInt32LE(2, 4);
+  dib.writeInt32LE(4, 8);
+  dib.writeUInt16LE(1, 12);
+  dib.writeUInt16LE(32, 14);
+  for (let i = 0; i < 4; i++) dib.writeUInt32LE(0x00102030, 40 + i * 4); // BGRA: 30 20 10 00
+  dib[40 + 16 + 4] = 0x80; // вторая строка маски снизу — верхняя строка картинки
+  const img = dibToRgba(dib);
+  assert.deepEqual(pixel(img, 0, 0), [0x10, 0x20, 0x30, 0]);
+  assert.deepEqual(pixel(img, 1, 0), [0x10, 0x20, 0x30, 255]);
+  assert.deepEqual(pixel(img, 0, 1), [0x10, 0x20, 0x30, 255]);
+
+  dib.writeUInt16LE(8, 14);
+  assert.equal(dibToRgba(dib), null); // палитровые DIB не переводятся
+});
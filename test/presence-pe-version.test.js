@@ -0,0 +1,57 @@
+// VS_VERSIONINFO из PE-фикстур: целый ресурс, обрезанный файл и PE без ресурсов
+//
+// witcher3.exe — PE32+ с таблицами en-US и ru-RU; Game-Win64-Shipping.exe — PE32 с общим FileDescription;
+// truncated.exe — witcher3.exe, обрезанный посреди ProductName русской таблицы;
+// no-resources.exe — заголовки PE без каталога ресурсов; not-pe.exe — только сигнатура MZ.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { readVersionInfo, versionInfoName, isGenericDescription } from '../presence-pe-version.js';
+
+const fixture = name => fileURLToPath(new URL(`./fixtures/pe/${name}`, import.meta.url));
+
+// [файл, локали, ожидаемые { fileDescription, productName, lang } или null]
+const CASES = [
+  ['witcher3.exe', [], { fileDescription: 'The Witcher 3', productName: 'The Witcher 3: Wild Hunt', lang: 0x0409 }],
+  ['witcher3.exe', ['ru_RU', 'ru'], { fileDescription: 'Ведьмак 3', productName: 'Ведьмак 3: Дикая Охота', lang: 0x0419 }],
+  ['witcher3.exe', ['de'], { fileDescription: 'The Witcher 3', productName: 'The Witcher 3: Wild Hunt', lang: 0x0409 }],
+  ['Game-Win64-Shipping.exe', ['ru'], { fileDescription: 'BootstrapPackagedGame', productName: 'Satisfactory', lang: 0x0409 }],
+  ['truncated.exe', [], { fileDescription: 'The Witcher 3', productName: 'The Witcher 3: Wild Hunt', lang: 0x0409 }],
+  ['truncated.exe', ['ru'], { fileDescription: 'Ведьмак 3', productName: null, lang: 0x0419 }],
+  ['no-resources.exe', [], null],
+  ['not-pe.exe', [], null],
+  ['missing.exe', [], null],
+];
+
+test('readVersionInfo over PE fixtures', async (t) => {
+  for (const [file, locales, expected] of CASES) {
+    await t.test(`${file} [${locales.join(',')}]`, async () => {
+      const info = await readVersionInfo(fixture(file), { locales });
+      if (!expected) return assert.equal(info, null);
+      const { fileDescription, productName, lang } = info;
+      assert.deepEqual({ fileDescription, productName, lang }, expected);
+    });
+  }
+});
+
+test('versions and canonical strings', async () => {
+  const info = await readVersionInfo(fixture('witcher3.exe'), { locales: ['ru'] });
+  assert.equal(info.fileVersion, '1.2.3.4');
+  assert.equal(info.productVersion, '1.0.0.0');
+  assert.equal(info.canonical.fileDescription, 'The Witcher 3');
+  assert.equal(info.canonical.companyName, 'CD PROJEKT RED');
+  const shipping = await readVersionInfo(fixture('Game-Win64-Shipping.exe'));
+  assert.equal(shipping.fileVersion, '1.0.0.1'); // строка из таблицы важнее VS_FIXEDFILEINFO
+});
+
+test('versionInfoName: ProductName when the description is generic', async () => {
+  const ru = await readVersionInfo(fixture('witcher3.exe'), { locales: ['ru'] });
+  assert.deepEqual(versionInfoName(ru, 'witcher3.exe'), { name: 'The Witcher 3', localized: 'Ведьмак 3' });
+  const shipping = await readVersionInfo(fixture('Game-Win64-Shipping.exe'));
+  assert.deepEqual(versionInfoName(shipping, 'game-win64-shipping.exe'), { name: 'Satisfactory', localized: null });
+  assert.equal(versionInfoName(null), null);
+  assert.ok(isGenericDescription('Game-Win64-Shipping'));
+  assert.ok(isGenericDescription('hades', 'hades.exe'));
+  assert.ok(!isGenericDescription('Hades', 'launcher.exe'));
+});
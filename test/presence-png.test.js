@@ -0,0 +1,117 @@
+// PNG без нативных зависимостей: разбор всех типов цвета и фильтров, уменьшение и запись
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { isPng, decodePng, downscale, encodePng } from '../presence-png.js';
+
+// PNG из готовых строк пикселей: один фильтр на все строки (фильтруем сами, как кодировщик)
+function makePng({ width, height, depth = 8, color, channels, pixels, filter = 0, palette, trns, interlace = 0 }) {
+  const bpp = channels * depth / 8;
+  const stride = width * bpp;
+  const raw = Buffer.alloc(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = filter;
+    for (let x = 0; x < stride; x++) {
+      const cur = pixels[y * stride + x];
+      const a = x >= bpp ? pixels[y * stride + x - bpp] : 0;
+      const b = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const c = y > 0 && x >= bpp ? pixels[(y - 1) * stride + x - bpp] : 0;
+      const p = a + b - c;
+      const predictor = [0, a, b, (a + b) >> 1,
+        Math.abs(p - a) <= Math.abs(p - b) && Math.abs(p - a) <= Math.abs(p - c) ? a : Math.abs(p - b) <= Math.abs(p - c) ? b : c][filter];
+      raw[y * (stride + 1) + 1 + x] = (cur - predictor) & 0xff;
+    }
+  }
+  const chunk = (type, data) => {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(data.length);
+    return Buffer.concat([len, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]); // CRC разбор не проверяет
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = depth;
+  ihdr[9] = color;
+  ihdr[12] = interlace;
+  const idat = zlib.deflateSync(raw);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    ...(palette ? [chunk('PLTE', Buffer.from(palette))] : []),
+    ...(trns ? [chunk('tRNS', Buffer.from(trns))] : []),
+    // данные в двух IDAT: разбор должен их склеить
+    chunk('IDAT', idat.subarray(0, 5)),
+    chunk('IDAT', idat.subarray(5)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// 3×2 RGBA: разные цвета, чтобы фильтры работали с ненулевыми соседями
+const RGBA = [
+  [255, 0, 0, 255], [0, 255, 0, 128], [0, 0, 255, 0],
+  [10, 20, 30, 40], [200, 150, 100, 255], [1, 2, 3, 4],
+];
+
+test('decodePng: фильтры None, Sub, Up, Average и Paeth', () => {
+  for (const filter of [0, 1, 2, 3, 4]) {
+    const img = decodePng(makePng({ width: 3, height: 2, color: 6, channels: 4, pixels: RGBA.flat(), filter }));
+    assert.deepEqual([img.width, img.height], [3, 2]);
+    assert.deepEqual([...img.data], RGBA.flat(), `filter ${filter}`);
+  }
+});
+
+test('decodePng: серый, серый с альфой, RGB, палитра с tRNS и 16 бит', () => {
+  const cases = [
+    // [название, параметры, ожидаемые RGBA первых двух пикселей]
+    ['gray', { color: 0, channels: 1, pixels: [0, 128, 255, 7, 8, 9] }, [[0, 0, 0, 255], [128, 128, 128, 255]]],
+    ['gray+alpha', { color: 4, channels: 2, pixels: [50, 100, 60, 0, 0, 0, 0, 0, 0, 0, 0, 0] }, [[50, 50, 50, 100], [60, 60, 60, 0]]],
+    ['rgb', { color: 2, channels: 3, pixels: [1, 2, 3, 4, 5, 6, ...Array(12).fill(0)] }, [[1, 2, 3, 255], [4, 5, 6, 255]]],
+    ['palette', {
+      color: 3, channels: 1, pixels: [1, 0, 1, 0, 1, 0], palette: [9, 9, 9, 200, 100, 50], trns: [0],
+    }, [[200, 100, 50, 255], [9, 9, 9, 0]]],
+    // 16 бит: берётся старший байт канала
+    ['rgba16', {
+      depth: 16, color: 6, channels: 4, pixels: [0x12, 0x34, 0x56, 0x78, 0x9a, 0xbc, 0xff, 0xff, 0, 1, 0, 2, 0, 3, 0x80, 0, ...Array(32).fill(0)],
+    }, [[0x12, 0x56, 0x9a, 0xff], [0, 0, 0, 0x80]]],
+  ];
+  for (const [name, params, expected] of cases) {
+    const img = decodePng(makePng({ width: 3, height: 2, ...params }));
+    assert.deepEqual([[...img.data.subarray(0, 4)], [...img.data.subarray(4, 8)]], expected, name);
+  }
+});
+
+test('decodePng: чересстрочные, палитра без PLTE и не PNG — null', () => {
+  assert.equal(decodePng(makePng({ width: 3, height: 2, color: 6, channels: 4, pixels: RGBA.flat(), interlace: 1 })), null);
+  assert.equal(decodePng(makePng({ width: 3, height: 2, color: 3, channels: 1, pixels: Array(6).fill(0) })), null);
+  assert.equal(decodePng(Buffer.from('GIF89a')), null);
+  assert.equal(isPng(Buffer.from('GIF89a')), false);
+});
+
+test('encodePng → decodePng без потерь', () => {
+  const img = { width: 3, height: 2, data: Buffer.from(RGBA.flat()) };
+  const png = encodePng(img);
+  assert.ok(isPng(png));
+  assert.deepEqual(decodePng(png), img);
+});
+
+test('downscale: вписывает в квадрат и усредняет с учётом альфы', () => {
+  // 4×2 → 2×1: каждый выходной пиксель — среднее квадрата 2×2
+  const src = {
+    width: 4,
+    height: 2,
+    data: Buffer.from([
+      255, 0, 0, 255, 0, 0, 255, 0, 10, 10, 10, 255, 30, 30, 30, 255,
+      255, 0, 0, 255, 0, 0, 255, 0, 20, 20, 20, 255, 40, 40, 40, 255,
+    ]),
+  };
+  const out = downscale(src, 2);
+  assert.deepEqual([out.width, out.height], [2, 1]);
+  // прозрачный синий не подмешивается в цвет, но уменьшает альфу
+  assert.deepEqual([...out.data.subarray(0, 4)], [255, 0, 0, 128]);
+  assert.deepEqual([...out.data.subarray(4, 8)], [25, 25, 25, 255]);
+
+  assert.equal(downscale(src, 8), src); // меньше size — без изменений
+  const tall = downscale({ width: 2, height: 8, data: Buffer.alloc(2 * 8 * 4, 255) }, 4);
+  assert.deepEqual([tall.width, tall.height], [1, 4]);
+});
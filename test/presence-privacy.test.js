@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPrivacyFilter, mergePrivacy, DEFAULT_PRIVACY } from '../presence-privacy.js';
+
+const payload = (extra = {}) => ({
+  sessionId: 's1',
+  source: 'active',
+  pid: 42,
+  exePath: 'C:\\Games\\Game\\game.exe',
+  exeName: 'game.exe',
+  displayName: 'Game',
+  canonicalName: 'Game',
+  nameSource: 'library',
+  title: 'Level 3 — secret.docx',
+  app: 'game.exe',
+  extra: { parser: 'vscode', workspace: 'secret' },
+  category: 'game',
+  confidence: 0.9,
+  ts: 1000,
+  statusText: 'играет в Game · Level 3 — secret.docx',
+  ...extra,
+});
+const update = p => ({ type: 'presence:update', payload: p });
+const media = { type: 'presence:media', payload: { player: 'spotify', identity: 'Spotify', state: 'playing', title: 'Song', artist: 'A', ts: 1 } };
+// строка статуса из того, что осталось после фильтра
+const renderStatus = p => `${p.displayName}${p.title ? ` · ${p.title}` : ''}`;
+
+test('hiddenExes: по имени и по полному пути, без учёта регистра', () => {
+  const cases = [
+    // [hiddenExes, payload, виден ли]
+    [['game.exe'], payload(), false],
+    [['GAME.EXE'], payload(), false],
+    [['c:\\games\\game\\game.exe'], payload(), false],
+    [['c:\\other\\game.exe'], payload(), true],
+    [['other.exe'], payload(), true],
+    [['game.exe'], payload({ exeName: null, exePath: '/opt/game/game.exe' }), false], // имя берётся из пути
+  ];
+  for (const [hiddenExes, p, visible] of cases) {
+    const privacy = createPrivacyFilter({ hiddenExes });
+    assert.equal(privacy.isVisible(p), visible, JSON.stringify(hiddenExes));
+    assert.equal(privacy.apply(update(p)) !== null, visible, JSON.stringify(hiddenExes));
+  }
+  // сообщения не об активности проходят как есть
+  const ready = { type: 'presence:ready' };
+  assert.equal(createPrivacyFilter({ hiddenExes: ['game.exe'] }).apply(ready), ready);
+});
+
+test('режим стримера: без заголовка, деталей и presence:detail, строка статуса пересобирается', () => {
+  const privacy = createPrivacyFilter({ streamer: true }, { renderStatus });
+  const out = privacy.apply(update(payload())).payload;
+  assert.equal(out.title, null);
+  assert.equal(out.extra, null);
+  assert.equal(out.displayName, 'Game');
+  assert.equal(out.statusText, 'Game');
+  assert.equal(privacy.apply({ type: 'presence:detail', payload: payload() }), null);
+  // без renderStatus строка просто убирается
+  assert.equal(createPrivacyFilter({ streamer: true }).apply(update(payload())).payload.statusText, null);
+});
+
+test('имя из заголовка окна прячется вместе с заголовком', () => {
+  const fromTitle = payload({ displayName: 'Level 3 — secret.docx', canonicalName: 'Level 3 — secret.docx', nameSource: 'title' });
+  const cases = [
+    // [настройки, displayName, canonicalName, nameSource]
+    [{}, 'Level 3 — secret.docx', 'Level 3 — secret.docx', 'title'],
+    [{ streamer: true }, 'Game', 'Game', 'fallback'],
+    [{ mode: 'minimal' }, 'Game', undefined, undefined], // в minimal нет canonicalName и nameSource
+  ];
+  for (const [settings, displayName, canonicalName, nameSource] of cases) {
+    const out = createPrivacyFilter(settings, { renderStatus }).apply(update(fromTitle)).payload;
+    const name = JSON.stringify(settings);
+    assert.equal(out.displayName, displayName, name);
+    assert.equal(out.canonicalName, canonicalName, name);
+    assert.equal(out.nameSource, nameSource, name);
+    if (settings.streamer || settings.mode) {
+      assert.ok(!JSON.stringify(out).includes('secret'), name);
+    }
+  }
+  // имя из надёжного источника не трогается
+  const out = createPrivacyFilter({ streamer: true }).apply(update(payload())).payload;
+  assert.equal(out.nameSource, 'library');
+  // без имени exe — нейтральное имя, а не заголовок
+  const bare = createPrivacyFilter({ streamer: true }).apply(update({ ...fromTitle, exeName: null, exePath: null })).payload;
+  assert.equal(bare.displayName, 'Unknown App');
+});
+
+test('minimal: только разрешённые поля, медиа без трека', () => {
+  const privacy = createPrivacyFilter({ mode: 'minimal', media: true }, { renderStatus });
+  const out = privacy.apply(update(payload())).payload;
+  assert.deepEqual(Object.keys(out).sort(),
+    ['category', 'confidence', 'displayName', 'sessionId', 'source', 'statusText', 'ts']);
+  assert.equal(out.statusText, 'Game');
+  assert.deepEqual(privacy.apply(media).payload, { player: 'spotify', identity: 'Spotify', state: 'playing', ts: 1 });
+  assert.equal(privacy.apply({ type: 'presence:detail', payload: payload() }), null);
+});
+
+test('невидимка: наружу не уходит ни активность, ни медиа', () => {
+  const privacy = createPrivacyFilter({ invisible: true, media: true });
+  for (const type of ['presence:update', 'presence:heartbeat', 'presence:ended', 'presence:idle', 'presence:active', 'presence:detail']) {
+    assert.equal(privacy.apply({ type, payload: payload() }), null, type);
+  }
+  assert.equal(privacy.isVisible(payload()), false);
+  assert.equal(privacy.apply(media), null);
+  assert.deepEqual(privacy.apply({ type: 'presence:ready' }), { type: 'presence:ready' });
+
+  // выключили — снова видно
+  privacy.update({ invisible: false });
+  assert.notEqual(privacy.apply(update(payload())), null);
+});
+
+test('медиа уходит, только если включено явно', () => {
+  assert.equal(createPrivacyFilter().apply(media), null);
+  assert.equal(createPrivacyFilter({ media: true }).apply(media), media);
+});
+
+test('mergePrivacy: проверка настроек', () => {
+  assert.deepEqual(mergePrivacy(DEFAULT_PRIVACY, { hiddenExes: [' Game.EXE '], mode: 'minimal' }),
+    { ...DEFAULT_PRIVACY, hiddenExes: ['game.exe'], mode: 'minimal' });
+  for (const bad of [null, [], { hiddenExes: 'game.exe' }, { hiddenExes: [''] }, { mode: 'loud' }, { streamer: 1 }, { other: true }]) {
+    assert.throws(() => mergePrivacy(DEFAULT_PRIVACY, bad), TypeError, JSON.stringify(bad));
+  }
+  // ошибка не меняет текущие настройки фильтра
+  const privacy = createPrivacyFilter({ streamer: true });
+  assert.throws(() => privacy.update({ streamer: false, mode: 'loud' }), TypeError);
+  assert.equal(privacy.settings.streamer, true);
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { createProcessScanner } from '../presence-processes.js';
+
+const FAKE_BIN = fileURLToPath(new URL('./fixtures/processes/bin', import.meta.url));
+
+// ps берётся из PATH — подставляем поддельный из фикстур
+function withFakePs(t, env = {}) {
+  const saved = { ...process.env };
+  process.env.PATH = `${FAKE_BIN}${path.delimiter}${process.env.PATH}`;
+  Object.assign(process.env, env);
+  t.after(() => { process.env = saved; });
+}
+
+const alive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+test('darwin: разбор вывода ps', async (t) => {
+  withFakePs(t);
+  const procs = await createProcessScanner({ platform: 'darwin' }).list();
+  assert.deepEqual(procs.map(p => [p.pid, p.processName]), [[1, 'launchd'], [412, 'steam_osx'], [9031, 'Hades']]);
+  assert.equal(procs[2].exePath, '/Users/me/Library/Application Support/Steam/steamapps/common/Hades/Hades.app/Contents/MacOS/Hades');
+});
+
+test('darwin: зависший ps убивается по таймауту, скан недоступен', async (t) => {
+  const pidFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'presence-ps-')), 'pid');
+  t.after(() => fs.rmSync(path.dirname(pidFile), { recursive: true, force: true }));
+  withFakePs(t, { PRESENCE_FAKE_PS_PID: pidFile });
+
+  const t0 = Date.now();
+  const scanner = createProcessScanner({ platform: 'darwin', timeoutMs: 300 });
+  assert.equal(await scanner.list(), null);
+  assert.ok(Date.now() - t0 < 5000);
+
+  const pid = Number(fs.readFileSync(pidFile, 'utf8'));
+  const end = Date.now() + 2000;
+  while (alive(pid) && Date.now() < end) await new Promise(r => setTimeout(r, 20));
+  assert.equal(alive(pid), false);
+});
+
+test('darwin: ps с ошибкой — скан недоступен, а не пустой', async (t) => {
+  withFakePs(t, { PRESENCE_FAKE_PS_FAIL: '1' });
+  const scanner = createProcessScanner({ platform: 'darwin' });
+  assert.equal(await scanner.list(), null);
+  assert.equal(await scanner.inspect([9031]), null);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createPresenceWorker } from '../presence-worker.js';
+import { createScriptedProvider } from '../presence-window-providers.js';
+import { createRulesStore, RULES_FILE } from '../presence-rules.js';
+import { PROTOCOL_VERSION } from '../presence-protocol.js';
+import { readTrace } from '../presence-trace.js';
+import { replayTrace } from '../presence-replay.js';
+import { createLogger } from '../presence-log.js';
+
+const NAMES = { 'mygame.exe': 'My Game', 'secret.exe': 'Secret' };
+
+const stubResolver = {
+  async warmup() {},
+  async resolveName({ exePath }) {
+    const name = NAMES[path.basename(exePath)] ?? null;
+    return { name, canonicalName: name, icon: null };
+  },
+  detect: () => null,
+  library: () => null,
+};
+
+// воркер, пишущий трассу в dir/trace.ndjson; poll(ts, window) — один опрос со сдвигом часов
+async function tracedWorker(dir, options = {}) {
+  fs.writeFileSync(path.join(dir, RULES_FILE), JSON.stringify({ categories: { 'mygame.exe': 'geek' } }));
+  const rules = createRulesStore({ userDataDir: dir });
+  await rules.load();
+
+  const file = path.join(dir, 'trace.ndjson');
+  let clock = 1000;
+  const provider = createScriptedProvider();
+  const worker = createPresenceWorker({
+    provider,
+    resolver: stubResolver,
+    send: () => {},
+    now: () => clock,
+    trace: file,
+    rules,
+    journal: null,
+    processes: null,
+    idle: { source: { name: 'stub', async getIdleMs() { return 0; } } },
+    media: { source: { name: 'stub', async getPlayers() { return null; } } },
+    privacy: { hiddenExes: ['secret.exe'] },
+    logger: createLogger({ level: 'silent' }),
+    ...options,
+  });
+
+  const poll = async (ts, window) => {
+    clock = ts;
+    provider.push(window);
+    await worker.pollActive();
+  };
+  return { file, worker, poll, setClock: (ts) => { clock = ts; } };
+}
+
+// записывает трассу: пользовательские правила, скрытое приложение в настройках и смена приватности на лету
+async function record(dir) {
+  const { file, worker, poll, setClock } = await tracedWorker(dir);
+  await poll(1000, { exePath: '/games/mygame.exe', title: 'Level 1' });
+  await poll(2000, { exePath: '/games/mygame.exe', title: 'Level 2' });
+  setClock(2500);
+  const res = await worker.request({
+    type: 'request', v: PROTOCOL_VERSION, id: 1, command: 'set-config', args: { privacy: { streamer: true }, locales: ['ru'] },
+  });
+  assert.equal(res.ok, true);
+  await poll(3000, { exePath: '/games/mygame.exe', title: 'Level 3' });
+  await poll(4000, { exePath: '/opt/secret.exe', title: 'Secret chat' });
+  await poll(5000, { exePath: '/games/mygame.exe', title: 'Level 4' });
+  await worker.stop();
+  return file;
+}
+
+test('replay: трасса с правилами, скрытыми приложениями и set-config воспроизводится без расхождений', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'presence-replay-'));
+  try {
+    const file = await record(dir);
+    const records = await readTrace(file);
+
+    const meta = records.find(r => r.kind === 'meta');
+    assert.deepEqual(meta.rules, { categories: { 'mygame.exe': 'geek' } });
+    assert.deepEqual(meta.config.privacy.hiddenExes, ['secret.exe']);
+    assert.equal(meta.config.privacy.streamer, false);
+    assert.deepEqual(records.filter(r => r.kind === 'config').map(r => r.patch),
+      [{ privacy: { streamer: true }, locales: ['ru'] }]);
+
+    // в трассе — события после фильтра приватности: скрытого приложения нет, после включения режима стримера нет заголовков
+    const events = records.filter(r => r.kind === 'event');
+    assert.ok(events.length > 0);
+    assert.ok(events.every(r => r.message.payload?.exeName !== 'secret.exe'));
+    assert.ok(events.filter(r => r.ts >= 2500).every(r => !r.message.payload?.title));
+    assert.ok(events.some(r => r.message.payload?.category === 'geek'));
+
+    const res = await replayTrace(file);
+    assert.deepEqual(res.diffs, []);
+    assert.equal(res.ok, true);
+    assert.equal(res.samples, 5);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('replay: сессия, отложенная на resumeGraceMs, закрывается остановкой так же, как при записи', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'presence-replay-'));
+  try {
+    const { file, worker, poll } = await tracedWorker(dir, { sessions: { resumeGraceMs: 60000 } });
+    await poll(1000, { exePath: '/games/mygame.exe', title: 'Level 1', pid: 7 });
+    await poll(2000, { exePath: '/usr/share/code/code', title: 'a.js - b - Visual Studio Code', pid: 8 });
+    await worker.stop(); // mygame ещё ждёт возврата фокуса — завершение уходит только сейчас, следом закрывается code
+
+    const ended = (await readTrace(file)).filter(r => r.kind === 'event' && r.message.type === 'presence:ended');
+    assert.deepEqual(ended.map(r => [r.message.payload.exeName, r.message.payload.reason]),
+      [['mygame.exe', 'focus-lost'], ['code', 'shutdown']]);
+
+    const res = await replayTrace(file);
+    assert.deepEqual(res.diffs, []);
+    assert.equal(res.ok, true);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,155 @@
+// Пользовательские правила: проверка файла, горячая перезагрузка и сохранение последних верных правил
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createRulesStore, validateRules, buildRules, RULES_FILE } from '../presence-rules.js';
+import { createLogger } from '../presence-log.js';
+
+async function tempDir(t) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'presence-rules-'));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// ждёт, пока условие станет истинным (события fs.watch приходят не сразу)
+async function until(check, ms = 5000) {
+  const end = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > end) throw new Error('timed out');
+    await new Promise(r => setTimeout(r, 20));
+  }
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// хранилище с записью вызовов onChange и onError
+async function storeIn(t, dir) {
+  const changes = [];
+  const failures = [];
+  const store = createRulesStore({
+    userDataDir: dir,
+    onChange: rules => changes.push(rules),
+    onError: e => failures.push(e),
+    logger: createLogger({ level: 'silent' }),
+  });
+  t.after(() => store.stop());
+  await store.start();
+  return { store, changes, failures };
+}
+
+const write = (dir, content) =>
+  fsp.writeFile(path.join(dir, RULES_FILE), typeof content === 'string' ? content : JSON.stringify(content));
+
+test('validateRules: ошибки с путём до поля', () => {
+  assert.deepEqual(validateRules({ version: 1, names: { 'a.exe': 'A' }, categories: { 'a.exe': 'game' } }), []);
+  const errors = validateRules({
+    version: 2,
+    names: { 'a.exe': ' ' },
+    categories: { 'b.exe': 'work' },
+    pathHints: ['(', 'ok'],
+    ignore: 'c.exe',
+    extra: 1,
+  });
+  // текст ошибки регулярного выражения — от движка, сверяется только начало
+  assert.match(errors.splice(4, 1)[0], /^pathHints\[0\]: invalid regex: /);
+  assert.deepEqual(errors, [
+    'extra: unknown field (expected one of version, names, categories, pathHints, ignore)',
+    'version: unsupported version 2 (expected 1)',
+    'names["a.exe"]: expected a non-empty string',
+    'categories["b.exe"]: expected one of game, geek, other',
+    'ignore: expected an array',
+  ]);
+  for (const bad of [null, [], 'rules']) assert.deepEqual(validateRules(bad), ['root: expected an object']);
+});
+
+test('без userDataDir и без файла — только встроенные правила', async (t) => {
+  const bare = createRulesStore({ logger: createLogger({ level: 'silent' }) });
+  assert.equal(bare.path, null);
+  await bare.start();
+  bare.stop();
+  assert.deepEqual(bare.errors, []);
+  assert.deepEqual(bare.current.forced, buildRules().forced);
+
+  const dir = await tempDir(t);
+  const { store, failures } = await storeIn(t, dir);
+  assert.equal(store.path, path.join(dir, RULES_FILE));
+  assert.deepEqual([store.errors, failures, store.current.user], [[], [], {}]);
+});
+
+test('горячая перезагрузка: изменения подхватываются без перезапуска', async (t) => {
+  const dir = await tempDir(t);
+  await write(dir, { categories: { 'game.exe': 'game' } });
+  const { store, changes, failures } = await storeIn(t, dir);
+  assert.equal(store.current.forced.get('game.exe'), 'game');
+  assert.equal(changes.length, 0); // начальная загрузка onChange не зовёт
+
+  await write(dir, { categories: { 'game.exe': 'geek' }, names: { 'Game.exe': ' My Game ' } });
+  await until(() => changes.length > 0);
+  const rules = changes.at(-1);
+  assert.equal(rules, store.current);
+  assert.equal(rules.forced.get('game.exe'), 'geek');
+  assert.equal(rules.knownMap.get('game.exe'), 'My Game');
+  assert.deepEqual(failures, []);
+
+  // удаление файла — снова только встроенные правила
+  await fsp.rm(path.join(dir, RULES_FILE));
+  await until(() => !store.current.forced.has('game.exe'));
+  assert.deepEqual(store.errors, []);
+});
+
+test('неверный файл: onError с путём и ошибками, последние верные правила остаются', async (t) => {
+  const dir = await tempDir(t);
+  await write(dir, { categories: { 'game.exe': 'game' } });
+  const { store, changes, failures } = await storeIn(t, dir);
+  const good = store.current;
+
+  // битый JSON
+  await write(dir, '{ "categories": ');
+  await until(() => failures.length === 1);
+  assert.equal(failures[0].path, store.path);
+  assert.equal(failures[0].errors.length, 1);
+  assert.match(failures[0].errors[0], /^json: /);
+  assert.deepEqual(store.errors, failures[0].errors);
+  assert.equal(store.current, good);
+
+  // верный JSON, но не та схема
+  await write(dir, { categories: { 'game.exe': 'work' }, ignore: [''] });
+  await until(() => failures.length === 2);
+  const expected = ['categories["game.exe"]: expected one of game, geek, other', 'ignore[0]: expected a non-empty exe name'];
+  assert.deepEqual(failures[1], { path: store.path, errors: expected });
+  assert.deepEqual(store.errors, expected);
+  assert.equal(store.current, good);
+  assert.equal(store.current.forced.get('game.exe'), 'game');
+  assert.equal(changes.length, 0); // неверный файл не меняет правила и onChange не зовёт
+
+  // исправили — ошибки очищаются, новые правила применяются
+  await write(dir, { categories: { 'game.exe': 'other' } });
+  await until(() => changes.length > 0);
+  assert.deepEqual(store.errors, []);
+  assert.equal(store.current.forced.get('game.exe'), 'other');
+  assert.equal(failures.length, 2);
+});
+
+test('неверный файл при старте: встроенные правила и ошибка', async (t) => {
+  const dir = await tempDir(t);
+  await write(dir, { version: 3 });
+  const { store, failures } = await storeIn(t, dir);
+  assert.deepEqual(failures, [{ path: store.path, errors: ['version: unsupported version 3 (expected 1)'] }]);
+  assert.deepEqual(store.current.user, {});
+});
+
+test('stop(): после остановки файл больше не перечитывается', async (t) => {
+  const dir = await tempDir(t);
+  await write(dir, { categories: { 'game.exe': 'game' } });
+  const { store, changes, failures } = await storeIn(t, dir);
+  store.stop();
+
+  await write(dir, { categories: { 'game.exe': 'geek' } });
+  await write(dir, 'not json');
+  await sleep(500); // больше задержки перезагрузки
+  assert.deepEqual([changes, failures], [[], []]);
+  assert.equal(store.current.forced.get('game.exe'), 'game');
+});
@@ -0,0 +1,214 @@
+// Приёмники против подставных серверов: Unix-сокет, HTTP для webhook, поток и process.send
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'node:fs/promises';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import { createLogger } from '../presence-log.js';
+import {
+  createSocketSink, createWebhookSink, createNdjsonSink, createIpcSink, createSinkFanout, parseSinkSpec,
+} from '../presence-sinks.js';
+
+const quiet = createLogger({ level: 'silent' });
+const update = id => ({ type: 'presence:update', payload: { sessionId: id, displayName: `Game ${id}` } });
+
+// подписчик сокета: строки NDJSON складываются в lines
+function subscribe(socketPath) {
+  return new Promise((resolve, reject) => {
+    const client = net.connect(socketPath);
+    const lines = [];
+    let buf = '';
+    client.setEncoding('utf8');
+    client.on('data', (chunk) => {
+      buf += chunk;
+      let nl;
+      while ((nl = buf.indexOf('\n')) >= 0) {
+        lines.push(JSON.parse(buf.slice(0, nl)));
+        buf = buf.slice(nl + 1);
+      }
+    });
+    client.once('connect', () => resolve({ client, lines }));
+    client.once('error', reject);
+  });
+}
+
+async function until(check, ms = 3000) {
+  const end = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > end) throw new Error('timed out');
+    await new Promise(r => setTimeout(r, 10));
+  }
+}
+
+async function socketSink(t, options = {}) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'presence-sock-'));
+  const sink = createSocketSink({ path: path.join(dir, 'presence.sock'), logger: quiet, ...options });
+  t.after(async () => {
+    await sink.close();
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+  await sink.start();
+  return sink;
+}
+
+test('socket: created with 0600, replays ready and live sessions', { skip: process.platform === 'win32' }, async (t) => {
+  const sink = await socketSink(t);
+  assert.equal((await fsp.stat(sink.path)).mode & 0o777, 0o600);
+
+  sink.send({ type: 'presence:ready', payload: {} });
+  sink.send(update('a'));
+  sink.send(update('b'));
+  sink.send({ type: 'presence:ended', payload: { sessionId: 'a' } });
+  const { client, lines } = await subscribe(sink.path);
+  t.after(() => client.destroy());
+  await until(() => lines.length === 2);
+  assert.deepEqual(lines.map(m => [m.type, m.payload.sessionId]), [['presence:ready', undefined], ['presence:update', 'b']]);
+
+  sink.send(update('c'));
+  await until(() => lines.length === 3);
+  assert.equal(lines[2].payload.sessionId, 'c');
+  assert.equal(sink.stats.clients, 1);
+});
+
+test('socket: only read-only commands reach the worker', { skip: process.platform === 'win32' }, async (t) => {
+  const seen = [];
+  const sink = await socketSink(t, {
+    onRequest: async (msg) => {
+      seen.push(msg.command);
+      return { type: 'response', v: 1, id: msg.id, ok: true, result: { command: msg.command } };
+    },
+  });
+  const { client, lines } = await subscribe(sink.path);
+  t.after(() => client.destroy());
+  const ask = (id, command, args = {}) => client.write(JSON.stringify({ type: 'request', v: 1, id, command, args }) + '\n');
+  ask(1, 'hello');
+  ask(2, 'set-config', { privacy: { streamer: false } });
+  ask(3, 'diagnostics', { file: '/tmp/owned.json' });
+  ask(4, 'get-state');
+  client.write('not json\n');
+  await until(() => lines.length === 4);
+  const byId = Object.fromEntries(lines.map(m => [m.id, m]));
+  assert.deepEqual(seen.sort(), ['get-state', 'hello']);
+  assert.equal(byId[1].ok, true);
+  assert.equal(byId[4].ok, true);
+  for (const id of [2, 3]) {
+    assert.equal(byId[id].ok, false);
+    assert.equal(byId[id].error.code, 'unknown-command');
+  }
+});
+
+test('socket: a live socket is not taken over, a stale one is replaced', { skip: process.platform === 'win32' }, async (t) => {
+  const sink = await socketSink(t);
+  const other = createSocketSink({ path: sink.path, logger: quiet });
+  await assert.rejects(other.start(), /in use/);
+
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'presence-sock-'));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  const stale = path.join(dir, 'stale.sock');
+  await fsp.writeFile(stale, '');
+  const fresh = createSocketSink({ path: stale, logger: quiet });
+  await fresh.start();
+  assert.ok((await fsp.lstat(stale)).isSocket());
+  await fresh.close();
+});
+
+// подставной HTTP-сервер: отвечает статусами из списка, запоминает запросы
+async function standInServer(t, statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', d => body += d);
+    req.on('end', () => {
+      requests.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+      const status = statuses.shift() ?? 200;
+      if (status === 429) res.setHeader('retry-after', '7');
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/presence`, requests };
+}
+
+test('webhook: posts JSON with headers, retries 5xx and 429 with backoff', async (t) => {
+  const { url, requests } = await standInServer(t, [503, 429, 200, 404]);
+  const delays = [];
+  const sink = createWebhookSink({
+    url,
+    headers: { authorization: 'Bearer x' },
+    sleep: async (ms) => { delays.push(ms); },
+    random: () => 0.5,
+    logger: quiet,
+  });
+  sink.send(update('a'));
+  sink.send({ type: 'response', v: 1, id: 1, ok: true }); // ответы в webhook не уходят
+  sink.send(update('b'));
+  await sink.close();
+  assert.deepEqual(requests.map(r => r.body.payload.sessionId), ['a', 'a', 'a', 'b']);
+  assert.equal(requests[0].method, 'POST');
+  assert.equal(requests[0].headers.authorization, 'Bearer x');
+  assert.equal(requests[0].headers['content-type'], 'application/json');
+  assert.deepEqual(delays, [1000, 7000]);
+  assert.deepEqual({ ...sink.stats, lastError: null }, { sent: 1, retried: 2, failed: 1, dropped: 0, lastError: null, queued: 0 });
+});
+
+test('webhook: gives up after the retry limit', async (t) => {
+  const { url, requests } = await standInServer(t, [500, 500, 500]);
+  const sink = createWebhookSink({ url, retries: 2, sleep: async () => {}, logger: quiet });
+  sink.send(update('a'));
+  await sink.close();
+  assert.equal(requests.length, 3);
+  assert.equal(sink.stats.failed, 1);
+  assert.equal(sink.stats.lastError, 'HTTP 500');
+});
+
+test('webhook: queue overflow drops heartbeats first', () => {
+  let release;
+  const gate = new Promise((resolve) => { release = resolve; });
+  const sink = createWebhookSink({
+    url: 'http://127.0.0.1:9/x',
+    maxQueue: 3,
+    fetch: async () => { await gate; return { ok: true }; },
+    logger: quiet,
+  });
+  sink.send(update('a'));
+  sink.send({ type: 'presence:heartbeat', payload: { sessionId: 'a' } });
+  sink.send(update('b'));
+  sink.send(update('c'));
+  assert.deepEqual({ queued: sink.stats.queued, dropped: sink.stats.dropped }, { queued: 3, dropped: 1 });
+  release();
+});
+
+test('ndjson and ipc', () => {
+  const stream = new PassThrough();
+  createNdjsonSink({ stream }).send(update('a'));
+  assert.equal(stream.read().toString(), JSON.stringify(update('a')) + '\n');
+  const sent = [];
+  createIpcSink({ proc: { send: msg => sent.push(msg) } }).send(update('b'));
+  assert.deepEqual(sent, [update('b')]);
+});
+
+test('fanout: a failing sink does not stop the others', () => {
+  const got = [];
+  const warnings = [];
+  const fanout = createSinkFanout([
+    { name: 'broken', send() { throw new Error('boom'); } },
+    { name: 'ok', send: msg => got.push(msg) },
+  ], { logger: createLogger({ level: 'warn', sink: { warn: (...a) => warnings.push(a.join(' ')) } }) });
+  fanout.send(update('a'));
+  assert.deepEqual(got, [update('a')]);
+  assert.match(warnings[0], /broken.*boom/);
+});
+
+test('parseSinkSpec', () => {
+  assert.deepEqual(parseSinkSpec('ndjson'), { kind: 'ndjson' });
+  assert.deepEqual(parseSinkSpec('stdout'), { kind: 'ndjson' });
+  assert.deepEqual(parseSinkSpec('socket:/run/x.sock'), { kind: 'socket', path: '/run/x.sock' });
+  assert.deepEqual(parseSinkSpec('webhook:http://h/p'), { kind: 'webhook', url: 'http://h/p' });
+  assert.throws(() => parseSinkSpec('socket'), TypeError);
+  assert.throws(() => parseSinkSpec('mqtt:x'), TypeError);
+});
@@ -0,0 +1,127 @@
+// Строка статуса: разбор шаблонов, необязательные части, множественное число и цепочка запасных шаблонов
+//
+// fixtures/status-templates: de.json — верный game, geek с неизвестной подстановкой, без other и idle,
+// units.minute не объект; en.json — полный набор без {elapsed}; fr.json — неподдерживаемая версия формата.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+
+import { createStatusText, compileTemplate, formatElapsed, mergeStatusTextConfig } from '../presence-status-text.js';
+import { createLogger } from '../presence-log.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/status-templates/', import.meta.url));
+const MIN = 60 * 1000;
+
+const statusText = options => createStatusText({ logger: createLogger({ level: 'silent' }), ...options });
+const session = (extra = {}) => ({ displayName: 'Dota 2', exeName: 'dota2.exe', category: 'game', startedAt: 0, ...extra });
+
+test('compileTemplate: части шаблона и ошибки разбора', () => {
+  assert.deepEqual(compileTemplate('играет в {displayName}[ · {elapsed}]'), [
+    'играет в ', { key: 'displayName' }, { group: [' · ', { key: 'elapsed' }] },
+  ]);
+  assert.deepEqual(compileTemplate('{ extra.workspace }'), [{ key: 'extra.workspace' }]);
+  const cases = [
+    // [шаблон, ошибка]
+    ['', /non-empty string/],
+    [42, /non-empty string/],
+    ['{displayName', /unclosed \{ at 0/],
+    ['a } b', /unexpected \} at 2/],
+    ['{pid}', /unknown placeholder \{pid\}/],
+    ['{extra.}', /unknown placeholder/],
+    ['[a [b]]', /nested \[ at 3/],
+    ['a]', /unexpected \] at 1/],
+    ['[{title}', /unclosed \[/],
+  ];
+  for (const [src, error] of cases) assert.throws(() => compileTemplate(src), error, String(src));
+});
+
+test('необязательная часть [ … ] выпадает целиком, если хоть одна подстановка в ней пуста', () => {
+  const text = statusText({ config: { templates: { geek: '{displayName}[ над {extra.workspace}][ ({title}, {exeName})]' } } });
+  const cases = [
+    // [payload, строка]
+    [{ extra: { workspace: 'echotalk' }, title: 'main.js', exeName: 'code' }, 'VS Code над echotalk (main.js, code)'],
+    [{ extra: { workspace: 'echotalk' }, exeName: 'code' }, 'VS Code над echotalk'],
+    [{ extra: null, title: 'main.js', exeName: 'code' }, 'VS Code (main.js, code)'],
+    [{}, 'VS Code'],
+  ];
+  for (const [extra, expected] of cases) {
+    assert.equal(text.render({ displayName: 'VS Code', category: 'geek', ...extra }), expected, JSON.stringify(extra));
+  }
+});
+
+test('{elapsed}: русские формы для 1, 2, 5 и 21 минуты, часы и меньше минуты', () => {
+  const text = statusText({ locales: ['ru'] });
+  const cases = [
+    // [прошло, строка]
+    [30 * 1000, 'играет в Dota 2'],
+    [1 * MIN, 'играет в Dota 2 · 1 минута'],
+    [2 * MIN, 'играет в Dota 2 · 2 минуты'],
+    [5 * MIN, 'играет в Dota 2 · 5 минут'],
+    [11 * MIN, 'играет в Dota 2 · 11 минут'],
+    [21 * MIN, 'играет в Dota 2 · 21 минута'],
+    [60 * MIN, 'играет в Dota 2 · 1 час'],
+    [125 * MIN, 'играет в Dota 2 · 2 часа 5 минут'],
+    [(5 * 60 + 22) * MIN, 'играет в Dota 2 · 5 часов 22 минуты'],
+  ];
+  for (const [ms, expected] of cases) assert.equal(text.render(session(), ms), expected, String(ms));
+  // у завершённой сессии время считается до endedAt
+  assert.equal(text.render(session({ endedAt: 2 * MIN }), 60 * MIN), 'играет в Dota 2 · 2 минуты');
+  assert.equal(statusText({ locales: ['en'] }).render(session(), 61 * MIN), 'Playing Dota 2 · 1 hour 1 minute');
+  assert.equal(formatElapsed(NaN, {}, 'ru'), '');
+});
+
+test('цепочка: неверный шаблон пользователя → файл локали → en.json → {displayName}', () => {
+  const text = statusText({
+    dir: FIXTURES,
+    locales: ['de'],
+    config: { templates: { game: '[{displayName}', idle: 'weg · {displayName}' } },
+  });
+  assert.equal(text.locale, 'de');
+  const cases = [
+    // [payload, строка]
+    [session(), 'spielt Dota 2 · 2 Stunden 1 minute'], // пользовательский неверен → de.json; минуты — из en.json
+    [session({ category: 'geek', extra: { workspace: 'x' } }), 'Working in Dota 2 on x'], // в de.json неверен → en.json
+    [session({ category: 'other' }), 'Using Dota 2'],                                 // в de.json нет → en.json
+    [session({ category: 'unknown' }), 'Using Dota 2'],                               // неизвестная категория — other
+    [session({ idle: true }), 'weg · Dota 2'],                                        // верный пользовательский
+  ];
+  for (const [payload, expected] of cases) assert.equal(text.render(payload, 121 * MIN), expected, JSON.stringify(payload));
+
+  // локали без файла пропускаются; без en.json остаётся «{displayName}»
+  assert.equal(statusText({ dir: FIXTURES, locales: ['ja', 'de'] }).locale, 'de');
+  const bare = statusText({ dir: fileURLToPath(new URL('./fixtures/missing/', import.meta.url)), locales: ['ru'] });
+  assert.equal(bare.locale, 'en');
+  assert.equal(bare.render(session(), 5 * MIN), 'Dota 2');
+});
+
+test('errors: что и откуда не подошло, пересчитывается при смене настроек', () => {
+  const text = statusText({ dir: FIXTURES, locales: ['de'], config: { templates: { game: '[{displayName}' } } });
+  assert.deepEqual(text.errors, [
+    { source: 'user', key: 'game', template: '[{displayName}', error: 'unclosed [' },
+    { source: 'de.json', key: 'geek', template: 'arbeitet in {workspace}', error: 'unknown placeholder {workspace}' },
+    { source: 'de.json', key: 'units.minute', error: 'expected an object of plural forms' },
+  ]);
+
+  // исправили шаблон — ошибка пользователя уходит, ошибки файла остаются
+  text.configure({ templates: { game: '{displayName}!' } });
+  assert.deepEqual(text.errors.map(e => e.source), ['de.json', 'de.json']);
+  assert.equal(text.render(session()), 'Dota 2!');
+
+  // файл неподдерживаемой версии — одна ошибка без ключа, шаблоны берутся из en.json
+  text.setLocales(['fr']);
+  assert.equal(text.locale, 'fr');
+  assert.deepEqual(text.errors, [{ source: 'fr.json', key: null, error: 'unsupported version 2 (expected 1)' }]);
+  text.configure({ templates: { game: null } });
+  assert.equal(text.render(session()), 'Playing Dota 2');
+});
+
+test('mergeStatusTextConfig и enabled: false', () => {
+  const base = { enabled: true, templates: { game: 'a {displayName}' } };
+  assert.deepEqual(mergeStatusTextConfig(base, { templates: { geek: 'b', game: null } }), { enabled: true, templates: { geek: 'b' } });
+  for (const bad of [null, [], { enabled: 1 }, { templates: [] }, { templates: { afk: 'x' } }, { templates: { game: 1 } }, { other: 1 }]) {
+    assert.throws(() => mergeStatusTextConfig(base, bad), TypeError, JSON.stringify(bad));
+  }
+  assert.equal(statusText({ config: { enabled: false } }).render(session()), null);
+  assert.equal(statusText().render(null), null);
+});
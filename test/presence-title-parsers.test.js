@@ -0,0 +1,120 @@
+// Корпус настоящих заголовков окон → extra, который уходит в payload
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTitleParsers, mergeTitleParserConfig } from '../presence-title-parsers.js';
+import { createLogger } from '../presence-log.js';
+
+// [exe, категория, заголовок, ожидаемый extra (null — парсер не сработал)]
+const CORPUS = [
+  // VS Code и форки
+  ['code', 'geek', '● index.ts - echotalk - Visual Studio Code',
+    { parser: 'vscode', workspace: 'echotalk', file: 'index.ts', fileType: 'TypeScript', dirty: true, remote: null }],
+  ['code', 'geek', 'app.py - api [WSL: Ubuntu] - Visual Studio Code',
+    { parser: 'vscode', workspace: 'api', file: 'app.py', fileType: 'Python', dirty: false, remote: 'WSL: Ubuntu' }],
+  ['codium', 'geek', 'main.rs - tracer - VSCodium',
+    { parser: 'vscode', workspace: 'tracer', file: 'main.rs', fileType: 'Rust', dirty: false, remote: null }],
+  ['code', 'geek', 'echotalk - Visual Studio Code',
+    { parser: 'vscode', workspace: 'echotalk', file: null, fileType: null, dirty: false, remote: null }],
+  ['code', 'geek', 'Welcome - Visual Studio Code', { parser: 'vscode', view: 'Welcome', remote: null }],
+  ['code', 'geek', 'Visual Studio Code', null],
+
+  // JetBrains
+  ['idea', 'geek', 'echotalk – presence-worker.js',
+    { parser: 'jetbrains', workspace: 'echotalk', file: 'presence-worker.js', fileType: 'JavaScript', module: null }],
+  ['pycharm', 'geek', 'api – src/main.py [api-module]',
+    { parser: 'jetbrains', workspace: 'api', file: 'main.py', fileType: 'Python', module: 'api-module' }],
+  ['idea', 'geek', 'echotalk [~/src/echotalk] – .../src/App.java – IntelliJ IDEA',
+    { parser: 'jetbrains', workspace: 'echotalk', file: 'App.java', fileType: 'Java', module: null }],
+  ['goland', 'geek', 'backend', { parser: 'jetbrains', workspace: 'backend', module: null }],
+
+  // терминалы (включены в конфиге теста)
+  ['gnome-terminal-server', 'geek', 'user@host: ~/src/echotalk', { parser: 'terminal', repo: 'echotalk', shell: null }],
+  ['kitty', 'geek', '~/src/echotalk — zsh', { parser: 'terminal', repo: 'echotalk', shell: 'zsh' }],
+  ['mintty.exe', 'geek', 'MINGW64:/c/Users/me/src/echotalk', { parser: 'terminal', repo: 'echotalk', shell: null }],
+  ['alacritty', 'geek', 'user@host: ~', { parser: 'terminal', repo: null, shell: null }],
+  ['konsole', 'geek', 'htop', null],
+
+  // Minecraft: сервер — это «лобби»
+  ['javaw.exe', 'game', 'Minecraft 1.20.1 - Multiplayer (3rd-party Server)',
+    { parser: 'minecraft', game: 'Minecraft', version: '1.20.1', mode: 'multiplayer', server: '3rd-party Server' }],
+  ['java', 'game', 'Minecraft* 1.20.4 - Singleplayer',
+    { parser: 'minecraft', game: 'Minecraft', version: '1.20.4', mode: 'singleplayer', server: null }],
+  ['javaw.exe', 'game', 'Minecraft 1.19.2',
+    { parser: 'minecraft', game: 'Minecraft', version: '1.19.2', mode: null, server: null }],
+  ['javaw.exe', 'game', 'Minecraft* 1.21 - Realms',
+    { parser: 'minecraft', game: 'Minecraft', version: '1.21', mode: 'menu', server: null }],
+  ['javaw.exe', 'game', 'Minecraft Launcher', null],
+
+  // Luanti / Minetest
+  ['luanti', 'game', 'Luanti 5.10.0 [Singleplayer]',
+    { parser: 'luanti', game: 'Luanti', version: '5.10.0', mode: 'singleplayer', world: null }],
+  ['minetest', 'game', 'Minetest 5.8.0 [Multiplayer] [OpenGL 4.6]',
+    { parser: 'luanti', game: 'Minetest', version: '5.8.0', mode: 'multiplayer', world: null }],
+  ['minetest.exe', 'game', 'Minetest 5.7.0 [Main Menu]',
+    { parser: 'luanti', game: 'Minetest', version: '5.7.0', mode: 'menu', world: null }],
+  ['minetest', 'game', 'Minetest 5.6.1 [Singleplayer] Mineclonia',
+    { parser: 'luanti', game: 'Minetest', version: '5.6.1', mode: 'singleplayer', world: 'Mineclonia' }],
+
+  // GZDoom: карта и название уровня
+  ['gzdoom', 'game', 'MAP01 - Entryway - GZDoom g4.11.3',
+    { parser: 'gzdoom', game: 'GZDoom', version: '4.11.3', map: 'MAP01', level: 'Entryway' }],
+  ['gzdoom.exe', 'game', 'E1M1: Hangar - GZDoom',
+    { parser: 'gzdoom', game: 'GZDoom', version: null, map: 'E1M1', level: 'Hangar' }],
+  ['lzdoom', 'game', 'Sunder - LZDoom 3.87c',
+    { parser: 'gzdoom', game: 'LZDoom', version: '3.87c', map: null, level: 'Sunder' }],
+  ['gzdoom', 'game', 'GZDoom g4.11.3',
+    { parser: 'gzdoom', game: 'GZDoom', version: '4.11.3', map: null, level: null }],
+];
+
+test('title corpus', async (t) => {
+  const parsers = createTitleParsers({ parsers: { terminal: true } });
+  for (const [exe, category, title, expected] of CORPUS) {
+    await t.test(`${exe}: ${title}`, () => {
+      assert.deepEqual(parsers.parse({ exePath: `/usr/bin/${exe}`, category, title }), expected);
+    });
+  }
+});
+
+test('parser only runs for its exe and category', () => {
+  const parsers = createTitleParsers();
+  const title = 'Minecraft 1.20.1 - Singleplayer';
+  assert.equal(parsers.parse({ exePath: '/usr/bin/firefox', category: 'game', title }), null);
+  assert.equal(parsers.parse({ exePath: '/usr/bin/java', category: 'geek', title }), null);
+  assert.equal(parsers.parse({ exePath: '/usr/bin/java', category: 'game', title }).parser, 'minecraft');
+});
+
+test('terminal parser is off by default', () => {
+  const parsers = createTitleParsers();
+  assert.equal(parsers.parse({ exePath: '/usr/bin/kitty', category: 'geek', title: '~/src/echotalk — zsh' }), null);
+});
+
+test('global and per-parser switches', () => {
+  const parsers = createTitleParsers();
+  const sample = { exePath: '/usr/bin/gzdoom', category: 'game', title: 'MAP01 - Entryway - GZDoom g4.11.3' };
+  parsers.configure({ parsers: { gzdoom: false } });
+  assert.equal(parsers.parse(sample), null);
+  parsers.configure({ parsers: { gzdoom: true }, enabled: false });
+  assert.equal(parsers.parse(sample), null);
+  parsers.configure({ enabled: true });
+  assert.equal(parsers.parse(sample).map, 'MAP01');
+});
+
+test('a failing parser is logged through the injected logger and the next one runs', () => {
+  const logger = createLogger({ level: 'silent' });
+  const broken = { id: 'broken', exes: ['tool'], categories: [], defaultEnabled: true, parse() { throw new Error('boom'); } };
+  const fine = { id: 'fine', exes: ['tool'], categories: [], defaultEnabled: true, parse: title => ({ title }) };
+  const parsers = createTitleParsers({}, { parsers: [broken, fine], logger });
+  assert.deepEqual(parsers.parse({ exePath: '/usr/bin/tool', category: 'other', title: 'x' }), { parser: 'fine', title: 'x' });
+  const [err] = logger.recentErrors();
+  assert.equal(err.scope, 'presence-title-parsers');
+  assert.match(err.message, /parser failed: broken Error: boom/);
+});
+
+test('config validation', () => {
+  const base = { enabled: true, parsers: { vscode: true } };
+  assert.throws(() => mergeTitleParserConfig(base, { parsers: { nope: true } }), TypeError);
+  assert.throws(() => mergeTitleParserConfig(base, { enabled: 'yes' }), TypeError);
+  assert.throws(() => mergeTitleParserConfig(base, { other: 1 }), TypeError);
+  assert.throws(() => mergeTitleParserConfig(base, []), TypeError);
+});
@@ -0,0 +1,321 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { createPresenceWorker } from '../presence-worker.js';
+import { createScriptedProvider } from '../presence-window-providers.js';
+import { buildRules, createRulesStore } from '../presence-rules.js';
+import { createFakeProcessScanner } from '../presence-processes.js';
+import { createJournal } from '../presence-journal.js';
+import { createLogger } from '../presence-log.js';
+import { PROTOCOL_VERSION } from '../presence-protocol.js';
+import { REPLAY_ENV } from '../presence-trace.js';
+
+function worker(options = {}) {
+  return createPresenceWorker({
+    provider: createScriptedProvider(),
+    resolver: { async warmup() {}, async resolveDisplayName() { return null; } },
+    send: () => {},
+    trace: null,
+    rules: createRulesStore(),
+    journal: null,
+    processes: null,
+    idle: { source: { name: 'stub', async getIdleMs() { return 0; } } },
+    media: { source: { name: 'stub', async getPlayers() { return null; } } },
+    logger: createLogger({ level: 'silent' }),
+    ...options,
+  });
+}
+
+// воркер на виртуальных часах: poll(ts, window) — один опрос со сдвигом часов; sent — всё, что ушло наружу
+function scripted(options = {}) {
+  let clock = 0;
+  const provider = createScriptedProvider();
+  const sent = [];
+  const w = worker({
+    provider,
+    now: () => clock,
+    send: msg => sent.push(msg),
+    rules: { current: buildRules({ categories: { 'game.exe': 'game', 'editor.exe': 'geek' } }) },
+    ...options,
+  });
+  return {
+    w,
+    sent,
+    async poll(ts, window = null) {
+      clock = ts;
+      provider.push(window);
+      await w.pollActive();
+    },
+    events: type => sent.filter(m => m.type === type),
+  };
+}
+
+const GAME = { exePath: '/games/game.exe', processName: 'game.exe', title: 'Game', pid: 10 };
+// geek-сессия без фона: потеряв фокус, она ждёт resumeGraceMs, а не уходит в фон, как игра
+const EDITOR = { exePath: '/tools/editor.exe', processName: 'editor.exe', title: 'Editor', pid: 20 };
+
+let nextId = 0;
+const setConfig = (w, args) => w.request({ type: 'request', v: PROTOCOL_VERSION, id: ++nextId, command: 'set-config', args });
+
+test('жизненный цикл сессии: ready → update → heartbeat → ended', async () => {
+  const { w, sent, poll } = scripted();
+  await w.start();
+  try {
+    await poll(1000, GAME);
+    await poll(4000, GAME);  // до HEARTBEAT_MS — тишина
+    await poll(6000, GAME);  // heartbeat
+    await poll(8000, null);  // окна нет, но сессия ещё не устарела
+    await poll(12000, null); // устарела (ACTIVE_STALE_MS) — ждёт resumeGraceMs
+    await poll(20000, null);
+    await poll(27000, null); // ожидание истекло — ended с временем, когда сессия устарела
+  } finally {
+    await w.stop();
+  }
+  assert.deepEqual(sent.map(m => m.type), ['presence:ready', 'presence:update', 'presence:heartbeat', 'presence:ended']);
+  const [, update, heartbeat, ended] = sent;
+  assert.equal(update.payload.exeName, 'game.exe');
+  assert.equal(update.payload.category, 'game');
+  assert.equal(heartbeat.payload.sessionId, update.payload.sessionId);
+  assert.equal(ended.payload.sessionId, update.payload.sessionId);
+  assert.equal(ended.payload.endedAt, 12000);
+  assert.equal(ended.payload.reason, 'stale');
+  assert.equal(w.currentActive, null);
+});
+
+test('склейка: вернулась в пределах resumeGraceMs — та же сессия, без ended и нового update', async () => {
+  const { w, poll, events } = scripted();
+  await poll(1000, EDITOR);
+  const id = w.currentActive.id;
+  await poll(2000, GAME);   // фокус ушёл: завершение редактора отложено
+  await poll(16000, EDITOR); // 14 с спустя — ещё в пределах 15 с
+  assert.equal(w.currentActive.id, id);
+  assert.deepEqual(events('presence:ended'), []);
+  assert.deepEqual(events('presence:update').map(m => m.payload.exeName), ['editor.exe', 'game.exe']);
+  // возврат виден родителю как heartbeat той же сессии
+  assert.equal(events('presence:heartbeat').filter(m => m.payload.sessionId === id).length, 1);
+});
+
+test('склейка: истёкшая отложенная сессия завершается с исходным endedAt', async () => {
+  const { w, poll, events } = scripted();
+  await poll(1000, EDITOR);
+  const id = w.currentActive.id;
+  await poll(3000, GAME);
+  await poll(17999, GAME);
+  assert.deepEqual(events('presence:ended'), []);
+  await poll(18000, GAME); // resumeGraceMs истёк
+  assert.deepEqual(events('presence:ended').map(m => [m.payload.sessionId, m.payload.endedAt, m.payload.reason]), [[id, 3000, 'focus-lost']]);
+
+  // вернулись позже — это уже новая сессия
+  await poll(19000, EDITOR);
+  const updates = events('presence:update').filter(m => m.payload.exeName === 'editor.exe');
+  assert.equal(updates.length, 2);
+  assert.notEqual(updates[1].payload.sessionId, id);
+});
+
+test('лимит update: сессия, которую так и не объявили, уходит только в журнал', async () => {
+  const recorded = [];
+  const journal = { record: r => recorded.push(r), checkpoint() {}, async flush() {} };
+  const { w, poll, events } = scripted({ journal, sessions: { maxUpdatesPerMinute: 1, resumeGraceMs: 0 } });
+  const other = { ...EDITOR, pid: 21 };
+  await poll(1000, EDITOR);
+  await poll(2000, other);  // лимит исчерпан — сессия ждёт
+  await poll(3000, EDITOR); // ждавшая кончилась, так и не попав наружу; новая снова ждёт
+  assert.deepEqual(events('presence:update').map(m => m.payload.ts), [1000]);
+  assert.deepEqual(events('presence:ended').map(m => m.payload.ts), [1000]);
+  assert.deepEqual(recorded.map(r => [r.startedAt, r.endedAt]), [[1000, 2000], [2000, 3000]]);
+
+  // минута прошла — ждавшая сессия объявляется с актуальным заголовком
+  await poll(30000, { ...EDITOR, title: 'Editor 2' });
+  assert.equal(events('presence:update').length, 1);
+  await poll(61000, { ...EDITOR, title: 'Editor 3' });
+  assert.deepEqual(events('presence:update').map(m => [m.payload.ts, m.payload.title]), [[1000, 'Editor'], [3000, 'Editor 3']]);
+  assert.equal(w.currentActive.announced, true);
+});
+
+test('сессия — процесс, а не окно: смена заголовка не рвёт сессию и не шлёт ended', async () => {
+  const { w, poll, events } = scripted();
+  await poll(1000, EDITOR);
+  const id = w.currentActive.id;
+  await poll(2000, { ...EDITOR, title: 'main.js — Editor' });
+  await poll(3000, { ...EDITOR, title: 'README.md — Editor' });
+  await poll(7000, { ...EDITOR, title: 'README.md — Editor' });
+  assert.equal(w.currentActive.id, id);
+  assert.deepEqual(events('presence:ended'), []);
+  assert.deepEqual(events('presence:update').map(m => m.payload.sessionId), [id]);
+  assert.deepEqual(events('presence:detail').map(m => [m.payload.sessionId, m.payload.title]),
+    [[id, 'main.js — Editor'], [id, 'README.md — Editor']]);
+  assert.deepEqual(events('presence:heartbeat').map(m => m.payload.sessionId), [id]);
+});
+
+test('тот же pid с другим временем старта — новая сессия', async () => {
+  const processes = createFakeProcessScanner([{ pid: 10, exePath: '/games/game.exe', startTime: 1 }]);
+  const { w, poll, events } = scripted({ processes });
+  await poll(1000, GAME);
+  const id = w.currentActive.id;
+  await poll(6000, GAME); // первый скан запоминает время старта
+
+  // игру перезапустили, и ОС выдала тот же pid
+  processes.set([{ pid: 10, exePath: '/games/game.exe', startTime: 2 }]);
+  await poll(12000, GAME);
+  assert.notEqual(w.currentActive.id, id);
+  assert.deepEqual(events('presence:ended').map(m => [m.payload.sessionId, m.payload.reason]), [[id, 'process-exited']]);
+  assert.deepEqual(events('presence:update').map(m => m.payload.sessionId), [id, w.currentActive.id]);
+
+  // то же время старта — та же сессия
+  await poll(18000, { ...GAME, title: 'Game — Menu' });
+  assert.equal(events('presence:update').length, 2);
+  assert.equal(events('presence:ended').length, 1);
+});
+
+test('stop(): открытые сессии закрываются штатно и не возвращаются как recovered', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'presence-worker-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const journalIn = () => createJournal({ userDataDir: dir, logger: createLogger({ level: 'silent' }) });
+
+  const { w, poll, events } = scripted({ journal: journalIn() });
+  await poll(1000, GAME);
+  await poll(7000, GAME);
+  await w.stop();
+  assert.deepEqual(events('presence:ended').map(m => [m.payload.reason, m.payload.endedAt]), [['shutdown', 7000]]);
+
+  // после stop() журнал уже на диске: следующему запуску восстанавливать нечего
+  const lines = fs.readFileSync(path.join(dir, 'presence-journal.ndjson'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(lines.map(r => [r.exeName, r.startedAt, r.endedAt, r.recovered]), [['game.exe', 1000, 7000, undefined]]);
+  assert.deepEqual(await journalIn().recover(), []);
+});
+
+test('запуск через симлинк: воркер узнаёт, что он главный модуль', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'presence-worker-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const link = path.join(dir, 'presence-worker.js');
+  fs.symlinkSync(fileURLToPath(new URL('../presence-worker.js', import.meta.url)), link);
+  // воспроизведение несуществующей трассы — самый короткий путь через BOOT: ошибка и код 2
+  const res = spawnSync(process.execPath, [link], {
+    env: { ...process.env, [REPLAY_ENV]: path.join(dir, 'missing.ndjson') }, encoding: 'utf8', timeout: 30000,
+  });
+  assert.equal(res.status, 2, res.stderr);
+  assert.match(res.stderr, /replay error/);
+});
+
+test('set-config: ошибка в одном ключе не применяет остальные', async () => {
+  const w = worker();
+  const before = (await setConfig(w, {})).result;
+
+  const cases = [
+    { idle: { thresholdMs: 1000 }, privacy: { mode: 'loud' } },
+    { privacy: { streamer: true }, sessions: { resumeGraceMs: -1 } },
+    { media: { allow: ['vlc'] }, logLevel: 'loud' },
+    { logLevel: 'debug', locales: [''] },
+    { statusText: { enabled: false }, titleParsers: { parsers: { nope: true } } },
+    { titleParsers: { enabled: false }, classifier: { threshold: 'high' } },
+  ];
+  for (const args of cases) {
+    const res = await setConfig(w, args);
+    assert.equal(res.ok, false, JSON.stringify(args));
+    assert.equal(res.error.code, 'invalid-args');
+    assert.deepEqual((await setConfig(w, {})).result, before, JSON.stringify(args));
+  }
+
+  const res = await setConfig(w, { idle: { thresholdMs: 1000 }, privacy: { streamer: true }, logLevel: 'error' });
+  assert.equal(res.ok, true);
+  assert.equal(res.result.idle.thresholdMs, 1000);
+  assert.equal(res.result.privacy.streamer, true);
+  assert.equal(res.result.logLevel, 'error');
+});
+
+test('без locales воркер берёт язык системы, а не английский', (t) => {
+  const saved = { ...process.env };
+  t.after(() => { process.env = saved; });
+  delete process.env.LANGUAGE;
+  delete process.env.LC_ALL;
+  delete process.env.LC_MESSAGES;
+  process.env.LANG = 'ru_RU.UTF-8';
+  assert.equal(worker().diagnostics().statusText.locale, 'ru');
+  assert.equal(worker({ locales: ['en'] }).diagnostics().statusText.locale, 'en');
+});
+
+test('фон: недоступная таблица процессов не завершает фоновую игру', async () => {
+  const processes = createFakeProcessScanner([{ pid: 10, exePath: '/games/game.exe', startTime: 1 }]);
+  const h = scripted({ processes });
+  await h.poll(1000, GAME);
+  await h.poll(2000, null); // фокус ушёл — игра в фоне
+  assert.equal(h.w.background.length, 1);
+
+  processes.set(null); // ps завис или упал
+  await h.poll(8000, null);
+  await h.poll(14000, null);
+  assert.equal(h.w.background.length, 1);
+  assert.deepEqual(h.events('presence:ended'), []);
+
+  processes.set([]); // процесс действительно завершился
+  await h.poll(20000, null);
+  assert.deepEqual(h.events('presence:ended').map(m => m.payload.reason), ['process-exited']);
+  assert.equal(h.w.background.length, 0);
+});
+
+test('IDE: окно VS Code и JetBrains становится сессией geek с деталями из заголовка', async () => {
+  const cases = [
+    // [окно, ожидаемые детали]
+    [{ exePath: '/usr/share/code/code', processName: 'code', title: '● index.ts - echotalk - Visual Studio Code', pid: 30 },
+      { parser: 'vscode', workspace: 'echotalk', file: 'index.ts' }],
+    [{ processName: 'Code.exe', title: 'main.py - api - Visual Studio Code', pid: 31 },
+      { parser: 'vscode', workspace: 'api', file: 'main.py' }],
+    [{ exePath: '/Applications/Visual Studio Code.app', processName: 'Code', title: 'app.js - web - Visual Studio Code', pid: 32 },
+      { parser: 'vscode', workspace: 'web', file: 'app.js' }],
+    [{ exePath: '/opt/idea/bin/idea', processName: 'idea', title: 'echotalk – presence-worker.js', pid: 33 },
+      { parser: 'jetbrains', workspace: 'echotalk', file: 'presence-worker.js' }],
+  ];
+  for (const [window, expected] of cases) {
+    const h = scripted({ rules: createRulesStore() });
+    await h.poll(1000, window);
+    const [update] = h.events('presence:update');
+    assert.equal(update?.payload.category, 'geek', window.title);
+    const { parser, workspace, file } = update.payload.extra;
+    assert.deepEqual({ parser, workspace, file }, expected, window.title);
+  }
+});
+
+test('приватность: имя из заголовка не уходит наружу в режиме стримера, в том числе в строке статуса', async () => {
+  const resolver = {
+    async warmup() {},
+    async resolveName({ windowTitle }) { return { name: windowTitle, canonicalName: windowTitle, source: 'title', icon: null }; },
+  };
+  const h = scripted({ resolver, privacy: { streamer: true } });
+  await h.poll(1000, { ...GAME, title: 'Договор — secret.docx' });
+  const [update] = h.events('presence:update');
+  assert.equal(update.payload.displayName, 'Game');
+  assert.equal(update.payload.nameSource, 'fallback');
+  assert.ok(!JSON.stringify(h.sent).includes('secret'));
+});
+
+test('Wine/Proton: окно wine64-preloader классифицируется по настоящему Windows exe', async () => {
+  const target = '/home/me/.local/share/heroic/prefixes/hades/drive_c/Hades/Hades.exe';
+  const asked = [];
+  const resolver = {
+    async warmup() {},
+    async resolveDisplayName() { return 'Hades'; },
+    async wine(exePath, pid) {
+      asked.push(pid);
+      return { windowsExe: 'C:\\Hades\\Hades.exe', exePath: target, prefix: null, appid: null };
+    },
+    library: exePath => (exePath === target ? { source: 'heroic', name: 'Hades', by: 'exe', match: target } : null),
+  };
+  const h = scripted({ resolver, rules: createRulesStore() });
+  const window = { exePath: '/usr/lib/wine/wine64-preloader', processName: 'wine64-preloader', title: 'Hades', pid: 50 };
+  await h.poll(1000, window);
+  await h.poll(2000, window);
+
+  const [update] = h.events('presence:update');
+  assert.equal(update?.payload.category, 'game');
+  assert.deepEqual(update.payload.signals, ['library']);
+  assert.deepEqual(asked, [50]); // /proc читается один раз на процесс, а не на каждый опрос
+
+  // обычное окно до резолвера Wine не доходит
+  await h.poll(3000, { exePath: '/usr/bin/editor.exe', processName: 'editor.exe', title: 'x', pid: 51 });
+  assert.deepEqual(asked, [50]);
+});